@@ -1,6 +1,10 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken } = require('../utils/jwt');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const { createSession, rotateSession, revokeUserSessions } = require('../utils/sessions');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/accountEmails');
+const { getUserPermissions } = require('../utils/permissions');
 
 /**
  * Register a new user
@@ -73,19 +77,20 @@ const register = async (req, res) => {
     const user = new User(userData);
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      role: user.role,
-    });
+    // A failed email must not fail the registration; the user can request another one
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+    // Start a session (access + refresh token pair)
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: user.toSafeObject(),
+        permissions: await getUserPermissions(user),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -145,19 +150,17 @@ const login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      role: user.role,
-    });
+    // Start a session (access + refresh token pair)
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: user.toSafeObject(),
+        permissions: await getUserPermissions(user),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -170,6 +173,264 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new token pair (refresh tokens rotate on every use)
+ */
+const refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { token, refreshToken, user } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: user.toSafeObject(),
+        permissions: await getUserPermissions(user),
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'SessionError') {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Logout the current session
+ */
+const logout = async (req, res) => {
+  try {
+    const session = await Session.findById(req.sessionId);
+    if (session) {
+      await session.revoke('logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Logout every session of the current user ("sign out all devices")
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revokedSessions = await revokeUserSessions(req.app.get('io'), req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Signed out of all devices',
+      data: { revokedSessions },
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out of all devices',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Send a password reset email (the response never reveals whether the email exists)
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findByEmail(req.body.email);
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send password reset email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reset password with a single-use token and sign out every device
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const authToken = await AuthToken.consume(token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+      });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+      });
+    }
+
+    user.password = password;
+    // Receiving the reset email proves ownership of the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeUserSessions(req.app.get('io'), user._id, 'password_changed');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Verify email address with a single-use token
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const authToken = await AuthToken.consume(req.body.token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired',
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      authToken.user,
+      { isEmailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.toSafeObject(),
+      },
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Send a new verification email to the current user
+ */
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get current user profile
  */
@@ -179,6 +440,7 @@ const getProfile = async (req, res) => {
       success: true,
       data: {
         user: req.user.toSafeObject(),
+        permissions: await getUserPermissions(req.user),
       },
     });
   } catch (error) {
@@ -277,6 +539,9 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; the current session stays valid
+    await revokeUserSessions(req.app.get('io'), user._id, 'password_changed', req.sessionId);
+
     res.json({
       success: true,
       message: 'Password changed successfully',
@@ -294,6 +559,13 @@ const changePassword = async (req, res) => {
 module.exports = {
   register,
   login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getProfile,
   updateProfile,
   changePassword,
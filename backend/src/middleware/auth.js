@@ -1,5 +1,7 @@
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getUserPermissions } = require('../utils/permissions');
 
 /**
  * Middleware to authenticate JWT token
@@ -27,8 +29,25 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact administrator.',
+      });
+    }
+
+    // Access tokens are tied to a session so logout and deactivation take effect immediately
+    const sessionActive = await Session.isSessionActive(decoded.sessionId);
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.',
+      });
+    }
+
     // Add user info to request object
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -78,6 +97,52 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Middleware to require named permissions (all of them) from the user's role
+ * Loads the permission list onto req.permissions for finer checks inside the handler.
+ * @param {...string} permissions - Required permissions, e.g. 'materialRequest.approve'
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.',
+      });
+    }
+
+    try {
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+      }
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Permission check failed.',
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.permissions.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+        requiredPermissions: missing,
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Check a permission loaded by requirePermission for the current request
+ * @param {Object} req - Express request
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const can = (req, permission) => Boolean(req.permissions && req.permissions.includes(permission));
+
 /**
  * Middleware to check if user is owner
  */
@@ -101,6 +166,8 @@ const isAuthenticated = authenticate;
 module.exports = {
   authenticate,
   authorize,
+  requirePermission,
+  can,
   isOwner,
   isOwnerOrEmployee,
   isOwnerEmployeeOrVendor,
@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { preserveRequestContext } = require('../utils/audit');
 
 // Ensure upload directories exist
 const uploadDirs = ['uploads/documents', 'uploads/images', 'uploads/quotations', 'uploads/purchase-orders'];
@@ -72,7 +73,7 @@ const upload = multer({
 
 // Middleware for single file upload
 const uploadSingle = (fieldName) => {
-  return (req, res, next) => {
+  return preserveRequestContext((req, res, next) => {
     upload.single(fieldName)(req, res, (err) => {
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
@@ -99,12 +100,12 @@ const uploadSingle = (fieldName) => {
       }
       next();
     });
-  };
+  });
 };
 
 // Middleware for multiple file upload
 const uploadMultiple = (fieldName, maxCount = 5) => {
-  return (req, res, next) => {
+  return preserveRequestContext((req, res, next) => {
     upload.array(fieldName, maxCount)(req, res, (err) => {
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
@@ -131,12 +132,12 @@ const uploadMultiple = (fieldName, maxCount = 5) => {
       }
       next();
     });
-  };
+  });
 };
 
 // Middleware for mixed file upload (multiple fields)
 const uploadFields = (fields) => {
-  return (req, res, next) => {
+  return preserveRequestContext((req, res, next) => {
     upload.fields(fields)(req, res, (err) => {
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
@@ -163,7 +164,7 @@ const uploadFields = (fields) => {
       }
       next();
     });
-  };
+  });
 };
 
 // Helper function to delete file
@@ -180,10 +181,10 @@ const deleteFile = (filePath) => {
   }
 };
 
-// Helper function to get file URL
-const getFileUrl = (req, filename) => {
-  const baseUrl = `${req.protocol}://${req.get('host')}`;
-  return `${baseUrl}/uploads/${filename}`;
+// Helper function to get the stored URL of an uploaded file
+// Files are served through the authenticated /api/files route, never statically.
+const getFileUrl = (file) => {
+  return `/api/files/${path.basename(file.destination)}/${file.filename}`;
 };
 
 module.exports = {
@@ -1,4 +1,5 @@
 const { body } = require('express-validator');
+const { BUDGET_CATEGORIES } = require('../utils/categories');
 
 /**
  * Validation rules for user registration
@@ -61,6 +62,56 @@ const validateLogin = [
     .withMessage('Password is required'),
 ];
 
+/**
+ * Validation rules for requesting a password reset
+ */
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+];
+
+/**
+ * Validation rules for resetting a password with a token
+ */
+const validateResetPassword = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+];
+
+/**
+ * Validation rules for verifying an email address
+ */
+const validateVerifyEmail = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+];
+
+/**
+ * Validation rules for refreshing an access token
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token must be a string')
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+];
+
 /**
  * Validation rules for profile update
  */
@@ -181,11 +232,805 @@ const validateMaterialRequest = [
     .withMessage('Description cannot exceed 500 characters'),
 ];
 
+/**
+ * Validation rules for awarding material request lines to vendor quotations
+ */
+const validateAward = [
+  body('awards')
+    .isArray({ min: 1 })
+    .withMessage('At least one award is required'),
+
+  body('awards.*.materialRequestItem')
+    .isMongoId()
+    .withMessage('Invalid material ID format'),
+
+  body('awards.*.quotationId')
+    .isMongoId()
+    .withMessage('Invalid quotation ID format'),
+
+  body('expectedDeliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected delivery date must be a valid date'),
+
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comments cannot exceed 500 characters'),
+];
+
+/**
+ * Validation rules for quotation counter-offers
+ */
+const validateCounterOffer = [
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+
+  body('items.*.quotationItem')
+    .isMongoId()
+    .withMessage('Invalid quotation item ID format'),
+
+  body('items.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number'),
+
+  body('discountPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount percentage must be between 0 and 100'),
+
+  body('deliveryTime')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Delivery time must be at least 1 day'),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(['cash', 'check', 'bank_transfer', 'credit_card', 'net_30', 'net_60', 'advance'])
+    .withMessage('Invalid payment method'),
+
+  body('counterTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid counter-offer ID format'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+];
+
+// Fields shared by drafting and editing a client invoice
+const clientInvoiceFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Invoice description cannot exceed 500 characters'),
+
+  body('items.*.description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Item description must be between 1 and 200 characters'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Item quantity must be greater than 0'),
+
+  body('items.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Item unit price cannot be negative'),
+
+  body('tax')
+    .optional()
+    .isObject()
+    .withMessage('Tax must be an object'),
+
+  body('tax.percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax percentage must be between 0 and 100'),
+
+  body('discount')
+    .optional()
+    .isObject()
+    .withMessage('Discount must be an object'),
+
+  body('discount.percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount percentage must be between 0 and 100'),
+];
+
+/**
+ * Validation rules for client invoice creation
+ */
+const validateClientInvoice = [
+  body('projectId')
+    .notEmpty()
+    .withMessage('Project ID is required')
+    .isMongoId()
+    .withMessage('Invalid project ID format'),
+
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invoice title must be between 1 and 100 characters'),
+
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one invoice item is required'),
+
+  body('dueDate')
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+
+  ...clientInvoiceFields,
+];
+
+/**
+ * Validation rules for editing a draft client invoice; only the fields sent are checked
+ */
+const validateClientInvoiceUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invoice title must be between 1 and 100 characters'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one invoice item is required'),
+
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+
+  ...clientInvoiceFields,
+];
+
+/**
+ * Validation rules for cancelling a client invoice
+ */
+const validateClientInvoiceCancellation = [
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Cancellation reason must be text')
+    .bail()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Cancellation reason cannot exceed 300 characters'),
+];
+
+/**
+ * Validation rules for recording a client payment
+ */
+const validatePayment = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Payment amount must be at least 0.01'),
+
+  body('method')
+    .isIn(['cash', 'check', 'bank_transfer', 'credit_card', 'upi', 'other'])
+    .withMessage('Payment method must be one of: cash, check, bank_transfer, credit_card, upi, other'),
+
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Payment date must be a valid date'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Payment reference cannot exceed 100 characters'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Payment notes cannot exceed 300 characters'),
+];
+
+/**
+ * Validation rules for vendor invoice creation
+ */
+const validateVendorInvoice = [
+  body('purchaseOrderId')
+    .notEmpty()
+    .withMessage('Purchase order ID is required')
+    .isMongoId()
+    .withMessage('Invalid purchase order ID format'),
+
+  body('invoiceNumber')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Invoice number must be between 1 and 50 characters'),
+
+  body('invoiceDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invoice date must be a valid date'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one invoice item is required'),
+
+  body('items.*.purchaseOrderItem')
+    .isMongoId()
+    .withMessage('Invalid purchase order item ID format'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Item quantity must be greater than 0'),
+
+  body('items.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Item unit price cannot be negative'),
+
+  body('tax.percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax percentage must be between 0 and 100'),
+
+  body('deliveryCharges')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Delivery charges cannot be negative'),
+];
+
+/**
+ * Validation rules for recording a goods receipt (delivery inspection)
+ */
+const validateGoodsReceipt = [
+  body('deliveryDate')
+    .isISO8601()
+    .withMessage('Delivery date must be a valid date'),
+
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one delivered item is required'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Invalid purchase order item ID format'),
+
+  body('items.*.deliveredQuantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Delivered quantity must be greater than 0'),
+
+  body('items.*.acceptedQuantity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accepted quantity cannot be negative'),
+
+  body('items.*.rejectedQuantity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rejected quantity cannot be negative'),
+
+  body('items.*.rejectionReason')
+    .optional({ nullable: true })
+    .isIn(['damaged', 'defective', 'wrong_grade', 'wrong_item', 'other'])
+    .withMessage('Invalid rejection reason'),
+
+  body('items.*.rejectionNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Rejection notes cannot exceed 300 characters'),
+
+  body('items.*.photos')
+    .optional()
+    .isArray()
+    .withMessage('Photos must be an array'),
+
+  body('inspectedBy')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid inspector ID format'),
+
+  body('returnType')
+    .optional()
+    .isIn(['replacement', 'return'])
+    .withMessage('Return type must be replacement or return'),
+];
+
+/**
+ * Validation rules for purchase order amendments
+ */
+const validatePurchaseOrderAmendment = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Amendment reason must be between 1 and 500 characters'),
+
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Invalid purchase order item ID format'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Item quantity must be greater than 0'),
+
+  body('expectedDeliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected delivery date must be a valid date')
+    .bail()
+    .isAfter()
+    .withMessage('Expected delivery date must be in the future'),
+
+  body('deliveryAddress')
+    .optional()
+    .isObject()
+    .withMessage('Delivery address must be an object'),
+];
+
+/**
+ * Validation rules for cancelling or short-closing a purchase order
+ */
+const validatePurchaseOrderClosure = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters'),
+];
+
+/**
+ * Validation rules for setting project budget lines
+ */
+const validateBudget = [
+  body('lines')
+    .optional()
+    .isArray()
+    .withMessage('Budget lines must be an array'),
+
+  body('lines.*.category')
+    .isIn(BUDGET_CATEGORIES)
+    .withMessage('Invalid budget category'),
+
+  body('lines.*.budgeted')
+    .isFloat({ min: 0 })
+    .withMessage('Budgeted amount cannot be negative'),
+
+  body('lines.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Budget line notes cannot exceed 200 characters'),
+
+  body('alertThreshold')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Alert threshold must be between 1 and 100'),
+
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+];
+
+/**
+ * Validation rules for recording a cost outside purchase orders
+ */
+const validateBudgetEntry = [
+  body('category')
+    .isIn(BUDGET_CATEGORIES)
+    .withMessage('Invalid budget category'),
+
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Description must be between 1 and 200 characters'),
+
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+
+  body('status')
+    .optional()
+    .isIn(['committed', 'paid'])
+    .withMessage('Status must be committed or paid'),
+
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+];
+
+// Fields shared by drafting and editing a change order
+const changeOrderFields = [
+  body('costImpact')
+    .optional()
+    .isFloat()
+    .withMessage('Cost impact must be a number'),
+
+  body('scheduleImpactDays')
+    .optional()
+    .isInt()
+    .withMessage('Schedule impact must be a whole number of days'),
+
+  body('budgetCategory')
+    .optional()
+    .isIn(BUDGET_CATEGORIES)
+    .withMessage('Invalid budget category'),
+];
+
+/**
+ * Validation rules for drafting a change order
+ */
+const validateChangeOrder = [
+  body('projectId')
+    .notEmpty()
+    .withMessage('Project ID is required')
+    .isMongoId()
+    .withMessage('Invalid project ID format'),
+
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Change order title must be between 1 and 100 characters'),
+
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Description must be between 1 and 1000 characters'),
+
+  ...changeOrderFields,
+];
+
+/**
+ * Validation rules for editing a draft change order; every field is optional
+ */
+const validateChangeOrderUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Change order title must be between 1 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Description must be between 1 and 1000 characters'),
+
+  ...changeOrderFields,
+];
+
+/**
+ * Validation rules for a client's decision on a change order
+ */
+const validateChangeOrderDecision = [
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comments cannot exceed 500 characters'),
+];
+
+// Fields shared by milestone creation and updates
+const milestoneFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Milestone description cannot exceed 500 characters'),
+
+  body('phase')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Phase name cannot exceed 50 characters'),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Milestone weight cannot be negative'),
+
+  body('owner')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid owner ID format'),
+
+  body(['plannedStartDate', 'targetDate', 'actualStartDate', 'completedDate'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Milestone dates must be valid dates'),
+
+  body('durationDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Milestone duration must be a whole number of days'),
+
+  body(['dependsOn', 'purchaseOrders'])
+    .optional()
+    .isArray()
+    .withMessage('Dependencies and purchase orders must be arrays'),
+
+  body('dependsOn.*')
+    .isMongoId()
+    .withMessage('Invalid milestone ID format'),
+
+  body('purchaseOrders.*')
+    .isMongoId()
+    .withMessage('Invalid purchase order ID format'),
+
+  body('status')
+    .optional()
+    .isIn(['pending', 'in-progress', 'completed', 'delayed'])
+    .withMessage('Status must be one of: pending, in-progress, completed, delayed'),
+];
+
+/**
+ * Validation rules for adding a project milestone
+ */
+const validateMilestone = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Milestone name must be between 1 and 100 characters'),
+
+  ...milestoneFields,
+];
+
+/**
+ * Validation rules for updating a project milestone
+ */
+const validateMilestoneUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Milestone name must be between 1 and 100 characters'),
+
+  ...milestoneFields,
+];
+
+// Fields shared by project template creation and updates
+const projectTemplateFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Template description cannot exceed 500 characters'),
+
+  body('designStyle')
+    .optional({ nullable: true })
+    .isIn(['modern', 'traditional', 'contemporary', 'minimalist', 'rustic', 'industrial', 'eclectic'])
+    .withMessage('Design style must be one of: modern, traditional, contemporary, minimalist, rustic, industrial, eclectic'),
+
+  body('milestones')
+    .optional()
+    .isArray()
+    .withMessage('Milestones must be an array'),
+
+  body('milestones.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Milestone name must be between 1 and 100 characters'),
+
+  body('milestones.*.weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Milestone weight cannot be negative'),
+
+  body(['milestones.*.startOffsetDays', 'milestones.*.durationDays'])
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Milestone offsets and durations must be whole numbers of days'),
+
+  // Either the _id of another milestone in the template or its position in the list
+  body('milestones.*.dependsOn.*')
+    .custom(value => Number.isInteger(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('Milestone dependencies must be milestone IDs or positions'),
+
+  body('teamRoles')
+    .optional()
+    .isArray()
+    .withMessage('Team roles must be an array'),
+
+  body('teamRoles.*.title')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Team role title must be between 1 and 60 characters'),
+
+  body('teamRoles.*.baseRole')
+    .isIn(['employee', 'vendor'])
+    .withMessage('Team roles must be employee or vendor roles'),
+
+  body('teamRoles.*.members.*')
+    .isMongoId()
+    .withMessage('Invalid team member ID format'),
+
+  body('budget.lines')
+    .optional()
+    .isArray()
+    .withMessage('Budget lines must be an array'),
+
+  body('budget.lines.*.category')
+    .isIn(BUDGET_CATEGORIES)
+    .withMessage('Invalid budget category'),
+
+  body('budget.lines.*.budgeted')
+    .isFloat({ min: 0 })
+    .withMessage('Budgeted amount cannot be negative'),
+
+  body('budget.alertThreshold')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Alert threshold must be between 1 and 100'),
+
+  body('materialRequests')
+    .optional()
+    .isArray()
+    .withMessage('Material requests must be an array'),
+
+  body('materialRequests.*.title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Request title must be between 1 and 100 characters'),
+
+  body('materialRequests.*.requiredOffsetDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Required-by offset must be a whole number of days'),
+
+  body('materialRequests.*.materials')
+    .isArray({ min: 1 })
+    .withMessage('At least one material is required'),
+
+  body('materialRequests.*.materials.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Material name is required'),
+
+  body('materialRequests.*.materials.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Material quantity must be greater than 0'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+];
+
+/**
+ * Validation rules for creating a project template
+ */
+const validateProjectTemplate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+
+  body('projectType')
+    .isIn(['residential', 'commercial', 'industrial', 'renovation', 'interior'])
+    .withMessage('Project type must be one of: residential, commercial, industrial, renovation, interior'),
+
+  ...projectTemplateFields,
+];
+
+/**
+ * Validation rules for updating a project template
+ */
+const validateProjectTemplateUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+
+  body('projectType')
+    .optional()
+    .isIn(['residential', 'commercial', 'industrial', 'renovation', 'interior'])
+    .withMessage('Project type must be one of: residential, commercial, industrial, renovation, interior'),
+
+  ...projectTemplateFields,
+];
+
+// Fields shared by creating a project from a template and cloning one
+const projectCopyFields = [
+  body('clientId')
+    .notEmpty()
+    .withMessage('Client ID is required')
+    .isMongoId()
+    .withMessage('Invalid client ID format'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Project description must be between 10 and 1000 characters'),
+
+  body('timeline.startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('timeline.expectedEndDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected end date must be a valid date'),
+
+  body(['assignedEmployees', 'assignedVendors'])
+    .optional()
+    .isArray()
+    .withMessage('Assigned employees and vendors must be arrays'),
+
+  body(['assignedEmployees.*', 'assignedVendors.*'])
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+];
+
+/**
+ * Validation rules for creating a project from a template
+ */
+const validateProjectFromTemplate = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Project title must be between 3 and 100 characters'),
+
+  ...projectCopyFields,
+];
+
+/**
+ * Validation rules for cloning a project
+ */
+const validateProjectClone = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Project title must be between 3 and 100 characters'),
+
+  ...projectCopyFields,
+];
+
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
   validateProfileUpdate,
   validatePasswordChange,
   validateProject,
   validateMaterialRequest,
+  validateAward,
+  validateCounterOffer,
+  validateClientInvoice,
+  validateClientInvoiceUpdate,
+  validateClientInvoiceCancellation,
+  validatePayment,
+  validateVendorInvoice,
+  validateGoodsReceipt,
+  validatePurchaseOrderAmendment,
+  validatePurchaseOrderClosure,
+  validateBudget,
+  validateBudgetEntry,
+  validateChangeOrder,
+  validateChangeOrderUpdate,
+  validateChangeOrderDecision,
+  validateMilestone,
+  validateMilestoneUpdate,
+  validateProjectTemplate,
+  validateProjectTemplateUpdate,
+  validateProjectFromTemplate,
+  validateProjectClone,
 };
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true,
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+}, {
+  _id: false,
+});
+
+const auditEventSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  actorRole: {
+    type: String,
+    default: null,
+  },
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: {
+      values: [
+        'project',
+        'projectTemplate',
+        'materialRequest',
+        'quotation',
+        'purchaseOrder',
+        'clientInvoice',
+        'vendorInvoice',
+        'changeOrder',
+        'serviceRequest',
+        'workStatus',
+        'user',
+        'role',
+        'file',
+      ],
+      message: 'Invalid audit entity type',
+    },
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required'],
+  },
+  // Route-level action, e.g. create, update, approve, record-delivery
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true,
+  },
+  // Document-level operation that produced the change
+  operation: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true,
+  },
+  changes: [changeSchema],
+  changesTruncated: {
+    type: Boolean,
+    default: false,
+  },
+  method: String,
+  route: String,
+  ip: String,
+  userAgent: String,
+  requestId: String,
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for faster queries
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+auditEventSchema.index({ createdAt: -1 });
+
+// Static method to get the history of a single entity (newest first)
+auditEventSchema.statics.findForEntity = function(entityType, entityId) {
+  return this.find({ entityType, entityId })
+    .populate('actor', 'firstName lastName role')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
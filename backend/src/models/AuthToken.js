@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/jwt');
+
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Token purpose is required'],
+    enum: {
+      values: ['password_reset', 'email_verification'],
+      message: 'Purpose must be one of: password_reset, email_verification',
+    },
+  },
+  // SHA-256 of the token sent by email (the raw token is never stored)
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for faster queries (tokenHash index is already created by unique: true)
+authTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Issue a new token, invalidating any unused token of the same purpose
+ * @param {String} userId - User ID
+ * @param {String} purpose - Token purpose
+ * @param {Number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<String>} Raw token to send to the user
+ */
+authTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  await this.updateMany({ user: userId, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+/**
+ * Atomically mark a token as used
+ * @param {String} token - Raw token
+ * @param {String} purpose - Expected token purpose
+ * @returns {Promise<Object|null>} The consumed token, or null if unknown, used or expired
+ */
+authTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { numberingPlugin } = require('../utils/numbering');
+const { BUDGET_CATEGORIES } = require('../utils/categories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const changeOrderSchema = new mongoose.Schema({
+  changeOrderNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required'],
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required'],
+  },
+  title: {
+    type: String,
+    required: [true, 'Change order title is required'],
+    trim: true,
+    maxlength: [100, 'Change order title cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    required: [true, 'Change order description is required'],
+    trim: true,
+    maxlength: [1000, 'Change order description cannot exceed 1000 characters'],
+  },
+  // Added (or, when negative, removed) cost
+  costImpact: {
+    type: Number,
+    default: 0,
+  },
+  // Budget line the cost impact is booked against
+  budgetCategory: {
+    type: String,
+    enum: {
+      values: BUDGET_CATEGORIES,
+      message: 'Invalid budget category',
+    },
+    default: 'other',
+  },
+  // Days added to (or, when negative, taken off) the expected end date
+  scheduleImpactDays: {
+    type: Number,
+    default: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Schedule impact must be a whole number of days',
+    },
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+  documents: [{
+    name: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['pdf', 'image', 'other'],
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'pending_approval', 'approved', 'declined', 'withdrawn'],
+      message: 'Status must be one of: draft, pending_approval, approved, declined, withdrawn',
+    },
+    default: 'draft',
+  },
+  submittedAt: {
+    type: Date,
+    default: null,
+  },
+  // The client's answer
+  decision: {
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: Date,
+    comments: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Decision comments cannot exceed 500 characters'],
+    },
+  },
+  // What approval changed on the project
+  applied: {
+    previousEstimated: Number,
+    newEstimated: Number,
+    previousEndDate: Date,
+    newEndDate: Date,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better query performance (changeOrderNumber index is already created by unique: true)
+changeOrderSchema.index({ project: 1, createdAt: -1 });
+changeOrderSchema.index({ client: 1, status: 1 });
+
+// Instance method to send the change order to the client for approval
+changeOrderSchema.methods.submit = function() {
+  this.status = 'pending_approval';
+  this.submittedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Work out the project's estimate and expected end date once this change is applied.
+ * With budget lines the cost goes onto the change order's category line and the
+ * estimate stays the sum of the lines; without lines the estimate moves directly.
+ * @param {Object} project - Project document
+ * @returns {Object} { estimated, expectedEndDate }
+ */
+changeOrderSchema.methods.projectedImpact = function(project) {
+  const lines = project.budget.lines || [];
+  let estimated;
+
+  if (lines.length > 0) {
+    const line = lines.find(l => l.category === this.budgetCategory);
+    const others = lines
+      .filter(l => l !== line)
+      .reduce((total, l) => total + l.budgeted, 0);
+    estimated = others + Math.max((line ? line.budgeted : 0) + this.costImpact, 0);
+  } else {
+    estimated = Math.max((project.budget.estimated || 0) + this.costImpact, 0);
+  }
+
+  const expectedEndDate = project.timeline.expectedEndDate
+    ? new Date(project.timeline.expectedEndDate.getTime() + this.scheduleImpactDays * DAY_MS)
+    : null;
+
+  return { estimated, expectedEndDate };
+};
+
+/**
+ * Build the update that applies this change to a project in one atomic statement, so
+ * concurrent approvals on the same project each add their impact instead of the last
+ * write winning. Mirrors projectedImpact: with budget lines the cost goes onto the
+ * category's line (added when missing) and the estimate is re-summed from the lines.
+ * @returns {Array} Update pipeline for Project.findOneAndUpdate
+ */
+changeOrderSchema.methods.projectUpdate = function() {
+  const category = this.budgetCategory;
+  const cost = this.costImpact;
+  // Pipelines skip schema defaults, so the new line is spelled out in full
+  const newLine = {
+    _id: new mongoose.Types.ObjectId(),
+    category,
+    budgeted: Math.max(cost, 0),
+    alertLevel: null,
+    alertedAt: null,
+  };
+  const hasLines = { $gt: [{ $size: { $ifNull: ['$budget.lines', []] } }, 0] };
+
+  const adjustedLines = {
+    $map: {
+      input: '$budget.lines',
+      as: 'line',
+      in: {
+        $cond: [
+          { $eq: ['$$line.category', category] },
+          { $mergeObjects: ['$$line', { budgeted: { $max: [{ $add: ['$$line.budgeted', cost] }, 0] } }] },
+          '$$line',
+        ],
+      },
+    },
+  };
+  const missingLine = {
+    $cond: [{ $in: [category, '$budget.lines.category'] }, [], [{ $literal: newLine }]],
+  };
+
+  return [
+    {
+      $set: {
+        'budget.lines': {
+          $cond: [hasLines, { $concatArrays: [adjustedLines, missingLine] }, { $ifNull: ['$budget.lines', []] }],
+        },
+      },
+    },
+    {
+      $set: {
+        'budget.estimated': {
+          $cond: [
+            hasLines,
+            { $sum: '$budget.lines.budgeted' },
+            { $max: [{ $add: [{ $ifNull: ['$budget.estimated', 0] }, cost] }, 0] },
+          ],
+        },
+        'timeline.expectedEndDate': {
+          $cond: [
+            { $ifNull: ['$timeline.expectedEndDate', false] },
+            { $add: ['$timeline.expectedEndDate', this.scheduleImpactDays * DAY_MS] },
+            '$timeline.expectedEndDate',
+          ],
+        },
+        'changeOrders.approvedCount': { $add: [{ $ifNull: ['$changeOrders.approvedCount', 0] }, 1] },
+        'changeOrders.costImpact': { $add: [{ $ifNull: ['$changeOrders.costImpact', 0] }, cost] },
+        'changeOrders.scheduleImpactDays': {
+          $add: [{ $ifNull: ['$changeOrders.scheduleImpactDays', 0] }, this.scheduleImpactDays],
+        },
+      },
+    },
+  ];
+};
+
+/**
+ * Move the order out of one of `fromStatuses`. The status check and the update are one
+ * query, so of two concurrent transitions (approve, decline, withdraw) only the first wins.
+ * @returns {Promise<Boolean>} false when the order had already moved on
+ */
+changeOrderSchema.methods.claimTransition = async function(fromStatuses, update) {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: fromStatuses } },
+    update,
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  this.set(update);
+  return true;
+};
+
+/**
+ * Record the client's approval and apply the change to the project's budget,
+ * expected end date and running change order totals.
+ * The order is claimed first, so a double submit cannot apply the change twice, and the
+ * project is changed with a single update, so concurrent approvals do not overwrite each other.
+ * @param {Object} project - Project document the order belongs to
+ * @returns {Promise<Object|null>} the updated project, or null when the order was already decided or withdrawn
+ */
+changeOrderSchema.methods.approve = async function(project, decidedBy, comments) {
+  const claimed = await this.claimTransition(['pending_approval'], {
+    status: 'approved',
+    decision: { decidedBy, decidedAt: new Date(), comments },
+  });
+  if (!claimed) return null;
+
+  const Project = mongoose.model('Project');
+  let previous;
+  try {
+    previous = await Project.findOneAndUpdate({ _id: project._id }, this.projectUpdate(), { new: false });
+    if (!previous) throw new Error('Project not found');
+  } catch (error) {
+    // Hand the order back to the client rather than leave it approved but not applied
+    await this.constructor.updateOne(
+      { _id: this._id, status: 'approved' },
+      { status: 'pending_approval', $unset: { decision: 1 } }
+    );
+    throw error;
+  }
+
+  // Record what the change did to the project as it stood when it was applied
+  const { estimated, expectedEndDate } = this.projectedImpact(previous);
+  const applied = {
+    previousEstimated: previous.budget.estimated || 0,
+    newEstimated: estimated,
+    previousEndDate: previous.timeline.expectedEndDate,
+    newEndDate: expectedEndDate,
+  };
+  await this.constructor.updateOne({ _id: this._id }, { applied });
+  this.applied = applied;
+
+  return Project.findById(project._id);
+};
+
+// Instance method to record the client declining the change; the project is left as it was.
+// Returns null when the order was already decided or withdrawn.
+changeOrderSchema.methods.decline = async function(decidedBy, comments) {
+  const claimed = await this.claimTransition(['pending_approval'], {
+    status: 'declined',
+    decision: { decidedBy, decidedAt: new Date(), comments },
+  });
+  return claimed ? this : null;
+};
+
+// Instance method to withdraw an undecided change order; returns null when it was decided meanwhile
+changeOrderSchema.methods.withdraw = async function() {
+  const claimed = await this.claimTransition(['draft', 'pending_approval'], { status: 'withdrawn' });
+  return claimed ? this : null;
+};
+
+changeOrderSchema.plugin(numberingPlugin, { field: 'changeOrderNumber', series: 'changeOrder' });
+changeOrderSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('ChangeOrder', changeOrderSchema);
@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { numberingPlugin, nextNumber } = require('../utils/numbering');
+
+// Money is kept in cents so balances settle exactly
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const invoiceItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Item description is required'],
+    trim: true,
+    maxlength: [200, 'Item description cannot exceed 200 characters'],
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.01, 'Quantity must be greater than 0'],
+  },
+  unit: {
+    type: String,
+    trim: true,
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative'],
+  },
+  totalPrice: {
+    type: Number,
+    min: [0, 'Total price cannot be negative'],
+    default: 0,
+  },
+});
+
+const paymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than 0'],
+  },
+  method: {
+    type: String,
+    enum: {
+      values: ['cash', 'check', 'bank_transfer', 'credit_card', 'upi', 'other'],
+      message: 'Payment method must be one of: cash, check, bank_transfer, credit_card, upi, other',
+    },
+    required: [true, 'Payment method is required'],
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment reference cannot exceed 100 characters'],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Payment notes cannot exceed 300 characters'],
+  },
+  receiptNumber: {
+    type: String,
+    required: true,
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const clientInvoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required'],
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required'],
+  },
+  title: {
+    type: String,
+    required: [true, 'Invoice title is required'],
+    trim: true,
+    maxlength: [100, 'Invoice title cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Invoice description cannot exceed 500 characters'],
+  },
+  items: {
+    type: [invoiceItemSchema],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one invoice item is required',
+    },
+  },
+  subtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative'],
+    default: 0,
+  },
+  tax: {
+    percentage: {
+      type: Number,
+      min: [0, 'Tax percentage cannot be negative'],
+      max: [100, 'Tax percentage cannot exceed 100'],
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Tax amount cannot be negative'],
+      default: 0,
+    },
+  },
+  discount: {
+    percentage: {
+      type: Number,
+      min: [0, 'Discount percentage cannot be negative'],
+      max: [100, 'Discount percentage cannot exceed 100'],
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Discount amount cannot be negative'],
+      default: 0,
+    },
+  },
+  totalAmount: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative'],
+    default: 0,
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+  issueDate: {
+    type: Date,
+    default: null,
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required'],
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'issued', 'partially_paid', 'paid', 'cancelled'],
+      message: 'Status must be one of: draft, issued, partially_paid, paid, cancelled',
+    },
+    default: 'draft',
+  },
+  payments: [paymentSchema],
+  amountPaid: {
+    type: Number,
+    min: [0, 'Amount paid cannot be negative'],
+    default: 0,
+  },
+  balanceDue: {
+    type: Number,
+    default: 0,
+  },
+  cancelledAt: {
+    type: Date,
+    default: null,
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Cancellation reason cannot exceed 300 characters'],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required'],
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better query performance (invoiceNumber index is already created by unique: true)
+clientInvoiceSchema.index({ project: 1, dueDate: 1 });
+clientInvoiceSchema.index({ client: 1 });
+clientInvoiceSchema.index({ status: 1 });
+
+// Virtual for overdue invoices (issued, not fully paid, past the due date)
+clientInvoiceSchema.virtual('isOverdue').get(function() {
+  return ['issued', 'partially_paid'].includes(this.status) &&
+    this.dueDate && this.dueDate < new Date();
+});
+
+// Instance method to calculate line totals, tax, discount, total and balance, rounded to cents
+clientInvoiceSchema.methods.calculateTotals = function() {
+  if (this.items && this.items.length > 0) {
+    this.subtotal = roundMoney(this.items.reduce((total, item) => {
+      item.totalPrice = roundMoney(item.quantity * item.unitPrice);
+      return total + item.totalPrice;
+    }, 0));
+  }
+
+  this.tax.amount = roundMoney(this.tax.percentage > 0 ? (this.subtotal * this.tax.percentage) / 100 : this.tax.amount);
+  this.discount.amount = roundMoney(
+    this.discount.percentage > 0 ? (this.subtotal * this.discount.percentage) / 100 : this.discount.amount
+  );
+
+  this.totalAmount = roundMoney(this.subtotal + this.tax.amount - this.discount.amount);
+  this.amountPaid = roundMoney(this.payments.reduce((total, payment) => total + payment.amount, 0));
+  this.balanceDue = Math.max(roundMoney(this.totalAmount - this.amountPaid), 0);
+};
+
+// Pre-save middleware to calculate totals, payment balance and status
+clientInvoiceSchema.pre('save', function(next) {
+  this.calculateTotals();
+
+  if (this.status !== 'draft' && this.status !== 'cancelled') {
+    if (this.amountPaid <= 0) {
+      this.status = 'issued';
+    } else if (this.balanceDue > 0) {
+      this.status = 'partially_paid';
+    } else {
+      this.status = 'paid';
+    }
+  }
+
+  next();
+});
+
+// Instance method to issue the invoice to the client
+clientInvoiceSchema.methods.issue = function() {
+  this.status = 'issued';
+  this.issueDate = this.issueDate || new Date();
+  return this.save();
+};
+
+/**
+ * Record a payment in one conditional update, so concurrent payments cannot together
+ * exceed the balance due. Receipt numbers come from the numbering service.
+ * @param {Object} paymentData - { amount, method, paidAt, reference, notes }
+ * @returns {Promise<Object|null>} the updated invoice, or null when the invoice no longer
+ *   takes payments or its balance due is below the amount
+ */
+clientInvoiceSchema.methods.recordPayment = async function(paymentData, recordedBy) {
+  const amount = roundMoney(Number(paymentData.amount));
+  const payment = this.payments.create({
+    ...paymentData,
+    amount,
+    receiptNumber: await nextNumber('receipt', paymentData.paidAt || new Date()),
+    recordedBy,
+  });
+  const error = payment.validateSync();
+  if (error) throw error;
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['issued', 'partially_paid'] }, balanceDue: { $gte: amount } },
+    [
+      {
+        $set: {
+          payments: { $concatArrays: ['$payments', [{ $literal: payment.toObject() }]] },
+          amountPaid: { $round: [{ $add: ['$amountPaid', amount] }, 2] },
+          balanceDue: { $max: [{ $round: [{ $subtract: ['$balanceDue', amount] }, 2] }, 0] },
+        },
+      },
+      { $set: { status: { $cond: [{ $gt: ['$balanceDue', 0] }, 'partially_paid', 'paid'] } } },
+    ],
+    { new: true }
+  );
+};
+
+// Static method to total the payments received for a project
+clientInvoiceSchema.statics.getProjectPaymentsTotal = async function(projectId) {
+  const [result] = await this.aggregate([
+    { $match: { project: new mongoose.Types.ObjectId(String(projectId)), status: { $ne: 'cancelled' } } },
+    { $group: { _id: null, total: { $sum: '$amountPaid' } } },
+  ]);
+  return result ? result.total : 0;
+};
+
+clientInvoiceSchema.plugin(numberingPlugin, { field: 'invoiceNumber', series: 'clientInvoice' });
+clientInvoiceSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('ClientInvoice', clientInvoiceSchema);
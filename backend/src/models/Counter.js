@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Numbering series, e.g. quotation, purchaseOrder
+  series: {
+    type: String,
+    required: [true, 'Series is required'],
+  },
+  // Sequences restart each year; 0 for series whose format has no year
+  year: {
+    type: Number,
+    default: 0,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+counterSchema.index({ series: 1, year: 1 }, { unique: true });
+
+// Static method to atomically take the next value in a series
+counterSchema.statics.next = async function(series, year = 0) {
+  const increment = () => this.findOneAndUpdate(
+    { series, year },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    return (await increment()).seq;
+  } catch (error) {
+    // Two concurrent upserts can race to create the counter; the loser retries as an update
+    if (error.code !== 11000) throw error;
+    return (await increment()).seq;
+  }
+};
+
+// Static method to make sure a series never hands out a value at or below `seq`
+counterSchema.statics.ensureAtLeast = function(series, year, seq) {
+  return this.updateOne(
+    { series, year },
+    { $max: { seq } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const fileSchema = new mongoose.Schema({
   filename: {
@@ -43,6 +44,20 @@ const fileSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Quotation',
   },
+  // Priced documents are linked to their document only, never to the project, so
+  // other vendors (and, for vendor documents, the client) cannot list them
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+  },
+  clientInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientInvoice',
+  },
+  vendorInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorInvoice',
+  },
   tags: [{
     type: String,
     trim: true,
@@ -56,7 +71,18 @@ fileSchema.index({ uploadedBy: 1 });
 fileSchema.index({ category: 1 });
 fileSchema.index({ project: 1 });
 fileSchema.index({ quotation: 1 });
+fileSchema.index({ purchaseOrder: 1 });
+fileSchema.index({ clientInvoice: 1 });
+fileSchema.index({ vendorInvoice: 1 });
 fileSchema.index({ tags: 1 });
 fileSchema.index({ createdAt: -1 });
+fileSchema.index({ category: 1, filename: 1 });
+
+// Static method to resolve the record behind a stored file location
+fileSchema.statics.findByLocation = function(category, filename) {
+  return this.findOne({ category, filename });
+};
+
+fileSchema.plugin(auditPlugin);
 
 module.exports = mongoose.model('File', fileSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job; doubles as the distributed lock
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastRunAt: {
+    type: Date,
+    default: null,
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null,
+  },
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
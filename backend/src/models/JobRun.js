@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Keep run history for 90 days
+const RUN_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required'],
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule',
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+  durationMs: {
+    type: Number,
+    default: null,
+  },
+  // Job-specific counts, e.g. { expired: 3, notified: 3 }
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for faster queries
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: RUN_RETENTION_SECONDS });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { numberingPlugin } = require('../utils/numbering');
+const { MATERIAL_CATEGORIES } = require('../utils/categories');
 
 const materialItemSchema = new mongoose.Schema({
   name: {
@@ -27,8 +30,8 @@ const materialItemSchema = new mongoose.Schema({
   category: {
     type: String,
     enum: {
-      values: ['cement', 'steel', 'wood', 'tiles', 'paint', 'electrical', 'plumbing', 'hardware', 'other'],
-      message: 'Category must be one of: cement, steel, wood, tiles, paint, electrical, plumbing, hardware, other',
+      values: MATERIAL_CATEGORIES,
+      message: `Category must be one of: ${MATERIAL_CATEGORIES.join(', ')}`,
     },
     required: [true, 'Material category is required'],
   },
@@ -56,9 +59,23 @@ const materialItemSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Required by date is required'],
   },
+  // Purchase order the material is claimed by; set before the order is saved, so two
+  // concurrent awards cannot both order the material
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null,
+  },
 });
 
 const materialRequestSchema = new mongoose.Schema({
+  requestNumber: {
+    type: String,
+    unique: true,
+    // Requests created before numbering existed have none until the migration runs
+    sparse: true,
+    trim: true,
+  },
   project: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Project',
@@ -89,11 +106,12 @@ const materialRequestSchema = new mongoose.Schema({
       message: 'At least one material is required',
     },
   },
+  // Drafts (raised from project templates) stay with the project team until submitted
   status: {
     type: String,
     enum: {
-      values: ['pending', 'approved', 'rejected', 'partially_fulfilled', 'fulfilled'],
-      message: 'Status must be one of: pending, approved, rejected, partially_fulfilled, fulfilled',
+      values: ['draft', 'pending', 'approved', 'rejected', 'partially_fulfilled', 'fulfilled'],
+      message: 'Status must be one of: draft, pending, approved, rejected, partially_fulfilled, fulfilled',
     },
     default: 'pending',
   },
@@ -196,7 +214,7 @@ const materialRequestSchema = new mongoose.Schema({
   timestamps: true,
 });
 
-// Indexes for better query performance
+// Indexes for better query performance (requestNumber index is already created by unique: true)
 materialRequestSchema.index({ project: 1 });
 materialRequestSchema.index({ requestedBy: 1 });
 materialRequestSchema.index({ status: 1 });
@@ -229,8 +247,8 @@ materialRequestSchema.pre('save', function(next) {
     }, 0);
   }
   
-  // Validate required by date
-  if (this.requiredBy && this.requiredBy <= new Date()) {
+  // Validate required by date (only when it is set or changed, so late requests can still progress)
+  if (this.isModified('requiredBy') && this.requiredBy && this.requiredBy <= new Date()) {
     return next(new Error('Required by date must be in the future'));
   }
   
@@ -255,6 +273,87 @@ materialRequestSchema.statics.findPending = function() {
     .populate('project requestedBy assignedVendors.vendor');
 };
 
+// Statuses that follow purchase order coverage once a request is approved
+const FULFILMENT_STATUSES = ['approved', 'partially_fulfilled', 'fulfilled'];
+
+/**
+ * Static method to derive the fulfilment status from the purchase orders placed against the
+ * request: a material is covered when a live purchase order line orders it.
+ * @returns {Promise<Object|null>} the updated request, or null when nothing changed
+ */
+materialRequestSchema.statics.syncFulfilment = async function(materialRequestId) {
+  const materialRequest = await this.findById(materialRequestId);
+  if (!materialRequest || !FULFILMENT_STATUSES.includes(materialRequest.status)) return null;
+
+  const purchaseOrders = await mongoose.model('PurchaseOrder').find({
+    materialRequest: materialRequestId,
+  }).select('status items.materialRequestItem items.deliveryStatus');
+
+  const covered = new Set();
+  const released = [];
+  purchaseOrders.forEach(purchaseOrder => {
+    purchaseOrder.items.forEach(item => {
+      if (!item.materialRequestItem) return;
+      if (purchaseOrder.status !== 'cancelled' && item.deliveryStatus !== 'cancelled') {
+        covered.add(item.materialRequestItem.toString());
+      } else {
+        released.push({ purchaseOrder: purchaseOrder._id, material: item.materialRequestItem });
+      }
+    });
+  });
+
+  // Cancelled lines free their material for another award
+  for (const { purchaseOrder, material } of released) {
+    await this.releaseMaterials(materialRequestId, purchaseOrder, [material]);
+  }
+
+  const coveredCount = materialRequest.materials.filter(material => covered.has(material._id.toString())).length;
+  let status = 'approved';
+  if (coveredCount === materialRequest.materials.length) {
+    status = 'fulfilled';
+  } else if (coveredCount > 0) {
+    status = 'partially_fulfilled';
+  }
+
+  if (status === materialRequest.status) return null;
+  materialRequest.status = status;
+  return materialRequest.save();
+};
+
+/**
+ * Static method to claim materials for a purchase order that is about to be created.
+ * Each material is claimed with its own guarded update, so of two concurrent awards only
+ * one gets it; when any claim fails the ones already made are released again.
+ * @returns {Promise<Boolean>} false when a material is already claimed by another order
+ */
+materialRequestSchema.statics.claimMaterials = async function(materialRequestId, purchaseOrderId, materialIds) {
+  const claimed = [];
+  for (const materialId of materialIds) {
+    const { modifiedCount } = await this.updateOne(
+      { _id: materialRequestId, materials: { $elemMatch: { _id: materialId, purchaseOrder: null } } },
+      { $set: { 'materials.$.purchaseOrder': purchaseOrderId } }
+    );
+    if (modifiedCount === 0) {
+      await this.releaseMaterials(materialRequestId, purchaseOrderId, claimed);
+      return false;
+    }
+    claimed.push(materialId);
+  }
+  return true;
+};
+
+// Static method to give up a purchase order's claim on materials (all of them when no ids are given)
+materialRequestSchema.statics.releaseMaterials = function(materialRequestId, purchaseOrderId, materialIds = null) {
+  const filter = { 'material.purchaseOrder': purchaseOrderId };
+  if (materialIds) filter['material._id'] = { $in: materialIds };
+
+  return this.updateOne(
+    { _id: materialRequestId },
+    { $set: { 'materials.$[material].purchaseOrder': null } },
+    { arrayFilters: [filter] }
+  );
+};
+
 // Instance method to assign vendor
 materialRequestSchema.methods.assignVendor = function(vendorId, assignedBy) {
   // Check if vendor is already assigned
@@ -272,6 +371,18 @@ materialRequestSchema.methods.assignVendor = function(vendorId, assignedBy) {
   return this.save();
 };
 
+// Instance method to send a draft request for approval, optionally with a new required-by date
+materialRequestSchema.methods.submit = function(requiredBy) {
+  if (requiredBy) {
+    this.requiredBy = requiredBy;
+    this.materials.forEach(material => {
+      material.requiredBy = requiredBy;
+    });
+  }
+  this.status = 'pending';
+  return this.save();
+};
+
 // Instance method to approve request
 materialRequestSchema.methods.approve = function(approvedBy, comments = '') {
   this.approvals.push({
@@ -303,4 +414,7 @@ materialRequestSchema.methods.addNote = function(content, author) {
   return this.save();
 };
 
+materialRequestSchema.plugin(numberingPlugin, { field: 'requestNumber', series: 'materialRequest' });
+materialRequestSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('MaterialRequest', materialRequestSchema);
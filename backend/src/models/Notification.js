@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required'],
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: [
+        'quotation_approved',
+        'quotation_rejected',
+        'material_request_assigned',
+        'material_request_accepted',
+        'purchase_order_sent',
+        'purchase_order_acknowledged',
+        'purchase_order_amended',
+        'purchase_order_cancelled',
+        'purchase_order_closed',
+        'purchase_order_delivery',
+        'purchase_order_return_requested',
+        'purchase_order_return_acknowledged',
+        'work_status_updated',
+        'quotation_expiring',
+        'quotation_expired',
+        'purchase_order_delivery_due',
+        'purchase_order_overdue',
+        'payment_due',
+        'service_request_overdue',
+        'milestone_delayed',
+        'invoice_issued',
+        'payment_received',
+        'vendor_invoice_submitted',
+        'vendor_invoice_approved',
+        'vendor_invoice_disputed',
+        'vendor_invoice_paid',
+        'counter_offer_received',
+        'counter_offer_answered',
+        'budget_alert',
+        'change_order_submitted',
+        'change_order_approved',
+        'change_order_declined',
+        'general',
+      ],
+      message: 'Invalid notification type',
+    },
+    default: 'general',
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [100, 'Notification title cannot exceed 100 characters'],
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notification message cannot exceed 500 characters'],
+  },
+  entityType: {
+    type: String,
+    enum: ['project', 'materialRequest', 'quotation', 'purchaseOrder', 'clientInvoice', 'vendorInvoice', 'changeOrder', 'workStatus', 'serviceRequest', null],
+    default: null,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+  },
+  isRead: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for faster queries
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ entityType: 1, entityId: 1 });
+
+// Static method to count unread notifications for a user
+notificationSchema.statics.countUnread = function(recipientId) {
+  return this.countDocuments({ recipient: recipientId, isRead: false });
+};
+
+// Static method to mark all notifications as read for a user
+notificationSchema.statics.markAllRead = function(recipientId) {
+  return this.updateMany(
+    { recipient: recipientId, isRead: false },
+    { isRead: true, readAt: new Date() }
+  );
+};
+
+// Instance method to mark notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
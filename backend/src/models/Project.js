@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { BUDGET_CATEGORIES } = require('../utils/categories');
 
 const projectSchema = new mongoose.Schema({
   title: {
@@ -47,15 +49,94 @@ const projectSchema = new mongoose.Schema({
       type: Number,
       min: [0, 'Estimated budget cannot be negative'],
     },
+    // Incurred cost from the budget ledger
     actual: {
       type: Number,
       min: [0, 'Actual budget cannot be negative'],
       default: 0,
     },
+    // Payments received from the client across the project's invoices
+    received: {
+      type: Number,
+      min: [0, 'Received amount cannot be negative'],
+      default: 0,
+    },
     currency: {
       type: String,
       default: 'USD',
     },
+    // Percentage of a line's budget at which a warning is raised
+    alertThreshold: {
+      type: Number,
+      min: [1, 'Alert threshold must be at least 1%'],
+      max: [100, 'Alert threshold cannot exceed 100%'],
+      default: 90,
+    },
+    lines: [{
+      category: {
+        type: String,
+        enum: {
+          values: BUDGET_CATEGORIES,
+          message: 'Invalid budget category',
+        },
+        required: true,
+      },
+      budgeted: {
+        type: Number,
+        min: [0, 'Budgeted amount cannot be negative'],
+        default: 0,
+      },
+      notes: {
+        type: String,
+        maxlength: [200, 'Budget line notes cannot exceed 200 characters'],
+      },
+      // Last alert level announced for this line, so a crossing is only notified once
+      alertLevel: {
+        type: String,
+        enum: ['warning', 'overrun', null],
+        default: null,
+      },
+      alertedAt: {
+        type: Date,
+        default: null,
+      },
+    }],
+    // Costs incurred outside purchase orders (labour, design fees, ...)
+    entries: [{
+      category: {
+        type: String,
+        enum: {
+          values: BUDGET_CATEGORIES,
+          message: 'Invalid budget category',
+        },
+        required: true,
+      },
+      description: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [200, 'Entry description cannot exceed 200 characters'],
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Entry amount must be greater than 0'],
+      },
+      status: {
+        type: String,
+        enum: ['committed', 'paid'],
+        default: 'paid',
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+    }],
   },
   timeline: {
     startDate: {
@@ -71,6 +152,27 @@ const projectSchema = new mongoose.Schema({
       default: null,
     },
   },
+  // Template the project was created from
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProjectTemplate',
+    default: null,
+  },
+  // Running totals of client-approved change orders
+  changeOrders: {
+    approvedCount: {
+      type: Number,
+      default: 0,
+    },
+    costImpact: {
+      type: Number,
+      default: 0,
+    },
+    scheduleImpactDays: {
+      type: Number,
+      default: 0,
+    },
+  },
   location: {
     address: String,
     city: String,
@@ -172,15 +274,92 @@ const projectSchema = new mongoose.Schema({
       name: {
         type: String,
         required: true,
+        trim: true,
+        maxlength: [100, 'Milestone name cannot exceed 100 characters'],
+      },
+      description: {
+        type: String,
+        maxlength: [500, 'Milestone description cannot exceed 500 characters'],
       },
-      description: String,
+      // Phase the milestone belongs to (Design, Procurement, ...); milestones without one form their own phase
+      phase: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Phase name cannot exceed 50 characters'],
+      },
+      // Share of the project's progress carried by this milestone
+      weight: {
+        type: Number,
+        min: [0, 'Milestone weight cannot be negative'],
+        default: 1,
+      },
+      owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      // Planned dates; targetDate is the planned finish
+      plannedStartDate: Date,
       targetDate: Date,
+      // Calendar days the milestone takes; when unset the planned dates give the duration
+      durationDays: {
+        type: Number,
+        min: [0, 'Milestone duration cannot be negative'],
+        validate: {
+          validator: (value) => value === null || value === undefined || Number.isInteger(value),
+          message: 'Milestone duration must be a whole number of days',
+        },
+      },
+      // Milestones (of this project) that must finish before this one can start
+      dependsOn: [{
+        type: mongoose.Schema.Types.ObjectId,
+      }],
+      // Deliveries the milestone is waiting on; a late delivery pushes the milestone's start
+      purchaseOrders: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder',
+      }],
+      // Actual dates; completedDate is the actual finish
+      actualStartDate: Date,
       completedDate: Date,
+      completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
       status: {
         type: String,
         enum: ['pending', 'in-progress', 'completed', 'delayed'],
         default: 'pending',
       },
+      // Photos, sign-offs and other proof of completion
+      evidence: [{
+        name: {
+          type: String,
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ['image', 'pdf', 'other'],
+          required: true,
+        },
+        note: {
+          type: String,
+          maxlength: [300, 'Evidence note cannot exceed 300 characters'],
+        },
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      }],
     }],
     lastUpdated: {
       type: Date,
@@ -272,6 +451,74 @@ projectSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to derive progress from milestones once a project has them
+projectSchema.pre('save', function(next) {
+  const percentage = this.getMilestoneProgress();
+  if (percentage !== null) {
+    this.progress.percentage = percentage;
+  }
+  next();
+});
+
+/**
+ * Weighted completion of the milestones: the completed share of the total weight,
+ * or an even split when every weight is 0
+ * @returns {Number|null} percentage, or null when the project has no milestones
+ */
+projectSchema.methods.getMilestoneProgress = function(milestones = this.progress.milestones) {
+  if (!milestones || milestones.length === 0) return null;
+
+  const totalWeight = milestones.reduce((total, m) => total + (m.weight ?? 1), 0);
+  const done = milestones.filter(m => m.status === 'completed');
+  const completedWeight = done.reduce((total, m) => total + (m.weight ?? 1), 0);
+
+  return totalWeight > 0
+    ? Math.round((completedWeight / totalWeight) * 100)
+    : Math.round((done.length / milestones.length) * 100);
+};
+
+/**
+ * Group milestones into phases in the order the phases first appear
+ * @returns {Array} [{ name, status, percentage, plannedStartDate, targetDate, completedDate, milestones }]
+ */
+projectSchema.methods.getPhases = function() {
+  const phases = [];
+
+  this.progress.milestones.forEach(milestone => {
+    const name = milestone.phase || milestone.name;
+    let phase = phases.find(p => p.name === name);
+    if (!phase) {
+      phase = { name, milestones: [] };
+      phases.push(phase);
+    }
+    phase.milestones.push(milestone);
+  });
+
+  const earliest = (dates) => (dates.length > 0 ? new Date(Math.min(...dates)) : null);
+  const latest = (dates) => (dates.length > 0 ? new Date(Math.max(...dates)) : null);
+
+  return phases.map(phase => {
+    const statuses = phase.milestones.map(m => m.status);
+    let status = 'pending';
+    if (statuses.every(s => s === 'completed')) status = 'completed';
+    else if (statuses.includes('delayed')) status = 'delayed';
+    else if (statuses.some(s => s !== 'pending')) status = 'in-progress';
+
+    const dates = (field) => phase.milestones.filter(m => m[field]).map(m => m[field].getTime());
+
+    return {
+      name: phase.name,
+      status,
+      percentage: this.getMilestoneProgress(phase.milestones),
+      plannedStartDate: earliest(dates('plannedStartDate')),
+      targetDate: latest(dates('targetDate')),
+      actualStartDate: earliest(dates('actualStartDate')),
+      completedDate: status === 'completed' ? latest(dates('completedDate')) : null,
+      milestones: phase.milestones,
+    };
+  });
+};
+
 // Static method to find projects by client
 projectSchema.statics.findByClient = function(clientId) {
   return this.find({ client: clientId }).populate('client assignedEmployees assignedVendors');
@@ -305,4 +552,6 @@ projectSchema.methods.addNote = function(content, author, isPrivate = false) {
   return this.save();
 };
 
+projectSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Project', projectSchema);
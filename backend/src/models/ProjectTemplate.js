@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { MATERIAL_CATEGORIES, BUDGET_CATEGORIES } = require('../utils/categories');
+
+const templateMilestoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Milestone name is required'],
+    trim: true,
+    maxlength: [100, 'Milestone name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Milestone description cannot exceed 500 characters'],
+  },
+  phase: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Phase name cannot exceed 50 characters'],
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Milestone weight cannot be negative'],
+    default: 1,
+  },
+  // Days after the project start the milestone is planned to begin; unset leaves it unplanned
+  startOffsetDays: {
+    type: Number,
+    min: [0, 'Start offset cannot be negative'],
+  },
+  durationDays: {
+    type: Number,
+    min: [0, 'Milestone duration cannot be negative'],
+  },
+  // Other milestones of this template
+  dependsOn: [{
+    type: mongoose.Schema.Types.ObjectId,
+  }],
+});
+
+const templateMaterialSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Material name is required'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Material description cannot exceed 200 characters'],
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Material quantity is required'],
+    min: [0.01, 'Quantity must be greater than 0'],
+  },
+  unit: {
+    type: String,
+    required: [true, 'Material unit is required'],
+    enum: {
+      values: ['pcs', 'kg', 'lbs', 'sqft', 'sqm', 'cubic_ft', 'cubic_m', 'liters', 'gallons', 'meters', 'feet'],
+      message: 'Unit must be one of: pcs, kg, lbs, sqft, sqm, cubic_ft, cubic_m, liters, gallons, meters, feet',
+    },
+  },
+  category: {
+    type: String,
+    enum: {
+      values: MATERIAL_CATEGORIES,
+      message: `Category must be one of: ${MATERIAL_CATEGORIES.join(', ')}`,
+    },
+    required: [true, 'Material category is required'],
+  },
+  specifications: {
+    brand: String,
+    model: String,
+    color: String,
+    size: String,
+    grade: String,
+    other: String,
+  },
+  estimatedCost: {
+    type: Number,
+    min: [0, 'Estimated cost cannot be negative'],
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium',
+  },
+}, { _id: false });
+
+const projectTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Template description cannot exceed 500 characters'],
+  },
+  projectType: {
+    type: String,
+    enum: {
+      values: ['residential', 'commercial', 'industrial', 'renovation', 'interior'],
+      message: 'Project type must be one of: residential, commercial, industrial, renovation, interior',
+    },
+    required: [true, 'Project type is required'],
+  },
+  // Unset means the template suits any design style
+  designStyle: {
+    type: String,
+    enum: {
+      values: ['modern', 'traditional', 'contemporary', 'minimalist', 'rustic', 'industrial', 'eclectic', null],
+      message: 'Design style must be one of: modern, traditional, contemporary, minimalist, rustic, industrial, eclectic',
+    },
+    default: null,
+  },
+  milestones: [templateMilestoneSchema],
+  // Default team; members are assigned to projects created from the template unless others are chosen
+  teamRoles: [{
+    title: {
+      type: String,
+      required: [true, 'Team role title is required'],
+      trim: true,
+      maxlength: [60, 'Team role title cannot exceed 60 characters'],
+    },
+    baseRole: {
+      type: String,
+      enum: {
+        values: ['employee', 'vendor'],
+        message: 'Team roles must be employee or vendor roles',
+      },
+      required: true,
+    },
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+  }],
+  budget: {
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    alertThreshold: {
+      type: Number,
+      min: [1, 'Alert threshold must be at least 1%'],
+      max: [100, 'Alert threshold cannot exceed 100%'],
+      default: 90,
+    },
+    lines: [{
+      category: {
+        type: String,
+        enum: {
+          values: BUDGET_CATEGORIES,
+          message: 'Invalid budget category',
+        },
+        required: true,
+      },
+      budgeted: {
+        type: Number,
+        min: [0, 'Budgeted amount cannot be negative'],
+        default: 0,
+      },
+      notes: {
+        type: String,
+        maxlength: [200, 'Budget line notes cannot exceed 200 characters'],
+      },
+    }],
+  },
+  // Raised as draft material requests on every project created from the template
+  materialRequests: [{
+    title: {
+      type: String,
+      required: [true, 'Request title is required'],
+      trim: true,
+      maxlength: [100, 'Request title cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Request description cannot exceed 500 characters'],
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent'],
+      default: 'medium',
+    },
+    // Days after the project start the materials are needed
+    requiredOffsetDays: {
+      type: Number,
+      min: [0, 'Required-by offset cannot be negative'],
+      default: 0,
+    },
+    materials: [templateMaterialSchema],
+  }],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Project the template was captured from, if any
+  sourceProject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+projectTemplateSchema.index({ projectType: 1, designStyle: 1, isActive: 1 });
+
+/**
+ * Active templates for a project type, best match first: templates for the
+ * design style come before the ones that suit any style
+ */
+projectTemplateSchema.statics.findMatching = async function(projectType, designStyle) {
+  const query = { isActive: true };
+  if (projectType) query.projectType = projectType;
+  if (designStyle) query.designStyle = { $in: [designStyle, null] };
+
+  const templates = await this.find(query).sort({ name: 1 });
+  return templates.sort((a, b) => Number(!a.designStyle) - Number(!b.designStyle));
+};
+
+projectTemplateSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('ProjectTemplate', projectTemplateSchema);
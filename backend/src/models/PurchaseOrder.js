@@ -1,10 +1,16 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { numberingPlugin, nextNumber } = require('../utils/numbering');
 
 const purchaseOrderItemSchema = new mongoose.Schema({
   quotationItem: {
     type: mongoose.Schema.Types.ObjectId,
     required: true,
   },
+  materialRequestItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
   materialName: {
     type: String,
     required: [true, 'Material name is required'],
@@ -41,17 +47,98 @@ const purchaseOrderItemSchema = new mongoose.Schema({
     },
     default: 'pending',
   },
+  // Accepted quantity only: goods rejected at inspection do not count as delivered
   deliveredQuantity: {
     type: Number,
     min: [0, 'Delivered quantity cannot be negative'],
     default: 0,
   },
+  rejectedQuantity: {
+    type: Number,
+    min: [0, 'Rejected quantity cannot be negative'],
+    default: 0,
+  },
+  // Outstanding quantity dropped when the order was cancelled or short-closed, or when rejected
+  // goods were returned without replacement; not charged
+  cancelledQuantity: {
+    type: Number,
+    min: [0, 'Cancelled quantity cannot be negative'],
+    default: 0,
+  },
   deliveryDate: {
     type: Date,
     default: null,
   },
 });
 
+// Instance method to get the quantity still expected from the vendor
+purchaseOrderItemSchema.methods.outstandingQuantity = function() {
+  return Math.max(this.quantity - this.deliveredQuantity - (this.cancelledQuantity || 0), 0);
+};
+
+// Instance method to set the delivery status from the quantities received and settled
+purchaseOrderItemSchema.methods.refreshDeliveryStatus = function(deliveryDate) {
+  if (this.outstandingQuantity() > 1e-9) {
+    this.deliveryStatus = this.deliveredQuantity > 0 ? 'partial' : 'pending';
+  } else if (this.deliveredQuantity > 0) {
+    if (this.deliveryStatus !== 'delivered' && deliveryDate) this.deliveryDate = deliveryDate;
+    this.deliveryStatus = 'delivered';
+  } else {
+    this.deliveryStatus = 'cancelled';
+  }
+};
+
+// Snapshot of the amendable parts of a purchase order, taken before each amendment
+const purchaseOrderRevisionSchema = new mongoose.Schema({
+  revisionNumber: {
+    type: Number,
+    required: true,
+  },
+  items: [{
+    itemId: mongoose.Schema.Types.ObjectId,
+    materialName: String,
+    quantity: Number,
+    unit: String,
+    unitPrice: Number,
+    totalPrice: Number,
+  }],
+  subtotal: Number,
+  tax: {
+    percentage: Number,
+    amount: Number,
+  },
+  discount: {
+    percentage: Number,
+    amount: Number,
+  },
+  deliveryCharges: Number,
+  totalAmount: Number,
+  expectedDeliveryDate: Date,
+  deliveryAddress: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    contactPerson: String,
+    contactPhone: String,
+  },
+  // Who replaced this version with the next one, and why
+  revisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Amendment reason cannot exceed 500 characters'],
+  },
+  acknowledgedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const purchaseOrderSchema = new mongoose.Schema({
   quotation: {
     type: mongoose.Schema.Types.ObjectId,
@@ -184,6 +271,11 @@ const purchaseOrderSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  // Set by the overdue-purchase-orders job while delivery is late
+  overdueSince: {
+    type: Date,
+    default: null,
+  },
   paymentTerms: {
     paymentMethod: {
       type: String,
@@ -235,7 +327,9 @@ const purchaseOrderSchema = new mongoose.Schema({
       default: Date.now,
     },
   }],
+  // Goods receipt notes: one per delivery, with the inspection result per item
   deliveries: [{
+    receiptNumber: String,
     deliveryDate: {
       type: Date,
       required: true,
@@ -250,6 +344,31 @@ const purchaseOrderSchema = new mongoose.Schema({
         required: true,
         min: [0, 'Delivered quantity cannot be negative'],
       },
+      acceptedQuantity: {
+        type: Number,
+        min: [0, 'Accepted quantity cannot be negative'],
+      },
+      rejectedQuantity: {
+        type: Number,
+        min: [0, 'Rejected quantity cannot be negative'],
+        default: 0,
+      },
+      rejectionReason: {
+        type: String,
+        enum: {
+          values: ['damaged', 'defective', 'wrong_grade', 'wrong_item', 'other'],
+          message: 'Rejection reason must be one of: damaged, defective, wrong_grade, wrong_item, other',
+        },
+        default: null,
+      },
+      rejectionNotes: {
+        type: String,
+        maxlength: [300, 'Rejection notes cannot exceed 300 characters'],
+      },
+      photos: [{
+        name: String,
+        url: String,
+      }],
     }],
     deliveredBy: String,
     receivedBy: {
@@ -257,12 +376,84 @@ const purchaseOrderSchema = new mongoose.Schema({
       ref: 'User',
       required: true,
     },
+    inspectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    inspectedAt: {
+      type: Date,
+      default: null,
+    },
     notes: String,
     attachments: [{
       name: String,
       url: String,
     }],
   }],
+  // Rejected goods the vendor has to take back or replace
+  returnRequests: [{
+    delivery: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ['replacement', 'return'],
+        message: 'Return type must be one of: replacement, return',
+      },
+      default: 'replacement',
+    },
+    items: [{
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      materialName: String,
+      quantity: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Return quantity must be greater than 0'],
+      },
+      reason: String,
+      notes: String,
+    }],
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'acknowledged', 'resolved'],
+        message: 'Return status must be one of: pending, acknowledged, resolved',
+      },
+      default: 'pending',
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    vendorNote: {
+      type: String,
+      maxlength: [300, 'Vendor note cannot exceed 300 characters'],
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  }],
   notes: [{
     content: {
       type: String,
@@ -296,6 +487,34 @@ const purchaseOrderSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  // Set when the order is cancelled or short-closed before everything arrived
+  closure: {
+    type: {
+      type: String,
+      enum: ['cancelled', 'short_closed'],
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Closure reason cannot exceed 500 characters'],
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    closedAt: Date,
+    releasedAmount: Number,
+  },
+  // Current version; earlier versions are kept in revisions
+  revision: {
+    type: Number,
+    default: 1,
+  },
+  // Version the vendor last acknowledged; behind `revision` while an amendment awaits the vendor
+  acknowledgedRevision: {
+    type: Number,
+    default: null,
+  },
+  revisions: [purchaseOrderRevisionSchema],
 }, {
   timestamps: true,
 });
@@ -308,6 +527,7 @@ purchaseOrderSchema.index({ vendor: 1 });
 purchaseOrderSchema.index({ status: 1 });
 purchaseOrderSchema.index({ expectedDeliveryDate: 1 });
 purchaseOrderSchema.index({ createdAt: -1 });
+purchaseOrderSchema.index({ 'returnRequests.status': 1 });
 
 // Virtual for delivery progress percentage
 purchaseOrderSchema.virtual('deliveryProgress').get(function() {
@@ -333,7 +553,7 @@ purchaseOrderSchema.pre('save', function(next) {
   // Calculate subtotal
   if (this.items && this.items.length > 0) {
     this.subtotal = this.items.reduce((total, item) => {
-      item.totalPrice = item.quantity * item.unitPrice;
+      item.totalPrice = (item.quantity - (item.cancelledQuantity || 0)) * item.unitPrice;
       return total + item.totalPrice;
     }, 0);
   }
@@ -359,14 +579,8 @@ purchaseOrderSchema.pre('save', function(next) {
     this.paymentTerms.balanceAmount = this.totalAmount;
   }
   
-  // Generate PO number if not provided
-  if (!this.purchaseOrderNumber) {
-    const timestamp = Date.now().toString().slice(-6);
-    this.purchaseOrderNumber = `PO-${timestamp}`;
-  }
-  
-  // Validate delivery date
-  if (this.expectedDeliveryDate && this.expectedDeliveryDate <= new Date()) {
+  // Validate delivery date (only when it is set or changed, so late orders can still record deliveries)
+  if (this.isModified('expectedDeliveryDate') && this.expectedDeliveryDate && this.expectedDeliveryDate <= new Date()) {
     return next(new Error('Expected delivery date must be in the future'));
   }
   
@@ -392,46 +606,237 @@ purchaseOrderSchema.methods.send = function() {
   return this.save();
 };
 
-// Instance method to acknowledge purchase order
+// Instance method to cancel or short-close an order: every item not received in full is
+// cancelled and its outstanding quantity is no longer charged. Orders with accepted
+// deliveries end up completed so the goods received can still be invoiced.
+purchaseOrderSchema.methods.close = function(type, reason, closedBy) {
+  const previousSubtotal = this.subtotal;
+  const previousTotal = this.totalAmount;
+
+  this.items.forEach(item => {
+    if (['delivered', 'cancelled'].includes(item.deliveryStatus)) return;
+    item.cancelledQuantity = item.quantity - item.deliveredQuantity;
+    item.deliveryStatus = 'cancelled';
+  });
+
+  const received = this.items.some(item => item.deliveredQuantity > 0);
+  const remainingSubtotal = this.items.reduce(
+    (total, item) => total + (item.quantity - item.cancelledQuantity) * item.unitPrice,
+    0
+  );
+
+  // Percentages are recalculated by the pre-save hook; fixed amounts shrink with the order
+  const share = previousSubtotal > 0 ? remainingSubtotal / previousSubtotal : 0;
+  if (!this.tax.percentage) this.tax.amount *= share;
+  if (!this.discount.percentage) this.discount.amount *= share;
+  if (!received) this.deliveryCharges = 0;
+
+  if (received) {
+    this.status = 'completed';
+    this.actualDeliveryDate = this.deliveries.reduce(
+      (latest, delivery) => (delivery.deliveryDate > latest ? delivery.deliveryDate : latest),
+      this.deliveries[0]?.deliveryDate || new Date()
+    );
+  } else {
+    this.status = 'cancelled';
+  }
+  this.overdueSince = null;
+
+  // Same arithmetic as the pre-save hook, so the released amount matches the saved total
+  const taxAmount = this.tax.percentage > 0 ? (remainingSubtotal * this.tax.percentage) / 100 : this.tax.amount;
+  const discountAmount = this.discount.percentage > 0 ? (remainingSubtotal * this.discount.percentage) / 100 : this.discount.amount;
+  this.closure = {
+    type,
+    reason,
+    closedBy,
+    closedAt: new Date(),
+    releasedAmount: previousTotal - (remainingSubtotal + taxAmount - discountAmount + this.deliveryCharges),
+  };
+
+  return this.save();
+};
+
+// Instance method to check whether the vendor still has to acknowledge the current version.
+// Deliveries can arrive before an amendment is acknowledged, so status alone is not enough.
+purchaseOrderSchema.methods.needsAcknowledgement = function() {
+  if (this.status === 'sent') return true;
+  if (['draft', 'cancelled'].includes(this.status) || !this.sentAt) return false;
+  return this.revision > 1 && this.acknowledgedRevision !== this.revision;
+};
+
+// Instance method to acknowledge purchase order (or its latest amendment)
 purchaseOrderSchema.methods.acknowledge = function() {
   this.status = 'acknowledged';
   this.acknowledgedAt = new Date();
+  this.acknowledgedRevision = this.revision;
+  // An amended order that already had deliveries picks its delivery status back up
+  this.updateDeliveryStatus(this.actualDeliveryDate || new Date());
   return this.save();
 };
 
-// Instance method to record delivery
-purchaseOrderSchema.methods.recordDelivery = function(deliveryData, receivedBy) {
-  this.deliveries.push({
-    ...deliveryData,
-    receivedBy,
+// Instance method to capture the current version as a revision snapshot
+purchaseOrderSchema.methods.snapshot = function() {
+  return {
+    revisionNumber: this.revision,
+    items: this.items.map(item => ({
+      itemId: item._id,
+      materialName: item.materialName,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice,
+    })),
+    subtotal: this.subtotal,
+    tax: { percentage: this.tax.percentage, amount: this.tax.amount },
+    discount: { percentage: this.discount.percentage, amount: this.discount.amount },
+    deliveryCharges: this.deliveryCharges,
+    totalAmount: this.totalAmount,
+    expectedDeliveryDate: this.expectedDeliveryDate,
+    deliveryAddress: this.deliveryAddress.toObject ? this.deliveryAddress.toObject() : this.deliveryAddress,
+    acknowledgedAt: this.acknowledgedRevision === this.revision ? this.acknowledgedAt : null,
+  };
+};
+
+// Instance method to get any version by number, including the current one
+purchaseOrderSchema.methods.getRevision = function(revisionNumber) {
+  if (revisionNumber === this.revision) return this.snapshot();
+  const revision = this.revisions.find(r => r.revisionNumber === revisionNumber);
+  return revision ? revision.toObject() : null;
+};
+
+// Instance method to amend a purchase order. Keeps the current version as a revision,
+// applies the changes and sends the order back to the vendor for acknowledgement.
+// Totals are recalculated by the pre-save hook.
+purchaseOrderSchema.methods.amend = function(changes, revisedBy, reason) {
+  this.revisions.push({
+    ...this.snapshot(),
+    revisedBy,
+    reason,
   });
-  
-  // Update item delivery status
-  deliveryData.items.forEach(deliveredItem => {
-    const item = this.items.id(deliveredItem.itemId);
-    if (item) {
-      item.deliveredQuantity += deliveredItem.deliveredQuantity;
-      if (item.deliveredQuantity >= item.quantity) {
-        item.deliveryStatus = 'delivered';
-        item.deliveryDate = deliveryData.deliveryDate;
-      } else {
-        item.deliveryStatus = 'partial';
-      }
-    }
+  this.revision += 1;
+
+  (changes.items || []).forEach(change => {
+    const item = this.items.id(change.itemId);
+    if (!item) return;
+
+    item.quantity = change.quantity;
+    item.refreshDeliveryStatus();
   });
-  
-  // Update overall status
-  const allDelivered = this.items.every(item => item.deliveryStatus === 'delivered');
-  const someDelivered = this.items.some(item => item.deliveryStatus === 'delivered' || item.deliveryStatus === 'partial');
-  
+  if (changes.expectedDeliveryDate) this.expectedDeliveryDate = changes.expectedDeliveryDate;
+  if (changes.deliveryAddress) {
+    Object.entries(changes.deliveryAddress).forEach(([field, value]) => {
+      this.deliveryAddress[field] = value;
+    });
+  }
+
+  // Drafts have not reached the vendor yet, so there is nothing to re-acknowledge
+  if (this.status !== 'draft') {
+    this.status = 'sent';
+    this.sentAt = new Date();
+  }
+
+  return this.save();
+};
+
+// Instance method to roll item delivery statuses up into the order status (cancelled items are ignored)
+purchaseOrderSchema.methods.updateDeliveryStatus = function(deliveryDate = new Date()) {
+  const openItems = this.items.filter(item => item.deliveryStatus !== 'cancelled');
+  const allDelivered = openItems.length > 0 && openItems.every(item => item.deliveryStatus === 'delivered');
+  const someDelivered = openItems.some(item => item.deliveryStatus === 'delivered' || item.deliveryStatus === 'partial');
+
   if (allDelivered) {
     this.status = 'completed';
-    this.actualDeliveryDate = deliveryData.deliveryDate;
+    this.actualDeliveryDate = deliveryDate;
   } else if (someDelivered) {
     this.status = 'partially_delivered';
   }
-  
+};
+
+// Instance method to record a goods receipt. Only accepted quantities count toward
+// delivery; rejected quantities open a return request for the vendor.
+purchaseOrderSchema.methods.recordDelivery = async function(deliveryData, receivedBy) {
+  const { items, returnType, ...receipt } = deliveryData;
+
+  const receiptItems = items.map(line => {
+    const rejectedQuantity = line.rejectedQuantity || 0;
+    return {
+      ...line,
+      acceptedQuantity: line.acceptedQuantity ?? line.deliveredQuantity - rejectedQuantity,
+      rejectedQuantity,
+    };
+  });
+
+  this.deliveries.push({
+    ...receipt,
+    receiptNumber: await nextNumber('goodsReceipt', deliveryData.deliveryDate),
+    items: receiptItems,
+    receivedBy,
+    inspectedBy: deliveryData.inspectedBy || receivedBy,
+    inspectedAt: new Date(),
+  });
+  const delivery = this.deliveries[this.deliveries.length - 1];
+
+  // Update item delivery status
+  receiptItems.forEach(line => {
+    const item = this.items.id(line.itemId);
+    if (!item) return;
+
+    item.deliveredQuantity += line.acceptedQuantity;
+    item.rejectedQuantity += line.rejectedQuantity;
+    // Goods sent back without replacement are no longer expected (or charged)
+    if (returnType === 'return' && line.rejectedQuantity > 0) {
+      item.cancelledQuantity = (item.cancelledQuantity || 0) + Math.min(line.rejectedQuantity, item.outstandingQuantity());
+    }
+    item.refreshDeliveryStatus(deliveryData.deliveryDate);
+  });
+
+  const rejected = receiptItems.filter(line => line.rejectedQuantity > 0);
+  if (rejected.length > 0) {
+    this.returnRequests.push({
+      delivery: delivery._id,
+      type: returnType || 'replacement',
+      items: rejected.map(line => ({
+        itemId: line.itemId,
+        materialName: this.items.id(line.itemId)?.materialName,
+        quantity: line.rejectedQuantity,
+        reason: line.rejectionReason,
+        notes: line.rejectionNotes,
+      })),
+      requestedBy: receivedBy,
+    });
+  }
+
+  // Replacements are settled once every replaced item has been accepted in full
+  this.returnRequests.forEach(request => {
+    const replaced = request.items.every(line => this.items.id(line.itemId)?.deliveryStatus === 'delivered');
+    if (request.type === 'replacement' && request.status === 'acknowledged' && replaced) {
+      request.status = 'resolved';
+      request.resolvedAt = new Date();
+    }
+  });
+
+  this.updateDeliveryStatus(deliveryData.deliveryDate);
+
+  return this.save();
+};
+
+// Instance method for the vendor to acknowledge a return request
+purchaseOrderSchema.methods.acknowledgeReturn = function(returnRequest, acknowledgedBy, vendorNote) {
+  returnRequest.status = 'acknowledged';
+  returnRequest.acknowledgedBy = acknowledgedBy;
+  returnRequest.acknowledgedAt = new Date();
+  returnRequest.vendorNote = vendorNote;
+
+  // Goods taken back without replacement are settled once the vendor confirms
+  if (returnRequest.type === 'return') {
+    returnRequest.status = 'resolved';
+    returnRequest.resolvedAt = new Date();
+  }
+
   return this.save();
 };
 
+purchaseOrderSchema.plugin(numberingPlugin, { field: 'purchaseOrderNumber', series: 'purchaseOrder' });
+purchaseOrderSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { numberingPlugin } = require('../utils/numbering');
 
 const quotationItemSchema = new mongoose.Schema({
   materialRequestItem: {
@@ -57,6 +59,137 @@ const quotationItemSchema = new mongoose.Schema({
       default: 1,
     },
   },
+  // Line-level award decision; unawarded lines stay in the quotation for reference
+  awardStatus: {
+    type: String,
+    enum: {
+      values: ['pending', 'awarded', 'not_selected'],
+      message: 'Award status must be one of: pending, awarded, not_selected',
+    },
+    default: 'pending',
+  },
+});
+
+// Snapshot of the negotiable parts of a quotation, taken before each update
+const quotationRevisionSchema = new mongoose.Schema({
+  revisionNumber: {
+    type: Number,
+    required: true,
+  },
+  items: [{
+    materialRequestItem: mongoose.Schema.Types.ObjectId,
+    materialName: String,
+    quantity: Number,
+    unit: String,
+    unitPrice: Number,
+    totalPrice: Number,
+  }],
+  subtotal: Number,
+  tax: {
+    percentage: Number,
+    amount: Number,
+  },
+  discount: {
+    percentage: Number,
+    amount: Number,
+  },
+  totalAmount: Number,
+  validUntil: Date,
+  deliveryTerms: {
+    deliveryTime: Number,
+    deliveryLocation: String,
+    deliveryCharges: Number,
+    freeDeliveryThreshold: Number,
+  },
+  paymentTerms: {
+    paymentMethod: String,
+    advancePercentage: Number,
+    creditDays: Number,
+  },
+  // Who made the change that superseded this revision, and why
+  revisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Revision note cannot exceed 500 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Structured proposal made during negotiation; only the fields set are proposed changes
+const counterOfferSchema = new mongoose.Schema({
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  party: {
+    type: String,
+    enum: ['vendor', 'buyer'],
+    required: true,
+  },
+  items: [{
+    quotationItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative'],
+    },
+  }],
+  discountPercentage: {
+    type: Number,
+    min: [0, 'Discount percentage cannot be negative'],
+    max: [100, 'Discount percentage cannot exceed 100'],
+  },
+  deliveryTime: {
+    type: Number, // in days
+    min: [1, 'Delivery time must be at least 1 day'],
+  },
+  paymentMethod: {
+    type: String,
+    enum: {
+      values: ['cash', 'check', 'bank_transfer', 'credit_card', 'net_30', 'net_60', 'advance'],
+      message: 'Payment method must be one of: cash, check, bank_transfer, credit_card, net_30, net_60, advance',
+    },
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Counter-offer message cannot exceed 500 characters'],
+  },
+  status: {
+    type: String,
+    // superseded: the vendor revised the quotation while the offer was pending
+    enum: ['pending', 'accepted', 'rejected', 'countered', 'superseded'],
+    default: 'pending',
+  },
+  // The offer this one answers when it is a counter
+  counterTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  respondedAt: Date,
+  responseNote: {
+    type: String,
+    maxlength: [500, 'Response note cannot exceed 500 characters'],
+  },
+  // Revision created when the offer was accepted
+  appliedRevision: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
 const quotationSchema = new mongoose.Schema({
@@ -257,6 +390,13 @@ const quotationSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  // Number of the current version; earlier versions are kept in revisions
+  revision: {
+    type: Number,
+    default: 1,
+  },
+  revisions: [quotationRevisionSchema],
+  counterOffers: [counterOfferSchema],
 }, {
   timestamps: true,
 });
@@ -312,14 +452,8 @@ quotationSchema.pre('save', function(next) {
   // Calculate total amount
   this.totalAmount = this.subtotal + this.tax.amount - this.discount.amount + this.deliveryTerms.deliveryCharges;
   
-  // Generate quotation number if not provided
-  if (!this.quotationNumber) {
-    const timestamp = Date.now().toString().slice(-6);
-    this.quotationNumber = `QUO-${timestamp}`;
-  }
-  
-  // Validate expiry date
-  if (this.validUntil && this.validUntil <= new Date()) {
+  // Validate expiry date (only when it is set or changed, so expired quotations can still be saved)
+  if (this.isModified('validUntil') && this.validUntil && this.validUntil <= new Date()) {
     return next(new Error('Valid until date must be in the future'));
   }
   
@@ -344,6 +478,99 @@ quotationSchema.statics.findPending = function() {
     .populate('materialRequest vendor');
 };
 
+// Instance method to capture the negotiable fields of the current version
+quotationSchema.methods.snapshot = function() {
+  return {
+    revisionNumber: this.revision,
+    items: this.items.map(item => ({
+      materialRequestItem: item.materialRequestItem,
+      materialName: item.materialName,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice,
+    })),
+    subtotal: this.subtotal,
+    tax: { percentage: this.tax.percentage, amount: this.tax.amount },
+    discount: { percentage: this.discount.percentage, amount: this.discount.amount },
+    totalAmount: this.totalAmount,
+    validUntil: this.validUntil,
+    deliveryTerms: {
+      deliveryTime: this.deliveryTerms.deliveryTime,
+      deliveryLocation: this.deliveryTerms.deliveryLocation,
+      deliveryCharges: this.deliveryTerms.deliveryCharges,
+      freeDeliveryThreshold: this.deliveryTerms.freeDeliveryThreshold,
+    },
+    paymentTerms: {
+      paymentMethod: this.paymentTerms.paymentMethod,
+      advancePercentage: this.paymentTerms.advancePercentage,
+      creditDays: this.paymentTerms.creditDays,
+    },
+  };
+};
+
+// Instance method to archive the current version before it is changed (not saved)
+quotationSchema.methods.createRevision = function(revisedBy, note = '') {
+  this.revisions.push({
+    ...this.snapshot(),
+    revisedBy,
+    note,
+  });
+  this.revision += 1;
+  return this;
+};
+
+// Instance method to get any version by number, including the current one
+quotationSchema.methods.getRevision = function(revisionNumber) {
+  if (revisionNumber === this.revision) return this.snapshot();
+  const revision = this.revisions.find(r => r.revisionNumber === revisionNumber);
+  return revision ? revision.toObject() : null;
+};
+
+// Instance method to list the lines a counter-offer prices that the quotation no longer has
+quotationSchema.methods.missingOfferLines = function(offer) {
+  return offer.items.filter(proposed => !this.items.id(proposed.quotationItem));
+};
+
+// Instance method to close pending counter-offers made against a version the vendor has since revised
+quotationSchema.methods.supersedeCounterOffers = function(supersededBy, note = '') {
+  const pending = this.counterOffers.filter(offer => offer.status === 'pending');
+  pending.forEach(offer => {
+    offer.status = 'superseded';
+    offer.respondedBy = supersededBy;
+    offer.respondedAt = new Date();
+    offer.responseNote = note;
+  });
+  return pending;
+};
+
+// Instance method to apply an accepted counter-offer as a new revision
+quotationSchema.methods.acceptCounterOffer = function(offer, acceptedBy, note = '') {
+  if (this.missingOfferLines(offer).length > 0) {
+    throw new Error('The counter-offer prices lines that are no longer on the quotation');
+  }
+
+  this.createRevision(acceptedBy, `Accepted counter-offer${offer.message ? `: ${offer.message}` : ''}`);
+
+  offer.items.forEach(proposed => {
+    this.items.id(proposed.quotationItem).unitPrice = proposed.unitPrice;
+  });
+  if (offer.discountPercentage != null) {
+    this.discount.percentage = offer.discountPercentage;
+    // A percentage of zero is not recalculated by the pre-save hook
+    if (offer.discountPercentage === 0) this.discount.amount = 0;
+  }
+  if (offer.deliveryTime != null) this.deliveryTerms.deliveryTime = offer.deliveryTime;
+  if (offer.paymentMethod) this.paymentTerms.paymentMethod = offer.paymentMethod;
+
+  offer.status = 'accepted';
+  offer.respondedBy = acceptedBy;
+  offer.respondedAt = new Date();
+  offer.responseNote = note;
+  offer.appliedRevision = this.revision;
+  return this.save();
+};
+
 // Instance method to submit quotation
 quotationSchema.methods.submit = function() {
   this.status = 'submitted';
@@ -360,6 +587,39 @@ quotationSchema.methods.approve = function(approvedBy, comments = '', rating = n
     rating,
   });
   this.status = 'approved';
+  this.items.forEach(item => {
+    if (item.awardStatus === 'pending') item.awardStatus = 'awarded';
+  });
+  return this.save();
+};
+
+/**
+ * Instance method to record line-level award decisions. Lines without a decision keep their
+ * current award status, so materials can be awarded over several rounds. The quotation is
+ * approved once any line is awarded and rejected once every line is not selected.
+ * @param {Object} decisions - Map of quotation item id to 'awarded' or 'not_selected'
+ */
+quotationSchema.methods.awardLines = function(decisions, reviewedBy, comments = '') {
+  this.items.forEach(item => {
+    const decision = decisions[item._id.toString()];
+    if (decision) item.awardStatus = decision;
+  });
+
+  let status = null;
+  if (this.items.some(item => item.awardStatus === 'awarded')) {
+    status = 'approved';
+  } else if (this.items.every(item => item.awardStatus === 'not_selected')) {
+    status = 'rejected';
+  }
+
+  if (status && status !== this.status) {
+    this.reviews.push({
+      reviewedBy,
+      status,
+      comments,
+    });
+    this.status = status;
+  }
   return this.save();
 };
 
@@ -374,4 +634,7 @@ quotationSchema.methods.reject = function(rejectedBy, comments = '') {
   return this.save();
 };
 
+quotationSchema.plugin(numberingPlugin, { field: 'quotationNumber', series: 'quotation' });
+quotationSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Quotation', quotationSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const roleSchema = new mongoose.Schema({
+  // Built-in roles use the user role name; custom roles use their own slug
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role name must be 2-40 lowercase letters, numbers or underscores'],
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true,
+    maxlength: [60, 'Role label cannot exceed 60 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Role description cannot exceed 300 characters'],
+  },
+  // The user role this role applies to; record scoping (own projects, own quotations) follows it
+  baseRole: {
+    type: String,
+    required: [true, 'Base role is required'],
+    enum: {
+      values: ['owner', 'employee', 'vendor', 'client', 'guest'],
+      message: 'Base role must be one of: owner, employee, vendor, client, guest',
+    },
+  },
+  permissions: [{
+    type: String,
+    trim: true,
+  }],
+  // Catalogue permissions this role has already been offered, so new defaults are only added once
+  syncedPermissions: [{
+    type: String,
+    trim: true,
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+roleSchema.index({ baseRole: 1 });
+
+// Hide bookkeeping fields from API responses
+roleSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.syncedPermissions;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+roleSchema.plugin(auditPlugin, { ignore: ['syncedPermissions'] });
+
+module.exports = mongoose.model('Role', roleSchema);
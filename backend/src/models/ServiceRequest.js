@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { numberingPlugin } = require('../utils/numbering');
 
 const serviceRequestSchema = new mongoose.Schema({
+  requestNumber: {
+    type: String,
+    unique: true,
+    // Requests created before numbering existed have none until the migration runs
+    sparse: true,
+    trim: true,
+  },
   requestType: {
     type: String,
     required: [true, 'Request type is required'],
@@ -81,6 +90,11 @@ const serviceRequestSchema = new mongoose.Schema({
       type: Date,
     },
   },
+  // Set by the overdue-service-requests job while past expected delivery
+  overdueSince: {
+    type: Date,
+    default: null,
+  },
   requirements: {
     specifications: [String],
     deliverables: [String],
@@ -178,7 +192,7 @@ const serviceRequestSchema = new mongoose.Schema({
   timestamps: true,
 });
 
-// Indexes for better query performance
+// Indexes for better query performance (requestNumber index is already created by unique: true)
 serviceRequestSchema.index({ requestedBy: 1, status: 1 });
 serviceRequestSchema.index({ assignedVendor: 1, status: 1 });
 serviceRequestSchema.index({ requestType: 1, status: 1 });
@@ -192,7 +206,7 @@ serviceRequestSchema.virtual('requestAge').get(function() {
 // Virtual for is overdue
 serviceRequestSchema.virtual('isOverdue').get(function() {
   if (!this.timeline.expectedDelivery) return false;
-  return this.timeline.expectedDelivery < new Date() && this.status !== 'completed';
+  return this.timeline.expectedDelivery < new Date() && !['completed', 'cancelled'].includes(this.status);
 });
 
 // Method to add communication
@@ -226,32 +240,31 @@ serviceRequestSchema.methods.updateStatus = function(newStatus, updatedBy) {
   return this.save();
 };
 
-// Static method to get requests by user role
-serviceRequestSchema.statics.getByUserRole = function(user, filters = {}) {
-  let query = { ...filters };
-  
-  switch (user.role) {
-    case 'owner':
-      // Owner can see all requests
-      break;
-    case 'vendor':
-      // Vendor can see assigned requests
-      query.assignedVendor = user._id;
-      break;
-    case 'client':
-    case 'employee':
-      // Clients and employees can see their own requests
-      query.requestedBy = user._id;
-      break;
-    default:
-      // No access for other roles
-      query._id = null;
+// Static method to build the query for requests a user can see
+// Users without serviceRequest.viewAll see requests they raised or are assigned to
+serviceRequestSchema.statics.accessibleQuery = function(user, filters = {}, viewAll = false) {
+  if (viewAll) {
+    return { ...filters };
   }
-  
-  return this.find(query)
+
+  return {
+    ...filters,
+    $or: [
+      { requestedBy: user._id },
+      { assignedVendor: user._id },
+    ],
+  };
+};
+
+// Static method to get the requests a user can see
+serviceRequestSchema.statics.findAccessible = function(user, filters = {}, viewAll = false) {
+  return this.find(this.accessibleQuery(user, filters, viewAll))
     .populate('requestedBy', 'firstName lastName email')
     .populate('assignedVendor', 'firstName lastName email vendorDetails')
     .sort({ createdAt: -1 });
 };
 
+serviceRequestSchema.plugin(numberingPlugin, { field: 'requestNumber', series: 'serviceRequest' });
+serviceRequestSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('ServiceRequest', serviceRequestSchema);
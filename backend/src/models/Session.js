@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  // SHA-256 of the current refresh token (the raw token is never stored)
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'User agent cannot exceed 300 characters'],
+  },
+  ipAddress: {
+    type: String,
+    trim: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'deactivated', 'password_changed', 'token_reuse', null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for faster queries
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to check that a session exists and has not been revoked or expired
+sessionSchema.statics.isSessionActive = async function(sessionId) {
+  if (!sessionId) return false;
+  const session = await this.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return !!session;
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Instance method to revoke a session
+sessionSchema.methods.revoke = function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
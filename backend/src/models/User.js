@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 const bcrypt = require('bcryptjs');
 
 const userSchema = new mongoose.Schema({
@@ -38,6 +39,13 @@ const userSchema = new mongoose.Schema({
       message: 'Role must be one of: owner, employee, vendor, client, guest',
     },
   },
+  // Optional custom role (see models/Role) refining the permissions of the user role
+  accessRole: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+  },
   phone: {
     type: String,
     trim: true,
@@ -58,6 +66,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
   // Role-specific fields
   employeeDetails: {
     employeeId: String,
@@ -146,4 +162,6 @@ userSchema.statics.findByRole = function(role) {
   return this.find({ role, isActive: true });
 };
 
+userSchema.plugin(auditPlugin, { ignore: ['lastLogin'] });
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { numberingPlugin } = require('../utils/numbering');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invoices counted when checking that a line is not billed twice
+const BILLED_STATUSES = ['submitted', 'approved', 'paid'];
+
+// Unit prices may differ from the purchase order by rounding only
+const PRICE_TOLERANCE = 0.01;
+
+const vendorInvoiceItemSchema = new mongoose.Schema({
+  purchaseOrderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Purchase order item is required'],
+  },
+  materialName: {
+    type: String,
+    trim: true,
+  },
+  unit: {
+    type: String,
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.01, 'Quantity must be greater than 0'],
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative'],
+  },
+  totalPrice: {
+    type: Number,
+    min: [0, 'Total price cannot be negative'],
+    default: 0,
+  },
+  // Result of the last three-way match for this line
+  match: {
+    status: {
+      type: String,
+      enum: ['pending', 'matched', 'mismatch'],
+      default: 'pending',
+    },
+    orderedQuantity: Number,
+    receivedQuantity: Number,
+    previouslyInvoiced: Number,
+    purchaseOrderUnitPrice: Number,
+    issues: [String],
+  },
+});
+
+const vendorInvoiceSchema = new mongoose.Schema({
+  referenceNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  // The vendor's own invoice number
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    trim: true,
+    maxlength: [50, 'Invoice number cannot exceed 50 characters'],
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: [true, 'Purchase order is required'],
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required'],
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Vendor is required'],
+  },
+  invoiceDate: {
+    type: Date,
+    default: Date.now,
+  },
+  items: {
+    type: [vendorInvoiceItemSchema],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one invoice item is required',
+    },
+  },
+  subtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative'],
+    default: 0,
+  },
+  tax: {
+    percentage: {
+      type: Number,
+      min: [0, 'Tax percentage cannot be negative'],
+      max: [100, 'Tax percentage cannot exceed 100'],
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Tax amount cannot be negative'],
+      default: 0,
+    },
+  },
+  deliveryCharges: {
+    type: Number,
+    min: [0, 'Delivery charges cannot be negative'],
+    default: 0,
+  },
+  totalAmount: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative'],
+    default: 0,
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+  // Copied from the purchase order's payment terms; drives aging
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  document: {
+    name: String,
+    url: String,
+    uploadedAt: Date,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'submitted', 'approved', 'disputed', 'paid'],
+      message: 'Status must be one of: draft, submitted, approved, disputed, paid',
+    },
+    default: 'draft',
+  },
+  matchStatus: {
+    type: String,
+    enum: ['pending', 'matched', 'mismatch'],
+    default: 'pending',
+  },
+  matchIssues: [String],
+  matchedAt: {
+    type: Date,
+    default: null,
+  },
+  submittedAt: {
+    type: Date,
+    default: null,
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  approvedAt: {
+    type: Date,
+    default: null,
+  },
+  dispute: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Dispute reason cannot exceed 500 characters'],
+    },
+    raisedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    raisedAt: Date,
+  },
+  payment: {
+    paidAt: Date,
+    method: String,
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Payment reference cannot exceed 100 characters'],
+    },
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better query performance (referenceNumber index is already created by unique: true)
+vendorInvoiceSchema.index({ purchaseOrder: 1 });
+vendorInvoiceSchema.index({ vendor: 1, invoiceNumber: 1 }, { unique: true });
+vendorInvoiceSchema.index({ project: 1 });
+vendorInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Virtual for days past the payment due date (0 while not yet due or once paid)
+vendorInvoiceSchema.virtual('daysOverdue').get(function() {
+  if (!this.dueDate || this.status === 'paid') return 0;
+  return Math.max(Math.floor((Date.now() - this.dueDate) / DAY_MS), 0);
+});
+
+// Virtual for the aging bucket used in payables reports
+vendorInvoiceSchema.virtual('agingBucket').get(function() {
+  if (this.status === 'paid') return 'paid';
+  const days = this.daysOverdue;
+  if (days === 0) return 'current';
+  if (days <= 30) return '1-30';
+  if (days <= 60) return '31-60';
+  if (days <= 90) return '61-90';
+  return '90+';
+});
+
+// Pre-save middleware to calculate totals and generate the reference number
+vendorInvoiceSchema.pre('save', function(next) {
+  if (this.items && this.items.length > 0) {
+    this.subtotal = this.items.reduce((total, item) => {
+      item.totalPrice = item.quantity * item.unitPrice;
+      return total + item.totalPrice;
+    }, 0);
+  }
+
+  if (this.tax.percentage > 0) {
+    this.tax.amount = (this.subtotal * this.tax.percentage) / 100;
+  }
+
+  this.totalAmount = this.subtotal + this.tax.amount + this.deliveryCharges;
+
+  next();
+});
+
+// Static method to total the quantities already billed per purchase order item by other invoices
+vendorInvoiceSchema.statics.getInvoicedQuantities = async function(purchaseOrderId, excludeInvoiceId) {
+  const invoices = await this.find({
+    purchaseOrder: purchaseOrderId,
+    status: { $in: BILLED_STATUSES },
+    _id: { $ne: excludeInvoiceId },
+  }).select('items.purchaseOrderItem items.quantity');
+
+  const quantities = {};
+  invoices.forEach(invoice => {
+    invoice.items.forEach(item => {
+      const key = item.purchaseOrderItem.toString();
+      quantities[key] = (quantities[key] || 0) + item.quantity;
+    });
+  });
+  return quantities;
+};
+
+/**
+ * Three-way match: compare each invoiced line with the purchase order line (price, ordered
+ * quantity) and with the quantity received through recorded deliveries. Lines already billed
+ * by other invoices count against the same limits.
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @returns {Promise<Object>} this, with match results set (not saved)
+ */
+vendorInvoiceSchema.methods.runThreeWayMatch = async function(purchaseOrder) {
+  const previouslyInvoiced = await this.constructor.getInvoicedQuantities(purchaseOrder._id, this._id);
+  const headerIssues = [];
+
+  this.items.forEach(item => {
+    const poItem = purchaseOrder.items.id(item.purchaseOrderItem);
+    const issues = [];
+
+    if (!poItem) {
+      item.match = { status: 'mismatch', issues: ['Item is not on the purchase order'] };
+      return;
+    }
+
+    const prior = previouslyInvoiced[poItem._id.toString()] || 0;
+    const billed = prior + item.quantity;
+
+    if (billed > poItem.quantity) {
+      issues.push(`Invoiced quantity (${billed}) exceeds ordered quantity (${poItem.quantity})`);
+    }
+    if (billed > poItem.deliveredQuantity) {
+      issues.push(`Invoiced quantity (${billed}) exceeds received quantity (${poItem.deliveredQuantity})`);
+    }
+    if (Math.abs(item.unitPrice - poItem.unitPrice) > PRICE_TOLERANCE) {
+      issues.push(`Unit price (${item.unitPrice}) differs from purchase order price (${poItem.unitPrice})`);
+    }
+
+    item.match = {
+      status: issues.length > 0 ? 'mismatch' : 'matched',
+      orderedQuantity: poItem.quantity,
+      receivedQuantity: poItem.deliveredQuantity,
+      previouslyInvoiced: prior,
+      purchaseOrderUnitPrice: poItem.unitPrice,
+      issues,
+    };
+  });
+
+  if (this.tax.percentage !== purchaseOrder.tax.percentage) {
+    headerIssues.push(`Tax rate (${this.tax.percentage}%) differs from purchase order (${purchaseOrder.tax.percentage}%)`);
+  }
+
+  const lineIssues = this.items.flatMap(item =>
+    item.match.issues.map(issue => `${item.materialName || 'Item'}: ${issue}`)
+  );
+
+  this.matchIssues = [...headerIssues, ...lineIssues];
+  this.matchStatus = this.matchIssues.length > 0 ? 'mismatch' : 'matched';
+  this.matchedAt = new Date();
+
+  return this;
+};
+
+vendorInvoiceSchema.plugin(numberingPlugin, { field: 'referenceNumber', series: 'vendorInvoice' });
+vendorInvoiceSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('VendorInvoice', vendorInvoiceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const workStatusSchema = new mongoose.Schema({
   quotation: {
@@ -40,4 +41,6 @@ workStatusSchema.index({ quotation: 1, createdAt: -1 });
 workStatusSchema.index({ materialRequest: 1, createdAt: -1 });
 workStatusSchema.index({ vendor: 1, createdAt: -1 });
 
+workStatusSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('WorkStatus', workStatusSchema);
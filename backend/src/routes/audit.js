@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const ENTITY_TYPES = AuditEvent.schema.path('entityType').enumValues;
+
+/**
+ * @route   GET /api/audit
+ * @desc    Query the audit log
+ *          Filters: entityType, entityId, actor, action, operation, requestId, from, to
+ * @access  Private (audit.view)
+ */
+router.get('/', authenticate, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const {
+      entityType,
+      entityId,
+      actor,
+      action,
+      operation,
+      requestId,
+      from,
+      to,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const invalidId = [entityId, actor].find(id => id && !mongoose.Types.ObjectId.isValid(id));
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ID: ${invalidId}`,
+      });
+    }
+
+    if (entityType && !ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid entity type. Expected one of: ${ENTITY_TYPES.join(', ')}`,
+      });
+    }
+
+    const query = {};
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (operation) query.operation = operation;
+    if (requestId) query.requestId = requestId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 100);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor', 'firstName lastName role')
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .skip((page - 1) * pageSize),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / pageSize),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get audit events',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/audit/:entityType/:entityId
+ * @desc    Get the change history of a single entity (newest first)
+ * @access  Private (audit.view)
+ */
+router.get('/:entityType/:entityId', authenticate, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    if (!ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid entity type. Expected one of: ${ENTITY_TYPES.join(', ')}`,
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid entity ID',
+      });
+    }
+
+    const events = await AuditEvent.findForEntity(entityType, entityId).limit(200);
+
+    res.json({
+      success: true,
+      data: { events },
+    });
+  } catch (error) {
+    console.error('Get entity history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get entity history',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
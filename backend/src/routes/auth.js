@@ -4,6 +4,13 @@ const router = express.Router();
 const {
   register,
   login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getProfile,
   updateProfile,
   changePassword,
@@ -12,12 +19,17 @@ const {
 const {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
   validateProfileUpdate,
   validatePasswordChange,
 } = require('../middleware/validation');
 
-const { authenticate, isOwner } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { uploadSingle, getFileUrl } = require('../middleware/upload');
+const { recordUploadedFiles } = require('../utils/files');
 
 /**
  * @route   POST /api/auth/register
@@ -33,6 +45,55 @@ router.post('/register', validateRegistration, register);
  */
 router.post('/login', validateLogin, login);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh', validateRefreshToken, refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private
+ */
+router.post('/logout', authenticate, logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session of the current user (sign out all devices)
+ * @access  Private
+ */
+router.post('/logout-all', authenticate, logoutAll);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public (requires a valid reset token)
+ */
+router.post('/reset-password', validateResetPassword, resetPassword);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify an email address using a verification token
+ * @access  Public (requires a valid verification token)
+ */
+router.post('/verify-email', validateVerifyEmail, verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', authenticate, resendVerification);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
@@ -59,7 +120,7 @@ router.put('/change-password', authenticate, validatePasswordChange, changePassw
  * @desc    Register a new employee (Owner only)
  * @access  Private (Owner only)
  */
-router.post('/register-employee', authenticate, isOwner, (req, res, next) => {
+router.post('/register-employee', authenticate, requirePermission('user.register'), (req, res, next) => {
   req.body.role = 'employee';
   next();
 }, validateRegistration, register);
@@ -69,7 +130,7 @@ router.post('/register-employee', authenticate, isOwner, (req, res, next) => {
  * @desc    Register a new vendor (Owner only)
  * @access  Private (Owner only)
  */
-router.post('/register-vendor', authenticate, isOwner, (req, res, next) => {
+router.post('/register-vendor', authenticate, requirePermission('user.register'), (req, res, next) => {
   req.body.role = 'vendor';
   next();
 }, validateRegistration, register);
@@ -119,7 +180,8 @@ router.post('/upload-profile-photo', authenticate, uploadSingle('profilePhoto'),
     const User = require('../models/User');
 
     // Get the file URL
-    const profileImageUrl = getFileUrl(req, `images/${req.file.filename}`);
+    const profileImageUrl = getFileUrl(req.file);
+    await recordUploadedFiles(req, [req.file], { tags: ['profile-photo'] });
 
     // Update user profile with new image URL
     const user = await User.findByIdAndUpdate(
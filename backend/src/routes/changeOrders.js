@@ -0,0 +1,570 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const ChangeOrder = require('../models/ChangeOrder');
+const Project = require('../models/Project');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const { validateChangeOrder, validateChangeOrderUpdate, validateChangeOrderDecision } = require('../middleware/validation');
+const { uploadMultiple, getFileUrl } = require('../middleware/upload');
+const { recordUploadedFiles } = require('../utils/files');
+const { notifyUsers, notifyRole } = require('../utils/notifications');
+const { emitToProject } = require('../utils/socket');
+const { sameId, isProjectMember } = require('../utils/access');
+const { trySyncProjectBudget } = require('../utils/budget');
+
+// Projects that can no longer take scope changes
+const CLOSED_PROJECT_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * Build the notification payload shared by change order events
+ */
+const changeOrderNotification = (changeOrder, type, title, message, actor) => ({
+  type,
+  title,
+  message,
+  entityType: 'changeOrder',
+  entityId: changeOrder._id,
+  project: changeOrder.project._id || changeOrder.project,
+  actor,
+});
+
+/**
+ * Check whether the user may see a change order (project populated with client and assignedEmployees).
+ * Drafts are only visible to change order managers.
+ */
+const canViewChangeOrder = (req, changeOrder) => {
+  if (changeOrder.status === 'draft' && !can(req, 'changeOrder.manage')) return false;
+
+  return can(req, 'project.viewAll') || isProjectMember(changeOrder.project, req.user);
+};
+
+/**
+ * Describe a change order's cost and schedule impact for notifications
+ */
+const describeImpact = (changeOrder) => {
+  const cost = changeOrder.costImpact >= 0
+    ? `+${changeOrder.currency} ${changeOrder.costImpact.toFixed(2)}`
+    : `-${changeOrder.currency} ${Math.abs(changeOrder.costImpact).toFixed(2)}`;
+  const days = changeOrder.scheduleImpactDays >= 0
+    ? `+${changeOrder.scheduleImpactDays}`
+    : `${changeOrder.scheduleImpactDays}`;
+  return `${cost}, ${days} days`;
+};
+
+/**
+ * Load a change order in one of the given statuses, answering 404/400 itself; returns null when it did
+ */
+const findChangeOrder = async (req, res, statuses, action) => {
+  const changeOrder = await ChangeOrder.findById(req.params.id);
+
+  if (!changeOrder) {
+    res.status(404).json({
+      success: false,
+      message: 'Change order not found',
+    });
+    return null;
+  }
+
+  if (!statuses.includes(changeOrder.status)) {
+    res.status(400).json({
+      success: false,
+      message: `Only ${statuses.join(' or ').replace(/_/g, ' ')} change orders can be ${action}`,
+    });
+    return null;
+  }
+
+  return changeOrder;
+};
+
+// References needed for access checks and display
+const populateChangeOrder = (query) => query
+  .populate('project', 'title client assignedEmployees budget timeline changeOrders')
+  .populate('client', 'firstName lastName email')
+  .populate('createdBy', 'firstName lastName')
+  .populate('decision.decidedBy', 'firstName lastName')
+  .populate('documents.uploadedBy', 'firstName lastName');
+
+/**
+ * @route   GET /api/change-orders/project/:projectId
+ * @desc    Get a project's change orders with the running total of approved changes
+ * @access  Private (project members)
+ */
+router.get('/project/:projectId', authenticate, requirePermission('changeOrder.view'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findById(projectId)
+      .select('title client assignedEmployees budget timeline changeOrders');
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    if (!can(req, 'project.viewAll') && !isProjectMember(project, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const query = { project: projectId };
+    if (!can(req, 'changeOrder.manage')) {
+      query.status = { $ne: 'draft' };
+    }
+
+    const changeOrders = await ChangeOrder.find(query)
+      .populate('createdBy', 'firstName lastName')
+      .populate('decision.decidedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    const pending = changeOrders.filter(changeOrder => changeOrder.status === 'pending_approval');
+    const summary = {
+      currency: project.budget?.currency || 'USD',
+      approvedCount: project.changeOrders.approvedCount,
+      approvedCostImpact: project.changeOrders.costImpact,
+      approvedScheduleImpactDays: project.changeOrders.scheduleImpactDays,
+      pendingCount: pending.length,
+      pendingCostImpact: pending.reduce((total, changeOrder) => total + changeOrder.costImpact, 0),
+      currentEstimated: project.budget?.estimated || 0,
+      currentExpectedEndDate: project.timeline.expectedEndDate,
+    };
+
+    res.json({
+      success: true,
+      data: {
+        changeOrders,
+        summary,
+      },
+    });
+  } catch (error) {
+    console.error('Get project change orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get change orders',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/change-orders/:id
+ * @desc    Get change order by ID
+ * @access  Private (project members)
+ */
+router.get('/:id', authenticate, requirePermission('changeOrder.view'), async (req, res) => {
+  try {
+    const changeOrder = await populateChangeOrder(ChangeOrder.findById(req.params.id));
+
+    if (!changeOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change order not found',
+      });
+    }
+
+    if (!canViewChangeOrder(req, changeOrder)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        changeOrder,
+        // What the project will look like if the client approves
+        projected: changeOrder.status === 'pending_approval' || changeOrder.status === 'draft'
+          ? changeOrder.projectedImpact(changeOrder.project)
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error('Get change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get change order',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/change-orders
+ * @desc    Draft a change order for a project
+ * @access  Private (changeOrder.manage)
+ */
+router.post('/', authenticate, requirePermission('changeOrder.manage'), validateChangeOrder, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { projectId, title, description, costImpact, scheduleImpactDays, budgetCategory } = req.body;
+
+    const project = await Project.findById(projectId).select('client status budget');
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Change orders cannot be raised on a ${project.status} project`,
+      });
+    }
+
+    const changeOrder = new ChangeOrder({
+      project: project._id,
+      client: project.client,
+      title,
+      description,
+      costImpact,
+      scheduleImpactDays,
+      budgetCategory,
+      currency: project.budget?.currency || 'USD',
+      createdBy: req.user._id,
+    });
+
+    await changeOrder.save();
+    await changeOrder.populate('project client createdBy');
+
+    res.status(201).json({
+      success: true,
+      message: 'Change order created successfully',
+      data: { changeOrder },
+    });
+  } catch (error) {
+    console.error('Create change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create change order',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/change-orders/:id
+ * @desc    Update a draft change order
+ * @access  Private (changeOrder.manage)
+ */
+router.put('/:id', authenticate, requirePermission('changeOrder.manage'), validateChangeOrderUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const changeOrder = await findChangeOrder(req, res, ['draft'], 'edited');
+    if (!changeOrder) return;
+
+    const { title, description, costImpact, scheduleImpactDays, budgetCategory } = req.body;
+
+    if (title !== undefined) changeOrder.title = title;
+    if (description !== undefined) changeOrder.description = description;
+    if (costImpact !== undefined) changeOrder.costImpact = Number(costImpact);
+    if (scheduleImpactDays !== undefined) changeOrder.scheduleImpactDays = Number(scheduleImpactDays);
+    if (budgetCategory) changeOrder.budgetCategory = budgetCategory;
+
+    await changeOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Change order updated successfully',
+      data: { changeOrder },
+    });
+  } catch (error) {
+    console.error('Update change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update change order',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/change-orders/:id/documents
+ * @desc    Attach supporting documents (drawings, quotes, photos) to a draft change order
+ * @access  Private (changeOrder.manage)
+ */
+router.post('/:id/documents', authenticate, requirePermission('changeOrder.manage'), uploadMultiple('documents', 5), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded',
+      });
+    }
+
+    const changeOrder = await findChangeOrder(req, res, ['draft'], 'edited');
+    if (!changeOrder) return;
+
+    const documents = req.files.map(file => {
+      let type = 'other';
+      if (file.mimetype === 'application/pdf') {
+        type = 'pdf';
+      } else if (file.mimetype.startsWith('image/')) {
+        type = 'image';
+      }
+
+      return {
+        name: file.originalname,
+        url: getFileUrl(file),
+        type,
+        uploadedBy: req.user._id,
+      };
+    });
+
+    changeOrder.documents.push(...documents);
+    await changeOrder.save();
+    await recordUploadedFiles(req, req.files, { project: changeOrder.project, tags: ['change-order'] });
+
+    res.json({
+      success: true,
+      message: 'Documents uploaded successfully',
+      data: { documents: changeOrder.documents },
+    });
+  } catch (error) {
+    console.error('Upload change order documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload documents',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/change-orders/:id/submit
+ * @desc    Send a draft change order to the client for approval
+ * @access  Private (changeOrder.manage)
+ */
+router.put('/:id/submit', authenticate, requirePermission('changeOrder.manage'), async (req, res) => {
+  try {
+    const changeOrder = await findChangeOrder(req, res, ['draft'], 'submitted');
+    if (!changeOrder) return;
+
+    await changeOrder.submit();
+
+    await notifyUsers(req.app.get('io'), [changeOrder.client], changeOrderNotification(
+      changeOrder,
+      'change_order_submitted',
+      'Change order awaiting approval',
+      `${changeOrder.changeOrderNumber} (${changeOrder.title}, ${describeImpact(changeOrder)}) needs your approval`,
+      req.user._id
+    ));
+
+    res.json({
+      success: true,
+      message: 'Change order sent to the client for approval',
+      data: { changeOrder },
+    });
+  } catch (error) {
+    console.error('Submit change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit change order',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/change-orders/:id/approve
+ * @desc    Approve a change order and apply it to the project's budget and expected end date
+ * @access  Private (changeOrder.approve - the project's client)
+ */
+router.put('/:id/approve', authenticate, requirePermission('changeOrder.approve'), validateChangeOrderDecision, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const changeOrder = await findChangeOrder(req, res, ['pending_approval'], 'approved');
+    if (!changeOrder) return;
+
+    const project = await Project.findById(changeOrder.project);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    // Consent has to come from the client themselves
+    if (!sameId(project.client, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project\'s client can approve this change order',
+      });
+    }
+
+    if (CLOSED_PROJECT_STATUSES.includes(project.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Change orders cannot be approved on a ${project.status} project`,
+      });
+    }
+
+    const { expectedEndDate } = changeOrder.projectedImpact(project);
+    if (expectedEndDate && expectedEndDate <= project.timeline.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'This change would move the expected end date before the project start date',
+      });
+    }
+
+    const updatedProject = await changeOrder.approve(project, req.user._id, req.body.comments);
+    if (!updatedProject) {
+      return res.status(409).json({
+        success: false,
+        message: 'This change order has already been decided or withdrawn',
+      });
+    }
+
+    const io = req.app.get('io');
+    await trySyncProjectBudget(project._id, io);
+    if (io) emitToProject(io, project._id, 'projectUpdated', { operation: 'changeOrderApproved', project: updatedProject });
+
+    await notifyRole(io, 'owner', changeOrderNotification(
+      changeOrder,
+      'change_order_approved',
+      'Change order approved',
+      `${changeOrder.changeOrderNumber} (${changeOrder.title}) was approved by the client: ${describeImpact(changeOrder)}`,
+      req.user._id
+    ), [changeOrder.createdBy]);
+
+    res.json({
+      success: true,
+      message: 'Change order approved and applied to the project',
+      data: {
+        changeOrder,
+        project: {
+          _id: updatedProject._id,
+          budget: { estimated: updatedProject.budget.estimated, currency: updatedProject.budget.currency },
+          timeline: updatedProject.timeline,
+          changeOrders: updatedProject.changeOrders,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Approve change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve change order',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/change-orders/:id/decline
+ * @desc    Decline a change order; the project is left unchanged
+ * @access  Private (changeOrder.approve - the project's client)
+ */
+router.put('/:id/decline', authenticate, requirePermission('changeOrder.approve'), validateChangeOrderDecision, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const changeOrder = await findChangeOrder(req, res, ['pending_approval'], 'declined');
+    if (!changeOrder) return;
+
+    if (!sameId(changeOrder.client, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project\'s client can decline this change order',
+      });
+    }
+
+    const { comments } = req.body;
+    if (!(await changeOrder.decline(req.user._id, comments))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This change order has already been decided or withdrawn',
+      });
+    }
+
+    await notifyRole(req.app.get('io'), 'owner', changeOrderNotification(
+      changeOrder,
+      'change_order_declined',
+      'Change order declined',
+      `${changeOrder.changeOrderNumber} (${changeOrder.title}) was declined by the client${comments ? `: ${comments}` : ''}`,
+      req.user._id
+    ), [changeOrder.createdBy]);
+
+    res.json({
+      success: true,
+      message: 'Change order declined',
+      data: { changeOrder },
+    });
+  } catch (error) {
+    console.error('Decline change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline change order',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/change-orders/:id/withdraw
+ * @desc    Withdraw a change order that has not been decided yet
+ * @access  Private (changeOrder.manage)
+ */
+router.put('/:id/withdraw', authenticate, requirePermission('changeOrder.manage'), async (req, res) => {
+  try {
+    const changeOrder = await findChangeOrder(req, res, ['draft', 'pending_approval'], 'withdrawn');
+    if (!changeOrder) return;
+
+    if (!(await changeOrder.withdraw())) {
+      return res.status(409).json({
+        success: false,
+        message: 'This change order has already been decided',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Change order withdrawn',
+      data: { changeOrder },
+    });
+  } catch (error) {
+    console.error('Withdraw change order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw change order',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,651 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const ClientInvoice = require('../models/ClientInvoice');
+const Project = require('../models/Project');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const {
+  validateClientInvoice,
+  validateClientInvoiceUpdate,
+  validateClientInvoiceCancellation,
+  validatePayment,
+} = require('../middleware/validation');
+const { notifyUsers } = require('../utils/notifications');
+const { sameId, isProjectMember, getMemberProjectIds } = require('../utils/access');
+const { getGeneratedFile, sendGeneratedFile } = require('../utils/files');
+const { clientInvoicePdf } = require('../utils/pdf');
+
+/**
+ * Build the notification payload shared by invoice events
+ */
+const invoiceNotification = (invoice, type, title, message, actor) => ({
+  type,
+  title,
+  message,
+  entityType: 'clientInvoice',
+  entityId: invoice._id,
+  project: invoice.project._id || invoice.project,
+  actor,
+});
+
+/**
+ * Check whether the user may see an invoice (project populated with client and assignedEmployees).
+ * Drafts are only visible to invoice managers.
+ */
+const canViewInvoice = (req, invoice) => {
+  if (invoice.status === 'draft' && !can(req, 'clientInvoice.manage')) return false;
+
+  return can(req, 'clientInvoice.viewAll') ||
+    sameId(invoice.client, req.user._id) ||
+    isProjectMember(invoice.project, req.user);
+};
+
+/**
+ * Store the payments received on the project's invoices as its budget.received
+ */
+const syncProjectReceived = async (projectId) => {
+  const total = await ClientInvoice.getProjectPaymentsTotal(projectId);
+  await Project.findByIdAndUpdate(projectId, { 'budget.received': total });
+  return total;
+};
+
+/**
+ * Build a receipt for one payment, including the balance left after it
+ */
+const buildReceipt = (invoice, payment) => {
+  const index = invoice.payments.findIndex(p => sameId(p, payment));
+  const paidToDate = invoice.payments
+    .slice(0, index + 1)
+    .reduce((total, p) => total + p.amount, 0);
+
+  return {
+    receiptNumber: payment.receiptNumber,
+    invoiceNumber: invoice.invoiceNumber,
+    invoiceTitle: invoice.title,
+    project: invoice.project,
+    client: invoice.client,
+    amount: payment.amount,
+    currency: invoice.currency,
+    method: payment.method,
+    reference: payment.reference,
+    paidAt: payment.paidAt,
+    recordedBy: payment.recordedBy,
+    invoiceTotal: invoice.totalAmount,
+    paidToDate,
+    balanceAfter: Math.max(invoice.totalAmount - paidToDate, 0),
+  };
+};
+
+// References needed for access checks and display
+const populateInvoice = (query) => query
+  .populate('project', 'title client assignedEmployees')
+  .populate('client', 'firstName lastName email')
+  .populate('createdBy', 'firstName lastName')
+  .populate('payments.recordedBy', 'firstName lastName');
+
+/**
+ * @route   GET /api/client-invoices
+ * @desc    Get client invoices (role-based access)
+ * @access  Private
+ */
+router.get('/', authenticate, requirePermission('clientInvoice.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, projectId } = req.query;
+
+    const query = {};
+
+    // Without clientInvoice.viewAll users see invoices addressed to them or for their projects
+    if (!can(req, 'clientInvoice.viewAll')) {
+      const memberProjects = await getMemberProjectIds(req.user);
+      query.$or = [
+        { client: req.user._id },
+        { project: { $in: memberProjects } },
+      ];
+    }
+
+    // Drafts stay hidden until they are issued
+    const hideDrafts = !can(req, 'clientInvoice.manage');
+    if (status && !(hideDrafts && status === 'draft')) {
+      query.status = status;
+    } else if (hideDrafts) {
+      query.status = { $ne: 'draft' };
+    }
+    if (projectId) query.project = projectId;
+
+    const [invoices, total] = await Promise.all([
+      ClientInvoice.find(query)
+        .populate('project', 'title')
+        .populate('client', 'firstName lastName email')
+        .sort({ dueDate: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      ClientInvoice.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get client invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get client invoices',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/client-invoices/project/:projectId
+ * @desc    Get a project's invoices, outstanding balance and payment history
+ * @access  Private (project members)
+ */
+router.get('/project/:projectId', authenticate, requirePermission('clientInvoice.view'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findById(projectId).select('title client assignedEmployees budget');
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    if (!can(req, 'clientInvoice.viewAll') && !isProjectMember(project, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const query = { project: projectId };
+    if (!can(req, 'clientInvoice.manage')) {
+      query.status = { $ne: 'draft' };
+    }
+
+    const invoices = await ClientInvoice.find(query)
+      .populate('payments.recordedBy', 'firstName lastName')
+      .sort({ dueDate: 1 });
+
+    const billed = invoices.filter(invoice => !['draft', 'cancelled'].includes(invoice.status));
+    const summary = {
+      currency: project.budget?.currency || 'USD',
+      totalInvoiced: billed.reduce((total, invoice) => total + invoice.totalAmount, 0),
+      totalPaid: billed.reduce((total, invoice) => total + invoice.amountPaid, 0),
+      outstanding: billed.reduce((total, invoice) => total + invoice.balanceDue, 0),
+      overdue: billed
+        .filter(invoice => invoice.isOverdue)
+        .reduce((total, invoice) => total + invoice.balanceDue, 0),
+      nextDue: billed.find(invoice => invoice.balanceDue > 0) || null,
+    };
+
+    const payments = billed
+      .flatMap(invoice => invoice.payments.map(payment => ({
+        ...payment.toObject(),
+        invoice: {
+          _id: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          title: invoice.title,
+        },
+      })))
+      .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        summary,
+        payments,
+      },
+    });
+  } catch (error) {
+    console.error('Get project invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project invoices',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/client-invoices/:id
+ * @desc    Get client invoice by ID
+ * @access  Private (role-based)
+ */
+router.get('/:id', authenticate, requirePermission('clientInvoice.view'), async (req, res) => {
+  try {
+    const invoice = await populateInvoice(ClientInvoice.findById(req.params.id));
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (!canViewInvoice(req, invoice)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Get client invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/client-invoices/:id/pdf
+ * @desc    Get the invoice as a PDF, re-rendered only when it changed since the stored copy (?format=json for a signed link)
+ * @access  Private (role-based)
+ */
+router.get('/:id/pdf', authenticate, requirePermission('clientInvoice.view'), async (req, res) => {
+  try {
+    const invoice = await ClientInvoice.findById(req.params.id)
+      .populate('project', 'title location client assignedEmployees')
+      .populate('client', 'firstName lastName email phone');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (!canViewInvoice(req, invoice)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const { file, buffer } = await getGeneratedFile(req, () => clientInvoicePdf(invoice), {
+      category: 'documents',
+      filename: `${invoice.invoiceNumber}.pdf`,
+      clientInvoice: invoice._id,
+      sourceUpdatedAt: invoice.updatedAt,
+      tags: ['client-invoice-pdf'],
+    });
+
+    sendGeneratedFile(req, res, file, buffer);
+  } catch (error) {
+    console.error('Client invoice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice PDF',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/client-invoices
+ * @desc    Create a draft invoice for a project's client
+ * @access  Private (clientInvoice.manage)
+ */
+router.post('/', authenticate, requirePermission('clientInvoice.manage'), validateClientInvoice, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { projectId, title, description, items, tax, discount, dueDate } = req.body;
+
+    const project = await Project.findById(projectId).select('client budget');
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    const invoice = new ClientInvoice({
+      project: project._id,
+      client: project.client,
+      title,
+      description,
+      items,
+      tax,
+      discount,
+      dueDate,
+      currency: project.budget?.currency || 'USD',
+      createdBy: req.user._id,
+    });
+
+    await invoice.save();
+    await invoice.populate('project client createdBy');
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice created successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Create client invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/client-invoices/:id
+ * @desc    Update a draft invoice
+ * @access  Private (clientInvoice.manage)
+ */
+router.put('/:id', authenticate, requirePermission('clientInvoice.manage'), validateClientInvoiceUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const invoice = await ClientInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be edited',
+      });
+    }
+
+    const { title, description, items, tax, discount, dueDate } = req.body;
+
+    if (title !== undefined) invoice.title = title;
+    if (description !== undefined) invoice.description = description;
+    if (items) invoice.items = items;
+    if (tax) invoice.tax = { ...invoice.tax.toObject(), ...tax };
+    if (discount) invoice.discount = { ...invoice.discount.toObject(), ...discount };
+    if (dueDate) invoice.dueDate = dueDate;
+
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Update client invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/client-invoices/:id/issue
+ * @desc    Issue a draft invoice to the client
+ * @access  Private (clientInvoice.manage)
+ */
+router.put('/:id/issue', authenticate, requirePermission('clientInvoice.manage'), async (req, res) => {
+  try {
+    const invoice = await ClientInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be issued',
+      });
+    }
+
+    await invoice.issue();
+
+    await notifyUsers(req.app.get('io'), [invoice.client], invoiceNotification(
+      invoice,
+      'invoice_issued',
+      'New invoice',
+      `Invoice ${invoice.invoiceNumber} (${invoice.title}) for ${invoice.currency} ${invoice.totalAmount.toFixed(2)} is due on ${invoice.dueDate.toISOString().slice(0, 10)}`,
+      req.user._id
+    ));
+
+    res.json({
+      success: true,
+      message: 'Invoice issued successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Issue client invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/client-invoices/:id/payments
+ * @desc    Record a (partial) payment against an invoice and issue a receipt
+ * @access  Private (clientInvoice.recordPayment)
+ */
+router.post('/:id/payments', authenticate, requirePermission('clientInvoice.recordPayment'), validatePayment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    let invoice = await ClientInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (!['issued', 'partially_paid'].includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payments can only be recorded against issued invoices with a balance due',
+      });
+    }
+
+    const { method, paidAt, reference, notes } = req.body;
+    // Balances are in cents, so the payment is compared at the same precision
+    const amount = Math.round(Number(req.body.amount) * 100) / 100;
+
+    if (amount > invoice.balanceDue) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds the balance due (${invoice.balanceDue.toFixed(2)})`,
+      });
+    }
+
+    const updated = await invoice.recordPayment({ amount, method, paidAt, reference, notes }, req.user._id);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another payment was recorded meanwhile and this one would exceed the balance due; please reload the invoice',
+      });
+    }
+    invoice = updated;
+    const projectPaymentsTotal = await syncProjectReceived(invoice.project);
+
+    const payment = invoice.payments[invoice.payments.length - 1];
+    await invoice.populate([
+      { path: 'project', select: 'title' },
+      { path: 'client', select: 'firstName lastName email' },
+      { path: 'payments.recordedBy', select: 'firstName lastName' },
+    ]);
+
+    await notifyUsers(req.app.get('io'), [invoice.client, invoice.createdBy], invoiceNotification(
+      invoice,
+      'payment_received',
+      'Payment received',
+      `${invoice.currency} ${payment.amount.toFixed(2)} received for invoice ${invoice.invoiceNumber} (receipt ${payment.receiptNumber})`,
+      req.user._id
+    ));
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        invoice,
+        receipt: buildReceipt(invoice, payment),
+        projectPaymentsTotal,
+      },
+    });
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/client-invoices/:id/payments/:paymentId/receipt
+ * @desc    Get the receipt for a payment
+ * @access  Private (role-based)
+ */
+router.get('/:id/payments/:paymentId/receipt', authenticate, requirePermission('clientInvoice.view'), async (req, res) => {
+  try {
+    const invoice = await populateInvoice(ClientInvoice.findById(req.params.id));
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (!canViewInvoice(req, invoice)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const payment = invoice.payments.id(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { receipt: buildReceipt(invoice, payment) },
+    });
+  } catch (error) {
+    console.error('Get payment receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get receipt',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/client-invoices/:id/cancel
+ * @desc    Cancel an invoice that has no payments recorded
+ * @access  Private (clientInvoice.manage)
+ */
+router.put('/:id/cancel', authenticate, requirePermission('clientInvoice.manage'), validateClientInvoiceCancellation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const invoice = await ClientInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (invoice.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already cancelled',
+      });
+    }
+
+    if (invoice.payments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices with recorded payments cannot be cancelled',
+      });
+    }
+
+    invoice.status = 'cancelled';
+    invoice.cancelledAt = new Date();
+    invoice.cancellationReason = req.body.reason;
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice cancelled successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Cancel client invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel invoice',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize, isOwner } = require('../middleware/auth');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const { sameId } = require('../utils/access');
 const MaterialRequest = require('../models/MaterialRequest');
 const Quotation = require('../models/Quotation');
 const Project = require('../models/Project');
@@ -11,7 +12,7 @@ const PurchaseOrder = require('../models/PurchaseOrder');
  * @desc    Get general dashboard stats (Owner only)
  * @access  Private (Owner only)
  */
-router.get('/stats', authenticate, isOwner, async (req, res) => {
+router.get('/stats', authenticate, requirePermission('dashboard.owner'), async (req, res) => {
   try {
     // Get counts for various entities
     const [
@@ -59,7 +60,7 @@ router.get('/stats', authenticate, isOwner, async (req, res) => {
  * @desc    Get vendor-specific dashboard stats
  * @access  Private (Vendor only)
  */
-router.get('/vendor-stats', authenticate, authorize('vendor'), async (req, res) => {
+router.get('/vendor-stats', authenticate, requirePermission('dashboard.vendor'), async (req, res) => {
   try {
     // Get vendor-specific counts
     const [
@@ -101,7 +102,7 @@ router.get('/vendor-stats', authenticate, authorize('vendor'), async (req, res)
  * @desc    Get client-specific dashboard stats
  * @access  Private (Client only)
  */
-router.get('/client-stats', authenticate, authorize('client'), async (req, res) => {
+router.get('/client-stats', authenticate, requirePermission('dashboard.client'), async (req, res) => {
   try {
     // Get client projects
     const projects = await Project.find({ client: req.user._id });
@@ -147,7 +148,7 @@ router.get('/client-stats', authenticate, authorize('client'), async (req, res)
  * @desc    Get employee-specific dashboard stats
  * @access  Private (Employee only)
  */
-router.get('/employee-stats', authenticate, authorize('employee'), async (req, res) => {
+router.get('/employee-stats', authenticate, requirePermission('dashboard.employee'), async (req, res) => {
   try {
     // Get employee projects
     const projects = await Project.find({ assignedEmployees: req.user._id });
@@ -190,7 +191,7 @@ router.get('/employee-stats', authenticate, authorize('employee'), async (req, r
  * @desc    Get owner-specific dashboard stats
  * @access  Private (Owner only)
  */
-router.get('/owner-stats', authenticate, isOwner, async (req, res) => {
+router.get('/owner-stats', authenticate, requirePermission('dashboard.owner'), async (req, res) => {
   try {
     // Get counts for all entities
     const [
@@ -236,19 +237,264 @@ router.get('/owner-stats', authenticate, isOwner, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/dashboard/financial-summary
+ * @desc    Committed spend, delivered value, outstanding payments and budget per project
+ * @access  Private (Owner only)
+ */
+router.get('/financial-summary', authenticate, requirePermission('dashboard.financial'), async (req, res) => {
+  try {
+    const [result] = await Project.aggregate([
+      // Purchase orders that still represent a commitment
+      {
+        $lookup: {
+          from: PurchaseOrder.collection.name,
+          let: { projectId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$project', '$$projectId'] }, { $ne: ['$status', 'cancelled'] }] } } },
+            {
+              $project: {
+                quotation: 1,
+                status: 1,
+                totalAmount: 1,
+                advanceAmount: '$paymentTerms.advanceAmount',
+                balanceAmount: '$paymentTerms.balanceAmount',
+                deliveredValue: {
+                  $sum: {
+                    $map: {
+                      input: '$items',
+                      as: 'item',
+                      in: { $multiply: [{ $min: ['$$item.deliveredQuantity', '$$item.quantity'] }, '$$item.unitPrice'] },
+                    },
+                  },
+                },
+              },
+            },
+          ],
+          as: 'purchaseOrders',
+        },
+      },
+      {
+        $lookup: {
+          from: MaterialRequest.collection.name,
+          let: { projectId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$project', '$$projectId'] } } },
+            { $project: { _id: 1 } },
+          ],
+          as: 'materialRequests',
+        },
+      },
+      // Every quotation that was ordered, including on purchase orders cancelled since,
+      // whose commitment has been released
+      {
+        $lookup: {
+          from: PurchaseOrder.collection.name,
+          let: { projectId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$project', '$$projectId'] } } },
+            { $project: { quotation: 1 } },
+          ],
+          as: 'orderedQuotations',
+        },
+      },
+      // Approved quotations not yet converted into a purchase order (avoids double counting)
+      {
+        $lookup: {
+          from: Quotation.collection.name,
+          let: { materialRequestIds: '$materialRequests._id', orderedQuotationIds: '$orderedQuotations.quotation' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $in: ['$materialRequest', '$$materialRequestIds'] },
+                    { $eq: ['$status', 'approved'] },
+                    { $not: [{ $in: ['$_id', '$$orderedQuotationIds'] }] },
+                  ],
+                },
+              },
+            },
+            { $project: { totalAmount: 1 } },
+          ],
+          as: 'approvedQuotations',
+        },
+      },
+      {
+        $project: {
+          title: 1,
+          status: 1,
+          currency: { $ifNull: ['$budget.currency', 'USD'] },
+          estimatedBudget: { $ifNull: ['$budget.estimated', 0] },
+          actualSpend: { $ifNull: ['$budget.actual', 0] },
+          approvedQuotationValue: { $sum: '$approvedQuotations.totalAmount' },
+          purchaseOrderValue: { $sum: '$purchaseOrders.totalAmount' },
+          deliveredValue: { $sum: '$purchaseOrders.deliveredValue' },
+          // Advances are due before delivery starts; balances until the order is closed
+          outstandingAdvance: {
+            $sum: {
+              $map: {
+                input: '$purchaseOrders',
+                as: 'po',
+                in: { $cond: [{ $in: ['$$po.status', ['draft', 'sent', 'acknowledged', 'in_progress']] }, '$$po.advanceAmount', 0] },
+              },
+            },
+          },
+          outstandingBalance: {
+            $sum: {
+              $map: {
+                input: '$purchaseOrders',
+                as: 'po',
+                in: { $cond: [{ $ne: ['$$po.status', 'completed'] }, '$$po.balanceAmount', 0] },
+              },
+            },
+          },
+        },
+      },
+      {
+        $addFields: {
+          committedSpend: { $add: ['$approvedQuotationValue', '$purchaseOrderValue'] },
+          budgetVariance: { $subtract: ['$estimatedBudget', '$actualSpend'] },
+        },
+      },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                estimatedBudget: { $sum: '$estimatedBudget' },
+                actualSpend: { $sum: '$actualSpend' },
+                approvedQuotationValue: { $sum: '$approvedQuotationValue' },
+                purchaseOrderValue: { $sum: '$purchaseOrderValue' },
+                committedSpend: { $sum: '$committedSpend' },
+                deliveredValue: { $sum: '$deliveredValue' },
+                outstandingAdvance: { $sum: '$outstandingAdvance' },
+                outstandingBalance: { $sum: '$outstandingBalance' },
+              },
+            },
+            { $project: { _id: 0 } },
+          ],
+          projects: [{ $sort: { committedSpend: -1, title: 1 } }],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0] || {
+      estimatedBudget: 0,
+      actualSpend: 0,
+      approvedQuotationValue: 0,
+      purchaseOrderValue: 0,
+      committedSpend: 0,
+      deliveredValue: 0,
+      outstandingAdvance: 0,
+      outstandingBalance: 0,
+    };
+    totals.budgetVariance = totals.estimatedBudget - totals.actualSpend;
+
+    res.json({
+      success: true,
+      data: {
+        totals,
+        projects: result.projects,
+      }
+    });
+  } catch (error) {
+    console.error('Financial summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get financial summary',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/dashboard/projects-overview
+ * @desc    Project counts grouped by status, priority, type and overdue state
+ * @access  Private (Owner only)
+ */
+router.get('/projects-overview', authenticate, requirePermission('dashboard.financial'), async (req, res) => {
+  try {
+    const now = new Date();
+    const countBy = (field) => [{ $group: { _id: field, count: { $sum: 1 } } }];
+
+    const [result] = await Project.aggregate([
+      {
+        $addFields: {
+          isOverdue: {
+            $and: [
+              { $not: [{ $in: ['$status', ['completed', 'cancelled']] }] },
+              { $lt: [{ $ifNull: ['$timeline.expectedEndDate', now] }, now] },
+            ],
+          },
+        },
+      },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          byStatus: countBy('$status'),
+          byPriority: countBy('$priority'),
+          byType: countBy('$projectType'),
+          byOverdue: countBy('$isOverdue'),
+          overdueProjects: [
+            { $match: { isOverdue: true } },
+            { $sort: { 'timeline.expectedEndDate': 1 } },
+            { $limit: 10 },
+            { $project: { title: 1, status: 1, priority: 1, 'timeline.expectedEndDate': 1, 'progress.percentage': 1 } },
+          ],
+        },
+      },
+    ]);
+
+    // Always return every enum value so charts have stable series
+    const toCounts = (groups, keys) => {
+      const counts = Object.fromEntries(keys.map(key => [key, 0]));
+      groups.forEach(group => {
+        if (group._id !== null && group._id !== undefined) counts[group._id] = group.count;
+      });
+      return counts;
+    };
+
+    const overdueCount = (result.byOverdue.find(group => group._id === true) || {}).count || 0;
+    const total = result.total[0] ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        byStatus: toCounts(result.byStatus, Project.schema.path('status').enumValues),
+        byPriority: toCounts(result.byPriority, Project.schema.path('priority').enumValues),
+        byType: toCounts(result.byType, Project.schema.path('projectType').enumValues),
+        overdue: {
+          overdue: overdueCount,
+          onTrack: total - overdueCount,
+        },
+        overdueProjects: result.overdueProjects,
+      }
+    });
+  } catch (error) {
+    console.error('Projects overview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get projects overview',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/dashboard/recent-activity
  * @desc    Get recent activity across the system
  * @access  Private (Role-based)
  */
-router.get('/recent-activity', authenticate, async (req, res) => {
+router.get('/recent-activity', authenticate, requirePermission('dashboard.activity'), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     let activities = [];
 
-    // Different activity queries based on user role
-    if (req.user.role === 'owner') {
-      // Owner can see all recent activities
+    if (can(req, 'project.viewAll')) {
+      // Company-wide activity
       const [projects, materialRequests, quotations] = await Promise.all([
         Project.find({}, 'title status createdAt')
           .sort({ createdAt: -1 })
@@ -266,6 +512,7 @@ router.get('/recent-activity', authenticate, async (req, res) => {
       activities = [
         ...projects.map(p => ({
           type: 'project',
+          entityId: p._id,
           title: p.title,
           status: p.status,
           createdAt: p.createdAt,
@@ -273,6 +520,7 @@ router.get('/recent-activity', authenticate, async (req, res) => {
         })),
         ...materialRequests.map(mr => ({
           type: 'materialRequest',
+          entityId: mr._id,
           title: mr.title,
           status: mr.status,
           createdAt: mr.createdAt,
@@ -280,15 +528,19 @@ router.get('/recent-activity', authenticate, async (req, res) => {
         })),
         ...quotations.map(q => ({
           type: 'quotation',
+          entityId: q._id,
           title: q.title,
           status: q.status,
           createdAt: q.createdAt,
           message: `Quotation for ${q.materialRequest?.title || 'material request'} was submitted`
         }))
       ];
-    } else if (req.user.role === 'vendor') {
-      // Vendor can see their quotations and assigned material requests
-      const [materialRequests, quotations] = await Promise.all([
+    } else {
+      // Activity on the user's projects and on the requests and quotations they work on as a vendor
+      const [projects, assignedRequests, quotations] = await Promise.all([
+        Project.find({ $or: [{ client: req.user._id }, { assignedEmployees: req.user._id }] })
+          .sort({ createdAt: -1 })
+          .limit(limit),
         MaterialRequest.find({ 'assignedVendors.vendor': req.user._id })
           .populate('project', 'title')
           .sort({ createdAt: -1 })
@@ -299,30 +551,8 @@ router.get('/recent-activity', authenticate, async (req, res) => {
           .limit(limit)
       ]);
 
-      activities = [
-        ...materialRequests.map(mr => ({
-          type: 'materialRequest',
-          title: mr.title,
-          status: mr.status,
-          createdAt: mr.createdAt,
-          message: `You were assigned to material request for ${mr.project?.title || 'project'}`
-        })),
-        ...quotations.map(q => ({
-          type: 'quotation',
-          title: q.title,
-          status: q.status,
-          createdAt: q.createdAt,
-          message: `Your quotation for ${q.materialRequest?.title || 'material request'} was ${q.status}`
-        }))
-      ];
-    } else if (req.user.role === 'client') {
-      // Client can see their projects and material requests
-      const projects = await Project.find({ client: req.user._id })
-        .sort({ createdAt: -1 })
-        .limit(limit);
-
       const projectIds = projects.map(p => p._id);
-      const materialRequests = await MaterialRequest.find({ project: { $in: projectIds } })
+      const projectRequests = await MaterialRequest.find({ project: { $in: projectIds } })
         .populate('project', 'title')
         .sort({ createdAt: -1 })
         .limit(limit);
@@ -330,45 +560,37 @@ router.get('/recent-activity', authenticate, async (req, res) => {
       activities = [
         ...projects.map(p => ({
           type: 'project',
+          entityId: p._id,
           title: p.title,
           status: p.status,
           createdAt: p.createdAt,
-          message: `Your project ${p.title} was created`
+          message: sameId(p.client, req.user._id)
+            ? `Your project ${p.title} was created`
+            : `You were assigned to project ${p.title}`
         })),
-        ...materialRequests.map(mr => ({
+        ...projectRequests.map(mr => ({
           type: 'materialRequest',
+          entityId: mr._id,
           title: mr.title,
           status: mr.status,
           createdAt: mr.createdAt,
           message: `Material request for ${mr.project?.title || 'your project'} was created`
-        }))
-      ];
-    } else if (req.user.role === 'employee') {
-      // Employee can see assigned projects and related material requests
-      const projects = await Project.find({ assignedEmployees: req.user._id })
-        .sort({ createdAt: -1 })
-        .limit(limit);
-
-      const projectIds = projects.map(p => p._id);
-      const materialRequests = await MaterialRequest.find({ project: { $in: projectIds } })
-        .populate('project', 'title')
-        .sort({ createdAt: -1 })
-        .limit(limit);
-
-      activities = [
-        ...projects.map(p => ({
-          type: 'project',
-          title: p.title,
-          status: p.status,
-          createdAt: p.createdAt,
-          message: `You were assigned to project ${p.title}`
         })),
-        ...materialRequests.map(mr => ({
+        ...assignedRequests.map(mr => ({
           type: 'materialRequest',
+          entityId: mr._id,
           title: mr.title,
           status: mr.status,
           createdAt: mr.createdAt,
-          message: `Material request for ${mr.project?.title || 'assigned project'} was created`
+          message: `You were assigned to material request for ${mr.project?.title || 'project'}`
+        })),
+        ...quotations.map(q => ({
+          type: 'quotation',
+          entityId: q._id,
+          title: q.title,
+          status: q.status,
+          createdAt: q.createdAt,
+          message: `Your quotation for ${q.materialRequest?.title || 'material request'} was ${q.status}`
         }))
       ];
     }
@@ -4,16 +4,27 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const mongoose = require('mongoose');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
 const { deleteFile } = require('../middleware/upload');
+const { preserveRequestContext } = require('../utils/audit');
 const File = require('../models/File');
+const Project = require('../models/Project');
+const { isProjectMember, sameId } = require('../utils/access');
+const {
+  FILE_CATEGORIES,
+  getUploadPath,
+  parseFileUrl,
+  getSignedFileUrl,
+  verifyFileSignature,
+  canAccessFile,
+  canLinkUpload,
+} = require('../utils/files');
 
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     // Create category directory if it doesn't exist
-    const category = req.body.category || 'documents';
-    const allowedCategories = ['documents', 'images', 'quotations', 'purchase-orders', 'work_update'];
+    const category = FILE_CATEGORIES.includes(req.body.category) ? req.body.category : 'documents';
     const uploadDir = path.join(__dirname, '../../uploads', category);
     
     console.log('[Files] Multer destination - category:', category, 'uploadDir:', uploadDir);
@@ -68,7 +79,7 @@ const upload = multer({
  * @desc    Upload a file
  * @access  Private
  */
-router.post('/upload', authenticate, upload.single('file'), async (req, res) => {
+router.post('/upload', authenticate, requirePermission('file.upload'), preserveRequestContext(upload.single('file')), async (req, res) => {
   try {
     console.log('[Files] Upload request received:', {
       file: req.file,
@@ -100,7 +111,7 @@ router.post('/upload', authenticate, upload.single('file'), async (req, res) =>
     const fileData = {
       filename: req.file.filename,
       originalName: req.file.originalname,
-      category: req.body.category || 'documents',
+      category: path.basename(req.file.destination),
       mimeType: req.file.mimetype,
       size: req.file.size,
       path: req.file.path,
@@ -108,10 +119,30 @@ router.post('/upload', authenticate, upload.single('file'), async (req, res) =>
       tags: req.body.tags ? JSON.parse(req.body.tags) : [],
     };
 
+    // Only link the file to a project or quotation the uploader is a party to
+    const { projectId, quotationId } = req.body;
+    const invalidLink = [projectId, quotationId].some(link => link && !mongoose.Types.ObjectId.isValid(link));
+    if (invalidLink || !await canLinkUpload(req, { project: projectId, quotation: quotationId })) {
+      fs.unlink(req.file.path, unlinkError => {
+        if (unlinkError) console.error('Failed to delete uploaded file:', unlinkError);
+      });
+      return res.status(invalidLink ? 400 : 403).json({
+        success: false,
+        message: invalidLink
+          ? 'Invalid project or quotation ID'
+          : 'Access denied. You can only attach files to projects and quotations you are part of.',
+      });
+    }
+
     // Add project ID if provided
-    if (req.body.projectId) {
-      fileData.project = req.body.projectId;
-      console.log('[Files] Associating file with project:', req.body.projectId);
+    if (projectId) {
+      fileData.project = projectId;
+      console.log('[Files] Associating file with project:', projectId);
+    }
+
+    // Add quotation ID if provided
+    if (quotationId) {
+      fileData.quotation = quotationId;
     }
 
     const file = new File(fileData);
@@ -149,7 +180,7 @@ router.post('/upload', authenticate, upload.single('file'), async (req, res) =>
  * @desc    Get files by project ID
  * @access  Private (role-based)
  */
-router.get('/project/:projectId', authenticate, async (req, res) => {
+router.get('/project/:projectId', authenticate, requirePermission('file.view'), async (req, res) => {
   try {
     const { projectId } = req.params;
     
@@ -163,8 +194,20 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
     
     console.log('[Files] Fetching files for project:', projectId);
     
-    // TODO: Add proper access control based on project ownership
-    // For now, any authenticated user can access project files
+    const project = await Project.findById(projectId).select('client assignedEmployees assignedVendors');
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    if (!can(req, 'project.viewAll') && !isProjectMember(project, req.user, { includeVendors: true })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
     
     const files = await File.find({ project: projectId })
       .populate('uploadedBy', 'firstName lastName')
@@ -192,6 +235,7 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
         ...file.toObject(),
         url: `/api/files/${category}/${filename}`,
         downloadUrl: `/api/files/${category}/${filename}`,
+        signedUrl: getSignedFileUrl(req, category, filename).url,
       };
     });
     
@@ -209,79 +253,115 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/files/sign
+ * @desc    Exchange stored file URLs for short-lived signed URLs
+ *          Entries the user cannot access (or that are not local files) come back as null.
+ * @access  Private (file uploader or users who can see the linked project/quotation)
+ */
+router.post('/sign', authenticate, requirePermission('file.view'), async (req, res) => {
+  try {
+    const { urls } = req.body;
+
+    if (!Array.isArray(urls) || urls.length === 0 || urls.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'urls must be an array of 1 to 100 file URLs',
+      });
+    }
+
+    const signedUrls = {};
+    let expiresAt = null;
+
+    for (const url of urls) {
+      signedUrls[url] = null;
+
+      const location = parseFileUrl(url);
+      if (!location) continue;
+
+      const file = await File.findByLocation(location.category, location.filename);
+      if (!file || !(await canAccessFile(req, file))) continue;
+
+      const signed = getSignedFileUrl(req, location.category, location.filename);
+      signedUrls[url] = signed.url;
+      expiresAt = signed.expiresAt;
+    }
+
+    res.json({
+      success: true,
+      data: { urls: signedUrls, expiresAt },
+    });
+  } catch (error) {
+    console.error('Sign file URLs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign file URLs',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/files/signed/:category/:filename
+ * @desc    Download/view file through a signed URL (no Authorization header needed)
+ * @access  Public (valid, unexpired signature required)
+ */
+router.get('/signed/:category/:filename', async (req, res) => {
+  try {
+    const { category, filename } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!FILE_CATEGORIES.includes(category) || !verifyFileSignature(category, filename, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired file link',
+      });
+    }
+
+    sendStoredFile(res, category, filename);
+  } catch (error) {
+    console.error('Signed file download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download file',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/files/:category/:filename
  * @desc    Download/view file
- * @access  Private (role-based)
+ * @access  Private (file uploader or users who can see the linked project/quotation)
  */
-router.get('/:category/:filename', authenticate, async (req, res) => {
+router.get('/:category/:filename', authenticate, requirePermission('file.view'), async (req, res) => {
   try {
     const { category, filename } = req.params;
     
     // Validate category
-    const allowedCategories = ['documents', 'images', 'quotations', 'purchase-orders', 'work_update'];
-    if (!allowedCategories.includes(category)) {
+    if (!FILE_CATEGORIES.includes(category)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid file category',
       });
     }
     
-    const filePath = path.join(__dirname, '../../uploads', category, filename);
-    
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    const file = await File.findByLocation(category, filename);
+    if (!file) {
       return res.status(404).json({
         success: false,
         message: 'File not found',
       });
     }
-    
-    // TODO: Add proper access control based on file ownership/project access
-    // For now, any authenticated user can access files
-    
-    // Set appropriate headers
-    const ext = path.extname(filename).toLowerCase();
-    let contentType = 'application/octet-stream';
-    
-    switch (ext) {
-      case '.pdf':
-        contentType = 'application/pdf';
-        break;
-      case '.jpg':
-      case '.jpeg':
-        contentType = 'image/jpeg';
-        break;
-      case '.png':
-        contentType = 'image/png';
-        break;
-      case '.gif':
-        contentType = 'image/gif';
-        break;
-      case '.doc':
-        contentType = 'application/msword';
-        break;
-      case '.docx':
-        contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-        break;
-      case '.xls':
-        contentType = 'application/vnd.ms-excel';
-        break;
-      case '.xlsx':
-        contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-        break;
-      case '.txt':
-        contentType = 'text/plain';
-        break;
+
+    if (!(await canAccessFile(req, file))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
     }
     
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
-    
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
-    
+    sendStoredFile(res, category, filename);
   } catch (error) {
     console.error('File download error:', error);
     res.status(500).json({
@@ -295,33 +375,37 @@ router.get('/:category/:filename', authenticate, async (req, res) => {
 /**
  * @route   DELETE /api/files/:category/:filename
  * @desc    Delete file
- * @access  Private (Owner only or file uploader)
+ * @access  Private (file uploader or file.delete permission)
  */
-router.delete('/:category/:filename', authenticate, async (req, res) => {
+router.delete('/:category/:filename', authenticate, requirePermission('file.upload'), async (req, res) => {
   try {
     const { category, filename } = req.params;
     
     // Validate category
-    const allowedCategories = ['documents', 'images', 'quotations', 'purchase-orders', 'work_update'];
-    if (!allowedCategories.includes(category)) {
+    if (!FILE_CATEGORIES.includes(category)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid file category',
       });
     }
     
-    // Only owners can delete files for now
-    // TODO: Add proper access control based on file ownership
-    if (req.user.role !== 'owner') {
+    const file = await File.findByLocation(category, filename);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    if (!sameId(file.uploadedBy, req.user._id) && !can(req, 'file.delete')) {
       return res.status(403).json({
         success: false,
-        message: 'Only owners can delete files',
+        message: 'You can only delete files you uploaded',
       });
     }
     
-    const filePath = path.join(__dirname, '../../uploads', category, filename);
-    
-    const deleted = deleteFile(filePath);
+    const deleted = deleteFile(getUploadPath(category, filename));
+    await file.deleteOne();
     
     if (deleted) {
       res.json({
@@ -350,28 +434,35 @@ router.delete('/:category/:filename', authenticate, async (req, res) => {
  * @desc    Get file information
  * @access  Private
  */
-router.get('/info/:category/:filename', authenticate, async (req, res) => {
+router.get('/info/:category/:filename', authenticate, requirePermission('file.view'), async (req, res) => {
   try {
     const { category, filename } = req.params;
     
     // Validate category
-    const allowedCategories = ['documents', 'images', 'quotations', 'purchase-orders', 'work_update'];
-    if (!allowedCategories.includes(category)) {
+    if (!FILE_CATEGORIES.includes(category)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid file category',
       });
     }
     
-    const filePath = path.join(__dirname, '../../uploads', category, filename);
+    const file = await File.findByLocation(category, filename);
+    const filePath = getUploadPath(category, filename);
     
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!file || !fs.existsSync(filePath)) {
       return res.status(404).json({
         success: false,
         message: 'File not found',
       });
     }
+
+    if (!(await canAccessFile(req, file))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
     
     // Get file stats
     const stats = fs.statSync(filePath);
@@ -405,6 +496,63 @@ router.get('/info/:category/:filename', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Helper function to stream a stored file with the right content type
+ */
+function sendStoredFile(res, category, filename) {
+  const filePath = getUploadPath(category, filename);
+  
+  // Check if file exists
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found',
+    });
+  }
+  
+  // Set appropriate headers
+  const ext = path.extname(filename).toLowerCase();
+  let contentType = 'application/octet-stream';
+  
+  switch (ext) {
+    case '.pdf':
+      contentType = 'application/pdf';
+      break;
+    case '.jpg':
+    case '.jpeg':
+      contentType = 'image/jpeg';
+      break;
+    case '.png':
+      contentType = 'image/png';
+      break;
+    case '.gif':
+      contentType = 'image/gif';
+      break;
+    case '.doc':
+      contentType = 'application/msword';
+      break;
+    case '.docx':
+      contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      break;
+    case '.xls':
+      contentType = 'application/vnd.ms-excel';
+      break;
+    case '.xlsx':
+      contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+      break;
+    case '.txt':
+      contentType = 'text/plain';
+      break;
+  }
+  
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${path.basename(filename)}"`);
+  res.setHeader('Cache-Control', 'private');
+  
+  // Stream the file
+  fs.createReadStream(filePath).pipe(res);
+}
+
 /**
  * Helper function to format file size
  */
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { JOB_DEFINITIONS } = require('../utils/jobs');
+const { ensureJobs, runJob } = require('../utils/scheduler');
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List scheduled jobs with their schedule and last run
+ * @access  Private (job.manage)
+ */
+router.get('/', authenticate, requirePermission('job.manage'), async (req, res) => {
+  try {
+    await ensureJobs();
+
+    const [jobs, lastRuns] = await Promise.all([
+      Job.find({ name: { $in: Object.keys(JOB_DEFINITIONS) } }),
+      JobRun.aggregate([
+        { $sort: { startedAt: -1 } },
+        { $group: { _id: '$job', run: { $first: '$$ROOT' } } },
+      ]),
+    ]);
+
+    const lastRunByJob = Object.fromEntries(lastRuns.map(({ _id, run }) => [_id, run]));
+
+    const data = jobs.map(job => ({
+      name: job.name,
+      description: JOB_DEFINITIONS[job.name].description,
+      intervalMinutes: JOB_DEFINITIONS[job.name].intervalMinutes,
+      enabled: job.enabled,
+      nextRunAt: job.nextRunAt,
+      isRunning: !!(job.lockedUntil && job.lockedUntil > new Date()),
+      lastRun: lastRunByJob[job.name] || null,
+    }));
+
+    res.json({
+      success: true,
+      data: { jobs: data },
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get jobs',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/jobs/runs
+ * @desc    List job runs (filter by job and status)
+ * @access  Private (job.manage)
+ */
+router.get('/runs', authenticate, requirePermission('job.manage'), async (req, res) => {
+  try {
+    const { job, status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .populate('triggeredBy', 'firstName lastName')
+        .sort({ startedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      JobRun.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job runs',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:name/run
+ * @desc    Run a job now
+ * @access  Private (job.manage)
+ */
+router.post('/:name/run', authenticate, requirePermission('job.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!JOB_DEFINITIONS[name]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    await ensureJobs();
+
+    const run = await runJob(name, {
+      trigger: 'manual',
+      triggeredBy: req.user._id,
+      io: req.app.get('io'),
+    });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running',
+      });
+    }
+
+    res.status(run.status === 'succeeded' ? 200 : 500).json({
+      success: run.status === 'succeeded',
+      message: run.status === 'succeeded' ? 'Job completed successfully' : 'Job failed',
+      data: { run },
+    });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
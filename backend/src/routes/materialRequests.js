@@ -3,53 +3,53 @@ const router = express.Router();
 const { validationResult } = require('express-validator');
 const MaterialRequest = require('../models/MaterialRequest');
 const Project = require('../models/Project');
-const { authenticate, authorize, isOwner, isOwnerOrEmployee } = require('../middleware/auth');
-const { validateMaterialRequest } = require('../middleware/validation');
+const Quotation = require('../models/Quotation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const { validateMaterialRequest, validateAward } = require('../middleware/validation');
+const { COMPARABLE_STATUSES } = require('../utils/quotationComparison');
+const { emitToProject, emitToUsers } = require('../utils/socket');
+const { notifyUsers, notifyRole } = require('../utils/notifications');
+const { sameId, includesId, isProjectMember, getMemberProjectIds } = require('../utils/access');
+const { trySyncProjectBudget } = require('../utils/budget');
+const { buildAwardedPurchaseOrder } = require('../utils/awards');
+
+/**
+ * Emit a material request event to the project team and the vendors assigned to it
+ */
+const emitMaterialRequestEvent = (io, operation, materialRequest) => {
+  const payload = { operation, materialRequest };
+  emitToProject(io, materialRequest.project, 'materialRequest', payload, { includeVendors: false });
+  emitToUsers(io, materialRequest.assignedVendors.map(av => av.vendor), 'materialRequest', payload);
+};
 
 /**
  * @route   GET /api/material-requests
  * @desc    Get material requests (role-based access)
  * @access  Private
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requirePermission('materialRequest.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, projectId, sortBy = 'createdAt', sortOrder = 'desc', available } = req.query;
 
     let query = {};
 
-    // Role-based filtering
-    switch (req.user.role) {
-      case 'owner':
-        // Owner can see all material requests
-        break;
-      case 'employee':
-        // Employee can see requests for projects they're assigned to
-        const employeeProjects = await Project.find({ assignedEmployees: req.user._id }).select('_id');
-        query.project = { $in: employeeProjects.map(p => p._id) };
-        break;
-      case 'vendor':
-        // If 'available' flag is set, show unassigned/pending requests
-        // Otherwise show only requests assigned to this vendor
-        if (available === 'true') {
-          query.$or = [
-            { 'assignedVendors': { $size: 0 } }, // No vendors assigned
-            { 'assignedVendors.vendor': { $ne: req.user._id } }, // Not assigned to this vendor
-          ];
-          query.status = { $in: ['pending', 'approved'] }; // Only show pending/approved
-        } else {
-          query['assignedVendors.vendor'] = req.user._id;
-        }
-        break;
-      case 'client':
-        // Client can see requests for their projects
-        const clientProjects = await Project.find({ client: req.user._id }).select('_id');
-        query.project = { $in: clientProjects.map(p => p._id) };
-        break;
-      default:
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied',
-        });
+    if (available === 'true' && can(req, 'materialRequest.accept')) {
+      // Vendors browsing for work see unassigned/pending requests
+      query.$or = [
+        { 'assignedVendors': { $size: 0 } }, // No vendors assigned
+        { 'assignedVendors.vendor': { $ne: req.user._id } }, // Not assigned to this vendor
+      ];
+      query.status = { $in: ['pending', 'approved'] }; // Only show pending/approved
+    } else if (!can(req, 'materialRequest.viewAll')) {
+      // Otherwise only requests for the user's projects or assigned to them as a vendor
+      const memberProjects = await getMemberProjectIds(req.user);
+      query.$and = [{
+        $or: [
+          { project: { $in: memberProjects } },
+          { 'assignedVendors.vendor': req.user._id },
+        ],
+      }];
     }
 
     // Filter by status if provided
@@ -57,6 +57,11 @@ router.get('/', authenticate, async (req, res) => {
       query.status = status;
     }
 
+    // Drafts are only for the team that can raise requests
+    if (!can(req, 'materialRequest.create')) {
+      query.$and = [...(query.$and || []), { status: { $ne: 'draft' } }];
+    }
+
     // Filter by project if provided
     if (projectId) {
       query.project = projectId;
@@ -103,7 +108,7 @@ router.get('/', authenticate, async (req, res) => {
  * @desc    Get material request by ID
  * @access  Private (role-based)
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('materialRequest.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -124,12 +129,11 @@ router.get('/:id', authenticate, async (req, res) => {
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'employee' && materialRequest.project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'vendor' && materialRequest.assignedVendors.some(av => av.vendor._id.toString() === req.user._id.toString())) ||
-      (req.user.role === 'client' && materialRequest.project.client.toString() === req.user._id.toString());
+      can(req, 'materialRequest.viewAll') ||
+      isProjectMember(materialRequest.project, req.user) ||
+      includesId(materialRequest.assignedVendors.map(av => av.vendor), req.user._id);
 
-    if (!hasAccess) {
+    if (!hasAccess || (materialRequest.status === 'draft' && !can(req, 'materialRequest.create'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You do not have permission to view this material request.',
@@ -155,7 +159,7 @@ router.get('/:id', authenticate, async (req, res) => {
  * @desc    Create new material request
  * @access  Private (Owner and Employee only)
  */
-router.post('/', authenticate, isOwnerOrEmployee, validateMaterialRequest, async (req, res) => {
+router.post('/', authenticate, requirePermission('materialRequest.create'), validateMaterialRequest, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -184,8 +188,8 @@ router.post('/', authenticate, isOwnerOrEmployee, validateMaterialRequest, async
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' && !project.assignedEmployees.includes(req.user._id)) {
+    // Users without project.viewAll must be on the project
+    if (!can(req, 'project.viewAll') && !isProjectMember(project, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'You are not assigned to this project',
@@ -207,9 +211,9 @@ router.post('/', authenticate, isOwnerOrEmployee, validateMaterialRequest, async
     // Populate the created material request
     await materialRequest.populate('project requestedBy');
 
-    // Emit socket event for new creation
+    // Emit socket event for new creation; vendors hear about it once they are assigned
     const io = req.app.get('io');
-    if (io) io.emit('materialRequest', { operation: 'created', materialRequest });
+    if (io) emitMaterialRequestEvent(io, 'created', materialRequest);
 
     res.status(201).json({
       success: true,
@@ -226,12 +230,80 @@ router.post('/', authenticate, isOwnerOrEmployee, validateMaterialRequest, async
   }
 });
 
+/**
+ * @route   PUT /api/material-requests/:id/submit
+ * @desc    Submit a draft material request (raised from a project template) for approval
+ * @access  Private (Owner and Employee on the project)
+ */
+router.put('/:id/submit', authenticate, requirePermission('materialRequest.create'), async (req, res) => {
+  try {
+    const { requiredBy } = req.body;
+
+    const materialRequest = await MaterialRequest.findById(req.params.id).populate('project');
+    if (!materialRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material request not found',
+      });
+    }
+
+    if (!can(req, 'project.viewAll') && !isProjectMember(materialRequest.project, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this project',
+      });
+    }
+
+    if (materialRequest.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft requests can be submitted',
+      });
+    }
+
+    if (requiredBy && isNaN(new Date(requiredBy).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Required by date must be a valid date',
+      });
+    }
+
+    if (!requiredBy && materialRequest.requiredBy <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The draft\'s required-by date has passed; submit it with a new requiredBy date',
+      });
+    }
+
+    materialRequest.requestedBy = req.user._id;
+    await materialRequest.submit(requiredBy ? new Date(requiredBy) : null);
+    await materialRequest.populate('requestedBy');
+
+    // Announce it the way a newly raised request is announced
+    const io = req.app.get('io');
+    if (io) emitMaterialRequestEvent(io, 'created', materialRequest);
+
+    res.json({
+      success: true,
+      message: 'Material request submitted successfully',
+      data: { materialRequest },
+    });
+  } catch (error) {
+    console.error('Submit material request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit material request',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   PUT /api/material-requests/:id/approve
  * @desc    Approve material request
  * @access  Private (Owner only)
  */
-router.put('/:id/approve', authenticate, isOwner, async (req, res) => {
+router.put('/:id/approve', authenticate, requirePermission('materialRequest.approve'), async (req, res) => {
   try {
     const { id } = req.params;
     const { comments = '' } = req.body;
@@ -254,9 +326,9 @@ router.put('/:id/approve', authenticate, isOwner, async (req, res) => {
     await materialRequest.approve(req.user._id, comments);
     await materialRequest.populate('project requestedBy approvals.approvedBy');
 
-    // Emit socket event for approval
+    // Emit socket event for approval to the project team and the assigned vendors only
     const io = req.app.get('io');
-    if (io) io.emit('materialRequest', { operation: 'approved', materialRequest });
+    if (io) emitMaterialRequestEvent(io, 'approved', materialRequest);
 
     res.json({
       success: true,
@@ -278,7 +350,7 @@ router.put('/:id/approve', authenticate, isOwner, async (req, res) => {
  * @desc    Reject material request
  * @access  Private (Owner only)
  */
-router.put('/:id/reject', authenticate, isOwner, async (req, res) => {
+router.put('/:id/reject', authenticate, requirePermission('materialRequest.approve'), async (req, res) => {
   try {
     const { id } = req.params;
     const { comments = '' } = req.body;
@@ -303,7 +375,7 @@ router.put('/:id/reject', authenticate, isOwner, async (req, res) => {
 
     // Emit socket event for rejection
     const io = req.app.get('io');
-    if (io) io.emit('materialRequest', { operation: 'rejected', materialRequest });
+    if (io) emitMaterialRequestEvent(io, 'rejected', materialRequest);
 
     res.json({
       success: true,
@@ -325,7 +397,7 @@ router.put('/:id/reject', authenticate, isOwner, async (req, res) => {
  * @desc    Vendor accepts material request (self-assign)
  * @access  Private (Vendor only)
  */
-router.post('/:id/accept', authenticate, authorize('vendor'), async (req, res) => {
+router.post('/:id/accept', authenticate, requirePermission('materialRequest.accept'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -371,7 +443,19 @@ router.post('/:id/accept', authenticate, authorize('vendor'), async (req, res) =
 
     // Emit socket event for vendor acceptance
     const io = req.app.get('io');
-    if (io) io.emit('materialRequest', { operation: 'vendorAccepted', materialRequest });
+    if (io) emitMaterialRequestEvent(io, 'vendorAccepted', materialRequest);
+
+    // Let owners and the requester know a vendor picked up the request
+    const notification = {
+      type: 'material_request_accepted',
+      title: 'Material request accepted',
+      message: `${req.user.vendorDetails?.companyName || req.user.fullName} accepted "${materialRequest.title}"`,
+      entityType: 'materialRequest',
+      entityId: materialRequest._id,
+      project: materialRequest.project,
+      actor: req.user._id,
+    };
+    await notifyRole(io, 'owner', notification, [materialRequest.requestedBy]);
 
     res.json({
       success: true,
@@ -393,7 +477,7 @@ router.post('/:id/accept', authenticate, authorize('vendor'), async (req, res) =
  * @desc    Assign vendor to material request
  * @access  Private (Owner only)
  */
-router.put('/:id/assign-vendor', authenticate, isOwner, async (req, res) => {
+router.put('/:id/assign-vendor', authenticate, requirePermission('materialRequest.assignVendor'), async (req, res) => {
   try {
     const { id } = req.params;
     const { vendorId } = req.body;
@@ -413,12 +497,29 @@ router.put('/:id/assign-vendor', authenticate, isOwner, async (req, res) => {
       });
     }
 
+    if (materialRequest.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Submit the draft request before assigning vendors',
+      });
+    }
+
     await materialRequest.assignVendor(vendorId, req.user._id);
     await materialRequest.populate('assignedVendors.vendor assignedVendors.assignedBy');
 
     // Emit socket event for vendor assignment
     const io = req.app.get('io');
-    if (io) io.emit('materialRequest', { operation: 'vendorAssigned', materialRequest });
+    if (io) emitMaterialRequestEvent(io, 'vendorAssigned', materialRequest);
+
+    await notifyUsers(io, [vendorId], {
+      type: 'material_request_assigned',
+      title: 'New material request assigned',
+      message: `You were assigned to "${materialRequest.title}"`,
+      entityType: 'materialRequest',
+      entityId: materialRequest._id,
+      project: materialRequest.project,
+      actor: req.user._id,
+    });
 
     res.json({
       success: true,
@@ -435,12 +536,249 @@ router.put('/:id/assign-vendor', authenticate, isOwner, async (req, res) => {
   }
 });
 
+/**
+ * Undo a partly written award: delete the purchase orders already saved, release every
+ * material claim and put the quotations' lines, status and reviews back as they were.
+ */
+const rollBackAward = async (materialRequestId, purchaseOrders, saved, snapshots) => {
+  try {
+    for (const purchaseOrder of saved) {
+      await PurchaseOrder.deleteOne({ _id: purchaseOrder._id });
+    }
+    for (const purchaseOrder of purchaseOrders) {
+      await MaterialRequest.releaseMaterials(materialRequestId, purchaseOrder._id);
+    }
+    for (const { quotation, status, reviewCount, awardStatuses } of snapshots) {
+      const unchanged = quotation.status === status && quotation.reviews.length === reviewCount
+        && quotation.items.every((item, index) => item.awardStatus === awardStatuses[index]);
+      if (unchanged) continue;
+      quotation.items.forEach((item, index) => {
+        item.awardStatus = awardStatuses[index];
+      });
+      quotation.reviews.splice(reviewCount);
+      quotation.status = status;
+      await quotation.save();
+    }
+  } catch (rollbackError) {
+    console.error('Award rollback error:', rollbackError);
+  }
+};
+
+/**
+ * @route   POST /api/material-requests/:id/award
+ * @desc    Award material lines to vendor quotations and create one purchase order per vendor
+ * @access  Private (Owner only)
+ */
+router.post('/:id/award', authenticate, requirePermission('quotation.approve', 'purchaseOrder.create'), validateAward, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { awards, expectedDeliveryDate, paymentTerms, comments = '' } = req.body;
+
+    const materialRequest = await MaterialRequest.findById(id).populate('project');
+    if (!materialRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material request not found',
+      });
+    }
+
+    if (!can(req, 'materialRequest.viewAll') && !isProjectMember(materialRequest.project, req.user, { includeVendors: false })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to award this material request.',
+      });
+    }
+
+    if (!['approved', 'partially_fulfilled'].includes(materialRequest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved material requests with open materials can be awarded',
+      });
+    }
+
+    // Default to the project site when no delivery address is given
+    const { location = {} } = materialRequest.project;
+    const deliveryAddress = req.body.deliveryAddress || {
+      street: location.address,
+      city: location.city,
+      state: location.state,
+      zipCode: location.zipCode,
+      country: location.country,
+    };
+
+    const [quotations, purchaseOrders] = await Promise.all([
+      Quotation.find({ materialRequest: id, status: { $in: COMPARABLE_STATUSES } }),
+      PurchaseOrder.find({ materialRequest: id, status: { $ne: 'cancelled' } }).select('items.materialRequestItem items.deliveryStatus'),
+    ]);
+
+    const ordered = new Set();
+    purchaseOrders.forEach(purchaseOrder => {
+      purchaseOrder.items.forEach(item => {
+        if (item.materialRequestItem && item.deliveryStatus !== 'cancelled') ordered.add(item.materialRequestItem.toString());
+      });
+    });
+
+    // Resolve every award before writing anything
+    const decisions = {}; // quotationId -> { quotationItemId: awardStatus }
+    const awardedLines = {}; // quotationId -> [quotation items]
+    const seen = new Set();
+
+    for (const award of awards) {
+      const material = materialRequest.materials.id(award.materialRequestItem);
+      if (!material) {
+        return res.status(400).json({
+          success: false,
+          message: `Material ${award.materialRequestItem} is not part of this request`,
+        });
+      }
+
+      const materialId = material._id.toString();
+      if (seen.has(materialId)) {
+        return res.status(400).json({
+          success: false,
+          message: `${material.name} can only be awarded to one vendor`,
+        });
+      }
+      seen.add(materialId);
+
+      if (ordered.has(materialId)) {
+        return res.status(400).json({
+          success: false,
+          message: `${material.name} is already on a purchase order`,
+        });
+      }
+
+      const quotation = quotations.find(q => sameId(q._id, award.quotationId));
+      const line = quotation && quotation.items.find(item => item.materialRequestItem.toString() === materialId);
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Quotation ${award.quotationId} has no open offer for ${material.name}`,
+        });
+      }
+
+      // The winning line is awarded; every competing line for the material is not selected
+      quotations.forEach(q => {
+        q.items.forEach(item => {
+          if (item.materialRequestItem.toString() !== materialId) return;
+          const key = q._id.toString();
+          decisions[key] = decisions[key] || {};
+          decisions[key][item._id.toString()] = item === line ? 'awarded' : 'not_selected';
+        });
+      });
+      awardedLines[quotation._id.toString()] = [...(awardedLines[quotation._id.toString()] || []), line];
+    }
+
+    const newOrders = quotations
+      .filter(quotation => awardedLines[quotation._id.toString()])
+      .map(quotation => buildAwardedPurchaseOrder(quotation, awardedLines[quotation._id.toString()], materialRequest, {
+        deliveryAddress,
+        expectedDeliveryDate,
+        paymentTerms,
+      }, req.user._id));
+
+    try {
+      await Promise.all(newOrders.map(purchaseOrder => purchaseOrder.validate()));
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    // Claim the materials before ordering them, so a concurrent award of the same material loses here
+    const claimed = [];
+    for (const purchaseOrder of newOrders) {
+      const materialIds = purchaseOrder.items.map(item => item.materialRequestItem);
+      if (!await MaterialRequest.claimMaterials(materialRequest._id, purchaseOrder._id, materialIds)) {
+        for (const claim of claimed) {
+          await MaterialRequest.releaseMaterials(materialRequest._id, claim._id);
+        }
+        return res.status(409).json({
+          success: false,
+          message: 'Some of these materials were just awarded by someone else. Reload the comparison and try again.',
+        });
+      }
+      claimed.push(purchaseOrder);
+    }
+
+    const reviewed = quotations.filter(quotation => decisions[quotation._id.toString()]);
+    const snapshots = reviewed.map(quotation => ({
+      quotation,
+      status: quotation.status,
+      reviewCount: quotation.reviews.length,
+      awardStatuses: quotation.items.map(item => item.awardStatus),
+    }));
+    const saved = [];
+    try {
+      for (const purchaseOrder of newOrders) {
+        await purchaseOrder.save();
+        saved.push(purchaseOrder);
+      }
+      for (const quotation of reviewed) {
+        await quotation.awardLines(decisions[quotation._id.toString()], req.user._id, comments);
+      }
+    } catch (awardError) {
+      await rollBackAward(materialRequest._id, newOrders, saved, snapshots);
+      throw awardError;
+    }
+
+    const updatedRequest = await MaterialRequest.syncFulfilment(materialRequest._id);
+
+    // Tell each vendor which of their lines were won or lost
+    const io = req.app.get('io');
+    for (const quotation of reviewed) {
+      const lines = awardedLines[quotation._id.toString()] || [];
+      await notifyUsers(io, [quotation.vendor], {
+        type: lines.length > 0 ? 'quotation_approved' : 'quotation_rejected',
+        title: lines.length > 0 ? 'Quotation awarded' : 'Quotation not selected',
+        message: lines.length > 0
+          ? `You were awarded ${lines.map(item => item.materialName).join(', ')} on quotation ${quotation.quotationNumber}`
+          : `Other offers were selected for your lines on quotation ${quotation.quotationNumber}`,
+        entityType: 'quotation',
+        entityId: quotation._id,
+        project: materialRequest.project._id,
+        actor: req.user._id,
+      });
+    }
+
+    if (io && updatedRequest) emitMaterialRequestEvent(io, 'fulfilmentUpdated', updatedRequest);
+    await trySyncProjectBudget(materialRequest.project._id, io);
+
+    res.status(201).json({
+      success: true,
+      message: `${newOrders.length} purchase order(s) created`,
+      data: {
+        purchaseOrders: newOrders,
+        quotations: reviewed,
+        materialRequest: updatedRequest || await MaterialRequest.findById(id),
+      },
+    });
+  } catch (error) {
+    console.error('Award material request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to award material request',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/material-requests/:id/notes
  * @desc    Add note to material request
  * @access  Private (Owner, Employee, Vendor with access)
  */
-router.post('/:id/notes', authenticate, async (req, res) => {
+router.post('/:id/notes', authenticate, requirePermission('materialRequest.addNote'), async (req, res) => {
   try {
     const { id } = req.params;
     const { content } = req.body;
@@ -464,10 +802,9 @@ router.post('/:id/notes', authenticate, async (req, res) => {
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'employee' && materialRequest.project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'vendor' && materialRequest.assignedVendors.some(av => av.vendor.toString() === req.user._id.toString())) ||
-      (req.user.role === 'client' && materialRequest.project.client.toString() === req.user._id.toString());
+      can(req, 'materialRequest.viewAll') ||
+      isProjectMember(materialRequest.project, req.user) ||
+      includesId(materialRequest.assignedVendors.map(av => av.vendor), req.user._id);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -499,7 +836,7 @@ router.post('/:id/notes', authenticate, async (req, res) => {
  * @desc    Get material requests for a specific project
  * @access  Private (role-based)
  */
-router.get('/project/:projectId', authenticate, async (req, res) => {
+router.get('/project/:projectId', authenticate, requirePermission('materialRequest.view'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -514,10 +851,8 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'vendor' && project.assignedVendors.includes(req.user._id));
+      can(req, 'materialRequest.viewAll') ||
+      isProjectMember(project, req.user, { includeVendors: true });
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -526,7 +861,8 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
       });
     }
 
-    const materialRequests = await MaterialRequest.findByProject(projectId);
+    const materialRequests = (await MaterialRequest.findByProject(projectId))
+      .filter(materialRequest => materialRequest.status !== 'draft' || can(req, 'materialRequest.create'));
 
     res.json({
       success: true,
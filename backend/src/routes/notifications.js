@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { authenticate } = require('../middleware/auth');
+const { emitToUsers } = require('../utils/socket');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get current user's notifications
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (unreadOnly === 'true') {
+      query.isRead = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('actor', 'firstName lastName role')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Notification.countDocuments(query),
+      Notification.countUnread(req.user._id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get current user's unread notification count
+ * @access  Private
+ */
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ * @access  Private
+ */
+router.put('/read-all', authenticate, async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user._id);
+
+    // Keep the user's other devices in sync
+    const io = req.app.get('io');
+    if (io) emitToUsers(io, req.user._id, 'notification', { operation: 'allRead', unreadCount: 0 });
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { modifiedCount: result.modifiedCount, unreadCount: 0 },
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private (recipient only)
+ */
+router.put('/:id/read', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await Notification.findById(id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    if (notification.recipient.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    await notification.markRead();
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    const io = req.app.get('io');
+    if (io) emitToUsers(io, req.user._id, 'notification', { operation: 'read', notificationId: notification._id, unreadCount });
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification, unreadCount },
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const Project = require('../models/Project');
+const MaterialRequest = require('../models/MaterialRequest');
+const User = require('../models/User');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const { validateProjectTemplate, validateProjectTemplateUpdate } = require('../middleware/validation');
+const { isProjectMember } = require('../utils/access');
+const { findDependencyCycle } = require('../utils/schedule');
+const { captureProjectStructure } = require('../utils/projectTemplates');
+
+const TEMPLATE_FIELDS = ['name', 'description', 'projectType', 'designStyle', 'teamRoles', 'budget', 'materialRequests', 'isActive'];
+
+/**
+ * Give every milestone an id (keeping the ones sent back from an earlier response) and
+ * resolve dependencies given as list positions to those ids
+ * @returns {Object} { milestones } or { error }
+ */
+const normalizeMilestones = (milestones) => {
+  const ids = milestones.map(milestone =>
+    (mongoose.isValidObjectId(milestone._id) ? new mongoose.Types.ObjectId(milestone._id) : new mongoose.Types.ObjectId())
+  );
+  const known = ids.map(id => id.toString());
+  let error = null;
+
+  const normalized = milestones.map((milestone, index) => {
+    const dependsOn = (milestone.dependsOn || []).map(dependency =>
+      (Number.isInteger(dependency) ? known[dependency] : String(dependency))
+    );
+    if (dependsOn.some(id => !id || !known.includes(id) || id === known[index])) {
+      error = `Milestone "${milestone.name}" depends on a milestone that is not in this template`;
+    }
+    return { ...milestone, _id: ids[index], dependsOn };
+  });
+
+  if (error) return { error };
+
+  const cycle = findDependencyCycle(normalized);
+  if (cycle) return { error: `Milestone dependencies form a loop: ${cycle.join(', ')}` };
+
+  return { milestones: normalized };
+};
+
+/**
+ * Check that default team members exist, are active and have the role they are listed under
+ * @returns {Promise<string|null>} error message, or null when the team is valid
+ */
+const checkTeamRoles = async (teamRoles = []) => {
+  for (const teamRole of teamRoles) {
+    const members = [...new Set(teamRole.members || [])];
+    if (members.length === 0) continue;
+
+    const found = await User.countDocuments({ _id: { $in: members }, role: teamRole.baseRole, isActive: true });
+    if (found !== members.length) {
+      return `One or more members of "${teamRole.title}" are not active ${teamRole.baseRole}s`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Apply request fields to a template, answering 400 itself when they are invalid; returns false when it did
+ */
+const applyTemplateChanges = async (req, res, template) => {
+  if (req.body.milestones !== undefined) {
+    const { milestones, error } = normalizeMilestones(req.body.milestones);
+    if (error) {
+      res.status(400).json({ success: false, message: error });
+      return false;
+    }
+    template.milestones = milestones;
+  }
+
+  const teamError = await checkTeamRoles(req.body.teamRoles);
+  if (teamError) {
+    res.status(400).json({ success: false, message: teamError });
+    return false;
+  }
+
+  TEMPLATE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  });
+  return true;
+};
+
+/**
+ * @route   GET /api/project-templates
+ * @desc    Active templates, optionally matching a project type and design style
+ *          (templates for the style first, then the ones that suit any style)
+ * @access  Private (Owner and Employee)
+ */
+router.get('/', authenticate, requirePermission('projectTemplate.view'), async (req, res) => {
+  try {
+    const { projectType, designStyle, includeInactive } = req.query;
+
+    let templates;
+    if (includeInactive === 'true' && can(req, 'projectTemplate.manage')) {
+      const query = {};
+      if (projectType) query.projectType = projectType;
+      if (designStyle) query.designStyle = { $in: [designStyle, null] };
+      templates = await ProjectTemplate.find(query).sort({ name: 1 });
+    } else {
+      templates = await ProjectTemplate.findMatching(projectType, designStyle);
+    }
+
+    res.json({
+      success: true,
+      data: { templates },
+    });
+  } catch (error) {
+    console.error('Get project templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project templates',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/project-templates/:id
+ * @desc    Get a project template
+ * @access  Private (Owner and Employee)
+ */
+router.get('/:id', authenticate, requirePermission('projectTemplate.view'), async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findById(req.params.id)
+      .populate('teamRoles.members', 'firstName lastName email role')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project template not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Get project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/project-templates
+ * @desc    Create a project template
+ * @access  Private (Owner only)
+ */
+router.post('/', authenticate, requirePermission('projectTemplate.manage'), validateProjectTemplate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const template = new ProjectTemplate({ createdBy: req.user._id });
+    if (!(await applyTemplateChanges(req, res, template))) return;
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Project template created successfully',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Create project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create project template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/project-templates/from-project/:projectId
+ * @desc    Save an existing project's milestones, team, budget lines and material requests as a template
+ * @access  Private (Owner only)
+ */
+router.post('/from-project/:projectId', authenticate, requirePermission('projectTemplate.manage'), async (req, res) => {
+  try {
+    const { name, description, designStyle } = req.body;
+
+    const project = await Project.findById(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    if (!can(req, 'project.viewAll') && !isProjectMember(project, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this project',
+      });
+    }
+
+    const materialRequests = await MaterialRequest.find({ project: project._id, status: { $ne: 'rejected' } })
+      .sort({ requiredBy: 1 });
+
+    const template = new ProjectTemplate({
+      ...captureProjectStructure(project, materialRequests),
+      name: name || project.title,
+      description,
+      projectType: project.projectType,
+      designStyle: designStyle === undefined ? project.designStyle : designStyle,
+      sourceProject: project._id,
+      createdBy: req.user._id,
+    });
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Project template created successfully',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Create project template from project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create project template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/project-templates/:id
+ * @desc    Update a project template; sending milestones replaces the whole list
+ * @access  Private (Owner only)
+ */
+router.put('/:id', authenticate, requirePermission('projectTemplate.manage'), validateProjectTemplateUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const template = await ProjectTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project template not found',
+      });
+    }
+
+    if (!(await applyTemplateChanges(req, res, template))) return;
+
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Project template updated successfully',
+      data: { template },
+    });
+  } catch (error) {
+    console.error('Update project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update project template',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/project-templates/:id
+ * @desc    Delete a project template; projects already created from it are unaffected
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', authenticate, requirePermission('projectTemplate.manage'), async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project template not found',
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Project template deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete project template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete project template',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
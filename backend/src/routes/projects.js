@@ -3,43 +3,53 @@ const router = express.Router();
 const { validationResult } = require('express-validator');
 const Project = require('../models/Project');
 const User = require('../models/User');
-const { authenticate, authorize, isOwner, isOwnerOrEmployee } = require('../middleware/auth');
-const { validateProject } = require('../middleware/validation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const MaterialRequest = require('../models/MaterialRequest');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const {
+  validateProject,
+  validateBudget,
+  validateBudgetEntry,
+  validateMilestone,
+  validateMilestoneUpdate,
+  validateProjectFromTemplate,
+  validateProjectClone,
+} = require('../middleware/validation');
 const { uploadMultiple, getFileUrl } = require('../middleware/upload');
+const { recordUploadedFiles } = require('../utils/files');
+const { emitToProject, joinUserToProject } = require('../utils/socket');
+const { isProjectMember } = require('../utils/access');
+const { buildBudgetLedger, syncProjectBudget } = require('../utils/budget');
+const { findDependencyCycle, buildProjectSchedule } = require('../utils/schedule');
+const {
+  captureProjectStructure,
+  buildProjectFields,
+  createDraftMaterialRequests,
+} = require('../utils/projectTemplates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * @route   GET /api/projects
  * @desc    Get projects (role-based access)
  * @access  Private
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requirePermission('project.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
     let query = {};
 
-    // Role-based filtering
-    switch (req.user.role) {
-      case 'owner':
-        // Owner can see all projects
-        break;
-      case 'employee':
-        // Employee can see assigned projects
-        query.assignedEmployees = req.user._id;
-        break;
-      case 'vendor':
-        // Vendor can see projects they're assigned to
-        query.assignedVendors = req.user._id;
-        break;
-      case 'client':
-        // Client can see only their projects
-        query.client = req.user._id;
-        break;
-      default:
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied',
-        });
+    // Without project.viewAll users only see projects they are the client, employee or vendor on
+    if (!can(req, 'project.viewAll')) {
+      query.$and = [{
+        $or: [
+          { client: req.user._id },
+          { assignedEmployees: req.user._id },
+          { assignedVendors: req.user._id },
+        ],
+      }];
     }
 
     // Filter by status if provided
@@ -96,7 +106,7 @@ router.get('/', authenticate, async (req, res) => {
  * @desc    Get project by ID
  * @access  Private (role-based)
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('project.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -118,10 +128,8 @@ router.get('/:id', authenticate, async (req, res) => {
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) ||
-      (req.user.role === 'vendor' && project.assignedVendors.some(vendor => vendor._id.toString() === req.user._id.toString()));
+      can(req, 'project.viewAll') ||
+      isProjectMember(project, req.user, { includeVendors: true });
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -144,12 +152,100 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Check that the client is a client and that assigned employees and vendors are active users of their role
+ * @returns {Promise<string|null>} error message, or null when everyone checks out
+ */
+const checkProjectMembers = async (clientId, assignedEmployees = [], assignedVendors = []) => {
+  // Verify client exists and has client role
+  const client = await User.findById(clientId);
+  if (!client || client.role !== 'client') {
+    return 'Invalid client ID or user is not a client';
+  }
+
+  // Verify assigned employees exist and have employee role
+  if (assignedEmployees.length > 0) {
+    const employees = await User.find({
+      _id: { $in: assignedEmployees },
+      role: 'employee',
+      isActive: true
+    });
+    if (employees.length !== assignedEmployees.length) {
+      return 'One or more assigned employees are invalid';
+    }
+  }
+
+  // Verify assigned vendors exist and have vendor role
+  if (assignedVendors.length > 0) {
+    const vendors = await User.find({
+      _id: { $in: assignedVendors },
+      role: 'vendor',
+      isActive: true
+    });
+    if (vendors.length !== assignedVendors.length) {
+      return 'One or more assigned vendors are invalid';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The given users that are still active in the role; used to carry a default team over
+ * without tripping on people who have since left
+ */
+const activeMembers = async (ids, role) => {
+  if (ids.length === 0) return [];
+  return User.find({ _id: { $in: ids }, role, isActive: true }).distinct('_id');
+};
+
+/**
+ * Check the dates of a project built from a template or another project, answering 400 itself;
+ * returns null when it did
+ */
+const resolveCopyTimeline = (res, timeline, defaultEndDate) => {
+  const startDate = new Date(timeline.startDate);
+  const expectedEndDate = timeline.expectedEndDate ? new Date(timeline.expectedEndDate) : defaultEndDate;
+
+  if (!expectedEndDate) {
+    res.status(400).json({
+      success: false,
+      message: 'Expected end date is required when no milestone has planned dates',
+    });
+    return null;
+  }
+
+  if (expectedEndDate <= startDate) {
+    res.status(400).json({
+      success: false,
+      message: 'Expected end date must be after the start date',
+    });
+    return null;
+  }
+
+  return { startDate, expectedEndDate };
+};
+
+/**
+ * Populate a newly created project and announce it to its members
+ */
+const announceProject = async (req, project) => {
+  await project.populate('client assignedEmployees assignedVendors createdBy');
+  const io = req.app.get('io');
+  if (io) {
+    // Bring connected members into the new project room before announcing it
+    [project.client, ...project.assignedEmployees, ...project.assignedVendors]
+      .forEach(member => joinUserToProject(io, member, project._id));
+    emitToProject(io, project._id, 'projectUpdated', { operation: 'created', project });
+  }
+};
+
 /**
  * @route   POST /api/projects
  * @desc    Create new project
  * @access  Private (Owner only)
  */
-router.post('/', authenticate, isOwner, validateProject, async (req, res) => {
+router.post('/', authenticate, requirePermission('project.create'), validateProject, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -174,43 +270,12 @@ router.post('/', authenticate, isOwner, validateProject, async (req, res) => {
       specifications,
     } = req.body;
 
-    // Verify client exists and has client role
-    const client = await User.findById(clientId);
-    if (!client || client.role !== 'client') {
+    const memberError = await checkProjectMembers(clientId, assignedEmployees, assignedVendors);
+    if (memberError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid client ID or user is not a client',
-      });
-    }
-
-    // Verify assigned employees exist and have employee role
-    if (assignedEmployees.length > 0) {
-      const employees = await User.find({
-        _id: { $in: assignedEmployees },
-        role: 'employee',
-        isActive: true
-      });
-      if (employees.length !== assignedEmployees.length) {
-        return res.status(400).json({
-          success: false,
-          message: 'One or more assigned employees are invalid',
-        });
-      }
-    }
-
-    // Verify assigned vendors exist and have vendor role
-    if (assignedVendors.length > 0) {
-      const vendors = await User.find({
-        _id: { $in: assignedVendors },
-        role: 'vendor',
-        isActive: true
+        message: memberError,
       });
-      if (vendors.length !== assignedVendors.length) {
-        return res.status(400).json({
-          success: false,
-          message: 'One or more assigned vendors are invalid',
-        });
-      }
     }
 
     const project = new Project({
@@ -229,11 +294,7 @@ router.post('/', authenticate, isOwner, validateProject, async (req, res) => {
     });
 
     await project.save();
-
-    // Populate the created project
-    await project.populate('client assignedEmployees assignedVendors createdBy');
-    const io = req.app.get('io');
-    if (io) io.emit('projectUpdated', { operation: 'created', project });
+    await announceProject(req, project);
 
     res.status(201).json({
       success: true,
@@ -250,35 +311,188 @@ router.post('/', authenticate, isOwner, validateProject, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/projects/from-template/:templateId
+ * @desc    Create a project from a template: its milestones (dated from the start date), budget lines,
+ *          default team (unless others are given) and draft material requests
+ * @access  Private (Owner only)
+ */
+router.post('/from-template/:templateId', authenticate, requirePermission('project.create'), validateProjectFromTemplate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const template = await ProjectTemplate.findById(req.params.templateId);
+    if (!template || !template.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project template not found',
+      });
+    }
+
+    const { title, clientId, timeline, location, specifications, designStyle } = req.body;
+    const description = req.body.description || template.description;
+    if (!description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project description is required',
+      });
+    }
+
+    const teamOf = (baseRole) => template.teamRoles
+      .filter(teamRole => teamRole.baseRole === baseRole)
+      .flatMap(teamRole => teamRole.members);
+    const assignedEmployees = req.body.assignedEmployees || await activeMembers(teamOf('employee'), 'employee');
+    const assignedVendors = req.body.assignedVendors || await activeMembers(teamOf('vendor'), 'vendor');
+
+    const memberError = await checkProjectMembers(clientId, assignedEmployees, assignedVendors);
+    if (memberError) {
+      return res.status(400).json({
+        success: false,
+        message: memberError,
+      });
+    }
+
+    const startDate = new Date(timeline.startDate);
+    const fields = buildProjectFields(template, startDate);
+    const dates = resolveCopyTimeline(res, timeline, fields.expectedEndDate);
+    if (!dates) return;
+
+    const project = new Project({
+      title,
+      description,
+      client: clientId,
+      assignedEmployees,
+      assignedVendors,
+      budget: fields.budget,
+      timeline: dates,
+      location,
+      projectType: template.projectType,
+      designStyle: designStyle || template.designStyle || undefined,
+      specifications,
+      progress: { milestones: fields.milestones },
+      template: template._id,
+      createdBy: req.user._id,
+    });
+
+    await project.save();
+    const materialRequests = await createDraftMaterialRequests(template, project, req.user._id);
+    await announceProject(req, project);
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created from template successfully',
+      data: { project, materialRequests },
+    });
+  } catch (error) {
+    console.error('Create project from template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create project from template',
+      error: error.message,
+    });
+  }
+});
+
+// Fields PUT /api/projects/:id may change; members, progress, budget lines and files have their own routes
+const UPDATABLE_PROJECT_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'projectType',
+  'designStyle',
+  'location',
+  'specifications',
+  'budget.estimated',
+  'budget.currency',
+  'timeline.startDate',
+  'timeline.expectedEndDate',
+  'timeline.actualEndDate',
+];
+
+// Once work has started these only move through client-approved change orders
+const CONTRACT_FIELDS = ['budget.estimated', 'timeline.expectedEndDate'];
+
+/**
+ * Pick the updatable fields out of a request body, whether sent nested ({ budget: { estimated } })
+ * or as dotted keys ({ 'budget.estimated': ... })
+ * @returns {Object|null} dotted-path updates, or null when the body uses update operators
+ */
+const pickProjectUpdates = (body) => {
+  if (Object.keys(body).some(key => key.startsWith('$'))) return null;
+
+  return UPDATABLE_PROJECT_FIELDS.reduce((updates, field) => {
+    const value = body[field] !== undefined
+      ? body[field]
+      : field.split('.').reduce((nested, key) => nested?.[key], body);
+    if (value !== undefined) updates[field] = value;
+    return updates;
+  }, {});
+};
+
 /**
  * @route   PUT /api/projects/:id
  * @desc    Update project
  * @access  Private (Owner only)
  */
-router.put('/:id', authenticate, isOwner, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('project.update'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
 
-    // Remove fields that shouldn't be updated directly
-    delete updates.createdBy;
-    delete updates.createdAt;
-    delete updates.updatedAt;
+    const updates = pickProjectUpdates(req.body || {});
+    if (!updates) {
+      return res.status(400).json({
+        success: false,
+        message: 'Update operators are not accepted; send the fields to change',
+      });
+    }
+
+    const existing = await Project.findById(id).select('status');
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
 
-    const project = await Project.findByIdAndUpdate(
-      id,
-      updates,
+    if (existing.status !== 'planning') {
+      if (CONTRACT_FIELDS.some(field => updates[field] !== undefined)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The estimated budget and expected end date can only change through an approved change order once the project has started',
+        });
+      }
+
+      if (updates.status === 'planning') {
+        return res.status(400).json({
+          success: false,
+          message: 'A project that has left planning cannot be moved back to planning',
+        });
+      }
+    }
+
+    // Only apply the update to the status the checks above were made against
+    const project = await Project.findOneAndUpdate(
+      { _id: id, status: existing.status },
+      { $set: updates },
       { new: true, runValidators: true }
     ).populate('client assignedEmployees assignedVendors createdBy');
 
     if (!project) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: 'Project not found',
+        message: 'The project changed while it was being updated; please try again',
       });
     }
     const io = req.app.get('io');
-    if (io) io.emit('projectUpdated', { operation: 'updated', project });
+    if (io) emitToProject(io, project._id, 'projectUpdated', { operation: 'updated', project });
 
     res.json({
       success: true,
@@ -300,7 +514,7 @@ router.put('/:id', authenticate, isOwner, async (req, res) => {
  * @desc    Delete project (soft delete by changing status)
  * @access  Private (Owner only)
  */
-router.delete('/:id', authenticate, isOwner, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('project.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -337,7 +551,7 @@ router.delete('/:id', authenticate, isOwner, async (req, res) => {
  * @desc    Assign employee to project
  * @access  Private (Owner only)
  */
-router.put('/:id/assign-employee', authenticate, isOwner, async (req, res) => {
+router.put('/:id/assign-employee', authenticate, requirePermission('project.assign'), async (req, res) => {
   try {
     const { id } = req.params;
     const { employeeId } = req.body;
@@ -378,7 +592,10 @@ router.put('/:id/assign-employee', authenticate, isOwner, async (req, res) => {
     await project.save();
     await project.populate('assignedEmployees', 'firstName lastName email');
     const io = req.app.get('io');
-    if (io) io.emit('projectUpdated', { operation: 'employeeAssigned', project });
+    if (io) {
+      joinUserToProject(io, employeeId, project._id);
+      emitToProject(io, project._id, 'projectUpdated', { operation: 'employeeAssigned', project });
+    }
 
     res.json({
       success: true,
@@ -400,7 +617,7 @@ router.put('/:id/assign-employee', authenticate, isOwner, async (req, res) => {
  * @desc    Assign vendor to project
  * @access  Private (Owner only)
  */
-router.put('/:id/assign-vendor', authenticate, isOwner, async (req, res) => {
+router.put('/:id/assign-vendor', authenticate, requirePermission('project.assign'), async (req, res) => {
   try {
     const { id } = req.params;
     const { vendorId } = req.body;
@@ -441,7 +658,10 @@ router.put('/:id/assign-vendor', authenticate, isOwner, async (req, res) => {
     await project.save();
     await project.populate('assignedVendors', 'firstName lastName email vendorDetails.companyName');
     const io = req.app.get('io');
-    if (io) io.emit('projectUpdated', { operation: 'vendorAssigned', project });
+    if (io) {
+      joinUserToProject(io, vendorId, project._id);
+      emitToProject(io, project._id, 'projectUpdated', { operation: 'vendorAssigned', project });
+    }
 
     res.json({
       success: true,
@@ -463,7 +683,7 @@ router.put('/:id/assign-vendor', authenticate, isOwner, async (req, res) => {
  * @desc    Upload documents to project
  * @access  Private (Owner, Employee, Client with access)
  */
-router.post('/:id/upload-documents', authenticate, uploadMultiple('documents', 3), async (req, res) => {
+router.post('/:id/upload-documents', authenticate, requirePermission('project.uploadDocuments'), uploadMultiple('documents', 3), async (req, res) => {
   try {
     const { id } = req.params;
     const { type = 'other' } = req.body;
@@ -487,9 +707,8 @@ router.post('/:id/upload-documents', authenticate, uploadMultiple('documents', 3
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString()));
+      can(req, 'project.viewAll') ||
+      isProjectMember(project, req.user);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -501,13 +720,14 @@ router.post('/:id/upload-documents', authenticate, uploadMultiple('documents', 3
     // Add documents to project
     const documents = req.files.map(file => ({
       name: file.originalname,
-      url: getFileUrl(req, `documents/${file.filename}`),
+      url: getFileUrl(file),
       type,
       uploadedBy: req.user._id,
     }));
 
     project.documents.push(...documents);
     await project.save();
+    await recordUploadedFiles(req, req.files, { project: project._id, tags: [type] });
 
     res.json({
       success: true,
@@ -529,7 +749,7 @@ router.post('/:id/upload-documents', authenticate, uploadMultiple('documents', 3
  * @desc    Upload images to project
  * @access  Private (Owner, Employee with access)
  */
-router.post('/:id/upload-images', authenticate, isOwnerOrEmployee, uploadMultiple('images', 5), async (req, res) => {
+router.post('/:id/upload-images', authenticate, requirePermission('project.uploadImages'), uploadMultiple('images', 5), async (req, res) => {
   try {
     const { id } = req.params;
     const { type = 'progress' } = req.body;
@@ -551,8 +771,8 @@ router.post('/:id/upload-images', authenticate, isOwnerOrEmployee, uploadMultipl
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' && !project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) {
+    // Users without project.viewAll must be on the project
+    if (!can(req, 'project.viewAll') && !isProjectMember(project, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'You are not assigned to this project',
@@ -562,13 +782,14 @@ router.post('/:id/upload-images', authenticate, isOwnerOrEmployee, uploadMultipl
     // Add images to project
     const images = req.files.map(file => ({
       name: file.originalname,
-      url: getFileUrl(req, `images/${file.filename}`),
+      url: getFileUrl(file),
       type,
       uploadedBy: req.user._id,
     }));
 
     project.images.push(...images);
     await project.save();
+    await recordUploadedFiles(req, req.files, { project: project._id, tags: [type] });
 
     res.json({
       success: true,
@@ -590,7 +811,7 @@ router.post('/:id/upload-images', authenticate, isOwnerOrEmployee, uploadMultipl
  * @desc    Update project progress
  * @access  Private (Owner and Employee with access)
  */
-router.put('/:id/progress', authenticate, isOwnerOrEmployee, async (req, res) => {
+router.put('/:id/progress', authenticate, requirePermission('project.updateProgress'), async (req, res) => {
   try {
     const { id } = req.params;
     const { percentage, milestones } = req.body;
@@ -612,23 +833,39 @@ router.put('/:id/progress', authenticate, isOwnerOrEmployee, async (req, res) =>
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' && !project.assignedEmployees.some(emp => emp._id.toString() === req.user._id.toString())) {
+    // Users without project.viewAll must be on the project
+    if (!can(req, 'project.viewAll') && !isProjectMember(project, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'You are not assigned to this project',
       });
     }
 
+    if (milestones) {
+      project.progress.milestones = milestones;
+
+      const listError = await checkMilestoneList(project);
+      if (listError) {
+        return res.status(400).json({
+          success: false,
+          message: listError,
+        });
+      }
+    }
+
+    // With milestones the percentage is their weighted completion, set on save
+    if (percentage !== undefined && project.progress.milestones.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Progress is calculated from the project milestones; update the milestones instead',
+      });
+    }
+
     // Update progress
     if (percentage !== undefined) {
       project.progress.percentage = percentage;
     }
 
-    if (milestones) {
-      project.progress.milestones = milestones;
-    }
-
     project.progress.lastUpdated = new Date();
     project.progress.updatedBy = req.user._id;
 
@@ -650,4 +887,710 @@ router.put('/:id/progress', authenticate, isOwnerOrEmployee, async (req, res) =>
   }
 });
 
+/**
+ * Load a project for the budget and milestone routes, answering 404/403 itself; returns null when it did
+ */
+const findMemberProject = async (req, res, { includeVendors = false } = {}) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found',
+    });
+    return null;
+  }
+
+  // Users without project.viewAll must be on the project
+  if (!can(req, 'project.viewAll') && !isProjectMember(project, req.user, { includeVendors })) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not assigned to this project',
+    });
+    return null;
+  }
+
+  return project;
+};
+
+/**
+ * @route   GET /api/projects/:id/budget
+ * @desc    Budget ledger: budgeted, committed, actual and paid per cost category, with variance and alerts
+ * @access  Private (Owner and Employee with access)
+ */
+router.get('/:id/budget', authenticate, requirePermission('project.viewBudget'), async (req, res) => {
+  try {
+    const project = await findMemberProject(req, res);
+    if (!project) return;
+
+    const ledger = await buildBudgetLedger(project);
+
+    res.json({
+      success: true,
+      data: {
+        project: { _id: project._id, title: project.title },
+        ledger,
+        entries: project.budget.entries,
+      },
+    });
+  } catch (error) {
+    console.error('Get project budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project budget',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:id/budget
+ * @desc    Set budget lines (replaces the listed categories), alert threshold and currency
+ * @access  Private (Owner only)
+ */
+router.put('/:id/budget', authenticate, requirePermission('project.manageBudget'), validateBudget, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const project = await findMemberProject(req, res);
+    if (!project) return;
+
+    const { lines = [], alertThreshold, currency } = req.body;
+
+    const categories = lines.map(line => line.category);
+    if (new Set(categories).size !== categories.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each budget category can only be listed once',
+      });
+    }
+
+    lines.forEach(({ category, budgeted, notes }) => {
+      const existing = project.budget.lines.find(line => line.category === category);
+      if (existing) {
+        existing.budgeted = budgeted;
+        if (notes !== undefined) existing.notes = notes;
+      } else {
+        project.budget.lines.push({ category, budgeted, notes });
+      }
+    });
+    if (alertThreshold !== undefined) project.budget.alertThreshold = alertThreshold;
+    if (currency) project.budget.currency = currency.toUpperCase();
+
+    // The estimate follows the lines once a budget is broken down; after planning the lines can
+    // only be rebalanced within it, and the estimate itself moves through change orders
+    if (project.budget.lines.length > 0) {
+      const linesTotal = project.budget.lines.reduce((total, line) => total + line.budgeted, 0);
+      if (project.status !== 'planning') {
+        const estimated = project.budget.estimated || 0;
+        if (Math.round(linesTotal * 100) !== Math.round(estimated * 100)) {
+          return res.status(400).json({
+            success: false,
+            message: `Once the project has started the budget lines must add up to the estimated budget (${estimated}); change the estimate through a change order`,
+          });
+        }
+      } else {
+        project.budget.estimated = linesTotal;
+      }
+    }
+
+    await project.save();
+    const ledger = await syncProjectBudget(project._id, req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Project budget updated successfully',
+      data: { ledger },
+    });
+  } catch (error) {
+    console.error('Update project budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update project budget',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:id/budget/entries
+ * @desc    Record a cost incurred outside purchase orders (labour, design fees, ...)
+ * @access  Private (Owner only)
+ */
+router.post('/:id/budget/entries', authenticate, requirePermission('project.manageBudget'), validateBudgetEntry, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const project = await findMemberProject(req, res);
+    if (!project) return;
+
+    const { category, description, amount, status, date } = req.body;
+    project.budget.entries.push({
+      category,
+      description,
+      amount: Number(amount),
+      status,
+      date: date ? new Date(date) : undefined,
+      recordedBy: req.user._id,
+    });
+
+    await project.save();
+    const ledger = await syncProjectBudget(project._id, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget entry recorded successfully',
+      data: {
+        entry: project.budget.entries[project.budget.entries.length - 1],
+        ledger,
+      },
+    });
+  } catch (error) {
+    console.error('Record budget entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record budget entry',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/projects/:id/budget/entries/:entryId
+ * @desc    Remove a manually recorded cost
+ * @access  Private (Owner only)
+ */
+router.delete('/:id/budget/entries/:entryId', authenticate, requirePermission('project.manageBudget'), async (req, res) => {
+  try {
+    const project = await findMemberProject(req, res);
+    if (!project) return;
+
+    const entry = project.budget.entries.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget entry not found',
+      });
+    }
+
+    entry.deleteOne();
+    await project.save();
+    const ledger = await syncProjectBudget(project._id, req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Budget entry deleted successfully',
+      data: { ledger },
+    });
+  } catch (error) {
+    console.error('Delete budget entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete budget entry',
+      error: error.message,
+    });
+  }
+});
+
+const MILESTONE_FIELDS = ['name', 'description', 'phase', 'weight', 'owner', 'durationDays', 'dependsOn', 'purchaseOrders', 'status'];
+const MILESTONE_DATES = ['plannedStartDate', 'targetDate', 'actualStartDate', 'completedDate'];
+
+/**
+ * Copy milestone fields from the request body; completing a milestone stamps the actual
+ * finish (and start, when missing) and reopening it clears the finish
+ */
+const applyMilestoneChanges = (milestone, body, user) => {
+  MILESTONE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) milestone[field] = body[field];
+  });
+  MILESTONE_DATES.forEach(field => {
+    if (body[field] !== undefined) milestone[field] = body[field] ? new Date(body[field]) : null;
+  });
+
+  // Moving the target date out lifts the delay flag set by the delayed-milestones job
+  if (milestone.status === 'delayed' && body.status === undefined && milestone.targetDate >= new Date()) {
+    milestone.status = milestone.actualStartDate ? 'in-progress' : 'pending';
+  }
+
+  if (milestone.status === 'completed') {
+    milestone.completedDate = milestone.completedDate || new Date();
+    milestone.actualStartDate = milestone.actualStartDate || milestone.completedDate;
+    milestone.completedBy = milestone.completedBy || user._id;
+  } else {
+    milestone.completedDate = null;
+    milestone.completedBy = undefined;
+    if (milestone.status === 'in-progress' && !milestone.actualStartDate) {
+      milestone.actualStartDate = new Date();
+    }
+  }
+};
+
+/**
+ * Check a milestone's dependencies and purchase order links before they are applied:
+ * dependencies must be other milestones of the project and orders must be the project's own
+ * @returns {Promise<string|null>} error message, or null when the links are valid
+ */
+const checkMilestoneLinks = async (project, milestoneId, body) => {
+  if (body.dependsOn) {
+    const siblings = project.progress.milestones
+      .filter(m => m._id.toString() !== (milestoneId && milestoneId.toString()))
+      .map(m => m._id.toString());
+    if (body.dependsOn.some(id => !siblings.includes(id))) {
+      return 'Milestones can only depend on other milestones of this project';
+    }
+  }
+
+  if (body.purchaseOrders && body.purchaseOrders.length > 0) {
+    const ids = [...new Set(body.purchaseOrders)];
+    const found = await PurchaseOrder.countDocuments({ _id: { $in: ids }, project: project._id });
+    if (found !== ids.length) {
+      return 'Linked purchase orders must belong to this project';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a whole milestone list, as replaced by the progress route, the same way single
+ * milestone edits are checked: each milestone's links, then dependency loops
+ * @returns {Promise<string|null>} error message, or null when the list is valid
+ */
+const checkMilestoneList = async (project) => {
+  for (const milestone of project.progress.milestones) {
+    const linkError = await checkMilestoneLinks(project, milestone._id, {
+      dependsOn: milestone.dependsOn.map(String),
+      purchaseOrders: milestone.purchaseOrders.map(String),
+    });
+    if (linkError) return `${milestone.name}: ${linkError}`;
+  }
+
+  const cycle = findDependencyCycle(project.progress.milestones);
+  return cycle ? `Milestone dependencies would form a loop: ${cycle.join(', ')}` : null;
+};
+
+/**
+ * Save milestone changes, stamp the progress update and tell the project room
+ */
+const saveMilestones = async (req, project) => {
+  project.progress.lastUpdated = new Date();
+  project.progress.updatedBy = req.user._id;
+  await project.save();
+
+  const io = req.app.get('io');
+  if (io) {
+    emitToProject(io, project._id, 'projectUpdated', {
+      operation: 'milestonesUpdated',
+      project: { _id: project._id, progress: project.progress },
+    });
+  }
+};
+
+const milestoneResponse = (project) => ({
+  percentage: project.progress.percentage,
+  phases: project.getPhases(),
+  milestones: project.progress.milestones,
+});
+
+/**
+ * @route   GET /api/projects/:id/milestones
+ * @desc    Milestones grouped into phases, with the weighted completion percentage
+ * @access  Private (project members, including vendors)
+ */
+router.get('/:id/milestones', authenticate, requirePermission('project.view'), async (req, res) => {
+  try {
+    const project = await findMemberProject(req, res, { includeVendors: true });
+    if (!project) return;
+
+    await project.populate([
+      { path: 'progress.milestones.owner', select: 'firstName lastName role' },
+      { path: 'progress.milestones.completedBy', select: 'firstName lastName' },
+    ]);
+
+    res.json({
+      success: true,
+      data: milestoneResponse(project),
+    });
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get milestones',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:id/milestones
+ * @desc    Add a milestone (optionally at a position, defaults to the end)
+ * @access  Private (Owner and Employee with access)
+ */
+router.post('/:id/milestones', authenticate, requirePermission('project.updateProgress'), validateMilestone, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const project = await findMemberProject(req, res);
+    if (!project) return;
+
+    if (req.body.owner && !(await User.exists({ _id: req.body.owner }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone owner not found',
+      });
+    }
+
+    const linkError = await checkMilestoneLinks(project, null, req.body);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError,
+      });
+    }
+
+    const milestones = project.progress.milestones;
+    const position = Number.isInteger(req.body.position)
+      ? Math.min(Math.max(req.body.position, 0), milestones.length)
+      : milestones.length;
+
+    milestones.splice(position, 0, {});
+    const milestone = milestones[position];
+    applyMilestoneChanges(milestone, req.body, req.user);
+
+    await saveMilestones(req, project);
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone added successfully',
+      data: { milestone, ...milestoneResponse(project) },
+    });
+  } catch (error) {
+    console.error('Add milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add milestone',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:id/milestones/:milestoneId
+ * @desc    Update a milestone's details, dates, owner or status
+ * @access  Private (Owner and Employee with access)
+ */
+router.put('/:id/milestones/:milestoneId', authenticate, requirePermission('project.updateProgress'), validateMilestoneUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const project = await findMemberProject(req, res);
+    if (!project) return;
+
+    const milestone = project.progress.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
+
+    if (req.body.owner && !(await User.exists({ _id: req.body.owner }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone owner not found',
+      });
+    }
+
+    const linkError = await checkMilestoneLinks(project, milestone._id, req.body);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError,
+      });
+    }
+
+    applyMilestoneChanges(milestone, req.body, req.user);
+
+    const cycle = findDependencyCycle(project.progress.milestones);
+    if (cycle) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone dependencies would form a loop: ${cycle.join(', ')}`,
+      });
+    }
+
+    await saveMilestones(req, project);
+
+    res.json({
+      success: true,
+      message: 'Milestone updated successfully',
+      data: { milestone, ...milestoneResponse(project) },
+    });
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update milestone',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/projects/:id/milestones/:milestoneId
+ * @desc    Remove a milestone
+ * @access  Private (Owner and Employee with access)
+ */
+router.delete('/:id/milestones/:milestoneId', authenticate, requirePermission('project.updateProgress'), async (req, res) => {
+  try {
+    const project = await findMemberProject(req, res);
+    if (!project) return;
+
+    const milestone = project.progress.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
+
+    // Milestones that waited on this one no longer do
+    project.progress.milestones.forEach(m => {
+      m.dependsOn = m.dependsOn.filter(id => !id.equals(milestone._id));
+    });
+    milestone.deleteOne();
+    await saveMilestones(req, project);
+
+    res.json({
+      success: true,
+      message: 'Milestone deleted successfully',
+      data: milestoneResponse(project),
+    });
+  } catch (error) {
+    console.error('Delete milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete milestone',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:id/clone
+ * @desc    Start a new project with the structure of this one: description, type, style, specifications,
+ *          milestones, budget lines, team and (as drafts) its material requests. The new client is
+ *          given; the source's client, location, documents, images, progress and costs stay behind.
+ * @access  Private (Owner only)
+ */
+router.post('/:id/clone', authenticate, requirePermission('project.create'), validateProjectClone, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const source = await findMemberProject(req, res);
+    if (!source) return;
+
+    const { clientId, timeline, location } = req.body;
+    const title = req.body.title || `${source.title} (copy)`.slice(0, 100);
+    const assignedEmployees = req.body.assignedEmployees || await activeMembers(source.assignedEmployees, 'employee');
+    const assignedVendors = req.body.assignedVendors || await activeMembers(source.assignedVendors, 'vendor');
+
+    const memberError = await checkProjectMembers(clientId, assignedEmployees, assignedVendors);
+    if (memberError) {
+      return res.status(400).json({
+        success: false,
+        message: memberError,
+      });
+    }
+
+    const materialRequests = await MaterialRequest.find({ project: source._id, status: { $ne: 'rejected' } })
+      .sort({ requiredBy: 1 });
+    const structure = captureProjectStructure(source, materialRequests);
+
+    // Without an end date the clone keeps the source's planned length
+    const startDate = new Date(timeline.startDate);
+    const plannedDays = Math.round((source.timeline.expectedEndDate - source.timeline.startDate) / DAY_MS);
+    const dates = resolveCopyTimeline(res, timeline, new Date(startDate.getTime() + plannedDays * DAY_MS));
+    if (!dates) return;
+
+    const fields = buildProjectFields(structure, dates.startDate);
+
+    const project = new Project({
+      title,
+      description: req.body.description || source.description,
+      client: clientId,
+      assignedEmployees,
+      assignedVendors,
+      budget: fields.budget,
+      timeline: dates,
+      location,
+      projectType: source.projectType,
+      designStyle: source.designStyle,
+      specifications: source.toObject().specifications,
+      progress: { milestones: fields.milestones },
+      template: source.template,
+      createdBy: req.user._id,
+    });
+
+    await project.save();
+    const drafts = await createDraftMaterialRequests(structure, project, req.user._id);
+    await announceProject(req, project);
+
+    res.status(201).json({
+      success: true,
+      message: 'Project cloned successfully',
+      data: { project, materialRequests: drafts },
+    });
+  } catch (error) {
+    console.error('Clone project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clone project',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/schedule
+ * @desc    Critical path schedule: early and late dates, float and the critical milestones,
+ *          with the forecast end date pushed by late deliveries of linked purchase orders
+ * @access  Private (project members, including vendors)
+ */
+router.get('/:id/schedule', authenticate, requirePermission('project.view'), async (req, res) => {
+  try {
+    const project = await findMemberProject(req, res, { includeVendors: true });
+    if (!project) return;
+
+    // Saved before loops were checked everywhere; there is no schedule until they are fixed
+    const cycle = findDependencyCycle(project.progress.milestones);
+    if (cycle) {
+      return res.status(409).json({
+        success: false,
+        message: `Milestone dependencies form a loop: ${cycle.join(', ')}. Fix them to see the schedule`,
+      });
+    }
+
+    const schedule = await buildProjectSchedule(project);
+
+    res.json({
+      success: true,
+      data: {
+        project: { _id: project._id, title: project.title, status: project.status },
+        schedule,
+      },
+    });
+  } catch (error) {
+    console.error('Get project schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project schedule',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:id/milestones/:milestoneId/evidence
+ * @desc    Attach completion evidence (site photos, sign-off sheets) to a milestone
+ * @access  Private (Owner and Employee with access)
+ */
+router.post('/:id/milestones/:milestoneId/evidence', authenticate, requirePermission('project.updateProgress'), uploadMultiple('evidence', 5), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded',
+      });
+    }
+
+    if (req.body.note && req.body.note.length > 300) {
+      return res.status(400).json({
+        success: false,
+        message: 'Evidence note cannot exceed 300 characters',
+      });
+    }
+
+    const project = await findMemberProject(req, res);
+    if (!project) return;
+
+    const milestone = project.progress.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
+
+    const evidence = req.files.map(file => {
+      let type = 'other';
+      if (file.mimetype === 'application/pdf') {
+        type = 'pdf';
+      } else if (file.mimetype.startsWith('image/')) {
+        type = 'image';
+      }
+
+      return {
+        name: file.originalname,
+        url: getFileUrl(file),
+        type,
+        note: req.body.note,
+        uploadedBy: req.user._id,
+      };
+    });
+
+    milestone.evidence.push(...evidence);
+    await saveMilestones(req, project);
+    await recordUploadedFiles(req, req.files, { project: project._id, tags: ['milestone-evidence'] });
+
+    res.json({
+      success: true,
+      message: 'Evidence uploaded successfully',
+      data: { milestone },
+    });
+  } catch (error) {
+    console.error('Upload milestone evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload milestone evidence',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
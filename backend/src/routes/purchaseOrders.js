@@ -3,44 +3,62 @@ const router = express.Router();
 const { validationResult } = require('express-validator');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const Quotation = require('../models/Quotation');
+const MaterialRequest = require('../models/MaterialRequest');
 const Project = require('../models/Project');
-const { authenticate, authorize, isOwner } = require('../middleware/auth');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const {
+  validateGoodsReceipt,
+  validatePurchaseOrderAmendment,
+  validatePurchaseOrderClosure,
+} = require('../middleware/validation');
+const { notifyUsers, notifyRole } = require('../utils/notifications');
+const { sameId, isProjectMember, getMemberProjectIds } = require('../utils/access');
+const { getGeneratedFile, sendGeneratedFile } = require('../utils/files');
+const { purchaseOrderPdf } = require('../utils/pdf');
+const { trySyncProjectBudget } = require('../utils/budget');
+
+/**
+ * Build the notification payload shared by purchase order events
+ */
+const purchaseOrderNotification = (purchaseOrder, type, title, message, actor) => ({
+  type,
+  title,
+  message,
+  entityType: 'purchaseOrder',
+  entityId: purchaseOrder._id,
+  project: purchaseOrder.project._id || purchaseOrder.project,
+  actor,
+});
+
+/**
+ * Owners/viewAll, the order's vendor and project members can see a purchase order
+ * (project must be populated)
+ */
+const canViewPurchaseOrder = (req, purchaseOrder) =>
+  can(req, 'purchaseOrder.viewAll') ||
+  sameId(purchaseOrder.vendor, req.user._id) ||
+  isProjectMember(purchaseOrder.project, req.user);
 
 /**
  * @route   GET /api/purchase-orders
  * @desc    Get purchase orders (role-based access)
  * @access  Private
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requirePermission('purchaseOrder.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, projectId, vendorId, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
     let query = {};
 
-    // Role-based filtering
-    switch (req.user.role) {
-      case 'owner':
-        // Owner can see all purchase orders
-        break;
-      case 'vendor':
-        // Vendor can see only their purchase orders
-        query.vendor = req.user._id;
-        break;
-      case 'employee':
-        // Employee can see purchase orders for projects they're assigned to
-        const employeeProjects = await Project.find({ assignedEmployees: req.user._id }).select('_id');
-        query.project = { $in: employeeProjects.map(p => p._id) };
-        break;
-      case 'client':
-        // Client can see purchase orders for their projects
-        const clientProjects = await Project.find({ client: req.user._id }).select('_id');
-        query.project = { $in: clientProjects.map(p => p._id) };
-        break;
-      default:
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied',
-        });
+    // Without purchaseOrder.viewAll users see their own orders and those for their projects
+    if (!can(req, 'purchaseOrder.viewAll')) {
+      const memberProjects = await getMemberProjectIds(req.user);
+      query.$and = [{
+        $or: [
+          { vendor: req.user._id },
+          { project: { $in: memberProjects } },
+        ],
+      }];
     }
 
     // Additional filters
@@ -90,7 +108,7 @@ router.get('/', authenticate, async (req, res) => {
  * @desc    Get purchase order by ID
  * @access  Private (role-based)
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('purchaseOrder.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -114,13 +132,7 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 
     // Check access permissions
-    const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'vendor' && purchaseOrder.vendor._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && purchaseOrder.project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'client' && purchaseOrder.project.client.toString() === req.user._id.toString());
-
-    if (!hasAccess) {
+    if (!canViewPurchaseOrder(req, purchaseOrder)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You do not have permission to view this purchase order.',
@@ -141,12 +153,147 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/purchase-orders/:id/pdf
+ * @desc    Get the purchase order as a PDF, re-rendered only when it changed since the stored copy (?format=json for a signed link)
+ * @access  Private (role-based)
+ */
+router.get('/:id/pdf', authenticate, requirePermission('purchaseOrder.view'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('project', 'title location client assignedEmployees assignedVendors')
+      .populate('vendor', 'firstName lastName email phone vendorDetails');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found',
+      });
+    }
+
+    if (!canViewPurchaseOrder(req, purchaseOrder)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view this purchase order.',
+      });
+    }
+
+    const { file, buffer } = await getGeneratedFile(req, () => purchaseOrderPdf(purchaseOrder), {
+      category: 'purchase-orders',
+      filename: `${purchaseOrder.purchaseOrderNumber}.pdf`,
+      purchaseOrder: purchaseOrder._id,
+      sourceUpdatedAt: purchaseOrder.updatedAt,
+      tags: ['purchase-order-pdf'],
+    });
+
+    sendGeneratedFile(req, res, file, buffer);
+  } catch (error) {
+    console.error('Purchase order PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate purchase order PDF',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/purchase-orders/:id/revisions
+ * @desc    List earlier versions of a purchase order with their amendment reasons
+ * @access  Private (role-based)
+ */
+router.get('/:id/revisions', authenticate, requirePermission('purchaseOrder.view'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('project', 'client assignedEmployees assignedVendors')
+      .populate('revisions.revisedBy', 'firstName lastName');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found',
+      });
+    }
+
+    if (!canViewPurchaseOrder(req, purchaseOrder)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view this purchase order.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentRevision: purchaseOrder.revision,
+        acknowledgedRevision: purchaseOrder.acknowledgedRevision,
+        current: purchaseOrder.snapshot(),
+        revisions: purchaseOrder.revisions,
+      },
+    });
+  } catch (error) {
+    console.error('Get purchase order revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get purchase order revisions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/purchase-orders/:id/revisions/:revisionNumber
+ * @desc    Get one version of a purchase order
+ * @access  Private (role-based)
+ */
+router.get('/:id/revisions/:revisionNumber', authenticate, requirePermission('purchaseOrder.view'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('project', 'client assignedEmployees assignedVendors')
+      .populate('revisions.revisedBy', 'firstName lastName');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found',
+      });
+    }
+
+    if (!canViewPurchaseOrder(req, purchaseOrder)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view this purchase order.',
+      });
+    }
+
+    const revision = purchaseOrder.getRevision(parseInt(req.params.revisionNumber, 10));
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { revision },
+    });
+  } catch (error) {
+    console.error('Get purchase order revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get purchase order revision',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/purchase-orders
  * @desc    Create purchase order from approved quotation
  * @access  Private (Owner only)
  */
-router.post('/', authenticate, isOwner, async (req, res) => {
+router.post('/', authenticate, requirePermission('purchaseOrder.create'), async (req, res) => {
   try {
     const {
       quotationId,
@@ -184,9 +331,10 @@ router.post('/', authenticate, isOwner, async (req, res) => {
       });
     }
 
-    // Create purchase order items from quotation items
-    const items = quotation.items.map(item => ({
+    // Create purchase order items from quotation items, leaving out lines awarded elsewhere
+    const items = quotation.items.filter(item => item.awardStatus !== 'not_selected').map(item => ({
       quotationItem: item._id,
+      materialRequestItem: item.materialRequestItem,
       materialName: item.materialName,
       description: item.description,
       quantity: item.quantity,
@@ -213,7 +361,23 @@ router.post('/', authenticate, isOwner, async (req, res) => {
       createdBy: req.user._id,
     });
 
-    await purchaseOrder.save();
+    // Claim the materials first, so an award running at the same time cannot order them too
+    const materialIds = items.map(item => item.materialRequestItem);
+    if (!await MaterialRequest.claimMaterials(purchaseOrder.materialRequest, purchaseOrder._id, materialIds)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some of these materials are already on another purchase order',
+      });
+    }
+
+    try {
+      await purchaseOrder.save();
+    } catch (saveError) {
+      await MaterialRequest.releaseMaterials(purchaseOrder.materialRequest, purchaseOrder._id);
+      throw saveError;
+    }
+    await MaterialRequest.syncFulfilment(purchaseOrder.materialRequest);
+    await trySyncProjectBudget(purchaseOrder.project, req.app.get('io'));
 
     // Populate the created purchase order
     await purchaseOrder.populate('quotation materialRequest project vendor createdBy');
@@ -238,7 +402,7 @@ router.post('/', authenticate, isOwner, async (req, res) => {
  * @desc    Send purchase order to vendor
  * @access  Private (Owner only)
  */
-router.put('/:id/send', authenticate, isOwner, async (req, res) => {
+router.put('/:id/send', authenticate, requirePermission('purchaseOrder.send'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -260,6 +424,14 @@ router.put('/:id/send', authenticate, isOwner, async (req, res) => {
     await purchaseOrder.send();
     await purchaseOrder.populate('vendor', 'firstName lastName email');
 
+    await notifyUsers(req.app.get('io'), [purchaseOrder.vendor], purchaseOrderNotification(
+      purchaseOrder,
+      'purchase_order_sent',
+      'New purchase order',
+      `Purchase order ${purchaseOrder.purchaseOrderNumber} (${purchaseOrder.title}) was sent to you`,
+      req.user._id
+    ));
+
     res.json({
       success: true,
       message: 'Purchase order sent successfully',
@@ -275,12 +447,205 @@ router.put('/:id/send', authenticate, isOwner, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/purchase-orders/:id/amendments
+ * @desc    Amend quantities, delivery date or address; saves a new revision and re-sends the order
+ * @access  Private (Owner only)
+ */
+router.post('/:id/amendments', authenticate, requirePermission('purchaseOrder.amend'), validatePurchaseOrderAmendment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { reason, items = [], expectedDeliveryDate, deliveryAddress } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findById(id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found',
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${purchaseOrder.status} purchase order cannot be amended`,
+      });
+    }
+
+    if (items.length === 0 && !expectedDeliveryDate && !deliveryAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to amend: provide items, expectedDeliveryDate or deliveryAddress',
+      });
+    }
+
+    for (const change of items) {
+      const item = purchaseOrder.items.id(change.itemId);
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          message: `Item ${change.itemId} is not on this purchase order`,
+        });
+      }
+      if (item.deliveryStatus === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: `${item.materialName} has been cancelled and cannot be amended`,
+        });
+      }
+      const settled = item.deliveredQuantity + (item.cancelledQuantity || 0);
+      if (change.quantity < settled) {
+        return res.status(400).json({
+          success: false,
+          message: `${item.materialName} cannot be reduced below the ${settled} ${item.unit} already received or returned`,
+        });
+      }
+    }
+
+    await purchaseOrder.amend({
+      items,
+      expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : null,
+      deliveryAddress,
+    }, req.user._id, reason);
+    await trySyncProjectBudget(purchaseOrder.project, req.app.get('io'));
+
+    if (purchaseOrder.status === 'sent') {
+      await notifyUsers(req.app.get('io'), [purchaseOrder.vendor], purchaseOrderNotification(
+        purchaseOrder,
+        'purchase_order_amended',
+        'Purchase order amended',
+        `${purchaseOrder.purchaseOrderNumber} was amended (revision ${purchaseOrder.revision}): ${reason}. Please review and acknowledge the changes.`,
+        req.user._id
+      ));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order amended successfully',
+      data: { purchaseOrder },
+    });
+  } catch (error) {
+    console.error('Amend purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to amend purchase order',
+      error: error.message,
+    });
+  }
+});
+
+// Statuses each kind of closure can start from
+const CLOSABLE_STATUSES = {
+  cancelled: ['draft', 'sent', 'acknowledged', 'in_progress', 'partially_delivered'],
+  short_closed: ['sent', 'acknowledged', 'in_progress', 'partially_delivered'],
+};
+
+/**
+ * Shared handler for cancel and short-close: cancels every item not received in full,
+ * releases the outstanding amount and reopens the material request lines it covered
+ */
+const closePurchaseOrder = (type) => async (req, res) => {
+  const action = type === 'cancelled' ? 'cancel' : 'short-close';
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found',
+      });
+    }
+
+    if (!CLOSABLE_STATUSES[type].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${purchaseOrder.status.replace('_', ' ')} purchase order cannot be ${type.replace('_', '-')}`,
+      });
+    }
+
+    const received = purchaseOrder.items.some(item => item.deliveredQuantity > 0);
+    if (type === 'short_closed' && !received) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing has been received on this purchase order yet; cancel it instead',
+      });
+    }
+
+    const { reason } = req.body;
+    await purchaseOrder.close(type, reason, req.user._id);
+    const materialRequest = await MaterialRequest.syncFulfilment(purchaseOrder.materialRequest);
+    await trySyncProjectBudget(purchaseOrder.project, req.app.get('io'));
+
+    // Drafts never reached the vendor
+    if (purchaseOrder.sentAt) {
+      const verb = type === 'cancelled' ? 'cancelled' : 'short-closed';
+      const remainder = received ? ' The items not yet delivered will not be ordered.' : '';
+      await notifyUsers(req.app.get('io'), [purchaseOrder.vendor], purchaseOrderNotification(
+        purchaseOrder,
+        type === 'cancelled' ? 'purchase_order_cancelled' : 'purchase_order_closed',
+        `Purchase order ${verb}`,
+        `${purchaseOrder.purchaseOrderNumber} was ${verb}: ${reason}.${remainder}`,
+        req.user._id
+      ));
+    }
+
+    res.json({
+      success: true,
+      message: type === 'cancelled' ? 'Purchase order cancelled successfully' : 'Purchase order short-closed successfully',
+      data: {
+        purchaseOrder,
+        releasedAmount: purchaseOrder.closure.releasedAmount,
+        materialRequest,
+      },
+    });
+  } catch (error) {
+    console.error(`${type === 'cancelled' ? 'Cancel' : 'Short-close'} purchase order error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${action} purchase order`,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/purchase-orders/:id/cancel
+ * @desc    Cancel a purchase order; anything already received stays on the order and can be invoiced
+ * @access  Private (Owner only)
+ */
+router.put('/:id/cancel', authenticate, requirePermission('purchaseOrder.cancel'), validatePurchaseOrderClosure, closePurchaseOrder('cancelled'));
+
+/**
+ * @route   PUT /api/purchase-orders/:id/short-close
+ * @desc    Close a partly delivered purchase order whose remaining items will not arrive
+ * @access  Private (Owner only)
+ */
+router.put('/:id/short-close', authenticate, requirePermission('purchaseOrder.cancel'), validatePurchaseOrderClosure, closePurchaseOrder('short_closed'));
+
 /**
  * @route   PUT /api/purchase-orders/:id/acknowledge
  * @desc    Acknowledge purchase order (vendor)
  * @access  Private (Vendor only - own POs)
  */
-router.put('/:id/acknowledge', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id/acknowledge', authenticate, requirePermission('purchaseOrder.acknowledge'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -300,15 +665,25 @@ router.put('/:id/acknowledge', authenticate, authorize('vendor'), async (req, re
       });
     }
 
-    if (purchaseOrder.status !== 'sent') {
+    if (!purchaseOrder.needsAcknowledgement()) {
       return res.status(400).json({
         success: false,
-        message: 'Only sent purchase orders can be acknowledged',
+        message: 'Only sent or amended purchase orders can be acknowledged',
       });
     }
 
     await purchaseOrder.acknowledge();
 
+    const io = req.app.get('io');
+    const notification = purchaseOrderNotification(
+      purchaseOrder,
+      'purchase_order_acknowledged',
+      'Purchase order acknowledged',
+      `${req.user.vendorDetails?.companyName || req.user.fullName} acknowledged ${purchaseOrder.purchaseOrderNumber}${purchaseOrder.revision > 1 ? ` (revision ${purchaseOrder.revision})` : ''}`,
+      req.user._id
+    );
+    await notifyRole(io, 'owner', notification, [purchaseOrder.createdBy]);
+
     res.json({
       success: true,
       message: 'Purchase order acknowledged successfully',
@@ -324,23 +699,60 @@ router.put('/:id/acknowledge', authenticate, authorize('vendor'), async (req, re
   }
 });
 
+/**
+ * Check each goods receipt line against the order; returns the first problem found
+ */
+const checkReceiptItems = (purchaseOrder, items) => {
+  const acceptedByItem = new Map();
+
+  for (const line of items) {
+    const item = purchaseOrder.items.id(line.itemId);
+    if (!item) {
+      return `Item ${line.itemId} is not on this purchase order`;
+    }
+    if (item.deliveryStatus === 'cancelled') {
+      return `${item.materialName} has been cancelled`;
+    }
+
+    const rejected = line.rejectedQuantity || 0;
+    const accepted = line.acceptedQuantity ?? line.deliveredQuantity - rejected;
+    if (accepted < 0 || Math.abs(accepted + rejected - line.deliveredQuantity) > 1e-9) {
+      return `Accepted and rejected quantities for ${item.materialName} must add up to the delivered quantity`;
+    }
+    if (rejected > 0 && !line.rejectionReason) {
+      return `A rejection reason is required for ${item.materialName}`;
+    }
+
+    // Totalled per item in case it is listed more than once
+    const key = item._id.toString();
+    acceptedByItem.set(key, (acceptedByItem.get(key) || 0) + accepted);
+    const outstanding = item.outstandingQuantity();
+    if (acceptedByItem.get(key) - outstanding > 1e-9) {
+      return `Only ${outstanding} ${item.unit} of ${item.materialName} ${outstanding === 1 ? 'is' : 'are'} still outstanding`;
+    }
+  }
+  return null;
+};
+
 /**
  * @route   POST /api/purchase-orders/:id/delivery
- * @desc    Record delivery for purchase order
+ * @desc    Record a goods receipt: delivered, accepted and rejected quantities per item
  * @access  Private (Owner and Employee)
  */
-router.post('/:id/delivery', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.post('/:id/delivery', authenticate, requirePermission('purchaseOrder.recordDelivery'), validateGoodsReceipt, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { deliveryDate, items, deliveredBy, notes, attachments } = req.body;
-
-    if (!deliveryDate || !items || items.length === 0) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Delivery date and items are required',
+        message: 'Validation failed',
+        errors: errors.array(),
       });
     }
 
+    const { id } = req.params;
+    const { deliveryDate, items, deliveredBy, notes, attachments, inspectedBy, returnType } = req.body;
+
     const purchaseOrder = await PurchaseOrder.findById(id)
       .populate('project', 'assignedEmployees');
 
@@ -351,29 +763,73 @@ router.post('/:id/delivery', authenticate, authorize('owner', 'employee'), async
       });
     }
 
-    // Check if employee is assigned to the project (if not owner)
-    if (req.user.role === 'employee' && !purchaseOrder.project.assignedEmployees.includes(req.user._id)) {
+    // Users without project.viewAll must be on the project
+    if (!can(req, 'project.viewAll') && !isProjectMember(purchaseOrder.project, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'You are not assigned to this project',
       });
     }
 
+    if (['draft', 'cancelled', 'completed'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Deliveries cannot be recorded against a ${purchaseOrder.status} purchase order`,
+      });
+    }
+
+    const itemError = checkReceiptItems(purchaseOrder, items);
+    if (itemError) {
+      return res.status(400).json({
+        success: false,
+        message: itemError,
+      });
+    }
+
     const deliveryData = {
       deliveryDate: new Date(deliveryDate),
       items,
       deliveredBy,
       notes,
       attachments: attachments || [],
+      inspectedBy,
+      returnType,
     };
 
+    const returnCount = purchaseOrder.returnRequests.length;
     await purchaseOrder.recordDelivery(deliveryData, req.user._id);
-    await purchaseOrder.populate('deliveries.receivedBy', 'firstName lastName');
+    await purchaseOrder.populate('deliveries.receivedBy deliveries.inspectedBy', 'firstName lastName');
+
+    const delivery = purchaseOrder.deliveries[purchaseOrder.deliveries.length - 1];
+    const returnRequest = purchaseOrder.returnRequests[returnCount] || null;
+
+    const io = req.app.get('io');
+    await trySyncProjectBudget(purchaseOrder.project._id, io);
+
+    const notification = purchaseOrderNotification(
+      purchaseOrder,
+      'purchase_order_delivery',
+      'Delivery recorded',
+      `Goods receipt ${delivery.receiptNumber} was recorded against ${purchaseOrder.purchaseOrderNumber} (status: ${purchaseOrder.status.replace('_', ' ')})`,
+      req.user._id
+    );
+    await notifyRole(io, 'owner', notification, [purchaseOrder.vendor, purchaseOrder.createdBy]);
+
+    if (returnRequest) {
+      const rejected = returnRequest.items.map(line => `${line.quantity} ${line.materialName}`).join(', ');
+      await notifyUsers(io, [purchaseOrder.vendor], purchaseOrderNotification(
+        purchaseOrder,
+        'purchase_order_return_requested',
+        returnRequest.type === 'replacement' ? 'Replacement requested' : 'Return requested',
+        `Rejected at inspection on ${purchaseOrder.purchaseOrderNumber}: ${rejected}. Please acknowledge the ${returnRequest.type}.`,
+        req.user._id
+      ));
+    }
 
     res.json({
       success: true,
-      message: 'Delivery recorded successfully',
-      data: { purchaseOrder },
+      message: returnRequest ? 'Delivery recorded; rejected items sent back to the vendor' : 'Delivery recorded successfully',
+      data: { purchaseOrder, returnRequest },
     });
   } catch (error) {
     console.error('Record delivery error:', error);
@@ -385,12 +841,86 @@ router.post('/:id/delivery', authenticate, authorize('owner', 'employee'), async
   }
 });
 
+/**
+ * @route   PUT /api/purchase-orders/:id/returns/:returnId/acknowledge
+ * @desc    Acknowledge a return or replacement request for rejected goods (vendor)
+ * @access  Private (Vendor only - own POs)
+ */
+router.put('/:id/returns/:returnId/acknowledge', authenticate, requirePermission('purchaseOrder.acknowledge'), async (req, res) => {
+  try {
+    const { id, returnId } = req.params;
+    const { note } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findById(id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found',
+      });
+    }
+
+    if (!sameId(purchaseOrder.vendor, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only acknowledge returns on your own purchase orders',
+      });
+    }
+
+    const returnRequest = purchaseOrder.returnRequests.id(returnId);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found',
+      });
+    }
+
+    if (returnRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This return request has already been acknowledged',
+      });
+    }
+
+    if (note && note.length > 300) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note cannot exceed 300 characters',
+      });
+    }
+
+    await purchaseOrder.acknowledgeReturn(returnRequest, req.user._id, note);
+
+    const io = req.app.get('io');
+    const notification = purchaseOrderNotification(
+      purchaseOrder,
+      'purchase_order_return_acknowledged',
+      `${returnRequest.type === 'replacement' ? 'Replacement' : 'Return'} acknowledged`,
+      `${req.user.vendorDetails?.companyName || req.user.fullName} acknowledged the ${returnRequest.type} of rejected goods on ${purchaseOrder.purchaseOrderNumber}`,
+      req.user._id
+    );
+    await notifyRole(io, 'owner', notification, [purchaseOrder.createdBy, returnRequest.requestedBy]);
+
+    res.json({
+      success: true,
+      message: 'Return request acknowledged successfully',
+      data: { purchaseOrder, returnRequest },
+    });
+  } catch (error) {
+    console.error('Acknowledge return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge return request',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/purchase-orders/project/:projectId
  * @desc    Get purchase orders for a specific project
  * @access  Private (role-based)
  */
-router.get('/project/:projectId', authenticate, async (req, res) => {
+router.get('/project/:projectId', authenticate, requirePermission('purchaseOrder.view'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -405,10 +935,8 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && project.client.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'vendor' && project.assignedVendors.includes(req.user._id));
+      can(req, 'purchaseOrder.viewAll') ||
+      isProjectMember(project, req.user, { includeVendors: true });
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -438,7 +966,7 @@ router.get('/project/:projectId', authenticate, async (req, res) => {
  * @desc    Get vendor's own purchase orders
  * @access  Private (Vendor only)
  */
-router.get('/vendor/my-orders', authenticate, authorize('vendor'), async (req, res) => {
+router.get('/vendor/my-orders', authenticate, requirePermission('purchaseOrder.acknowledge'), async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
 
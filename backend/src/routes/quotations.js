@@ -3,52 +3,172 @@ const router = express.Router();
 const { validationResult } = require('express-validator');
 const Quotation = require('../models/Quotation');
 const MaterialRequest = require('../models/MaterialRequest');
-const { authenticate, authorize, isOwner } = require('../middleware/auth');
+const Project = require('../models/Project');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
 const { uploadMultiple, getFileUrl } = require('../middleware/upload');
+const { recordUploadedFiles, getGeneratedFile, sendGeneratedFile } = require('../utils/files');
+const { quotationPdf } = require('../utils/pdf');
+const { validateCounterOffer } = require('../middleware/validation');
+const { COMPARABLE_STATUSES, buildComparisonMatrix } = require('../utils/quotationComparison');
+const { diffRevisions } = require('../utils/quotationRevisions');
+const { emitToProject, emitToUsers } = require('../utils/socket');
+const { notifyUsers, notifyRole } = require('../utils/notifications');
+const { sameId, includesId, isProjectMember, getMemberProjectIds } = require('../utils/access');
+const { trySyncProjectBudget } = require('../utils/budget');
+
+/**
+ * Emit a quotation event to the quoting vendor and the project team (never to other vendors)
+ * Expects `quotation.materialRequest` to be populated.
+ */
+const emitQuotationEvent = (io, operation, quotation) => {
+  const payload = { operation, quotation };
+  emitToProject(io, quotation.materialRequest.project, 'quotationUpdated', payload, { includeVendors: false });
+  emitToUsers(io, quotation.vendor, 'quotationUpdated', payload);
+};
+
+/**
+ * Notify the vendor that their quotation was approved or rejected
+ */
+const notifyQuotationReviewed = async (io, quotation, status, actor) => {
+  const materialRequest = quotation.populated('materialRequest')
+    ? quotation.materialRequest
+    : await MaterialRequest.findById(quotation.materialRequest).select('project');
+
+  return notifyUsers(io, [quotation.vendor], {
+    type: `quotation_${status}`,
+    title: `Quotation ${status}`,
+    message: `Your quotation ${quotation.quotationNumber} (${quotation.title}) was ${status}`,
+    entityType: 'quotation',
+    entityId: quotation._id,
+    project: materialRequest ? materialRequest.project : null,
+    actor,
+  });
+};
+
+/**
+ * Whether the user may see a quotation: its vendor, the project team, or anyone with viewAll.
+ * Expects `quotation.materialRequest.project` to be populated.
+ */
+const canViewQuotation = (req, quotation) =>
+  can(req, 'quotation.viewAll') ||
+  sameId(quotation.vendor, req.user._id) ||
+  isProjectMember(quotation.materialRequest.project, req.user);
+
+/**
+ * Load a quotation with its project for revision routes
+ */
+const findQuotationWithProject = (id) =>
+  Quotation.findById(id).populate({
+    path: 'materialRequest',
+    select: 'project',
+    populate: {
+      path: 'project',
+      select: 'client assignedEmployees assignedVendors',
+    },
+  });
+
+// Quotations whose terms are still open to negotiation
+const NEGOTIABLE_STATUSES = ['submitted', 'under_review'];
+
+/**
+ * Which side of the negotiation the user is on: the quoting vendor, the buying project team, or neither.
+ * Expects `quotation.materialRequest.project` to be populated.
+ */
+const negotiationParty = (req, quotation) => {
+  if (sameId(quotation.vendor, req.user._id)) return 'vendor';
+  if (can(req, 'quotation.viewAll') || isProjectMember(quotation.materialRequest.project, req.user, { includeVendors: false })) {
+    return 'buyer';
+  }
+  return null;
+};
+
+/**
+ * Notify the other side of a counter-offer: the vendor, or the owners for offers made by the vendor
+ */
+const notifyCounterParty = (io, quotation, party, data) => {
+  const notification = {
+    ...data,
+    entityType: 'quotation',
+    entityId: quotation._id,
+    project: quotation.materialRequest.project._id,
+  };
+  return party === 'vendor'
+    ? notifyRole(io, 'owner', notification)
+    : notifyUsers(io, [quotation.vendor], notification);
+};
+
+/**
+ * Load a quotation and a pending counter-offer the user may answer, or send the error response
+ */
+const findOfferToAnswer = async (req, res) => {
+  const quotation = await findQuotationWithProject(req.params.id);
+  if (!quotation) {
+    res.status(404).json({
+      success: false,
+      message: 'Quotation not found',
+    });
+    return null;
+  }
+
+  const party = negotiationParty(req, quotation);
+  if (!party) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied',
+    });
+    return null;
+  }
+
+  const offer = quotation.counterOffers.id(req.params.offerId);
+  if (!offer || offer.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: 'Only pending counter-offers can be answered',
+    });
+    return null;
+  }
+
+  if (offer.party === party) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot answer your own counter-offer',
+    });
+    return null;
+  }
+
+  if (!NEGOTIABLE_STATUSES.includes(quotation.status)) {
+    res.status(400).json({
+      success: false,
+      message: 'This quotation is no longer open to negotiation',
+    });
+    return null;
+  }
+
+  return { quotation, offer, party };
+};
 
 /**
  * @route   GET /api/quotations
  * @desc    Get quotations (role-based access)
  * @access  Private
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requirePermission('quotation.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, materialRequestId, materialRequestIds, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
     let query = {};
 
-    // Role-based filtering
-    switch (req.user.role) {
-      case 'owner':
-        // Owner can see all quotations
-        break;
-      case 'vendor':
-        // Vendor can see only their quotations
-        query.vendor = req.user._id;
-        break;
-      case 'employee':
-      case 'client':
-        // Employees and clients can see quotations for their projects
-        const materialRequests = await MaterialRequest.find()
-          .populate('project', 'assignedEmployees client')
-          .select('_id project');
-
-        const accessibleMRIds = materialRequests.filter(mr => {
-          if (req.user.role === 'employee') {
-            return mr.project.assignedEmployees.includes(req.user._id);
-          } else if (req.user.role === 'client') {
-            return mr.project.client.toString() === req.user._id.toString();
-          }
-          return false;
-        }).map(mr => mr._id);
-
-        query.materialRequest = { $in: accessibleMRIds };
-        break;
-      default:
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied',
-        });
+    // Without quotation.viewAll users see their own quotations and those for their projects
+    if (!can(req, 'quotation.viewAll')) {
+      const memberProjects = await getMemberProjectIds(req.user);
+      const accessibleMRIds = await MaterialRequest.distinct('_id', { project: { $in: memberProjects } });
+
+      query.$and = [{
+        $or: [
+          { vendor: req.user._id },
+          { materialRequest: { $in: accessibleMRIds } },
+        ],
+      }];
     }
 
     // Filter by status if provided
@@ -116,7 +236,7 @@ router.get('/', authenticate, async (req, res) => {
  * @desc    Get quotation by ID
  * @access  Private (role-based)
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('quotation.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -141,10 +261,9 @@ router.get('/:id', authenticate, async (req, res) => {
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'vendor' && quotation.vendor._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && quotation.materialRequest.project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'client' && quotation.materialRequest.project.client.toString() === req.user._id.toString());
+      can(req, 'quotation.viewAll') ||
+      sameId(quotation.vendor, req.user._id) ||
+      isProjectMember(quotation.materialRequest.project, req.user);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -167,12 +286,63 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/quotations/:id/pdf
+ * @desc    Get the quotation as a PDF, re-rendered only when it changed since the stored copy (?format=json for a signed link)
+ * @access  Private (role-based)
+ */
+router.get('/:id/pdf', authenticate, requirePermission('quotation.view'), async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id)
+      .populate({
+        path: 'materialRequest',
+        select: 'project',
+        populate: {
+          path: 'project',
+          select: 'title location client assignedEmployees assignedVendors',
+        },
+      })
+      .populate('vendor', 'firstName lastName email phone vendorDetails');
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found',
+      });
+    }
+
+    if (!canViewQuotation(req, quotation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view this quotation.',
+      });
+    }
+
+    const { file, buffer } = await getGeneratedFile(req, () => quotationPdf(quotation), {
+      category: 'quotations',
+      filename: `${quotation.quotationNumber}-r${quotation.revision}.pdf`,
+      quotation: quotation._id,
+      sourceUpdatedAt: quotation.updatedAt,
+      tags: ['quotation-pdf'],
+    });
+
+    sendGeneratedFile(req, res, file, buffer);
+  } catch (error) {
+    console.error('Quotation PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate quotation PDF',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/quotations
  * @desc    Create new quotation
  * @access  Private (Vendor only)
  */
-router.post('/', authenticate, authorize('vendor'), async (req, res) => {
+router.post('/', authenticate, requirePermission('quotation.create'), async (req, res) => {
   try {
     const {
       materialRequestId,
@@ -245,7 +415,7 @@ router.post('/', authenticate, authorize('vendor'), async (req, res) => {
  * @desc    Submit quotation for review
  * @access  Private (Vendor only - own quotations)
  */
-router.put('/:id/submit', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id/submit', authenticate, requirePermission('quotation.create'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -275,6 +445,9 @@ router.put('/:id/submit', authenticate, authorize('vendor'), async (req, res) =>
     await quotation.submit();
     await quotation.populate('materialRequest vendor');
 
+    const io = req.app.get('io');
+    if (io) emitQuotationEvent(io, 'submitted', quotation);
+
     res.json({
       success: true,
       message: 'Quotation submitted successfully',
@@ -295,7 +468,7 @@ router.put('/:id/submit', authenticate, authorize('vendor'), async (req, res) =>
  * @desc    Approve quotation
  * @access  Private (Owner only)
  */
-router.put('/:id/approve', authenticate, isOwner, async (req, res) => {
+router.put('/:id/approve', authenticate, requirePermission('quotation.approve'), async (req, res) => {
   try {
     const { id } = req.params;
     const { comments = '', rating } = req.body;
@@ -318,6 +491,11 @@ router.put('/:id/approve', authenticate, isOwner, async (req, res) => {
     await quotation.approve(req.user._id, comments, rating);
     await quotation.populate('materialRequest vendor reviews.reviewedBy');
 
+    const io = req.app.get('io');
+    if (io) emitQuotationEvent(io, 'approved', quotation);
+    await notifyQuotationReviewed(io, quotation, 'approved', req.user._id);
+    await trySyncProjectBudget(quotation.materialRequest.project, io);
+
     res.json({
       success: true,
       message: 'Quotation approved successfully',
@@ -338,7 +516,7 @@ router.put('/:id/approve', authenticate, isOwner, async (req, res) => {
  * @desc    Reject quotation
  * @access  Private (Owner only)
  */
-router.put('/:id/reject', authenticate, isOwner, async (req, res) => {
+router.put('/:id/reject', authenticate, requirePermission('quotation.approve'), async (req, res) => {
   try {
     const { id } = req.params;
     const { comments = '' } = req.body;
@@ -361,6 +539,10 @@ router.put('/:id/reject', authenticate, isOwner, async (req, res) => {
     await quotation.reject(req.user._id, comments);
     await quotation.populate('materialRequest vendor reviews.reviewedBy');
 
+    const io = req.app.get('io');
+    if (io) emitQuotationEvent(io, 'rejected', quotation);
+    await notifyQuotationReviewed(io, quotation, 'rejected', req.user._id);
+
     res.json({
       success: true,
       message: 'Quotation rejected successfully',
@@ -381,7 +563,7 @@ router.put('/:id/reject', authenticate, isOwner, async (req, res) => {
  * @desc    Get quotations for a specific material request
  * @access  Private (role-based)
  */
-router.get('/material-request/:materialRequestId', authenticate, async (req, res) => {
+router.get('/material-request/:materialRequestId', authenticate, requirePermission('quotation.view'), async (req, res) => {
   try {
     const { materialRequestId } = req.params;
 
@@ -398,10 +580,9 @@ router.get('/material-request/:materialRequestId', authenticate, async (req, res
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      (req.user.role === 'client' && materialRequest.project.client.toString() === req.user._id.toString()) ||
-      (req.user.role === 'employee' && materialRequest.project.assignedEmployees.includes(req.user._id)) ||
-      (req.user.role === 'vendor' && materialRequest.assignedVendors.some(av => av.vendor.toString() === req.user._id.toString()));
+      can(req, 'quotation.viewAll') ||
+      isProjectMember(materialRequest.project, req.user) ||
+      includesId(materialRequest.assignedVendors.map(av => av.vendor), req.user._id);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -426,12 +607,68 @@ router.get('/material-request/:materialRequestId', authenticate, async (req, res
   }
 });
 
+/**
+ * @route   GET /api/quotations/material-request/:materialRequestId/comparison
+ * @desc    Compare the live quotations for a material request line by line
+ * @access  Private (project team; vendors never see competing bids)
+ */
+router.get('/material-request/:materialRequestId/comparison', authenticate, requirePermission('quotation.view'), async (req, res) => {
+  try {
+    const { materialRequestId } = req.params;
+
+    const materialRequest = await MaterialRequest.findById(materialRequestId)
+      .populate('project', 'title client assignedEmployees');
+
+    if (!materialRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material request not found',
+      });
+    }
+
+    if (!can(req, 'quotation.viewAll') && !isProjectMember(materialRequest.project, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const quotations = await Quotation.find({
+      materialRequest: materialRequestId,
+      status: { $in: COMPARABLE_STATUSES },
+    }).populate('vendor', 'firstName lastName vendorDetails.companyName');
+
+    const matrix = buildComparisonMatrix(materialRequest, quotations);
+
+    res.json({
+      success: true,
+      data: {
+        materialRequest: {
+          _id: materialRequest._id,
+          title: materialRequest.title,
+          status: materialRequest.status,
+          project: materialRequest.project,
+          currency: materialRequest.currency,
+        },
+        ...matrix,
+      },
+    });
+  } catch (error) {
+    console.error('Get quotation comparison error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare quotations',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   GET /api/quotations/vendor/my-quotations
  * @desc    Get vendor's own quotations
  * @access  Private (Vendor only)
  */
-router.get('/vendor/my-quotations', authenticate, authorize('vendor'), async (req, res) => {
+router.get('/vendor/my-quotations', authenticate, requirePermission('quotation.create'), async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
 
@@ -476,7 +713,7 @@ router.get('/vendor/my-quotations', authenticate, authorize('vendor'), async (re
  * @desc    Upload attachments to quotation
  * @access  Private (Vendor only - own quotations)
  */
-router.post('/:id/upload-attachments', authenticate, authorize('vendor'), uploadMultiple('attachments', 3), async (req, res) => {
+router.post('/:id/upload-attachments', authenticate, requirePermission('quotation.create'), uploadMultiple('attachments', 3), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -516,13 +753,14 @@ router.post('/:id/upload-attachments', authenticate, authorize('vendor'), upload
 
       return {
         name: file.originalname,
-        url: getFileUrl(req, `quotations/${file.filename}`),
+        url: getFileUrl(file),
         type,
       };
     });
 
     quotation.attachments.push(...attachments);
     await quotation.save();
+    await recordUploadedFiles(req, req.files, { quotation: quotation._id });
 
     res.json({
       success: true,
@@ -544,7 +782,7 @@ router.post('/:id/upload-attachments', authenticate, authorize('vendor'), upload
  * @desc    Get quotations pending review (Owner only)
  * @access  Private (Owner only)
  */
-router.get('/pending-review', authenticate, isOwner, async (req, res) => {
+router.get('/pending-review', authenticate, requirePermission('quotation.approve'), async (req, res) => {
   try {
     const quotations = await Quotation.findPending();
 
@@ -567,7 +805,7 @@ router.get('/pending-review', authenticate, isOwner, async (req, res) => {
  * @desc    Update quotation status (Owner only)
  * @access  Private (Owner only)
  */
-router.put('/:id/status', authenticate, isOwner, async (req, res) => {
+router.put('/:id/status', authenticate, requirePermission('quotation.approve'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, comments = '' } = req.body;
@@ -604,6 +842,10 @@ router.put('/:id/status', authenticate, isOwner, async (req, res) => {
       await quotation.save();
     }
 
+    if (status === 'approved' || status === 'rejected') {
+      await notifyQuotationReviewed(req.app.get('io'), quotation, status, req.user._id);
+    }
+
     await quotation.populate('reviews.reviewedBy', 'firstName lastName');
 
     res.json({
@@ -626,7 +868,7 @@ router.put('/:id/status', authenticate, isOwner, async (req, res) => {
  * @desc    Add a note/message to quotation (for negotiation chat)
  * @access  Private (Vendor, Client, Employee, Owner)
  */
-router.post('/:id/notes', authenticate, async (req, res) => {
+router.post('/:id/notes', authenticate, requirePermission('quotation.addNote'), async (req, res) => {
   try {
     const { id } = req.params;
     const { content } = req.body;
@@ -649,6 +891,17 @@ router.post('/:id/notes', authenticate, async (req, res) => {
       });
     }
 
+    // Only the quoting vendor and the project team may comment
+    if (!can(req, 'quotation.viewAll') && !sameId(quotation.vendor, req.user._id)) {
+      const project = await Project.findById(quotation.materialRequest.project).select('client assignedEmployees');
+      if (!isProjectMember(project, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied',
+        });
+      }
+    }
+
     // Add note to quotation
     quotation.notes.push({
       author: req.user._id,
@@ -661,12 +914,7 @@ router.post('/:id/notes', authenticate, async (req, res) => {
 
     // Emit socket event for real-time update
     const io = req.app.get('io');
-    if (io) {
-      io.emit('quotationUpdated', {
-        operation: 'noteAdded',
-        quotation: quotation,
-      });
-    }
+    if (io) emitQuotationEvent(io, 'noteAdded', quotation);
 
     res.json({
       success: true,
@@ -686,12 +934,312 @@ router.post('/:id/notes', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/quotations/:id/revisions
+ * @desc    List earlier versions of a quotation, each with its diff to the version that replaced it
+ * @access  Private (role-based)
+ */
+router.get('/:id/revisions', authenticate, requirePermission('quotation.view'), async (req, res) => {
+  try {
+    const quotation = await findQuotationWithProject(req.params.id)
+      .populate('revisions.revisedBy', 'firstName lastName');
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found',
+      });
+    }
+
+    if (!canViewQuotation(req, quotation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view this quotation.',
+      });
+    }
+
+    const revisions = quotation.revisions.map(revision => ({
+      ...revision.toObject(),
+      diff: diffRevisions(revision.toObject(), quotation.getRevision(revision.revisionNumber + 1)),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        currentRevision: quotation.revision,
+        current: quotation.snapshot(),
+        revisions,
+      },
+    });
+  } catch (error) {
+    console.error('Get quotation revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quotation revisions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quotations/:id/revisions/diff
+ * @desc    Compare two versions of a quotation (query: from, to; defaults to previous vs current)
+ * @access  Private (role-based)
+ */
+router.get('/:id/revisions/diff', authenticate, requirePermission('quotation.view'), async (req, res) => {
+  try {
+    const quotation = await findQuotationWithProject(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found',
+      });
+    }
+
+    if (!canViewQuotation(req, quotation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view this quotation.',
+      });
+    }
+
+    const to = parseInt(req.query.to, 10) || quotation.revision;
+    const from = parseInt(req.query.from, 10) || Math.max(to - 1, 1);
+    const fromRevision = quotation.getRevision(from);
+    const toRevision = quotation.getRevision(to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(400).json({
+        success: false,
+        message: `Revisions must be between 1 and ${quotation.revision}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { diff: diffRevisions(fromRevision, toRevision) },
+    });
+  } catch (error) {
+    console.error('Diff quotation revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare quotation revisions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quotations/:id/counter-offers
+ * @desc    Propose changed prices or terms; answers (counters) the other side's pending offer
+ * @access  Private (Vendor or project team)
+ */
+router.post('/:id/counter-offers', authenticate, requirePermission('quotation.negotiate'), validateCounterOffer, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { items = [], discountPercentage, deliveryTime, paymentMethod, message, counterTo } = req.body;
+
+    const quotation = await findQuotationWithProject(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found',
+      });
+    }
+
+    const party = negotiationParty(req, quotation);
+    if (!party) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if (!NEGOTIABLE_STATUSES.includes(quotation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted quotations can be negotiated',
+      });
+    }
+
+    if (items.length === 0 && discountPercentage == null && deliveryTime == null && !paymentMethod) {
+      return res.status(400).json({
+        success: false,
+        message: 'A counter-offer must propose at least one change',
+      });
+    }
+
+    const unknownItem = items.find(item => !quotation.items.id(item.quotationItem));
+    if (unknownItem) {
+      return res.status(400).json({
+        success: false,
+        message: `Item ${unknownItem.quotationItem} is not on this quotation`,
+      });
+    }
+
+    const pending = quotation.counterOffers.find(offer => offer.status === 'pending');
+    if (pending && pending.party === party) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your previous counter-offer is still awaiting a response',
+      });
+    }
+
+    if (counterTo && (!pending || !sameId(pending._id, counterTo))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the pending counter-offer can be countered',
+      });
+    }
+
+    // A new offer from the other side answers the pending one
+    if (pending) {
+      pending.status = 'countered';
+      pending.respondedBy = req.user._id;
+      pending.respondedAt = new Date();
+    }
+
+    quotation.counterOffers.push({
+      proposedBy: req.user._id,
+      party,
+      items: items.map(item => ({ quotationItem: item.quotationItem, unitPrice: item.unitPrice })),
+      discountPercentage,
+      deliveryTime,
+      paymentMethod,
+      message,
+      counterTo: pending ? pending._id : null,
+    });
+
+    await quotation.save();
+    const counterOffer = quotation.counterOffers[quotation.counterOffers.length - 1];
+
+    const io = req.app.get('io');
+    if (io) emitQuotationEvent(io, 'counterOffer', quotation);
+
+    await notifyCounterParty(io, quotation, party, {
+      type: 'counter_offer_received',
+      title: pending ? 'Counter-offer countered' : 'New counter-offer',
+      message: `A counter-offer was made on quotation ${quotation.quotationNumber}${message ? `: ${message}` : ''}`,
+      actor: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Counter-offer sent',
+      data: { counterOffer, quotation },
+    });
+  } catch (error) {
+    console.error('Create counter-offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send counter-offer',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/quotations/:id/counter-offers/:offerId/accept
+ * @desc    Accept the other side's counter-offer and apply it as a new quotation revision
+ * @access  Private (Vendor or project team)
+ */
+router.put('/:id/counter-offers/:offerId/accept', authenticate, requirePermission('quotation.negotiate'), async (req, res) => {
+  try {
+    const found = await findOfferToAnswer(req, res);
+    if (!found) return;
+
+    const { quotation, offer, party } = found;
+    if (quotation.missingOfferLines(offer).length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The quotation was revised after this counter-offer was made. Make a new counter-offer against the current lines.',
+      });
+    }
+
+    await quotation.acceptCounterOffer(offer, req.user._id, req.body.note);
+
+    const io = req.app.get('io');
+    if (io) emitQuotationEvent(io, 'counterOfferAccepted', quotation);
+
+    await notifyCounterParty(io, quotation, party, {
+      type: 'counter_offer_answered',
+      title: 'Counter-offer accepted',
+      message: `Your counter-offer on quotation ${quotation.quotationNumber} was accepted (revision ${offer.appliedRevision})`,
+      actor: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Counter-offer accepted',
+      data: { counterOffer: offer, quotation },
+    });
+  } catch (error) {
+    console.error('Accept counter-offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept counter-offer',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/quotations/:id/counter-offers/:offerId/reject
+ * @desc    Reject the other side's counter-offer
+ * @access  Private (Vendor or project team)
+ */
+router.put('/:id/counter-offers/:offerId/reject', authenticate, requirePermission('quotation.negotiate'), async (req, res) => {
+  try {
+    const found = await findOfferToAnswer(req, res);
+    if (!found) return;
+
+    const { quotation, offer, party } = found;
+    offer.status = 'rejected';
+    offer.respondedBy = req.user._id;
+    offer.respondedAt = new Date();
+    offer.responseNote = req.body.note;
+    await quotation.save();
+
+    const io = req.app.get('io');
+    if (io) emitQuotationEvent(io, 'counterOfferRejected', quotation);
+
+    await notifyCounterParty(io, quotation, party, {
+      type: 'counter_offer_answered',
+      title: 'Counter-offer rejected',
+      message: `Your counter-offer on quotation ${quotation.quotationNumber} was rejected${req.body.note ? `: ${req.body.note}` : ''}`,
+      actor: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Counter-offer rejected',
+      data: { counterOffer: offer, quotation },
+    });
+  } catch (error) {
+    console.error('Reject counter-offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject counter-offer',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   PUT /api/quotations/:id
  * @desc    Update quotation (for revising during negotiation)
  * @access  Private (Vendor only - own quotations)
  */
-router.put('/:id', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('quotation.create'), async (req, res) => {
   try {
     const { id } = req.params;
     const { items, deliveryTerms, paymentTerms, notes } = req.body;
@@ -720,6 +1268,12 @@ router.put('/:id', authenticate, authorize('vendor'), async (req, res) => {
       });
     }
 
+    // Archive the current version before negotiable fields change; offers on it no longer apply
+    if (items || deliveryTerms || paymentTerms) {
+      quotation.createRevision(req.user._id, notes);
+      quotation.supersedeCounterOffers(req.user._id, 'The vendor revised the quotation');
+    }
+
     // Update fields if provided
     if (items) quotation.items = items;
     if (deliveryTerms) quotation.deliveryTerms = { ...quotation.deliveryTerms, ...deliveryTerms };
@@ -737,12 +1291,7 @@ router.put('/:id', authenticate, authorize('vendor'), async (req, res) => {
 
     // Emit socket event for real-time update
     const io = req.app.get('io');
-    if (io) {
-      io.emit('quotationUpdated', {
-        operation: 'updated',
-        quotation: quotation,
-      });
-    }
+    if (io) emitQuotationEvent(io, 'updated', quotation);
 
     res.json({
       success: true,
@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  ensureSystemRoles,
+  clearPermissionCache,
+  findUnknownPermissions,
+} = require('../utils/permissions');
+
+/**
+ * Validate a permission list from a request body
+ * @returns {String|null} Error message, or null when valid
+ */
+const validatePermissionList = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'Permissions must be an array';
+  }
+
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get all roles with their permissions, and the permission catalogue
+ * @access  Private (role.manage)
+ */
+router.get('/', authenticate, requirePermission('role.manage'), async (req, res) => {
+  try {
+    await ensureSystemRoles();
+
+    const roles = await Role.find()
+      .populate('updatedBy', 'firstName lastName')
+      .sort({ isSystem: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      },
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get roles',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role based on a user role (e.g. a procurement manager employee)
+ * @access  Private (role.manage)
+ */
+router.post('/', authenticate, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const { name, label, description, baseRole, permissions = [] } = req.body;
+
+    if (!name || !label || !baseRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, label and base role are required',
+      });
+    }
+
+    if (baseRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Owners always have every permission',
+      });
+    }
+
+    const permissionError = validatePermissionList(permissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError,
+      });
+    }
+
+    await ensureSystemRoles();
+
+    const existingRole = await Role.findOne({ name: String(name).toLowerCase() });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists',
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      label,
+      description,
+      baseRole,
+      permissions: [...new Set(permissions)],
+      updatedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: Object.values(error.errors).map(err => err.message),
+      });
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/roles/:name
+ * @desc    Update a role's permissions, label or description
+ * @access  Private (role.manage)
+ */
+router.put('/:name', authenticate, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { label, description, permissions } = req.body;
+
+    if (name === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Owners always have every permission',
+      });
+    }
+
+    if (permissions !== undefined) {
+      const permissionError = validatePermissionList(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError,
+        });
+      }
+    }
+
+    await ensureSystemRoles();
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (label !== undefined) role.label = label;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role },
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/roles/:name
+ * @desc    Delete a custom role that is no longer assigned to anyone
+ * @access  Private (role.manage)
+ */
+router.delete('/:name', authenticate, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted',
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ accessRole: role.name });
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${assignedUsers} user(s). Reassign them first.`,
+      });
+    }
+
+    await role.deleteOne();
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
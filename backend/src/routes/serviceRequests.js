@@ -3,7 +3,8 @@ const router = express.Router();
 const { validationResult } = require('express-validator');
 const ServiceRequest = require('../models/ServiceRequest');
 const User = require('../models/User');
-const { authenticate, authorize, isOwner } = require('../middleware/auth');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const { sameId } = require('../utils/access');
 const { uploadMultiple, getFileUrl } = require('../middleware/upload');
 
 /**
@@ -11,7 +12,7 @@ const { uploadMultiple, getFileUrl } = require('../middleware/upload');
  * @desc    Get service requests (role-based access)
  * @access  Private
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requirePermission('serviceRequest.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, requestType, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
@@ -19,12 +20,13 @@ router.get('/', authenticate, async (req, res) => {
     if (status) filters.status = status;
     if (requestType) filters.requestType = requestType;
 
-    const requests = await ServiceRequest.getByUserRole(req.user, filters)
+    const viewAll = can(req, 'serviceRequest.viewAll');
+    const requests = await ServiceRequest.findAccessible(req.user, filters, viewAll)
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 });
 
-    const total = await ServiceRequest.countDocuments(filters);
+    const total = await ServiceRequest.countDocuments(ServiceRequest.accessibleQuery(req.user, filters, viewAll));
 
     res.json({
       success: true,
@@ -52,7 +54,7 @@ router.get('/', authenticate, async (req, res) => {
  * @desc    Create new service request
  * @access  Private
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('serviceRequest.create'), async (req, res) => {
   try {
     const {
       requestType,
@@ -100,7 +102,7 @@ router.post('/', authenticate, async (req, res) => {
  * @desc    Get service request by ID
  * @access  Private (role-based)
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('serviceRequest.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -120,9 +122,9 @@ router.get('/:id', authenticate, async (req, res) => {
 
     // Check access permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      request.requestedBy._id.toString() === req.user._id.toString() ||
-      (request.assignedVendor && request.assignedVendor._id.toString() === req.user._id.toString());
+      can(req, 'serviceRequest.viewAll') ||
+      sameId(request.requestedBy, req.user._id) ||
+      sameId(request.assignedVendor, req.user._id);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -150,7 +152,7 @@ router.get('/:id', authenticate, async (req, res) => {
  * @desc    Assign vendor to service request
  * @access  Private (Owner only)
  */
-router.put('/:id/assign', authenticate, isOwner, async (req, res) => {
+router.put('/:id/assign', authenticate, requirePermission('serviceRequest.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { vendorId } = req.body;
@@ -195,9 +197,9 @@ router.put('/:id/assign', authenticate, isOwner, async (req, res) => {
 /**
  * @route   PUT /api/service-requests/:id/status
  * @desc    Update service request status
- * @access  Private (Owner, assigned vendor, or requester)
+ * @access  Private (serviceRequest.manage, assigned vendor, or requester)
  */
-router.put('/:id/status', authenticate, async (req, res) => {
+router.put('/:id/status', authenticate, requirePermission('serviceRequest.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -212,9 +214,9 @@ router.put('/:id/status', authenticate, async (req, res) => {
 
     // Check permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      request.requestedBy.toString() === req.user._id.toString() ||
-      (request.assignedVendor && request.assignedVendor.toString() === req.user._id.toString());
+      can(req, 'serviceRequest.manage') ||
+      sameId(request.requestedBy, req.user._id) ||
+      sameId(request.assignedVendor, req.user._id);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -243,9 +245,9 @@ router.put('/:id/status', authenticate, async (req, res) => {
 /**
  * @route   POST /api/service-requests/:id/communication
  * @desc    Add communication to service request
- * @access  Private (Owner, assigned vendor, or requester)
+ * @access  Private (serviceRequest.manage, assigned vendor, or requester)
  */
-router.post('/:id/communication', authenticate, async (req, res) => {
+router.post('/:id/communication', authenticate, requirePermission('serviceRequest.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { message, isInternal = false } = req.body;
@@ -260,9 +262,9 @@ router.post('/:id/communication', authenticate, async (req, res) => {
 
     // Check permissions
     const hasAccess =
-      req.user.role === 'owner' ||
-      request.requestedBy.toString() === req.user._id.toString() ||
-      (request.assignedVendor && request.assignedVendor.toString() === req.user._id.toString());
+      can(req, 'serviceRequest.manage') ||
+      sameId(request.requestedBy, req.user._id) ||
+      sameId(request.assignedVendor, req.user._id);
 
     if (!hasAccess) {
       return res.status(403).json({
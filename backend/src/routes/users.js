@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { authenticate, isOwner, authorize } = require('../middleware/auth');
+const Role = require('../models/Role');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/sessions');
 
 /**
  * @route   GET /api/users
  * @desc    Get all users (Owner only)
  * @access  Private (Owner only)
  */
-router.get('/', authenticate, isOwner, async (req, res) => {
+router.get('/', authenticate, requirePermission('user.view'), async (req, res) => {
   try {
     const { role, page = 1, limit = 10, search } = req.query;
     
@@ -62,12 +64,12 @@ router.get('/', authenticate, isOwner, async (req, res) => {
  * @desc    Get user by ID
  * @access  Private (Owner or self)
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission(), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Users can only view their own profile unless they are owner
-    if (req.user.role !== 'owner' && req.user._id.toString() !== id) {
+    // Users can only view their own profile unless they hold user.view
+    if (!can(req, 'user.view') && req.user._id.toString() !== id) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own profile.',
@@ -102,7 +104,7 @@ router.get('/:id', authenticate, async (req, res) => {
  * @desc    Update user status (activate/deactivate)
  * @access  Private (Owner only)
  */
-router.put('/:id/status', authenticate, isOwner, async (req, res) => {
+router.put('/:id/status', authenticate, requirePermission('user.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { isActive } = req.body;
@@ -134,6 +136,11 @@ router.put('/:id/status', authenticate, isOwner, async (req, res) => {
         message: 'User not found',
       });
     }
+
+    // Deactivated users lose access on every device immediately
+    if (!isActive) {
+      await revokeUserSessions(req.app.get('io'), user._id, 'deactivated');
+    }
     
     res.json({
       success: true,
@@ -150,12 +157,69 @@ router.put('/:id/status', authenticate, isOwner, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/users/:id/access-role
+ * @desc    Assign a custom role to a user, or clear it with null
+ * @access  Private (role.manage)
+ */
+router.put('/:id/access-role', authenticate, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { accessRole } = req.body;
+
+    const user = await User.findById(id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (accessRole) {
+      const role = await Role.findOne({ name: String(accessRole).toLowerCase() });
+      if (!role || role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom role not found',
+        });
+      }
+
+      // A custom role refines a user role, it never changes which records the user is scoped to
+      if (role.baseRole !== user.role) {
+        return res.status(400).json({
+          success: false,
+          message: `Role "${role.name}" can only be assigned to ${role.baseRole} users`,
+        });
+      }
+
+      user.accessRole = role.name;
+    } else {
+      user.accessRole = null;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Access role updated successfully',
+      data: { user },
+    });
+  } catch (error) {
+    console.error('Update access role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update access role',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user (soft delete by deactivating)
  * @access  Private (Owner only)
  */
-router.delete('/:id', authenticate, isOwner, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('user.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -179,6 +243,8 @@ router.delete('/:id', authenticate, isOwner, async (req, res) => {
         message: 'User not found',
       });
     }
+
+    await revokeUserSessions(req.app.get('io'), user._id, 'deactivated');
     
     res.json({
       success: true,
@@ -200,7 +266,7 @@ router.delete('/:id', authenticate, isOwner, async (req, res) => {
  * @desc    Get users by role
  * @access  Private (Owner and Employee)
  */
-router.get('/role/:role', authenticate, authorize('owner', 'employee'), async (req, res) => {
+router.get('/role/:role', authenticate, requirePermission('user.viewByRole'), async (req, res) => {
   try {
     const { role } = req.params;
     
@@ -0,0 +1,636 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const VendorInvoice = require('../models/VendorInvoice');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
+const { validateVendorInvoice } = require('../middleware/validation');
+const { uploadSingle, getFileUrl } = require('../middleware/upload');
+const { recordUploadedFiles } = require('../utils/files');
+const { notifyUsers, notifyRole } = require('../utils/notifications');
+const { sameId, isProjectMember, getMemberProjectIds } = require('../utils/access');
+const { trySyncProjectBudget } = require('../utils/budget');
+
+// Invoices still owed to the vendor
+const UNPAID_STATUSES = ['submitted', 'approved', 'disputed'];
+const AGING_BUCKETS = ['current', '1-30', '31-60', '61-90', '90+'];
+
+/**
+ * Build the notification payload shared by vendor invoice events
+ */
+const vendorInvoiceNotification = (invoice, type, title, message, actor) => ({
+  type,
+  title,
+  message,
+  entityType: 'vendorInvoice',
+  entityId: invoice._id,
+  project: invoice.project._id || invoice.project,
+  actor,
+});
+
+/**
+ * Check whether the user may see an invoice (project populated with client and assignedEmployees)
+ */
+const canViewInvoice = (req, invoice) =>
+  can(req, 'vendorInvoice.viewAll') ||
+  sameId(invoice.vendor, req.user._id) ||
+  isProjectMember(invoice.project, req.user);
+
+/**
+ * Build invoice lines from the request, copying names and units from the purchase order.
+ * Without lines, every received quantity not yet billed is invoiced at the PO price.
+ */
+const buildItems = async (purchaseOrder, items, invoiceId) => {
+  if (items && items.length > 0) {
+    return items.map(item => {
+      const poItem = purchaseOrder.items.id(item.purchaseOrderItem);
+      return {
+        purchaseOrderItem: item.purchaseOrderItem,
+        materialName: poItem ? poItem.materialName : undefined,
+        unit: poItem ? poItem.unit : undefined,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+      };
+    });
+  }
+
+  const invoiced = await VendorInvoice.getInvoicedQuantities(purchaseOrder._id, invoiceId);
+  return purchaseOrder.items
+    .map(poItem => ({
+      purchaseOrderItem: poItem._id,
+      materialName: poItem.materialName,
+      unit: poItem.unit,
+      quantity: poItem.deliveredQuantity - (invoiced[poItem._id.toString()] || 0),
+      unitPrice: poItem.unitPrice,
+    }))
+    .filter(item => item.quantity > 0);
+};
+
+/**
+ * Load an invoice the current vendor owns, sending the error response when it cannot be edited
+ * @returns {Promise<Object|null>}
+ */
+const findOwnEditableInvoice = async (req, res) => {
+  const invoice = await VendorInvoice.findById(req.params.id);
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      message: 'Invoice not found',
+    });
+    return null;
+  }
+
+  if (!sameId(invoice.vendor, req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only change your own invoices',
+    });
+    return null;
+  }
+
+  if (!['draft', 'disputed'].includes(invoice.status)) {
+    res.status(400).json({
+      success: false,
+      message: 'Only draft or disputed invoices can be changed',
+    });
+    return null;
+  }
+
+  return invoice;
+};
+
+/**
+ * @route   GET /api/vendor-invoices
+ * @desc    Get vendor invoices (role-based access)
+ * @access  Private
+ */
+router.get('/', authenticate, requirePermission('vendorInvoice.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, matchStatus, purchaseOrderId, projectId } = req.query;
+
+    const query = {};
+
+    // Without vendorInvoice.viewAll users see their own invoices and those for their projects
+    if (!can(req, 'vendorInvoice.viewAll')) {
+      const memberProjects = await getMemberProjectIds(req.user);
+      query.$or = [
+        { vendor: req.user._id },
+        { project: { $in: memberProjects } },
+      ];
+    }
+
+    if (status) query.status = status;
+    if (matchStatus) query.matchStatus = matchStatus;
+    if (purchaseOrderId) query.purchaseOrder = purchaseOrderId;
+    if (projectId) query.project = projectId;
+
+    const [invoices, total] = await Promise.all([
+      VendorInvoice.find(query)
+        .populate('purchaseOrder', 'purchaseOrderNumber title')
+        .populate('project', 'title')
+        .populate('vendor', 'firstName lastName vendorDetails.companyName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      VendorInvoice.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get vendor invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get vendor invoices',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor-invoices/aging
+ * @desc    Payables aging: unpaid invoices grouped by days past the PO payment due date
+ * @access  Private (vendorInvoice.viewAll)
+ */
+router.get('/aging', authenticate, requirePermission('vendorInvoice.viewAll'), async (req, res) => {
+  try {
+    const invoices = await VendorInvoice.find({ status: { $in: UNPAID_STATUSES } })
+      .populate('vendor', 'firstName lastName vendorDetails.companyName')
+      .populate('purchaseOrder', 'purchaseOrderNumber')
+      .sort({ dueDate: 1 });
+
+    const buckets = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, { count: 0, amount: 0, invoices: [] }]));
+
+    invoices.forEach(invoice => {
+      const bucket = buckets[invoice.agingBucket];
+      bucket.count++;
+      bucket.amount += invoice.totalAmount;
+      bucket.invoices.push(invoice);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        buckets,
+        totalOutstanding: invoices.reduce((total, invoice) => total + invoice.totalAmount, 0),
+      },
+    });
+  } catch (error) {
+    console.error('Get vendor invoice aging error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoice aging',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor-invoices/:id
+ * @desc    Get vendor invoice by ID, with match results
+ * @access  Private (role-based)
+ */
+router.get('/:id', authenticate, requirePermission('vendorInvoice.view'), async (req, res) => {
+  try {
+    const invoice = await VendorInvoice.findById(req.params.id)
+      .populate('purchaseOrder', 'purchaseOrderNumber title items paymentTerms status')
+      .populate('project', 'title client assignedEmployees')
+      .populate('vendor', 'firstName lastName email vendorDetails.companyName')
+      .populate('approvedBy', 'firstName lastName')
+      .populate('dispute.raisedBy', 'firstName lastName')
+      .populate('payment.paidBy', 'firstName lastName');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (!canViewInvoice(req, invoice)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Get vendor invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/vendor-invoices
+ * @desc    Create a draft invoice against one of the vendor's purchase orders
+ * @access  Private (vendorInvoice.submit - own POs)
+ */
+router.post('/', authenticate, requirePermission('vendorInvoice.submit'), validateVendorInvoice, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { purchaseOrderId, invoiceNumber, invoiceDate, items, tax, deliveryCharges } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found',
+      });
+    }
+
+    if (!sameId(purchaseOrder.vendor, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only invoice your own purchase orders',
+      });
+    }
+
+    if (['draft', 'cancelled'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Draft or cancelled purchase orders cannot be invoiced',
+      });
+    }
+
+    const invoiceItems = await buildItems(purchaseOrder, items);
+    if (invoiceItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no received quantities left to invoice on this purchase order',
+      });
+    }
+
+    const invoice = new VendorInvoice({
+      invoiceNumber,
+      invoiceDate,
+      purchaseOrder: purchaseOrder._id,
+      project: purchaseOrder.project,
+      vendor: req.user._id,
+      items: invoiceItems,
+      tax: { percentage: tax?.percentage ?? purchaseOrder.tax.percentage },
+      deliveryCharges: deliveryCharges ?? 0,
+      currency: purchaseOrder.currency,
+      dueDate: purchaseOrder.paymentTerms.paymentDueDate || null,
+    });
+
+    await invoice.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice created successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already used this invoice number',
+      });
+    }
+    console.error('Create vendor invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor-invoices/:id
+ * @desc    Update a draft or disputed invoice
+ * @access  Private (vendorInvoice.submit - own invoices)
+ */
+router.put('/:id', authenticate, requirePermission('vendorInvoice.submit'), async (req, res) => {
+  try {
+    const invoice = await findOwnEditableInvoice(req, res);
+    if (!invoice) return;
+
+    const { invoiceNumber, invoiceDate, items, tax, deliveryCharges } = req.body;
+
+    if (items) {
+      const purchaseOrder = await PurchaseOrder.findById(invoice.purchaseOrder);
+      invoice.items = await buildItems(purchaseOrder, items, invoice._id);
+      invoice.matchStatus = 'pending';
+    }
+    if (invoiceNumber) invoice.invoiceNumber = invoiceNumber;
+    if (invoiceDate) invoice.invoiceDate = invoiceDate;
+    if (tax) invoice.tax = { ...invoice.tax.toObject(), ...tax };
+    if (deliveryCharges !== undefined) invoice.deliveryCharges = deliveryCharges;
+
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Update vendor invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/vendor-invoices/:id/document
+ * @desc    Upload the invoice document
+ * @access  Private (vendorInvoice.submit - own invoices)
+ */
+router.post('/:id/document', authenticate, requirePermission('vendorInvoice.submit'), uploadSingle('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+      });
+    }
+
+    const invoice = await findOwnEditableInvoice(req, res);
+    if (!invoice) return;
+
+    invoice.document = {
+      name: req.file.originalname,
+      url: getFileUrl(req.file),
+      uploadedAt: new Date(),
+    };
+    await invoice.save();
+    await recordUploadedFiles(req, [req.file], { vendorInvoice: invoice._id, tags: ['vendor-invoice'] });
+
+    res.json({
+      success: true,
+      message: 'Invoice document uploaded successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Upload vendor invoice document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload invoice document',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor-invoices/:id/submit
+ * @desc    Submit an invoice for approval; runs the three-way match
+ * @access  Private (vendorInvoice.submit - own invoices)
+ */
+router.put('/:id/submit', authenticate, requirePermission('vendorInvoice.submit'), async (req, res) => {
+  try {
+    const invoice = await findOwnEditableInvoice(req, res);
+    if (!invoice) return;
+
+    if (!invoice.document || !invoice.document.url) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the invoice document before submitting',
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(invoice.purchaseOrder);
+    await invoice.runThreeWayMatch(purchaseOrder);
+
+    invoice.status = 'submitted';
+    invoice.submittedAt = new Date();
+    await invoice.save();
+
+    const matchNote = invoice.matchStatus === 'matched'
+      ? 'matches the purchase order and deliveries'
+      : `has ${invoice.matchIssues.length} mismatch(es)`;
+
+    await notifyRole(req.app.get('io'), 'owner', vendorInvoiceNotification(
+      invoice,
+      'vendor_invoice_submitted',
+      'Vendor invoice submitted',
+      `Invoice ${invoice.invoiceNumber} for ${purchaseOrder.purchaseOrderNumber} ${matchNote}`,
+      req.user._id
+    ), [purchaseOrder.createdBy]);
+
+    res.json({
+      success: true,
+      message: 'Invoice submitted successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Submit vendor invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor-invoices/:id/approve
+ * @desc    Approve a submitted invoice. The match is re-run first; mismatches
+ *          need `acceptMismatch: true` to approve anyway.
+ * @access  Private (vendorInvoice.approve)
+ */
+router.put('/:id/approve', authenticate, requirePermission('vendorInvoice.approve'), async (req, res) => {
+  try {
+    const { acceptMismatch = false } = req.body;
+
+    const invoice = await VendorInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (invoice.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted invoices can be approved',
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(invoice.purchaseOrder);
+    await invoice.runThreeWayMatch(purchaseOrder);
+
+    if (invoice.matchStatus === 'mismatch' && !acceptMismatch) {
+      await invoice.save();
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice does not match the purchase order and deliveries',
+        data: { matchIssues: invoice.matchIssues },
+      });
+    }
+
+    invoice.status = 'approved';
+    invoice.approvedBy = req.user._id;
+    invoice.approvedAt = new Date();
+    await invoice.save();
+
+    await notifyUsers(req.app.get('io'), [invoice.vendor], vendorInvoiceNotification(
+      invoice,
+      'vendor_invoice_approved',
+      'Invoice approved',
+      `Your invoice ${invoice.invoiceNumber} for ${purchaseOrder.purchaseOrderNumber} was approved`,
+      req.user._id
+    ));
+
+    res.json({
+      success: true,
+      message: 'Invoice approved successfully',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Approve vendor invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor-invoices/:id/dispute
+ * @desc    Dispute a submitted or approved invoice; the vendor can correct and resubmit it
+ * @access  Private (vendorInvoice.approve)
+ */
+router.put('/:id/dispute', authenticate, requirePermission('vendorInvoice.approve'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A dispute reason is required',
+      });
+    }
+
+    const invoice = await VendorInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (!['submitted', 'approved'].includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted or approved invoices can be disputed',
+      });
+    }
+
+    invoice.status = 'disputed';
+    invoice.dispute = { reason, raisedBy: req.user._id, raisedAt: new Date() };
+    invoice.approvedBy = null;
+    invoice.approvedAt = null;
+    await invoice.save();
+
+    await notifyUsers(req.app.get('io'), [invoice.vendor], vendorInvoiceNotification(
+      invoice,
+      'vendor_invoice_disputed',
+      'Invoice disputed',
+      `Invoice ${invoice.invoiceNumber} was disputed: ${reason}`,
+      req.user._id
+    ));
+
+    res.json({
+      success: true,
+      message: 'Invoice disputed',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Dispute vendor invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dispute invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor-invoices/:id/pay
+ * @desc    Mark an approved invoice as paid
+ * @access  Private (vendorInvoice.pay)
+ */
+router.put('/:id/pay', authenticate, requirePermission('vendorInvoice.pay'), async (req, res) => {
+  try {
+    const { paidAt, method, reference } = req.body;
+
+    const invoice = await VendorInvoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (invoice.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved invoices can be marked as paid',
+      });
+    }
+
+    invoice.status = 'paid';
+    invoice.payment = {
+      paidAt: paidAt ? new Date(paidAt) : new Date(),
+      method,
+      reference,
+      paidBy: req.user._id,
+    };
+    await invoice.save();
+    await trySyncProjectBudget(invoice.project, req.app.get('io'));
+
+    await notifyUsers(req.app.get('io'), [invoice.vendor], vendorInvoiceNotification(
+      invoice,
+      'vendor_invoice_paid',
+      'Invoice paid',
+      `Invoice ${invoice.invoiceNumber} for ${invoice.currency} ${invoice.totalAmount.toFixed(2)} was paid`,
+      req.user._id
+    ));
+
+    res.json({
+      success: true,
+      message: 'Invoice marked as paid',
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error('Pay vendor invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark invoice as paid',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission, can } = require('../middleware/auth');
 const WorkStatus = require('../models/WorkStatus');
 const Quotation = require('../models/Quotation');
 const MaterialRequest = require('../models/MaterialRequest');
+const { emitToProject, emitToUsers } = require('../utils/socket');
+const { notifyRole } = require('../utils/notifications');
+
+/**
+ * Emit a work status event to the vendor and the project team of its material request
+ */
+const emitWorkStatusEvent = async (io, operation, workStatus) => {
+  const payload = { operation, workStatus };
+  const materialRequest = await MaterialRequest.findById(workStatus.materialRequest).select('project');
+  if (materialRequest) {
+    emitToProject(io, materialRequest.project, 'workStatusUpdated', payload, { includeVendors: false });
+  }
+  emitToUsers(io, workStatus.vendor, 'workStatusUpdated', payload);
+};
+
+/**
+ * Notify owners and the material request's requester about a vendor progress update
+ */
+const notifyWorkStatus = async (io, workStatus, actor) => {
+  const materialRequest = await MaterialRequest.findById(workStatus.materialRequest)
+    .select('title project requestedBy');
+  if (!materialRequest) return;
+
+  const notification = {
+    type: 'work_status_updated',
+    title: 'Work status updated',
+    message: `"${materialRequest.title}" is ${workStatus.progress}% complete: ${workStatus.message}`.slice(0, 500),
+    entityType: 'workStatus',
+    entityId: workStatus._id,
+    project: materialRequest.project,
+    actor,
+  };
+  await notifyRole(io, 'owner', notification, [materialRequest.requestedBy]);
+};
 
 /**
  * @route   POST /api/work-status
  * @desc    Create a new work status update
  * @access  Private (Vendor only)
  */
-router.post('/', authenticate, authorize('vendor'), async (req, res) => {
+router.post('/', authenticate, requirePermission('workStatus.submit'), async (req, res) => {
   try {
     const { quotationId, materialRequestId, message, progress, attachments } = req.body;
 
@@ -62,12 +96,8 @@ router.post('/', authenticate, authorize('vendor'), async (req, res) => {
 
     // Emit socket event for real-time update
     const io = req.app.get('io');
-    if (io) {
-      io.emit('workStatusUpdated', {
-        operation: 'created',
-        workStatus: workStatus,
-      });
-    }
+    if (io) await emitWorkStatusEvent(io, 'created', workStatus);
+    await notifyWorkStatus(io, workStatus, req.user._id);
 
     res.status(201).json({
       success: true,
@@ -89,7 +119,7 @@ router.post('/', authenticate, authorize('vendor'), async (req, res) => {
  * @desc    Get work status updates (filtered by query params)
  * @access  Private
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requirePermission('workStatus.view'), async (req, res) => {
   try {
     const { quotationId, materialRequestId, vendorId } = req.query;
     const query = {};
@@ -98,8 +128,8 @@ router.get('/', authenticate, async (req, res) => {
     if (materialRequestId) query.materialRequest = materialRequestId;
     if (vendorId) query.vendor = vendorId;
 
-    // If vendor, only show their own updates
-    if (req.user.role === 'vendor') {
+    // Without workStatus.viewAll users only see their own updates
+    if (!can(req, 'workStatus.viewAll')) {
       query.vendor = req.user._id;
     }
 
@@ -127,7 +157,7 @@ router.get('/', authenticate, async (req, res) => {
  * @desc    Get a single work status update
  * @access  Private
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('workStatus.view'), async (req, res) => {
   try {
     const workStatus = await WorkStatus.findById(req.params.id)
       .populate('vendor', 'firstName lastName')
@@ -161,7 +191,7 @@ router.get('/:id', authenticate, async (req, res) => {
  * @desc    Update an existing work status update
  * @access  Private (Vendor only)
  */
-router.put('/:id', authenticate, authorize('vendor'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('workStatus.submit'), async (req, res) => {
   try {
     const { message, progress, attachments } = req.body;
     const { id } = req.params;
@@ -213,12 +243,8 @@ router.put('/:id', authenticate, authorize('vendor'), async (req, res) => {
 
     // Emit socket event for real-time update
     const io = req.app.get('io');
-    if (io) {
-      io.emit('workStatusUpdated', {
-        operation: 'updated',
-        workStatus: workStatus,
-      });
-    }
+    if (io) await emitWorkStatusEvent(io, 'updated', workStatus);
+    await notifyWorkStatus(io, workStatus, req.user._id);
 
     res.json({
       success: true,
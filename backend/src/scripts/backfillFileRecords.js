@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Project = require('../models/Project');
+const Quotation = require('../models/Quotation');
+const User = require('../models/User');
+const { FILE_CATEGORIES, getUploadPath, parseFileUrl } = require('../utils/files');
+require('dotenv').config();
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.txt': 'text/plain',
+};
+
+/**
+ * Find where a legacy upload actually lives on disk.
+ * Older quotation attachments were saved under images/ or documents/ while their URL said quotations/.
+ */
+const locateUpload = ({ category, filename }) => {
+  const candidates = [category, ...FILE_CATEGORIES.filter(c => c !== category)];
+  const found = candidates.find(c => fs.existsSync(getUploadPath(c, filename)));
+  return found ? { category: found, filename } : null;
+};
+
+/**
+ * Ensure a File record exists for a stored URL and return the URL to store instead
+ * @returns {Promise<String|null>} Rewritten /api/files URL, or null when the URL is external/missing
+ */
+const backfillUrl = async (url, { name, uploadedBy, project, quotation, tags = [] }, stats) => {
+  const parsed = parseFileUrl(url);
+  if (!parsed) return null;
+
+  const location = locateUpload(parsed);
+  if (!location) {
+    console.warn(`  ! Missing on disk: ${url}`);
+    stats.missing++;
+    return null;
+  }
+
+  const existing = await File.findByLocation(location.category, location.filename);
+  if (!existing) {
+    const filePath = getUploadPath(location.category, location.filename);
+    await File.create({
+      filename: location.filename,
+      originalName: name || location.filename,
+      category: location.category,
+      mimeType: MIME_TYPES[path.extname(location.filename).toLowerCase()] || 'application/octet-stream',
+      size: fs.statSync(filePath).size,
+      path: filePath,
+      uploadedBy,
+      project,
+      quotation,
+      tags,
+    });
+    stats.created++;
+  }
+
+  return `/api/files/${location.category}/${location.filename}`;
+};
+
+const backfillFileRecords = async () => {
+  const stats = { created: 0, rewritten: 0, missing: 0 };
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/houseway_db');
+    console.log('Connected to MongoDB');
+
+    // Project documents and images
+    const projects = await Project.find({
+      $or: [{ 'documents.0': { $exists: true } }, { 'images.0': { $exists: true } }],
+    });
+    console.log(`Processing ${projects.length} projects...`);
+
+    for (const project of projects) {
+      let changed = false;
+
+      for (const entry of [...project.documents, ...project.images]) {
+        const url = await backfillUrl(entry.url, {
+          name: entry.name,
+          uploadedBy: entry.uploadedBy || project.createdBy || project.client,
+          project: project._id,
+          tags: entry.type ? [entry.type] : [],
+        }, stats);
+
+        if (url && url !== entry.url) {
+          entry.url = url;
+          changed = true;
+          stats.rewritten++;
+        }
+      }
+
+      if (changed) await project.save({ validateBeforeSave: false });
+    }
+
+    // Quotation attachments
+    const quotations = await Quotation.find({ 'attachments.0': { $exists: true } });
+    console.log(`Processing ${quotations.length} quotations...`);
+
+    for (const quotation of quotations) {
+      let changed = false;
+
+      for (const attachment of quotation.attachments) {
+        const url = await backfillUrl(attachment.url, {
+          name: attachment.name,
+          uploadedBy: quotation.vendor,
+          quotation: quotation._id,
+        }, stats);
+
+        if (url && url !== attachment.url) {
+          attachment.url = url;
+          changed = true;
+          stats.rewritten++;
+        }
+      }
+
+      if (changed) await quotation.save({ validateBeforeSave: false });
+    }
+
+    // Profile photos
+    const users = await User.find({ profileImage: { $nin: [null, ''] } });
+    console.log(`Processing ${users.length} profile photos...`);
+
+    for (const user of users) {
+      const url = await backfillUrl(user.profileImage, {
+        uploadedBy: user._id,
+        tags: ['profile-photo'],
+      }, stats);
+
+      if (url && url !== user.profileImage) {
+        await User.updateOne({ _id: user._id }, { profileImage: url });
+        stats.rewritten++;
+      }
+    }
+
+    console.log('\nBackfill complete:');
+    console.log(`- File records created: ${stats.created}`);
+    console.log(`- URLs rewritten: ${stats.rewritten}`);
+    console.log(`- Files missing on disk: ${stats.missing}`);
+  } catch (error) {
+    console.error('Error backfilling file records:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+  }
+};
+
+// Run the script
+if (require.main === module) {
+  backfillFileRecords();
+}
+
+module.exports = backfillFileRecords;
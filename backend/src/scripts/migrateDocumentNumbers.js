@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Quotation = require('../models/Quotation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ClientInvoice = require('../models/ClientInvoice');
+const VendorInvoice = require('../models/VendorInvoice');
+const MaterialRequest = require('../models/MaterialRequest');
+const ServiceRequest = require('../models/ServiceRequest');
+const { getCounterYear, parseNumber, nextNumber } = require('../utils/numbering');
+require('dotenv').config();
+
+const NUMBERED_MODELS = [
+  { series: 'quotation', model: Quotation, field: 'quotationNumber' },
+  { series: 'purchaseOrder', model: PurchaseOrder, field: 'purchaseOrderNumber' },
+  { series: 'clientInvoice', model: ClientInvoice, field: 'invoiceNumber' },
+  { series: 'vendorInvoice', model: VendorInvoice, field: 'referenceNumber' },
+  { series: 'materialRequest', model: MaterialRequest, field: 'requestNumber' },
+  { series: 'serviceRequest', model: ServiceRequest, field: 'requestNumber' },
+];
+
+/**
+ * Renumber one series. Numbers already in the current format are kept and only
+ * push the counters forward; legacy (timestamp) or missing numbers get the next
+ * number for the year the document was created, oldest first.
+ */
+const migrateSeries = async ({ series, model, field }, stats) => {
+  const documents = await model.find({})
+    .select(`${field} createdAt`)
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  console.log(`Processing ${documents.length} ${model.modelName} records...`);
+
+  const legacy = [];
+  for (const document of documents) {
+    const parsed = parseNumber(series, document[field]);
+    if (parsed && parsed.seq !== null) {
+      const year = getCounterYear(series, parsed.year ? new Date(parsed.year, 0, 1) : document.createdAt);
+      await Counter.ensureAtLeast(series, year, parsed.seq);
+      stats.kept++;
+    } else {
+      legacy.push(document);
+    }
+  }
+
+  for (const document of legacy) {
+    const number = await nextNumber(series, document.createdAt || document._id.getTimestamp());
+    // Plain update: skips totals/validation hooks and the audit trail on historical records
+    await model.collection.updateOne({ _id: document._id }, { $set: { [field]: number } });
+    console.log(`  ${document[field] || '(none)'} -> ${number}`);
+    stats.renumbered++;
+  }
+};
+
+const migrateDocumentNumbers = async () => {
+  const stats = { kept: 0, renumbered: 0 };
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/houseway_db');
+    console.log('Connected to MongoDB');
+
+    // Make sure the unique indexes (including the new requestNumber ones) exist first
+    await Counter.syncIndexes();
+    for (const { model } of NUMBERED_MODELS) {
+      await model.createIndexes();
+    }
+
+    for (const entry of NUMBERED_MODELS) {
+      await migrateSeries(entry, stats);
+    }
+
+    console.log('\nMigration complete:');
+    console.log(`- Numbers kept: ${stats.kept}`);
+    console.log(`- Numbers reassigned: ${stats.renumbered}`);
+  } catch (error) {
+    console.error('Error migrating document numbers:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+  }
+};
+
+// Run the script
+if (require.main === module) {
+  migrateDocumentNumbers();
+}
+
+module.exports = migrateDocumentNumbers;
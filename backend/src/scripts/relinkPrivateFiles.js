@@ -0,0 +1,93 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ClientInvoice = require('../models/ClientInvoice');
+const VendorInvoice = require('../models/VendorInvoice');
+const { parseFileUrl } = require('../utils/files');
+require('dotenv').config();
+
+/**
+ * Move a file record from its project to the document it belongs to, so it no longer
+ * shows in the project's file list or opens for everyone on the project
+ * @param {String} url - /api/files URL stored on the document
+ * @param {Object} link - e.g. { vendorInvoice: id }
+ */
+const relinkUrl = async (url, link, stats) => {
+  const parsed = parseFileUrl(url);
+  if (!parsed) return;
+
+  const file = await File.findByLocation(parsed.category, parsed.filename);
+  if (!file) {
+    stats.missing++;
+    return;
+  }
+
+  await File.updateOne({ _id: file._id }, { $set: link, $unset: { project: 1 } });
+  stats.relinked++;
+};
+
+/**
+ * Move generated PDFs still linked to their project onto the document they were rendered from,
+ * found by the document number in the filename
+ */
+const relinkGeneratedPdfs = async (tag, findLink, stats) => {
+  const files = await File.find({ tags: tag, project: { $exists: true } });
+  console.log(`Processing ${files.length} ${tag} files...`);
+
+  for (const file of files) {
+    const link = await findLink(path.basename(file.filename, '.pdf'), file);
+    if (!link) {
+      stats.missing++;
+      continue;
+    }
+
+    await File.updateOne({ _id: file._id }, { $set: link, $unset: { project: 1 } });
+    stats.relinked++;
+  }
+};
+
+const relinkPrivateFiles = async () => {
+  const stats = { relinked: 0, missing: 0 };
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/houseway_db');
+    console.log('Connected to MongoDB');
+
+    // Vendor invoice documents
+    const invoices = await VendorInvoice.find({ 'document.url': { $nin: [null, ''] } }).select('document');
+    console.log(`Processing ${invoices.length} vendor invoice documents...`);
+
+    for (const invoice of invoices) {
+      await relinkUrl(invoice.document.url, { vendorInvoice: invoice._id }, stats);
+    }
+
+    // Generated PDFs
+    await relinkGeneratedPdfs('quotation-pdf', async (number, file) => (file.quotation ? { quotation: file.quotation } : null), stats);
+    await relinkGeneratedPdfs('purchase-order-pdf', async (number) => {
+      const purchaseOrder = await PurchaseOrder.findOne({ purchaseOrderNumber: number }).select('_id');
+      return purchaseOrder && { purchaseOrder: purchaseOrder._id };
+    }, stats);
+    await relinkGeneratedPdfs('client-invoice-pdf', async (number) => {
+      const invoice = await ClientInvoice.findOne({ invoiceNumber: number }).select('_id');
+      return invoice && { clientInvoice: invoice._id };
+    }, stats);
+
+    console.log('\nRelink complete:');
+    console.log(`- File records relinked: ${stats.relinked}`);
+    console.log(`- File records not found: ${stats.missing}`);
+  } catch (error) {
+    console.error('Error relinking file records:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+  }
+};
+
+// Run the script
+if (require.main === module) {
+  relinkPrivateFiles();
+}
+
+module.exports = relinkPrivateFiles;
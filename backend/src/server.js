@@ -8,6 +8,9 @@ const rateLimit = require('express-rate-limit');
 const http = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
+const { initializeSocket } = require('./utils/socket');
+const { requestContext } = require('./utils/audit');
+const { startScheduler } = require('./utils/scheduler');
 
 const app = express();
 
@@ -68,7 +71,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar', 'X-Request-Id'],
   preflightContinue: false,
   optionsSuccessStatus: 200,
 }));
@@ -77,6 +80,9 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request IDs and audit context (after body parsing so handlers stay inside the context)
+app.use(requestContext);
+
 // Explicitly handle OPTIONS requests for all routes
 app.options('*', (req, res) => {
   console.log('OPTIONS request received for:', req.originalUrl);
@@ -94,9 +100,6 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined'));
 }
 
-// Static files for uploads
-app.use('/uploads', express.static('uploads'));
-
 // Socket.io real-time setup
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -118,17 +121,17 @@ const DASHBOARD_EVENTS = {
   MESSAGE_THREAD: 'messageThread',
   GENERAL_UPDATE: 'generalUpdate',
 };
-io.on('connection', (socket) => {
-  console.log('🔌 New client connected:', socket.id);
-  socket.on('disconnect', () => {
-    console.log('🔌 Client disconnected:', socket.id);
-  });
-});
+
+// Authenticate sockets with the API JWT and join user/role/project rooms
+initializeSocket(io);
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/houseway_db')
 .then(() => {
   console.log('✅ Connected to MongoDB');
+
+  // Expiries, overdue detection and reminders
+  startScheduler(io);
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -139,13 +142,21 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/houseway_
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/projects', require('./routes/projects'));
+app.use('/api/project-templates', require('./routes/projectTemplates'));
 app.use('/api/material-requests', require('./routes/materialRequests'));
 app.use('/api/quotations', require('./routes/quotations'));
 app.use('/api/purchase-orders', require('./routes/purchaseOrders'));
+app.use('/api/client-invoices', require('./routes/clientInvoices'));
+app.use('/api/vendor-invoices', require('./routes/vendorInvoices'));
+app.use('/api/change-orders', require('./routes/changeOrders'));
 app.use('/api/service-requests', require('./routes/serviceRequests'));
 app.use('/api/files', require('./routes/files'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/work-status', require('./routes/workStatus'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/jobs', require('./routes/jobs'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
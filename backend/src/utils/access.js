@@ -0,0 +1,57 @@
+const Project = require('../models/Project');
+
+/**
+ * Record-level access helpers shared by the routes.
+ * Permissions decide what a user may do; these decide which records they are part of.
+ */
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Compare two ids or (populated) documents
+ */
+const sameId = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+/**
+ * Check whether a list of ids or (populated) documents contains an id
+ */
+const includesId = (list = [], id) => list.some(item => sameId(item, id));
+
+/**
+ * Check whether a user is the client or an assigned employee of a project
+ * @param {Object} project - Project document (references may be populated)
+ * @param {Object} user - User document
+ * @param {Object} options - { includeVendors } also counts assigned vendors as members
+ */
+const isProjectMember = (project, user, { includeVendors = false } = {}) => {
+  if (!project || !user) return false;
+
+  return sameId(project.client, user._id) ||
+    includesId(project.assignedEmployees, user._id) ||
+    (includeVendors && includesId(project.assignedVendors, user._id));
+};
+
+/**
+ * Get the ids of the projects a user is a member of
+ * @param {Object} user - User document
+ * @param {Object} options - { includeVendors } also counts assigned vendors as members
+ * @returns {Promise<Array>}
+ */
+const getMemberProjectIds = (user, { includeVendors = false } = {}) => {
+  const membership = [
+    { client: user._id },
+    { assignedEmployees: user._id },
+  ];
+  if (includeVendors) {
+    membership.push({ assignedVendors: user._id });
+  }
+
+  return Project.distinct('_id', { $or: membership });
+};
+
+module.exports = {
+  sameId,
+  includesId,
+  isProjectMember,
+  getMemberProjectIds,
+};
@@ -0,0 +1,64 @@
+const AuthToken = require('../models/AuthToken');
+const { sendMail } = require('./mailer');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const buildLink = (route, token) => {
+  const baseUrl = process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:19006';
+  return `${baseUrl.replace(/\/$/, '')}/${route}?token=${token}`;
+};
+
+/**
+ * Issue a password reset token and email it to the user
+ * @param {Object} user - User document
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL_MS);
+  const link = buildLink('reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Houseway password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset your Houseway password.',
+      `Open this link to choose a new password: ${link}`,
+      '',
+      `Or enter this reset code in the app: ${token}`,
+      '',
+      'The link expires in 1 hour and can only be used once.',
+      'If you did not request a reset, you can ignore this email.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Issue an email verification token and email it to the user
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+  const link = buildLink('verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Houseway email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm your email address for your Houseway account.',
+      `Open this link to verify it: ${link}`,
+      '',
+      `Or enter this verification code in the app: ${token}`,
+      '',
+      'The link expires in 24 hours.',
+    ].join('\n'),
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const AuditEvent = require('../models/AuditEvent');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_CHANGES = 100;
+
+// Never worth auditing on any model
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const SENSITIVE_PATH = /password|token|secret/i;
+
+// Holds the current Express request so model hooks can attribute changes
+const requestStore = new AsyncLocalStorage();
+
+/**
+ * Express middleware: tag the request with an ID and make it available to model hooks.
+ * Must run after the body parsers so the rest of the chain stays inside the context.
+ */
+const requestContext = (req, res, next) => {
+  req.requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.requestId);
+  requestStore.run({ req }, next);
+};
+
+/**
+ * Wrap middleware that resumes from stream callbacks (e.g. multer) so the
+ * handlers after it keep the request context.
+ */
+const preserveRequestContext = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
+
+/**
+ * Current request when it is a state-changing API call, otherwise null
+ */
+const getMutatingRequest = () => {
+  const store = requestStore.getStore();
+  if (!store || !MUTATING_METHODS.includes(store.req.method)) return null;
+  return store.req;
+};
+
+/**
+ * Route-level action name: the last literal path segment (approve, record-delivery, ...)
+ * or create/update/delete for plain CRUD routes
+ */
+const getRouteAction = (req, operation) => {
+  const segments = (req.route?.path || '').split('/').filter(s => s && !s.startsWith(':'));
+  if (segments.length > 0) return segments[segments.length - 1];
+
+  switch (req.method) {
+    case 'POST':
+      return 'create';
+    case 'DELETE':
+      return 'delete';
+    default:
+      return operation;
+  }
+};
+
+const toEntityType = (modelName) => modelName.charAt(0).toLowerCase() + modelName.slice(1);
+
+// ObjectIds, Dates and populated refs become plain JSON values
+const toPlain = (doc) => {
+  if (!doc) return {};
+  const value = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(value));
+};
+
+const flatten = (value, prefix = '', out = {}) => {
+  const isContainer = value && typeof value === 'object';
+  const hasChildren = isContainer && Object.keys(value).length > 0;
+
+  if (hasChildren) {
+    Object.entries(value).forEach(([key, child]) => {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    });
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object} before - Plain snapshot (or {} on create)
+ * @param {Object} after - Plain snapshot (or {} on delete)
+ * @param {Array} ignore - Extra top-level paths to skip
+ * @returns {Array} [{ path, before, after }]
+ */
+const diffSnapshots = (before, after, ignore = []) => {
+  const ignored = new Set([...IGNORED_PATHS, ...ignore]);
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+
+  return paths
+    .filter(path => !ignored.has(path.split('.')[0]))
+    .filter(path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+    .sort()
+    .map(path => {
+      const redact = SENSITIVE_PATH.test(path);
+      return {
+        path,
+        before: redact && flatBefore[path] !== undefined ? '[redacted]' : flatBefore[path],
+        after: redact && flatAfter[path] !== undefined ? '[redacted]' : flatAfter[path],
+      };
+    });
+};
+
+/**
+ * Persist an audit event for the current request
+ * Failures are logged and never break the request that triggered them.
+ * @param {Object} req - Express request
+ * @param {Object} data - { entityType, entityId, operation, action, before, after, ignore }
+ */
+const recordAudit = async (req, { entityType, entityId, operation, action, before, after, ignore }) => {
+  try {
+    const changes = diffSnapshots(before, after, ignore);
+    if (operation === 'update' && changes.length === 0) return null;
+
+    return await AuditEvent.create({
+      actor: req.user?._id || null,
+      actorRole: req.user?.role || null,
+      entityType,
+      entityId,
+      action: action || getRouteAction(req, operation),
+      operation,
+      changes: changes.slice(0, MAX_CHANGES),
+      changesTruncated: changes.length > MAX_CHANGES,
+      method: req.method,
+      route: `${req.baseUrl}${req.route?.path || ''}`,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+    });
+  } catch (error) {
+    console.error('Record audit event error:', error);
+    return null;
+  }
+};
+
+/**
+ * Mongoose plugin that records an AuditEvent for every create, update and delete
+ * made while handling a state-changing request (scripts and seeds are not audited).
+ * Covers document save/deleteOne and findOneAndUpdate/findOneAndDelete.
+ * @param {Object} schema
+ * @param {Object} options - { ignore: [top-level paths to leave out of diffs] }
+ */
+const auditPlugin = (schema, options = {}) => {
+  const ignore = options.ignore || [];
+
+  const record = (req, model, operation, before, after) => {
+    const entity = after || before;
+    if (!entity || !entity._id) return;
+
+    recordAudit(req, {
+      entityType: toEntityType(model.modelName),
+      entityId: entity._id,
+      operation,
+      before,
+      after,
+      ignore,
+    });
+  };
+
+  // Snapshot loaded documents so save() can be diffed against what was read
+  schema.post('init', function() {
+    if (getMutatingRequest()) {
+      this.$locals.auditSnapshot = toPlain(this);
+    }
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditWasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', function(doc) {
+    const req = getMutatingRequest();
+    if (!req) return;
+
+    const wasNew = doc.$locals.auditWasNew;
+    const after = toPlain(doc);
+    record(req, doc.constructor, wasNew ? 'create' : 'update', wasNew ? {} : doc.$locals.auditSnapshot || {}, after);
+
+    // Later saves in the same request diff against this state
+    doc.$locals.auditSnapshot = after;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function(doc) {
+    const req = getMutatingRequest();
+    if (req) record(req, doc.constructor, 'delete', toPlain(doc), null);
+  });
+
+  // Query updates have no loaded document, so read the state on either side of the update.
+  // Auditing must never fail the update itself.
+  schema.pre('findOneAndUpdate', async function() {
+    if (!getMutatingRequest()) return;
+    try {
+      this._auditBefore = await this.model.findOne(this.getQuery()).lean();
+    } catch (error) {
+      console.error('Audit snapshot error:', error);
+    }
+  });
+
+  schema.post('findOneAndUpdate', async function(result) {
+    const req = getMutatingRequest();
+    const id = this._auditBefore?._id || result?._id;
+    if (!req || !id) return;
+
+    try {
+      const after = await this.model.findById(id).lean();
+      record(req, this.model, this._auditBefore ? 'update' : 'create', toPlain(this._auditBefore), toPlain(after));
+    } catch (error) {
+      console.error('Audit snapshot error:', error);
+    }
+  });
+
+  schema.post('findOneAndDelete', function(result) {
+    const req = getMutatingRequest();
+    if (req && result) record(req, this.model, 'delete', toPlain(result), null);
+  });
+};
+
+module.exports = {
+  requestContext,
+  preserveRequestContext,
+  auditPlugin,
+  recordAudit,
+  diffSnapshots,
+};
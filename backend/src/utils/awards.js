@@ -0,0 +1,59 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Build an unsaved purchase order for the lines of a quotation awarded in one round.
+ * Percentage tax and discount carry over as-is; fixed tax, a fixed discount and the delivery
+ * charges are prorated to the awarded share, so a quotation split across rounds is charged once in total.
+ * Each round takes the rounded cumulative amount less what earlier rounds took, so the cents add up
+ * to the quotation's charges and the last round carries the rounding remainder.
+ */
+const buildAwardedPurchaseOrder = (quotation, lines, materialRequest, options, createdBy) => {
+  const lineIds = new Set(lines.map(item => item._id.toString()));
+  const subtotalOf = items => items.reduce((total, item) => total + item.totalPrice, 0);
+  const shareOf = items => (quotation.subtotal > 0 ? subtotalOf(items) / quotation.subtotal : 0);
+
+  const priorShare = shareOf(quotation.items.filter(item => item.awardStatus === 'awarded' && !lineIds.has(item._id.toString())));
+  const share = shareOf(lines);
+  const prorate = amount => roundMoney(roundMoney(amount * (priorShare + share)) - roundMoney(amount * priorShare));
+
+  return new PurchaseOrder({
+    quotation: quotation._id,
+    materialRequest: materialRequest._id,
+    project: materialRequest.project,
+    vendor: quotation.vendor,
+    title: lines.length === quotation.items.length
+      ? `PO for ${quotation.title}`
+      : `PO for ${quotation.title} (${lines.length} of ${quotation.items.length} items)`,
+    items: lines.map(item => ({
+      quotationItem: item._id,
+      materialRequestItem: item.materialRequestItem,
+      materialName: item.materialName,
+      description: item.description,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice,
+    })),
+    tax: { percentage: quotation.tax.percentage, amount: quotation.tax.percentage > 0 ? 0 : prorate(quotation.tax.amount) },
+    discount: {
+      percentage: quotation.discount.percentage,
+      amount: quotation.discount.percentage > 0 ? 0 : prorate(quotation.discount.amount),
+    },
+    deliveryCharges: prorate(quotation.deliveryTerms.deliveryCharges || 0),
+    deliveryAddress: options.deliveryAddress,
+    expectedDeliveryDate: options.expectedDeliveryDate || new Date(Date.now() + quotation.deliveryTerms.deliveryTime * DAY_MS),
+    paymentTerms: options.paymentTerms || {
+      paymentMethod: quotation.paymentTerms.paymentMethod,
+      advancePercentage: quotation.paymentTerms.advancePercentage,
+    },
+    createdBy,
+  });
+};
+
+module.exports = {
+  buildAwardedPurchaseOrder,
+};
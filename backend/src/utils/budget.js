@@ -0,0 +1,228 @@
+const Project = require('../models/Project');
+const Quotation = require('../models/Quotation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const MaterialRequest = require('../models/MaterialRequest');
+const VendorInvoice = require('../models/VendorInvoice');
+const { notifyRole } = require('./notifications');
+const { BUDGET_CATEGORIES } = require('./categories');
+
+/**
+ * Project budget ledger: one line per cost category with the budgeted amount,
+ * what is committed (approved quotations not yet ordered, purchase orders, committed
+ * manual entries), what has actually been incurred (accepted deliveries, paid manual
+ * entries) and what has been paid (vendor invoices, paid manual entries).
+ */
+
+// Alert levels in increasing order of severity
+const ALERT_LEVELS = [null, 'warning', 'overrun'];
+
+const DEFAULT_ALERT_THRESHOLD = 90;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Share of a document's landed total (tax, discount and delivery included) carried by one line
+const landedValue = (document, lineValue) =>
+  (document.subtotal > 0 ? (lineValue / document.subtotal) * document.totalAmount : 0);
+
+const emptyLine = (category) => ({
+  category,
+  budgeted: 0,
+  committed: 0,
+  actual: 0,
+  paid: 0,
+});
+
+/**
+ * Map material request lines (and, for older orders, material names) to their category
+ */
+const buildCategoryLookup = (materialRequests) => {
+  const byId = new Map();
+  const byName = new Map();
+  materialRequests.forEach(materialRequest => {
+    materialRequest.materials.forEach(material => {
+      byId.set(material._id.toString(), material.category);
+      byName.set(material.name.trim().toLowerCase(), material.category);
+    });
+  });
+
+  return (item) => {
+    if (item.materialRequestItem && byId.has(item.materialRequestItem.toString())) {
+      return byId.get(item.materialRequestItem.toString());
+    }
+    return byName.get((item.materialName || '').trim().toLowerCase()) || 'other';
+  };
+};
+
+const alertLevelFor = (line, threshold) => {
+  if (line.budgeted <= 0) return null;
+  if (line.forecast > line.budgeted) return 'overrun';
+  if (line.forecast >= (line.budgeted * threshold) / 100) return 'warning';
+  return null;
+};
+
+/**
+ * @param {Object} project - Project document (budget included)
+ * @returns {Promise<Object>} { currency, alertThreshold, lines, totals, alerts }
+ */
+const buildBudgetLedger = async (project) => {
+  const lines = new Map(BUDGET_CATEGORIES.map(category => [category, emptyLine(category)]));
+  const budget = project.budget || {};
+  const threshold = budget.alertThreshold || DEFAULT_ALERT_THRESHOLD;
+
+  (budget.lines || []).forEach(line => {
+    lines.get(line.category).budgeted = line.budgeted || 0;
+  });
+
+  const materialRequests = await MaterialRequest.find({ project: project._id }).select('materials');
+  const categoryOf = buildCategoryLookup(materialRequests);
+
+  const purchaseOrders = await PurchaseOrder.find({ project: project._id })
+    .select('quotation status items subtotal totalAmount');
+  const orderedQuotations = new Set(purchaseOrders.map(purchaseOrder => purchaseOrder.quotation.toString()));
+  const purchaseOrderItems = new Map();
+
+  purchaseOrders.forEach(purchaseOrder => {
+    purchaseOrder.items.forEach(item => {
+      const category = categoryOf(item);
+      purchaseOrderItems.set(item._id.toString(), category);
+      if (purchaseOrder.status === 'cancelled') return;
+
+      const line = lines.get(category);
+      line.committed += landedValue(purchaseOrder, item.totalPrice);
+      line.actual += landedValue(purchaseOrder, Math.min(item.deliveredQuantity, item.quantity) * item.unitPrice);
+    });
+  });
+
+  // Approved but not yet ordered: the quotation is the commitment
+  const quotations = await Quotation.find({
+    materialRequest: { $in: materialRequests.map(materialRequest => materialRequest._id) },
+    status: 'approved',
+  }).select('items subtotal totalAmount');
+
+  quotations
+    .filter(quotation => !orderedQuotations.has(quotation._id.toString()))
+    .forEach(quotation => {
+      quotation.items
+        .filter(item => item.awardStatus !== 'not_selected')
+        .forEach(item => {
+          lines.get(categoryOf(item)).committed += landedValue(quotation, item.totalPrice);
+        });
+    });
+
+  const paidInvoices = await VendorInvoice.find({ project: project._id, status: 'paid' })
+    .select('items subtotal totalAmount');
+
+  paidInvoices.forEach(invoice => {
+    invoice.items.forEach(item => {
+      const category = purchaseOrderItems.get(item.purchaseOrderItem.toString()) || 'other';
+      lines.get(category).paid += landedValue(invoice, item.quantity * item.unitPrice);
+    });
+  });
+
+  // Labour, design fees and anything else bought outside purchase orders
+  (budget.entries || []).forEach(entry => {
+    const line = lines.get(entry.category);
+    line.committed += entry.amount;
+    if (entry.status === 'paid') {
+      line.actual += entry.amount;
+      line.paid += entry.amount;
+    }
+  });
+
+  const ledgerLines = [...lines.values()].map(line => {
+    const forecast = Math.max(line.committed, line.actual);
+    const result = {
+      ...line,
+      committed: round(line.committed),
+      actual: round(line.actual),
+      paid: round(line.paid),
+      forecast: round(forecast),
+      variance: round(line.budgeted - forecast),
+      utilisation: line.budgeted > 0 ? Math.round((forecast / line.budgeted) * 100) : null,
+    };
+    result.alertLevel = alertLevelFor(result, threshold);
+    return result;
+  });
+
+  const sum = (field) => round(ledgerLines.reduce((total, line) => total + line[field], 0));
+  const totals = {
+    budgeted: sum('budgeted'),
+    committed: sum('committed'),
+    actual: sum('actual'),
+    paid: sum('paid'),
+    forecast: sum('forecast'),
+  };
+  totals.variance = round(totals.budgeted - totals.forecast);
+
+  return {
+    currency: budget.currency || 'USD',
+    estimated: budget.estimated || 0,
+    alertThreshold: threshold,
+    lines: ledgerLines,
+    totals,
+    alerts: ledgerLines.filter(line => line.alertLevel),
+  };
+};
+
+/**
+ * Recalculate the ledger, store the incurred total as the project's budget.actual and
+ * notify owners (and the project creator) of every line that crossed into a higher alert level.
+ * Levels are remembered on the budget line so a crossing is only announced once.
+ * @returns {Promise<Object>} the ledger
+ */
+const syncProjectBudget = async (projectId, io) => {
+  const project = await Project.findById(projectId);
+  if (!project) return null;
+
+  const ledger = await buildBudgetLedger(project);
+  const update = { 'budget.actual': ledger.totals.actual };
+  const raised = [];
+
+  project.budget.lines.forEach((line, index) => {
+    const level = ledger.lines.find(l => l.category === line.category).alertLevel;
+    if ((line.alertLevel || null) === level) return;
+
+    update[`budget.lines.${index}.alertLevel`] = level;
+    if (ALERT_LEVELS.indexOf(level) > ALERT_LEVELS.indexOf(line.alertLevel || null)) {
+      update[`budget.lines.${index}.alertedAt`] = new Date();
+      raised.push(ledger.lines.find(l => l.category === line.category));
+    }
+  });
+
+  // Plain update: keeps the project's own save hooks and audit trail out of a recalculation
+  await Project.updateOne({ _id: project._id }, { $set: update });
+
+  for (const line of raised) {
+    const label = line.category.replace('_', ' ');
+    await notifyRole(io, 'owner', {
+      type: 'budget_alert',
+      title: line.alertLevel === 'overrun' ? 'Budget overrun' : 'Budget threshold reached',
+      message: line.alertLevel === 'overrun'
+        ? `${project.title}: ${label} is forecast at ${ledger.currency} ${line.forecast.toFixed(2)}, over its budget of ${line.budgeted.toFixed(2)}`
+        : `${project.title}: ${label} has reached ${line.utilisation}% of its budget (${ledger.currency} ${line.forecast.toFixed(2)} of ${line.budgeted.toFixed(2)})`,
+      entityType: 'project',
+      entityId: project._id,
+      project: project._id,
+    }, [project.createdBy]);
+  }
+
+  return ledger;
+};
+
+/**
+ * Sync the ledger after an action that is already saved. A failure is logged rather than
+ * thrown, so the action is not reported as failed; the next sync (for projects with budget
+ * lines, at the latest the hourly budget-alerts job) catches the project up.
+ */
+const trySyncProjectBudget = (projectId, io) =>
+  syncProjectBudget(projectId, io).catch(error => {
+    console.error('Sync project budget error:', error);
+    return null;
+  });
+
+module.exports = {
+  BUDGET_CATEGORIES,
+  buildBudgetLedger,
+  syncProjectBudget,
+  trySyncProjectBudget,
+};
@@ -0,0 +1,20 @@
+/**
+ * Cost categories shared by material requests, project budgets, change orders and templates.
+ * Kept free of model imports so models can use them in their enums.
+ */
+
+// Categories a requested material can be filed under
+const MATERIAL_CATEGORIES = ['cement', 'steel', 'wood', 'tiles', 'paint', 'electrical', 'plumbing', 'hardware', 'other'];
+
+// Material categories, plus the non-material costs of a project
+const BUDGET_CATEGORIES = [
+  ...MATERIAL_CATEGORIES.filter(category => category !== 'other'),
+  'labour',
+  'design_fees',
+  'other',
+];
+
+module.exports = {
+  MATERIAL_CATEGORIES,
+  BUDGET_CATEGORIES,
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const File = require('../models/File');
+const Project = require('../models/Project');
+const Quotation = require('../models/Quotation');
+const MaterialRequest = require('../models/MaterialRequest');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ClientInvoice = require('../models/ClientInvoice');
+const VendorInvoice = require('../models/VendorInvoice');
+const { can } = require('../middleware/auth');
+const { sameId, isProjectMember } = require('./access');
+
+const FILE_CATEGORIES = ['documents', 'images', 'quotations', 'purchase-orders', 'work_update'];
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Signed download links are bearer credentials, so keep them short-lived
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 15 * 60;
+
+/**
+ * Documents whose files are private to one party (the vendor or client on the document) and
+ * staff on the project, keyed by the File field that links them. Their files are never linked
+ * to the project, so other vendors and, for vendor documents, the client cannot reach them.
+ * hiddenWhileDraft keeps the party out until the document is issued, as on its own routes.
+ */
+const PRIVATE_DOCUMENTS = {
+  purchaseOrder: { model: PurchaseOrder, party: 'vendor' },
+  clientInvoice: { model: ClientInvoice, party: 'client', hiddenWhileDraft: true },
+  vendorInvoice: { model: VendorInvoice, party: 'vendor' },
+};
+
+const getSigningSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Absolute path of an uploaded file on disk
+ */
+const getUploadPath = (category, filename) => path.join(UPLOADS_DIR, category, path.basename(filename));
+
+/**
+ * Extract the category and filename from a stored file URL
+ * Understands /api/files/<category>/<filename> and legacy /uploads/<category>/<filename> URLs (absolute or relative).
+ * @returns {Object|null} { category, filename } or null for external URLs
+ */
+const parseFileUrl = (url) => {
+  if (!url || typeof url !== 'string') return null;
+
+  const match = url.match(/(?:\/api\/files|\/uploads)\/([\w-]+)\/([^/?#]+)/);
+  if (!match || !FILE_CATEGORIES.includes(match[1])) return null;
+
+  return { category: match[1], filename: decodeURIComponent(match[2]) };
+};
+
+const computeSignature = (category, filename, expires) =>
+  crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${category}/${filename}:${expires}`)
+    .digest('hex');
+
+/**
+ * Build a signed download URL that works without an Authorization header (e.g. in <Image>)
+ * @param {Object} req - Express request (used for the host)
+ * @param {String} category - File category
+ * @param {String} filename - Stored filename
+ * @returns {Object} { url, expiresAt }
+ */
+const getSignedFileUrl = (req, category, filename) => {
+  const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS;
+  const signature = computeSignature(category, filename, expires);
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+  return {
+    url: `${baseUrl}/api/files/signed/${category}/${encodeURIComponent(filename)}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Verify a signed download URL's signature and expiry
+ */
+const verifyFileSignature = (category, filename, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(category, filename, expiresAt));
+  const provided = Buffer.from(String(signature));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// Records a file can be linked to
+const FILE_LINKS = ['project', 'quotation', ...Object.keys(PRIVATE_DOCUMENTS)];
+
+const pickLinks = (links) => Object.fromEntries(FILE_LINKS.filter(link => links[link]).map(link => [link, links[link]]));
+
+// The user can see the project: a member (assigned vendors included) or holder of project.viewAll
+const isProjectParty = async (req, projectId) => {
+  if (can(req, 'project.viewAll')) return true;
+
+  const project = await Project.findById(projectId).select('client assignedEmployees assignedVendors');
+  return isProjectMember(project, req.user, { includeVendors: true });
+};
+
+// The user can see the quotation: its vendor, the buying project's team or holder of quotation.viewAll
+const isQuotationParty = async (req, quotationId) => {
+  if (can(req, 'quotation.viewAll')) return true;
+
+  const quotation = await Quotation.findById(quotationId).select('vendor materialRequest');
+  if (!quotation) return false;
+  if (sameId(quotation.vendor, req.user._id)) return true;
+
+  const materialRequest = await MaterialRequest.findById(quotation.materialRequest)
+    .populate('project', 'client assignedEmployees');
+  return Boolean(materialRequest && isProjectMember(materialRequest.project, req.user));
+};
+
+/**
+ * Check whether the current user may read a file
+ * Allowed: the uploader, holders of file.viewAll, anyone for profile photos, users who can see
+ * the linked project or quotation, and the party or project staff of a linked private document
+ * (see PRIVATE_DOCUMENTS). Expects permissions loaded by requirePermission.
+ * @param {Object} req - Express request
+ * @param {Object} file - File document
+ * @returns {Promise<Boolean>}
+ */
+const canAccessFile = async (req, file) => {
+  if (sameId(file.uploadedBy, req.user._id) || can(req, 'file.viewAll')) {
+    return true;
+  }
+
+  if (file.tags && file.tags.includes('profile-photo')) {
+    return true;
+  }
+
+  if (file.project && await isProjectParty(req, file.project)) return true;
+  if (file.quotation && await isQuotationParty(req, file.quotation)) return true;
+
+  for (const [link, { model, party, hiddenWhileDraft }] of Object.entries(PRIVATE_DOCUMENTS)) {
+    if (!file[link]) continue;
+    if (can(req, `${link}.viewAll`)) return true;
+
+    // Only employees are loaded, so the client of the project does not count as staff here
+    const document = await model.findById(file[link])
+      .select(`${party} project status`)
+      .populate('project', 'assignedEmployees');
+    if (!document) continue;
+
+    if (sameId(document[party], req.user._id) && !(hiddenWhileDraft && document.status === 'draft')) return true;
+    if (can(req, `${link}.view`) && isProjectMember(document.project, req.user)) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Check whether the current user may attach an upload to a project and/or quotation:
+ * they must be a party to every document they link it to. Expects permissions loaded by requirePermission.
+ * @param {Object} req - Express request
+ * @param {Object} links - { project, quotation } ids, either may be omitted
+ * @returns {Promise<Boolean>}
+ */
+const canLinkUpload = async (req, { project, quotation } = {}) => {
+  if (project && !await isProjectParty(req, project)) return false;
+  if (quotation && !await isQuotationParty(req, quotation)) return false;
+  return true;
+};
+
+/**
+ * Create File records for files uploaded through the upload middleware
+ * so downloads can be authorised against them.
+ * @param {Object} req - Express request
+ * @param {Array} files - Multer files
+ * @param {Object} links - { project, quotation, purchaseOrder, clientInvoice, vendorInvoice, tags }
+ * @returns {Promise<Array>} Created File records
+ */
+const recordUploadedFiles = (req, files, { tags = [], ...links } = {}) =>
+  File.insertMany(files.map(file => ({
+    filename: file.filename,
+    originalName: file.originalname,
+    category: path.basename(file.destination),
+    mimeType: file.mimetype,
+    size: file.size,
+    path: file.path,
+    uploadedBy: req.user._id,
+    ...pickLinks(links),
+    tags,
+  })));
+
+/**
+ * Get the stored copy of a server-generated file (e.g. a PDF). It is rendered and written only
+ * when there is no copy yet or the source document changed after the copy was stored, so
+ * repeated downloads do not rewrite it. A re-render keeps the record's original uploader.
+ * @param {Object} req - Express request
+ * @param {Function} render - async () => Buffer with the file contents
+ * @param {Object} options - { category, filename, mimeType, sourceUpdatedAt, tags } and the links
+ *   taken by recordUploadedFiles
+ * @returns {Promise<Object>} { file, buffer }
+ */
+const getGeneratedFile = async (req, render, { category, filename, mimeType = 'application/pdf', sourceUpdatedAt, tags = [], ...links }) => {
+  const filePath = getUploadPath(category, filename);
+  const existing = await File.findByLocation(category, path.basename(filename));
+
+  if (existing && sourceUpdatedAt && existing.updatedAt >= sourceUpdatedAt && fs.existsSync(filePath)) {
+    return { file: existing, buffer: await fs.promises.readFile(filePath) };
+  }
+
+  const buffer = await render();
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  if (existing) {
+    // Links are set afresh, which also moves older copies off the project
+    existing.set({ size: buffer.length, ...Object.fromEntries(FILE_LINKS.map(link => [link, links[link]])) });
+    existing.markModified('size');
+    return { file: await existing.save(), buffer };
+  }
+
+  const file = await File.create({
+    filename: path.basename(filename),
+    originalName: path.basename(filename),
+    category,
+    mimeType,
+    size: buffer.length,
+    path: filePath,
+    uploadedBy: req.user._id,
+    ...pickLinks(links),
+    tags,
+  });
+  return { file, buffer };
+};
+
+/**
+ * Respond with a generated file: the raw download by default, or with `?format=json`
+ * the File record and a signed URL the app can open or share.
+ */
+const sendGeneratedFile = (req, res, file, buffer) => {
+  if (req.query.format === 'json') {
+    return res.json({
+      success: true,
+      data: {
+        file,
+        ...getSignedFileUrl(req, file.category, file.filename),
+      },
+    });
+  }
+
+  res.set({
+    'Content-Type': file.mimeType,
+    'Content-Disposition': `attachment; filename="${file.filename}"`,
+  });
+  return res.send(buffer);
+};
+
+module.exports = {
+  FILE_CATEGORIES,
+  SIGNED_URL_TTL_SECONDS,
+  getUploadPath,
+  parseFileUrl,
+  getSignedFileUrl,
+  verifyFileSignature,
+  canAccessFile,
+  canLinkUpload,
+  recordUploadedFiles,
+  getGeneratedFile,
+  sendGeneratedFile,
+};
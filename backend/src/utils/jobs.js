@@ -0,0 +1,322 @@
+const Quotation = require('../models/Quotation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const ServiceRequest = require('../models/ServiceRequest');
+const Project = require('../models/Project');
+const Notification = require('../models/Notification');
+const { notifyUsers, notifyRole } = require('./notifications');
+const { syncProjectBudget } = require('./budget');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead reminders look
+const REMINDER_WINDOW_DAYS = 2;
+
+const OPEN_QUOTATION_STATUSES = ['draft', 'submitted', 'under_review'];
+const OPEN_PURCHASE_ORDER_STATUSES = ['sent', 'acknowledged', 'in_progress', 'partially_delivered'];
+const CLOSED_SERVICE_REQUEST_STATUSES = ['completed', 'cancelled'];
+const OPEN_MILESTONE_STATUSES = ['pending', 'in-progress'];
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Reminders are sent once per entity, so a re-run never duplicates them
+const wasNotified = (type, entityId) => Notification.exists({ type, entityId });
+
+/**
+ * Mark open quotations whose validUntil has passed as expired
+ */
+const expireQuotations = async ({ now, io }) => {
+  const quotations = await Quotation.find({
+    status: { $in: OPEN_QUOTATION_STATUSES },
+    validUntil: { $lt: now },
+  }).populate('materialRequest', 'project');
+
+  let expired = 0;
+  for (const quotation of quotations) {
+    // Status is re-checked so a quotation approved meanwhile is left alone, and its vendor is not told otherwise
+    const { modifiedCount } = await Quotation.updateOne(
+      { _id: quotation._id, status: { $in: OPEN_QUOTATION_STATUSES } },
+      { status: 'expired' }
+    );
+    if (modifiedCount === 0) continue;
+    expired += 1;
+
+    await notifyUsers(io, [quotation.vendor], {
+      type: 'quotation_expired',
+      title: 'Quotation expired',
+      message: `Quotation ${quotation.quotationNumber} (${quotation.title}) expired on ${formatDate(quotation.validUntil)}`,
+      entityType: 'quotation',
+      entityId: quotation._id,
+      project: quotation.materialRequest?.project || null,
+    });
+  }
+
+  return { expired };
+};
+
+/**
+ * Flag service requests past their expected delivery, and clear the flag once resolved
+ */
+const flagOverdueServiceRequests = async ({ now, io }) => {
+  const overdue = await ServiceRequest.find({
+    'timeline.expectedDelivery': { $lt: now },
+    status: { $nin: CLOSED_SERVICE_REQUEST_STATUSES },
+    overdueSince: null,
+  });
+
+  let flagged = 0;
+  for (const request of overdue) {
+    // Re-checked per request so one closed, rescheduled or flagged meanwhile is not announced
+    const { modifiedCount } = await ServiceRequest.updateOne(
+      {
+        _id: request._id,
+        status: { $nin: CLOSED_SERVICE_REQUEST_STATUSES },
+        'timeline.expectedDelivery': { $lt: now },
+        overdueSince: null,
+      },
+      { overdueSince: now }
+    );
+    if (modifiedCount === 0) continue;
+    flagged += 1;
+
+    await notifyUsers(io, [request.requestedBy, request.assignedVendor], {
+      type: 'service_request_overdue',
+      title: 'Service request overdue',
+      message: `"${request.title}" was due on ${formatDate(request.timeline.expectedDelivery)}`,
+      entityType: 'serviceRequest',
+      entityId: request._id,
+    });
+  }
+
+  const { modifiedCount: cleared } = await ServiceRequest.updateMany(
+    {
+      overdueSince: { $ne: null },
+      $or: [
+        { status: { $in: CLOSED_SERVICE_REQUEST_STATUSES } },
+        { 'timeline.expectedDelivery': { $gte: now } },
+      ],
+    },
+    { overdueSince: null }
+  );
+
+  return { flagged, cleared };
+};
+
+/**
+ * Mark project milestones past their target date as delayed
+ */
+const markDelayedMilestones = async ({ now, io }) => {
+  const lateMilestone = { targetDate: { $lt: now }, status: { $in: OPEN_MILESTONE_STATUSES } };
+
+  const projects = await Project.find({ 'progress.milestones': { $elemMatch: lateMilestone } })
+    .select('title assignedEmployees progress.milestones');
+
+  let flaggedProjects = 0;
+  let milestones = 0;
+  for (const project of projects) {
+    const late = project.progress.milestones.filter(m =>
+      m.targetDate && m.targetDate < now && OPEN_MILESTONE_STATUSES.includes(m.status)
+    );
+
+    // Each milestone is re-checked as it is flagged, so one completed, rescheduled or
+    // flagged meanwhile is left out of the announcement
+    const delayed = [];
+    for (const milestone of late) {
+      const { modifiedCount } = await Project.updateOne(
+        { _id: project._id, 'progress.milestones': { $elemMatch: { _id: milestone._id, ...lateMilestone } } },
+        { $set: { 'progress.milestones.$.status': 'delayed' } }
+      );
+      if (modifiedCount > 0) delayed.push(milestone);
+    }
+    if (delayed.length === 0) continue;
+    flaggedProjects += 1;
+    milestones += delayed.length;
+
+    await notifyRole(io, 'owner', {
+      type: 'milestone_delayed',
+      title: 'Milestone delayed',
+      message: `${project.title}: ${delayed.map(m => m.name).join(', ')} passed the target date`,
+      entityType: 'project',
+      entityId: project._id,
+      project: project._id,
+    }, project.assignedEmployees);
+  }
+
+  return { projects: flaggedProjects, milestones };
+};
+
+/**
+ * Flag purchase orders past their expected delivery date, and clear the flag once closed
+ */
+const flagOverduePurchaseOrders = async ({ now, io }) => {
+  const overdue = await PurchaseOrder.find({
+    status: { $in: OPEN_PURCHASE_ORDER_STATUSES },
+    expectedDeliveryDate: { $lt: now },
+    overdueSince: null,
+  });
+
+  let flagged = 0;
+  for (const purchaseOrder of overdue) {
+    // Re-checked per order so one delivered, rescheduled or flagged meanwhile is not announced
+    const { modifiedCount } = await PurchaseOrder.updateOne(
+      {
+        _id: purchaseOrder._id,
+        status: { $in: OPEN_PURCHASE_ORDER_STATUSES },
+        expectedDeliveryDate: { $lt: now },
+        overdueSince: null,
+      },
+      { overdueSince: now }
+    );
+    if (modifiedCount === 0) continue;
+    flagged += 1;
+
+    await notifyUsers(io, [purchaseOrder.vendor, purchaseOrder.createdBy], {
+      type: 'purchase_order_overdue',
+      title: 'Delivery overdue',
+      message: `Purchase order ${purchaseOrder.purchaseOrderNumber} was expected on ${formatDate(purchaseOrder.expectedDeliveryDate)}`,
+      entityType: 'purchaseOrder',
+      entityId: purchaseOrder._id,
+      project: purchaseOrder.project,
+    });
+  }
+
+  const { modifiedCount: cleared } = await PurchaseOrder.updateMany(
+    {
+      overdueSince: { $ne: null },
+      $or: [
+        { status: { $nin: OPEN_PURCHASE_ORDER_STATUSES } },
+        { expectedDeliveryDate: { $gte: now } },
+      ],
+    },
+    { overdueSince: null }
+  );
+
+  return { flagged, cleared };
+};
+
+/**
+ * Remind vendors of quotations about to expire and deliveries about to fall due,
+ * and owners of upcoming purchase order payments
+ */
+const sendReminders = async ({ now, io }) => {
+  const windowEnd = new Date(now.getTime() + REMINDER_WINDOW_DAYS * DAY_MS);
+  const sent = { quotationExpiry: 0, deliveryDue: 0, paymentDue: 0 };
+
+  const expiring = await Quotation.find({
+    status: { $in: OPEN_QUOTATION_STATUSES },
+    validUntil: { $gte: now, $lte: windowEnd },
+  }).populate('materialRequest', 'project');
+
+  for (const quotation of expiring) {
+    if (await wasNotified('quotation_expiring', quotation._id)) continue;
+
+    await notifyUsers(io, [quotation.vendor], {
+      type: 'quotation_expiring',
+      title: 'Quotation expiring soon',
+      message: `Quotation ${quotation.quotationNumber} (${quotation.title}) is valid until ${formatDate(quotation.validUntil)}`,
+      entityType: 'quotation',
+      entityId: quotation._id,
+      project: quotation.materialRequest?.project || null,
+    });
+    sent.quotationExpiry++;
+  }
+
+  const deliveriesDue = await PurchaseOrder.find({
+    status: { $in: OPEN_PURCHASE_ORDER_STATUSES },
+    expectedDeliveryDate: { $gte: now, $lte: windowEnd },
+  });
+
+  for (const purchaseOrder of deliveriesDue) {
+    if (await wasNotified('purchase_order_delivery_due', purchaseOrder._id)) continue;
+
+    await notifyUsers(io, [purchaseOrder.vendor], {
+      type: 'purchase_order_delivery_due',
+      title: 'Delivery due soon',
+      message: `Purchase order ${purchaseOrder.purchaseOrderNumber} is due for delivery on ${formatDate(purchaseOrder.expectedDeliveryDate)}`,
+      entityType: 'purchaseOrder',
+      entityId: purchaseOrder._id,
+      project: purchaseOrder.project,
+    });
+    sent.deliveryDue++;
+  }
+
+  const paymentsDue = await PurchaseOrder.find({
+    status: { $ne: 'cancelled' },
+    'paymentTerms.paymentDueDate': { $gte: now, $lte: windowEnd },
+  });
+
+  for (const purchaseOrder of paymentsDue) {
+    if (await wasNotified('payment_due', purchaseOrder._id)) continue;
+
+    await notifyRole(io, 'owner', {
+      type: 'payment_due',
+      title: 'Payment due soon',
+      message: `Payment for purchase order ${purchaseOrder.purchaseOrderNumber} is due on ${formatDate(purchaseOrder.paymentTerms.paymentDueDate)}`,
+      entityType: 'purchaseOrder',
+      entityId: purchaseOrder._id,
+      project: purchaseOrder.project,
+    });
+    sent.paymentDue++;
+  }
+
+  return sent;
+};
+
+/**
+ * Recalculate budget ledgers of active projects with budget lines and raise overrun alerts.
+ * Each line remembers the level it last alerted at, so re-runs stay quiet.
+ */
+const checkProjectBudgets = async ({ io }) => {
+  const projects = await Project.find({
+    status: { $nin: ['completed', 'cancelled'] },
+    'budget.lines.0': { $exists: true },
+  }).select('_id');
+
+  let alerts = 0;
+  for (const project of projects) {
+    const ledger = await syncProjectBudget(project._id, io);
+    alerts += ledger ? ledger.alerts.length : 0;
+  }
+
+  return { projects: projects.length, linesOverThreshold: alerts };
+};
+
+/**
+ * Scheduled jobs. Every job must be idempotent: running it twice in a row
+ * (or after a crash mid-run) must not repeat transitions or notifications.
+ */
+const JOB_DEFINITIONS = {
+  'expire-quotations': {
+    description: 'Mark quotations past validUntil as expired',
+    intervalMinutes: 60,
+    run: expireQuotations,
+  },
+  'overdue-service-requests': {
+    description: 'Flag service requests past their expected delivery',
+    intervalMinutes: 60,
+    run: flagOverdueServiceRequests,
+  },
+  'delayed-milestones': {
+    description: 'Mark project milestones past their target date as delayed',
+    intervalMinutes: 60,
+    run: markDelayedMilestones,
+  },
+  'overdue-purchase-orders': {
+    description: 'Flag purchase orders past their expected delivery date',
+    intervalMinutes: 60,
+    run: flagOverduePurchaseOrders,
+  },
+  'budget-alerts': {
+    description: 'Recalculate project budget ledgers and alert on lines over their threshold',
+    intervalMinutes: 60,
+    run: checkProjectBudgets,
+  },
+  'send-reminders': {
+    description: 'Remind users of expiring quotations, upcoming deliveries and payments',
+    intervalMinutes: 6 * 60,
+    run: sendReminders,
+  },
+};
+
+module.exports = {
+  JOB_DEFINITIONS,
+};
@@ -1,8 +1,9 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
- * Generate JWT token for user
- * @param {Object} payload - User data to include in token
+ * Generate a short-lived JWT access token for user
+ * @param {Object} payload - User data to include in token (userId, email, role, sessionId)
  * @returns {String} JWT token
  */
 const generateToken = (payload) => {
@@ -10,11 +11,28 @@ const generateToken = (payload) => {
     payload,
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     }
   );
 };
 
+/**
+ * Generate an opaque refresh token
+ * @returns {String} Random refresh token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Hash a token for storage and lookup
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Verify JWT token
  * @param {String} token - JWT token to verify
@@ -38,6 +56,8 @@ const extractTokenFromHeader = (authHeader) => {
 
 module.exports = {
   generateToken,
+  generateRefreshToken,
+  hashToken,
   verifyToken,
   extractTokenFromHeader,
 };
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail transports share one interface: `send(message)` resolves once the message is delivered.
+ * A message is { from, to, subject, text, html, date }.
+ */
+
+/**
+ * Keep messages in memory (tests inspect `transport.messages`)
+ */
+const createMemoryTransport = () => {
+  const messages = [];
+  return {
+    name: 'memory',
+    messages,
+    send: async (message) => {
+      messages.push(message);
+      return message;
+    },
+    clear: () => {
+      messages.length = 0;
+    },
+  };
+};
+
+/**
+ * Write each message to a JSON file (development without an SMTP server)
+ * @param {String} directory - Output directory
+ */
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || './mail') => ({
+  name: 'file',
+  directory,
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const filename = `${message.date.toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.json`;
+    await fs.promises.writeFile(path.join(directory, filename), JSON.stringify(message, null, 2));
+    return message;
+  },
+});
+
+/**
+ * Log messages to the console (default)
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return message;
+  },
+});
+
+const transportFactories = {
+  memory: createMemoryTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+/**
+ * Replace the active transport (tests, or a production SMTP/API adapter)
+ * @param {Object} nextTransport - Object with an async send(message) method
+ */
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+/**
+ * Get the active transport, creating it from MAIL_TRANSPORT on first use
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Promise<Object>} The sent message
+ */
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Houseway <no-reply@houseway.local>',
+    to,
+    subject,
+    text,
+    html: html || null,
+    date: new Date(),
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  createMemoryTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
@@ -0,0 +1,63 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { emitToUsers } = require('./socket');
+
+/**
+ * Create notifications for a set of recipients and push them over Socket.io
+ * Failures are logged and never break the request that triggered them.
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {Array} recipients - User IDs or user documents
+ * @param {Object} data - { type, title, message, entityType, entityId, project, actor }
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyUsers = async (io, recipients, data) => {
+  try {
+    const ids = [...new Set(
+      recipients
+        .filter(Boolean)
+        .map(recipient => (recipient._id || recipient).toString())
+    )].filter(id => !data.actor || id !== data.actor.toString());
+
+    if (ids.length === 0) return [];
+
+    const notifications = await Notification.insertMany(
+      ids.map(recipient => ({ ...data, recipient }))
+    );
+
+    if (io) {
+      notifications.forEach(notification => {
+        emitToUsers(io, notification.recipient, 'notification', {
+          operation: 'created',
+          notification,
+        });
+      });
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return [];
+  }
+};
+
+/**
+ * Create notifications for every active user with the given role
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {String} role - Recipient role
+ * @param {Object} data - Notification data (see notifyUsers)
+ * @param {Array} additionalRecipients - Extra users to notify (deduplicated against the role)
+ */
+const notifyRole = async (io, role, data, additionalRecipients = []) => {
+  try {
+    const users = await User.findByRole(role).select('_id');
+    return notifyUsers(io, [...users, ...additionalRecipients], data);
+  } catch (error) {
+    console.error('Create role notification error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  notifyUsers,
+  notifyRole,
+};
@@ -0,0 +1,122 @@
+const Counter = require('../models/Counter');
+
+/**
+ * Document number formats per series. Tokens:
+ *   {YYYY} / {YY} - year the document was created (the sequence restarts each year)
+ *   {SEQ} / {SEQ:n} - sequence number, zero-padded to n digits
+ * Override with NUMBER_FORMAT_<SERIES>, e.g. NUMBER_FORMAT_PURCHASE_ORDER=PO/{YY}/{SEQ:4}
+ */
+const NUMBER_SERIES = {
+  quotation: 'QUO-{YYYY}-{SEQ:5}',
+  purchaseOrder: 'PO-{YYYY}-{SEQ:5}',
+  clientInvoice: 'INV-{YYYY}-{SEQ:5}',
+  vendorInvoice: 'VINV-{YYYY}-{SEQ:5}',
+  materialRequest: 'MR-{YYYY}-{SEQ:5}',
+  serviceRequest: 'SR-{YYYY}-{SEQ:5}',
+  goodsReceipt: 'GRN-{YYYY}-{SEQ:5}',
+  receipt: 'RCT-{YYYY}-{SEQ:5}',
+  changeOrder: 'CO-{YYYY}-{SEQ:5}',
+};
+
+const TOKEN = /\{(YYYY|YY|SEQ)(?::(\d+))?\}/g;
+
+const toEnvName = (series) => `NUMBER_FORMAT_${series.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+
+const getFormat = (series) => {
+  if (!NUMBER_SERIES[series]) {
+    throw new Error(`Unknown numbering series: ${series}`);
+  }
+  return process.env[toEnvName(series)] || NUMBER_SERIES[series];
+};
+
+const usesYear = (format) => /\{YYYY\}|\{YY\}/.test(format);
+
+// Counter key for a series: the calendar year, or 0 when the format has no year
+const getCounterYear = (series, date = new Date()) => (usesYear(getFormat(series)) ? new Date(date).getFullYear() : 0);
+
+/**
+ * Render a number from its parts
+ * @param {String} series - Key of NUMBER_SERIES
+ * @param {Number} seq - Sequence value
+ * @param {Date} date - Document date (picks the year)
+ */
+const formatNumber = (series, seq, date = new Date()) => {
+  const year = String(new Date(date).getFullYear());
+
+  return getFormat(series).replace(TOKEN, (match, token, width) => {
+    switch (token) {
+      case 'YYYY':
+        return year;
+      case 'YY':
+        return year.slice(-2);
+      default:
+        return String(seq).padStart(parseInt(width, 10) || 0, '0');
+    }
+  });
+};
+
+/**
+ * Read the year and sequence back out of a number in the series' current format
+ * @returns {Object|null} { year, seq }, or null when the number is in another format
+ */
+const parseNumber = (series, number) => {
+  const format = getFormat(series);
+  const groups = [];
+  let pattern = '';
+  let last = 0;
+
+  for (const match of format.matchAll(TOKEN)) {
+    pattern += format.slice(last, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    pattern += match[1] === 'YYYY' ? '(\\d{4})' : match[1] === 'YY' ? '(\\d{2})' : '(\\d+)';
+    groups.push(match[1]);
+    last = match.index + match[0].length;
+  }
+  pattern += format.slice(last).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const found = new RegExp(`^${pattern}$`).exec(number || '');
+  if (!found) return null;
+
+  const parsed = { year: 0, seq: null };
+  groups.forEach((token, index) => {
+    const value = parseInt(found[index + 1], 10);
+    if (token === 'SEQ') parsed.seq = value;
+    else parsed.year = token === 'YY' ? 2000 + value : value;
+  });
+  return parsed;
+};
+
+/**
+ * Take the next number in a series. Safe under concurrent saves: the sequence
+ * comes from an atomic increment on the counters collection.
+ * @param {String} series - Key of NUMBER_SERIES
+ * @param {Date} date - Document date (picks the yearly sequence)
+ * @returns {Promise<String>}
+ */
+const nextNumber = async (series, date = new Date()) => {
+  const seq = await Counter.next(series, getCounterYear(series, date));
+  return formatNumber(series, seq, date);
+};
+
+/**
+ * Mongoose plugin that assigns the next number in a series to `field` when a
+ * document is validated without one (runs before required checks).
+ * @param {Object} schema
+ * @param {Object} options - { field, series }
+ */
+const numberingPlugin = (schema, { field, series }) => {
+  schema.pre('validate', async function() {
+    if (!this[field]) {
+      this[field] = await nextNumber(series, this.createdAt || new Date());
+    }
+  });
+};
+
+module.exports = {
+  NUMBER_SERIES,
+  getFormat,
+  getCounterYear,
+  formatNumber,
+  parseNumber,
+  nextNumber,
+  numberingPlugin,
+};
@@ -0,0 +1,331 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Printable documents (quotations, purchase orders, client invoices).
+ * Each document type maps its model onto one layout: company header, parties, line items,
+ * totals breakdown, terms and a signature block.
+ */
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Line item table: [key, heading, width, align]
+const COLUMNS = [
+  ['description', 'Description', 215, 'left'],
+  ['quantity', 'Qty', 55, 'right'],
+  ['unit', 'Unit', 55, 'left'],
+  ['unitPrice', 'Unit price', 80, 'right'],
+  ['total', 'Amount', 90, 'right'],
+];
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  check: 'Check',
+  bank_transfer: 'Bank transfer',
+  credit_card: 'Credit card',
+  net_30: 'Net 30',
+  net_60: 'Net 60',
+  advance: 'Advance',
+  upi: 'UPI',
+  other: 'Other',
+};
+
+const getCompanyDetails = () => ({
+  name: process.env.COMPANY_NAME || 'Houseway',
+  address: process.env.COMPANY_ADDRESS || '',
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || '',
+});
+
+const formatMoney = (amount, currency = 'USD') =>
+  `${currency} ${(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+const personName = (user) => {
+  if (!user || !user.firstName) return '';
+  return user.vendorDetails?.companyName || `${user.firstName} ${user.lastName}`;
+};
+
+const formatAddress = (address = {}) =>
+  [address.street || address.address, address.city, address.state, address.zipCode, address.country].filter(Boolean).join(', ');
+
+const drawHeader = (doc, spec) => {
+  const company = getCompanyDetails();
+
+  doc.font('Helvetica-Bold').fontSize(18).text(company.name, MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  [company.address, company.phone, company.email].filter(Boolean).forEach(line => doc.text(line));
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+    .text(spec.title, MARGIN, MARGIN, { width: CONTENT_WIDTH, align: 'right' });
+  doc.font('Helvetica').fontSize(10).text(spec.number, { width: CONTENT_WIDTH, align: 'right' });
+  spec.meta.forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, { width: CONTENT_WIDTH, align: 'right' });
+  });
+
+  doc.moveDown(1.5);
+  const y = Math.max(doc.y, MARGIN + 70);
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + CONTENT_WIDTH, y).strokeColor('#cccccc').stroke();
+  doc.y = y + 12;
+};
+
+const drawParties = (doc, parties) => {
+  const top = doc.y;
+  const width = CONTENT_WIDTH / parties.length;
+  let bottom = top;
+
+  parties.forEach((party, index) => {
+    const x = MARGIN + index * width;
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#555555').text(party.heading.toUpperCase(), x, top, { width: width - 10 });
+    doc.font('Helvetica').fontSize(10).fillColor('#000000');
+    party.lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width: width - 10 }));
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.y = bottom + 16;
+};
+
+const drawTableRow = (doc, cells, { bold = false } = {}) => {
+  const top = doc.y;
+  let x = MARGIN;
+  let bottom = top;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  COLUMNS.forEach(([key, , width, align]) => {
+    doc.text(String(cells[key] ?? ''), x + 4, top, { width: width - 8, align });
+    bottom = Math.max(bottom, doc.y);
+    x += width;
+  });
+
+  doc.y = bottom + 4;
+  doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + CONTENT_WIDTH, doc.y).strokeColor('#e5e5e5').stroke();
+  doc.y += 4;
+};
+
+const drawItems = (doc, items, currency) => {
+  const headings = Object.fromEntries(COLUMNS.map(([key, heading]) => [key, heading]));
+  drawTableRow(doc, headings, { bold: true });
+
+  items.forEach(item => {
+    // Keep a row and its header together across pages
+    if (doc.y > doc.page.height - MARGIN - 60) {
+      doc.addPage();
+      drawTableRow(doc, headings, { bold: true });
+    }
+    drawTableRow(doc, {
+      description: item.detail ? `${item.description}\n${item.detail}` : item.description,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitPrice: formatMoney(item.unitPrice, currency),
+      total: formatMoney(item.total, currency),
+    });
+  });
+};
+
+const drawTotals = (doc, totals, total, currency) => {
+  const labelX = MARGIN + CONTENT_WIDTH - 250;
+  doc.moveDown(0.5);
+
+  const row = (label, amount, bold) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10);
+    doc.text(label, labelX, y, { width: 140 });
+    doc.text(formatMoney(amount, currency), labelX + 140, y, { width: 110, align: 'right' });
+    doc.moveDown(0.3);
+  };
+
+  totals.forEach(([label, amount]) => row(label, amount, false));
+  doc.moveTo(labelX, doc.y).lineTo(MARGIN + CONTENT_WIDTH, doc.y).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.3);
+  row(total[0], total[1], true);
+  doc.x = MARGIN;
+  doc.moveDown(1);
+};
+
+const drawTerms = (doc, terms, notes) => {
+  if (terms.length > 0) {
+    doc.font('Helvetica-Bold').fontSize(10).text('Terms', MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(9);
+    terms.forEach(([label, value]) => doc.text(`${label}: ${value}`, MARGIN, doc.y, { width: CONTENT_WIDTH }));
+    doc.moveDown(0.8);
+  }
+
+  if (notes) {
+    doc.font('Helvetica-Bold').fontSize(10).text('Notes', MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(9).text(notes, MARGIN, doc.y, { width: CONTENT_WIDTH });
+    doc.moveDown(0.8);
+  }
+};
+
+const drawSignatures = (doc, signatures) => {
+  if (doc.y > doc.page.height - MARGIN - 90) doc.addPage();
+
+  const top = doc.y + 40;
+  const width = CONTENT_WIDTH / signatures.length;
+  signatures.forEach((label, index) => {
+    const x = MARGIN + index * width;
+    doc.moveTo(x, top).lineTo(x + width - 30, top).strokeColor('#000000').stroke();
+    doc.font('Helvetica').fontSize(9).text(label, x, top + 6, { width: width - 30 });
+    doc.text('Date:', x, doc.y + 4, { width: width - 30 });
+  });
+};
+
+/**
+ * Render a document spec to a PDF buffer
+ * @param {Object} spec - { title, number, meta, parties, items, currency, totals, total, terms, notes, signatures }
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (spec) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `${spec.title} ${spec.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  drawHeader(doc, spec);
+  drawParties(doc, spec.parties);
+  drawItems(doc, spec.items, spec.currency);
+  drawTotals(doc, spec.totals, spec.total, spec.currency);
+  drawTerms(doc, spec.terms, spec.notes);
+  drawSignatures(doc, spec.signatures);
+  doc.end();
+});
+
+/**
+ * Quotation (vendor and materialRequest.project populated)
+ */
+const quotationPdf = (quotation) => renderPdf({
+  title: 'QUOTATION',
+  number: quotation.quotationNumber,
+  meta: [
+    ['Date', formatDate(quotation.submittedAt || quotation.createdAt)],
+    ['Valid until', formatDate(quotation.validUntil)],
+    ['Revision', quotation.revision || 1],
+  ],
+  parties: [
+    { heading: 'Vendor', lines: [personName(quotation.vendor), quotation.vendor?.email, quotation.vendor?.phone] },
+    { heading: 'Project', lines: [quotation.materialRequest?.project?.title, formatAddress(quotation.materialRequest?.project?.location)] },
+  ],
+  items: quotation.items.map(item => ({
+    description: item.materialName,
+    detail: item.description,
+    quantity: item.quantity,
+    unit: item.unit,
+    unitPrice: item.unitPrice,
+    total: item.totalPrice,
+  })),
+  currency: quotation.currency,
+  totals: [
+    ['Subtotal', quotation.subtotal],
+    [`Discount (${quotation.discount.percentage}%)`, -quotation.discount.amount],
+    [`Tax (${quotation.tax.percentage}%)`, quotation.tax.amount],
+    ['Delivery', quotation.deliveryTerms.deliveryCharges],
+  ],
+  total: ['Total', quotation.totalAmount],
+  terms: [
+    ['Delivery', `${quotation.deliveryTerms.deliveryTime} days to ${quotation.deliveryTerms.deliveryLocation}`],
+    ['Payment', PAYMENT_METHOD_LABELS[quotation.paymentTerms.paymentMethod] || quotation.paymentTerms.paymentMethod],
+    ['Advance', `${quotation.paymentTerms.advancePercentage || 0}%`],
+    ['Credit', `${quotation.paymentTerms.creditDays || 0} days`],
+  ],
+  notes: quotation.description,
+  signatures: ['For the vendor', `Accepted for ${getCompanyDetails().name}`],
+});
+
+/**
+ * Purchase order (vendor and project populated)
+ */
+const purchaseOrderPdf = (purchaseOrder) => renderPdf({
+  title: 'PURCHASE ORDER',
+  number: purchaseOrder.purchaseOrderNumber,
+  meta: [
+    ['Date', formatDate(purchaseOrder.sentAt || purchaseOrder.createdAt)],
+    ['Expected delivery', formatDate(purchaseOrder.expectedDeliveryDate)],
+  ],
+  parties: [
+    { heading: 'Vendor', lines: [personName(purchaseOrder.vendor), purchaseOrder.vendor?.email, purchaseOrder.vendor?.phone] },
+    {
+      heading: 'Deliver to',
+      lines: [
+        purchaseOrder.project?.title,
+        formatAddress(purchaseOrder.deliveryAddress),
+        purchaseOrder.deliveryAddress?.contactPerson,
+        purchaseOrder.deliveryAddress?.contactPhone,
+      ],
+    },
+  ],
+  items: purchaseOrder.items.map(item => ({
+    description: item.materialName,
+    detail: item.description,
+    quantity: item.quantity,
+    unit: item.unit,
+    unitPrice: item.unitPrice,
+    total: item.totalPrice,
+  })),
+  currency: purchaseOrder.currency,
+  totals: [
+    ['Subtotal', purchaseOrder.subtotal],
+    [`Discount (${purchaseOrder.discount.percentage}%)`, -purchaseOrder.discount.amount],
+    [`Tax (${purchaseOrder.tax.percentage}%)`, purchaseOrder.tax.amount],
+    ['Delivery', purchaseOrder.deliveryCharges],
+  ],
+  total: ['Total', purchaseOrder.totalAmount],
+  terms: [
+    ['Payment', PAYMENT_METHOD_LABELS[purchaseOrder.paymentTerms.paymentMethod] || purchaseOrder.paymentTerms.paymentMethod],
+    ['Advance', formatMoney(purchaseOrder.paymentTerms.advanceAmount, purchaseOrder.currency)],
+    ['Balance', formatMoney(purchaseOrder.paymentTerms.balanceAmount, purchaseOrder.currency)],
+    ['Payment due', formatDate(purchaseOrder.paymentTerms.paymentDueDate)],
+  ],
+  notes: purchaseOrder.description,
+  signatures: [`Authorised for ${getCompanyDetails().name}`, 'Acknowledged by the vendor'],
+});
+
+/**
+ * Client invoice (client and project populated)
+ */
+const clientInvoicePdf = (invoice) => renderPdf({
+  title: 'INVOICE',
+  number: invoice.invoiceNumber,
+  meta: [
+    ['Issued', formatDate(invoice.issueDate)],
+    ['Due', formatDate(invoice.dueDate)],
+  ],
+  parties: [
+    { heading: 'Bill to', lines: [personName(invoice.client), invoice.client?.email, invoice.client?.phone] },
+    { heading: 'Project', lines: [invoice.project?.title, formatAddress(invoice.project?.location)] },
+  ],
+  items: invoice.items.map(item => ({
+    description: item.description,
+    quantity: item.quantity,
+    unit: item.unit,
+    unitPrice: item.unitPrice,
+    total: item.totalPrice,
+  })),
+  currency: invoice.currency,
+  totals: [
+    ['Subtotal', invoice.subtotal],
+    [`Discount (${invoice.discount.percentage}%)`, -invoice.discount.amount],
+    [`Tax (${invoice.tax.percentage}%)`, invoice.tax.amount],
+    ['Paid to date', -invoice.amountPaid],
+  ],
+  total: ['Balance due', invoice.balanceDue],
+  terms: [
+    ['Invoice total', formatMoney(invoice.totalAmount, invoice.currency)],
+    ['Payment due', formatDate(invoice.dueDate)],
+    ...invoice.payments.map(payment => [
+      `Payment ${payment.receiptNumber}`,
+      `${formatMoney(payment.amount, invoice.currency)} on ${formatDate(payment.paidAt)} (${PAYMENT_METHOD_LABELS[payment.method] || payment.method})`,
+    ]),
+  ],
+  notes: invoice.description,
+  signatures: [`For ${getCompanyDetails().name}`],
+});
+
+module.exports = {
+  renderPdf,
+  quotationPdf,
+  purchaseOrderPdf,
+  clientInvoicePdf,
+};
@@ -0,0 +1,306 @@
+const Role = require('../models/Role');
+
+/**
+ * Permission catalogue. Keys are `<entity>.<action>`; values describe the permission
+ * for the role editor. `.viewAll` permissions lift the usual "records I am involved in" scoping.
+ */
+const PERMISSIONS = {
+  'project.view': 'View projects you are part of',
+  'project.viewAll': 'View every project',
+  'project.create': 'Create projects',
+  'project.update': 'Edit project details',
+  'project.delete': 'Delete projects',
+  'project.assign': 'Assign employees and vendors to projects',
+  'project.uploadDocuments': 'Upload project documents',
+  'project.uploadImages': 'Upload project images',
+  'project.updateProgress': 'Update project progress',
+  'project.viewBudget': 'View project budget ledgers',
+  'project.manageBudget': 'Set budget lines and record costs outside purchase orders',
+  'projectTemplate.view': 'View project templates',
+  'projectTemplate.manage': 'Create, edit and delete project templates',
+
+  'materialRequest.view': 'View material requests for your projects',
+  'materialRequest.viewAll': 'View every material request',
+  'materialRequest.create': 'Create material requests',
+  'materialRequest.approve': 'Approve or reject material requests',
+  'materialRequest.assignVendor': 'Assign vendors to material requests',
+  'materialRequest.accept': 'Accept material requests as a vendor',
+  'materialRequest.addNote': 'Comment on material requests',
+
+  'quotation.view': 'View quotations for your projects or your own quotations',
+  'quotation.viewAll': 'View every quotation',
+  'quotation.create': 'Create, edit and submit quotations as a vendor',
+  'quotation.approve': 'Review, approve or reject quotations',
+  'quotation.addNote': 'Comment on quotations',
+  'quotation.negotiate': 'Propose and answer counter-offers on quotations',
+
+  'purchaseOrder.view': 'View purchase orders for your projects or your own orders',
+  'purchaseOrder.viewAll': 'View every purchase order',
+  'purchaseOrder.create': 'Create purchase orders',
+  'purchaseOrder.send': 'Send purchase orders to vendors',
+  'purchaseOrder.amend': 'Amend quantities, dates and addresses on purchase orders',
+  'purchaseOrder.cancel': 'Cancel or short-close purchase orders',
+  'purchaseOrder.acknowledge': 'Acknowledge purchase orders as a vendor',
+  'purchaseOrder.recordDelivery': 'Record deliveries against purchase orders',
+
+  'clientInvoice.view': 'View client invoices and payments for your projects',
+  'clientInvoice.viewAll': 'View every client invoice',
+  'clientInvoice.manage': 'Create, issue and cancel client invoices',
+  'clientInvoice.recordPayment': 'Record client payments and issue receipts',
+
+  'changeOrder.view': 'View change orders for your projects',
+  'changeOrder.manage': 'Draft, submit and withdraw change orders',
+  'changeOrder.approve': 'Approve or decline change orders on your own projects as the client',
+
+  'vendorInvoice.view': 'View vendor invoices for your projects or your own invoices',
+  'vendorInvoice.viewAll': 'View every vendor invoice and the payables aging report',
+  'vendorInvoice.submit': 'Create and submit invoices against your purchase orders as a vendor',
+  'vendorInvoice.approve': 'Approve or dispute vendor invoices',
+  'vendorInvoice.pay': 'Mark approved vendor invoices as paid',
+
+  'serviceRequest.view': 'View your own service requests',
+  'serviceRequest.viewAll': 'View every service request',
+  'serviceRequest.create': 'Create service requests',
+  'serviceRequest.manage': 'Assign vendors to and update any service request',
+
+  'workStatus.view': 'View vendor work status updates',
+  'workStatus.viewAll': 'View work status updates from every vendor',
+  'workStatus.submit': 'Post work status updates as a vendor',
+
+  'file.view': 'View and download files',
+  'file.viewAll': 'View and download every file, regardless of project or quotation access',
+  'file.upload': 'Upload files',
+  'file.delete': 'Delete files uploaded by anyone',
+
+  'user.view': 'View every user account',
+  'user.viewByRole': 'Look up users by role',
+  'user.register': 'Register employee and vendor accounts',
+  'user.manage': 'Activate, deactivate and delete users',
+  'role.manage': 'Edit roles and their permissions',
+  'audit.view': 'View the audit log and entity change history',
+  'job.manage': 'View background job runs and trigger jobs manually',
+
+  'dashboard.owner': 'View the company dashboard',
+  'dashboard.financial': 'View financial and portfolio summaries',
+  'dashboard.employee': 'View the employee dashboard',
+  'dashboard.vendor': 'View the vendor dashboard',
+  'dashboard.client': 'View the client dashboard',
+  'dashboard.activity': 'View recent activity',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+/**
+ * Permissions granted to the built-in roles the first time they are stored.
+ * Owners always hold the full catalogue and cannot be edited.
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  employee: [
+    'project.view',
+    'project.uploadDocuments',
+    'project.uploadImages',
+    'project.updateProgress',
+    'project.viewBudget',
+    'projectTemplate.view',
+    'materialRequest.view',
+    'materialRequest.create',
+    'materialRequest.addNote',
+    'quotation.view',
+    'quotation.addNote',
+    'purchaseOrder.view',
+    'purchaseOrder.recordDelivery',
+    'clientInvoice.view',
+    'changeOrder.view',
+    'vendorInvoice.view',
+    'serviceRequest.view',
+    'serviceRequest.create',
+    'workStatus.view',
+    'workStatus.viewAll',
+    'file.view',
+    'file.upload',
+    'user.viewByRole',
+    'dashboard.employee',
+    'dashboard.activity',
+  ],
+  vendor: [
+    'project.view',
+    'materialRequest.view',
+    'materialRequest.accept',
+    'materialRequest.addNote',
+    'quotation.view',
+    'quotation.create',
+    'quotation.addNote',
+    'quotation.negotiate',
+    'purchaseOrder.view',
+    'purchaseOrder.acknowledge',
+    'vendorInvoice.view',
+    'vendorInvoice.submit',
+    'serviceRequest.view',
+    'serviceRequest.create',
+    'workStatus.view',
+    'workStatus.submit',
+    'file.view',
+    'file.upload',
+    'dashboard.vendor',
+    'dashboard.activity',
+  ],
+  client: [
+    'project.view',
+    'project.uploadDocuments',
+    'materialRequest.view',
+    'materialRequest.addNote',
+    'quotation.view',
+    'quotation.addNote',
+    'purchaseOrder.view',
+    'clientInvoice.view',
+    'changeOrder.view',
+    'changeOrder.approve',
+    'serviceRequest.view',
+    'serviceRequest.create',
+    'workStatus.view',
+    'workStatus.viewAll',
+    'file.view',
+    'file.upload',
+    'dashboard.client',
+    'dashboard.activity',
+  ],
+  guest: [
+    'serviceRequest.view',
+    'serviceRequest.create',
+  ],
+};
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  employee: 'Employee',
+  vendor: 'Vendor',
+  client: 'Client',
+  guest: 'Guest',
+};
+
+// Resolved permission lists are cached briefly so every request does not hit Mongo
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+let systemRolesReady = null;
+
+/**
+ * Store the built-in roles, adding any catalogue defaults they have not been offered yet.
+ * Runs once per process; permissions an owner removed are never re-added.
+ */
+const ensureSystemRoles = () => {
+  if (!systemRolesReady) {
+    systemRolesReady = (async () => {
+      for (const [name, defaults] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        const role = await Role.findOne({ name });
+
+        if (!role) {
+          await Role.create({
+            name,
+            label: ROLE_LABELS[name],
+            baseRole: name,
+            permissions: defaults,
+            syncedPermissions: ALL_PERMISSIONS,
+            isSystem: true,
+          });
+          continue;
+        }
+
+        const synced = new Set(role.syncedPermissions);
+        const added = defaults.filter(permission => !synced.has(permission) && !role.permissions.includes(permission));
+        const unsynced = ALL_PERMISSIONS.some(permission => !synced.has(permission));
+
+        if (added.length > 0 || unsynced) {
+          role.permissions.push(...added);
+          role.syncedPermissions = ALL_PERMISSIONS;
+          await role.save();
+        }
+      }
+    })().catch(error => {
+      systemRolesReady = null;
+      throw error;
+    });
+  }
+  return systemRolesReady;
+};
+
+/**
+ * Load a role's permissions and base role, using the short-lived cache
+ * @param {String} roleName - Built-in or custom role name
+ * @returns {Promise<Object|null>} { permissions, baseRole } or null when the role does not exist
+ */
+const loadRole = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.role;
+  }
+
+  await ensureSystemRoles();
+  const stored = await Role.findOne({ name: roleName }).select('permissions baseRole');
+  const role = stored
+    ? {
+      baseRole: stored.baseRole,
+      permissions: stored.permissions.filter(permission => PERMISSIONS[permission]),
+    }
+    : null;
+
+  cache.set(roleName, { role, expiresAt: Date.now() + CACHE_TTL_MS });
+  return role;
+};
+
+/**
+ * Get the permission list for a role name
+ * @param {String} roleName - Built-in or custom role name
+ * @returns {Promise<Array<String>>}
+ */
+const getRolePermissions = async (roleName) => {
+  if (roleName === 'owner') return ALL_PERMISSIONS;
+
+  const role = await loadRole(roleName);
+  return role ? role.permissions : [];
+};
+
+/**
+ * Get the permission list for a user: their custom access role when it matches
+ * their user role, otherwise the built-in role
+ * @param {Object} user - User document
+ * @returns {Promise<Array<String>>}
+ */
+const getUserPermissions = async (user) => {
+  if (!user) return [];
+  if (user.role === 'owner') return ALL_PERMISSIONS;
+
+  if (user.accessRole) {
+    const accessRole = await loadRole(user.accessRole);
+    if (accessRole && accessRole.baseRole === user.role) {
+      return accessRole.permissions;
+    }
+  }
+
+  return getRolePermissions(user.role);
+};
+
+/**
+ * Forget cached permission lists after roles change
+ */
+const clearPermissionCache = () => {
+  cache.clear();
+};
+
+/**
+ * Return the entries that are not in the permission catalogue
+ * @param {Array<String>} permissions
+ */
+const findUnknownPermissions = (permissions = []) =>
+  permissions.filter(permission => !PERMISSIONS[permission]);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ensureSystemRoles,
+  getRolePermissions,
+  getUserPermissions,
+  clearPermissionCache,
+  findUnknownPermissions,
+};
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const MaterialRequest = require('../models/MaterialRequest');
+
+/**
+ * A project's structure is what carries over between projects: milestones (with dates
+ * as offsets from the project start), budget lines, the team and the material requests
+ * to raise. Templates store it; cloning captures it from one project and builds another.
+ * Client, location, documents, progress and costs are never part of it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.max(Math.round((new Date(to) - new Date(from)) / DAY_MS), 0);
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Capture a project's structure in the shape a template stores it
+ * @param {Object} project - Project document
+ * @param {Array} materialRequests - The project's material requests
+ * @returns {Object} { milestones, teamRoles, budget, materialRequests }
+ */
+const captureProjectStructure = (project, materialRequests = []) => {
+  const start = project.timeline.startDate;
+
+  const milestones = project.progress.milestones.map(milestone => {
+    const plannedStart = milestone.plannedStartDate || milestone.actualStartDate;
+    const plannedFinish = milestone.targetDate || milestone.completedDate;
+    let durationDays = milestone.durationDays;
+    if (!Number.isInteger(durationDays) && plannedStart && plannedFinish) {
+      durationDays = daysBetween(plannedStart, plannedFinish);
+    }
+
+    return {
+      // Same ids, so dependencies still point at the right milestones
+      _id: milestone._id,
+      name: milestone.name,
+      description: milestone.description,
+      phase: milestone.phase,
+      weight: milestone.weight,
+      startOffsetDays: plannedStart ? daysBetween(start, plannedStart) : undefined,
+      durationDays,
+      dependsOn: [...milestone.dependsOn],
+    };
+  });
+
+  const teamRoles = [
+    { title: 'Project team', baseRole: 'employee', members: [...project.assignedEmployees] },
+    { title: 'Vendors', baseRole: 'vendor', members: [...project.assignedVendors] },
+  ].filter(role => role.members.length > 0);
+
+  return {
+    milestones,
+    teamRoles,
+    budget: {
+      currency: project.budget.currency,
+      alertThreshold: project.budget.alertThreshold,
+      lines: project.budget.lines.map(line => ({
+        category: line.category,
+        budgeted: line.budgeted,
+        notes: line.notes,
+      })),
+    },
+    materialRequests: materialRequests.map(materialRequest => ({
+      title: materialRequest.title,
+      description: materialRequest.description,
+      priority: materialRequest.priority,
+      requiredOffsetDays: daysBetween(start, materialRequest.requiredBy),
+      materials: materialRequest.materials.map(material => ({
+        name: material.name,
+        description: material.description,
+        quantity: material.quantity,
+        unit: material.unit,
+        category: material.category,
+        specifications: toPlain(material.specifications),
+        estimatedCost: material.estimatedCost,
+        priority: material.priority,
+      })),
+    })),
+  };
+};
+
+/**
+ * Turn a structure into the fields of a new project starting on startDate.
+ * Milestones get fresh ids (dependencies follow them) and planned dates from their offsets.
+ * @param {Object} structure - Template, or the result of captureProjectStructure
+ * @param {Date} startDate
+ * @returns {Object} { milestones, budget, expectedEndDate } - expectedEndDate is the
+ *   latest planned milestone finish, or null when no milestone is planned
+ */
+const buildProjectFields = (structure, startDate) => {
+  const ids = new Map(structure.milestones.map(milestone => [
+    milestone._id.toString(),
+    new mongoose.Types.ObjectId(),
+  ]));
+  let lastDay = null;
+
+  const milestones = structure.milestones.map(milestone => {
+    const planned = Number.isFinite(milestone.startOffsetDays);
+    const duration = Number.isFinite(milestone.durationDays) ? milestone.durationDays : null;
+    if (planned) {
+      lastDay = Math.max(lastDay || 0, milestone.startOffsetDays + (duration || 0));
+    }
+
+    return {
+      _id: ids.get(milestone._id.toString()),
+      name: milestone.name,
+      description: milestone.description,
+      phase: milestone.phase,
+      weight: milestone.weight,
+      durationDays: duration === null ? undefined : duration,
+      dependsOn: milestone.dependsOn
+        .map(id => ids.get(id.toString()))
+        .filter(Boolean),
+      plannedStartDate: planned ? addDays(startDate, milestone.startOffsetDays) : undefined,
+      targetDate: planned && duration !== null ? addDays(startDate, milestone.startOffsetDays + duration) : undefined,
+      status: 'pending',
+    };
+  });
+
+  const lines = structure.budget.lines.map(line => ({
+    category: line.category,
+    budgeted: line.budgeted,
+    notes: line.notes,
+  }));
+
+  return {
+    milestones,
+    budget: {
+      currency: structure.budget.currency,
+      alertThreshold: structure.budget.alertThreshold,
+      lines,
+      // With lines the estimate is their sum, as when lines are set on the budget screen
+      ...(lines.length > 0 && { estimated: lines.reduce((total, line) => total + line.budgeted, 0) }),
+    },
+    expectedEndDate: lastDay !== null ? addDays(startDate, lastDay) : null,
+  };
+};
+
+/**
+ * Raise the structure's material requests on a project as drafts.
+ * Dates that would fall in the past are moved to tomorrow, since requests must be needed in the future.
+ * @returns {Promise<Array>} the created material requests
+ */
+const createDraftMaterialRequests = async (structure, project, requestedBy) => {
+  const earliest = addDays(new Date(), 1);
+
+  const drafts = structure.materialRequests
+    .filter(materialRequest => materialRequest.materials.length > 0)
+    .map(materialRequest => {
+      const offsetDate = addDays(project.timeline.startDate, materialRequest.requiredOffsetDays || 0);
+      const requiredBy = offsetDate > earliest ? offsetDate : earliest;
+
+      return new MaterialRequest({
+        project: project._id,
+        requestedBy,
+        title: materialRequest.title,
+        description: materialRequest.description,
+        priority: materialRequest.priority,
+        status: 'draft',
+        requiredBy,
+        materials: materialRequest.materials.map(material => ({
+          ...toPlain(material),
+          requiredBy,
+        })),
+      });
+    });
+
+  for (const draft of drafts) {
+    await draft.save();
+  }
+  return drafts;
+};
+
+module.exports = {
+  captureProjectStructure,
+  buildProjectFields,
+  createDraftMaterialRequests,
+};
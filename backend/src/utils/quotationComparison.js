@@ -0,0 +1,124 @@
+/**
+ * Builds the bid comparison matrix for a material request: one row per requested
+ * material and one column (offer) per vendor quotation.
+ */
+
+// Quotations that are still live offers
+const COMPARABLE_STATUSES = ['submitted', 'under_review', 'approved'];
+
+const vendorName = (vendor) => {
+  if (!vendor || !vendor.firstName) return null;
+  return vendor.vendorDetails?.companyName || `${vendor.firstName} ${vendor.lastName}`;
+};
+
+/**
+ * Summarise a quotation as a matrix column
+ */
+const buildOffer = (quotation, materialCount) => {
+  const deliveryCharges = quotation.deliveryTerms?.deliveryCharges || 0;
+  const quotedLines = new Set(quotation.items.map(item => item.materialRequestItem.toString())).size;
+
+  return {
+    quotation: {
+      _id: quotation._id,
+      quotationNumber: quotation.quotationNumber,
+      title: quotation.title,
+      status: quotation.status,
+      validUntil: quotation.validUntil,
+    },
+    vendor: {
+      _id: quotation.vendor._id || quotation.vendor,
+      name: vendorName(quotation.vendor),
+    },
+    subtotal: quotation.subtotal,
+    discount: quotation.discount?.amount || 0,
+    tax: quotation.tax?.amount || 0,
+    taxPercentage: quotation.tax?.percentage || 0,
+    deliveryCharges,
+    // Landed cost: what we pay to have everything on site
+    landedTotal: quotation.subtotal - (quotation.discount?.amount || 0) + (quotation.tax?.amount || 0) + deliveryCharges,
+    deliveryDays: quotation.deliveryTerms?.deliveryTime ?? null,
+    paymentTerms: {
+      paymentMethod: quotation.paymentTerms?.paymentMethod,
+      advancePercentage: quotation.paymentTerms?.advancePercentage || 0,
+      creditDays: quotation.paymentTerms?.creditDays || 0,
+    },
+    quotedLines,
+    isComplete: quotedLines >= materialCount,
+    isLowestLandedTotal: false,
+    isBestOffer: false,
+  };
+};
+
+/**
+ * @param {Object} materialRequest - MaterialRequest document
+ * @param {Array} quotations - Quotation documents for the request (vendor populated)
+ * @returns {Object} { materials, offers, bestOffer }
+ */
+const buildComparisonMatrix = (materialRequest, quotations) => {
+  const comparable = quotations.filter(quotation => COMPARABLE_STATUSES.includes(quotation.status));
+  const offers = comparable.map(quotation => buildOffer(quotation, materialRequest.materials.length));
+
+  const materials = materialRequest.materials.map(material => {
+    const cells = comparable.map(quotation => {
+      const item = quotation.items.find(i => i.materialRequestItem.toString() === material._id.toString());
+      if (!item) return null;
+
+      return {
+        quotationId: quotation._id,
+        quotationItemId: item._id,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        lineTotal: item.totalPrice,
+        deliveryDays: item.availability?.deliveryTime ?? quotation.deliveryTerms?.deliveryTime ?? null,
+        inStock: item.availability?.inStock !== false,
+        awardStatus: item.awardStatus || 'pending',
+        isLowestPrice: false,
+      };
+    });
+
+    const prices = cells.filter(Boolean).map(cell => cell.unitPrice);
+    const lowestUnitPrice = prices.length > 0 ? Math.min(...prices) : null;
+    cells.forEach(cell => {
+      if (cell && cell.unitPrice === lowestUnitPrice) cell.isLowestPrice = true;
+    });
+
+    return {
+      materialRequestItem: material._id,
+      name: material.name,
+      isAwarded: cells.some(cell => cell && cell.awardStatus === 'awarded'),
+      category: material.category,
+      quantity: material.quantity,
+      unit: material.unit,
+      lowestUnitPrice,
+      offers: cells,
+    };
+  });
+
+  if (offers.length > 0) {
+    const lowestLanded = Math.min(...offers.map(offer => offer.landedTotal));
+    offers.forEach(offer => {
+      offer.isLowestLandedTotal = offer.landedTotal === lowestLanded;
+    });
+  }
+
+  // Best offer: the cheapest landed total among the offers covering the most lines,
+  // so a vendor quoting only the cheap items never wins by omission
+  const maxCoverage = Math.max(0, ...offers.map(offer => offer.quotedLines));
+  const bestOffer = offers
+    .filter(offer => offer.quotedLines === maxCoverage)
+    .sort((a, b) => a.landedTotal - b.landedTotal || (a.deliveryDays ?? Infinity) - (b.deliveryDays ?? Infinity))[0] || null;
+
+  if (bestOffer) bestOffer.isBestOffer = true;
+
+  return {
+    materials,
+    offers,
+    bestOffer: bestOffer ? bestOffer.quotation._id : null,
+  };
+};
+
+module.exports = {
+  COMPARABLE_STATUSES,
+  buildComparisonMatrix,
+};
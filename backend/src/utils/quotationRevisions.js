@@ -0,0 +1,107 @@
+/**
+ * Line-by-line comparison of two quotation revisions (snapshots from Quotation#getRevision).
+ */
+
+const ITEM_FIELDS = ['quantity', 'unitPrice', 'totalPrice'];
+
+const TERM_FIELDS = [
+  'tax.percentage',
+  'discount.percentage',
+  'deliveryTerms.deliveryTime',
+  'deliveryTerms.deliveryLocation',
+  'deliveryTerms.deliveryCharges',
+  'deliveryTerms.freeDeliveryThreshold',
+  'paymentTerms.paymentMethod',
+  'paymentTerms.advancePercentage',
+  'paymentTerms.creditDays',
+  'validUntil',
+];
+
+const TOTAL_FIELDS = ['subtotal', 'tax.amount', 'discount.amount', 'totalAmount'];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+
+// Dates compare by time; everything else by value
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+const numberChange = (from = 0, to = 0) => ({ from, to, delta: to - from });
+
+const itemKey = item => (item.materialRequestItem ? item.materialRequestItem.toString() : item.materialName);
+
+/**
+ * Compare one line that exists in both revisions
+ */
+const diffItem = (fromItem, toItem) => {
+  const changes = {};
+  ITEM_FIELDS.forEach(field => {
+    if (fromItem[field] !== toItem[field]) changes[field] = numberChange(fromItem[field], toItem[field]);
+  });
+  if (fromItem.unit !== toItem.unit) changes.unit = { from: fromItem.unit, to: toItem.unit };
+
+  return {
+    materialRequestItem: toItem.materialRequestItem,
+    materialName: toItem.materialName,
+    change: Object.keys(changes).length > 0 ? 'changed' : 'unchanged',
+    changes,
+  };
+};
+
+/**
+ * @param {Object} from - Older revision snapshot
+ * @param {Object} to - Newer revision snapshot
+ * @returns {Object} { from, to, items, terms, totals, totalDelta, hasChanges }
+ */
+const diffRevisions = (from, to) => {
+  const fromItems = new Map(from.items.map(item => [itemKey(item), item]));
+  const toItems = new Map(to.items.map(item => [itemKey(item), item]));
+
+  const items = [];
+  to.items.forEach(item => {
+    const previous = fromItems.get(itemKey(item));
+    if (previous) {
+      items.push(diffItem(previous, item));
+    } else {
+      items.push({
+        materialRequestItem: item.materialRequestItem,
+        materialName: item.materialName,
+        change: 'added',
+        changes: Object.fromEntries(ITEM_FIELDS.map(field => [field, numberChange(0, item[field])])),
+      });
+    }
+  });
+  from.items.forEach(item => {
+    if (toItems.has(itemKey(item))) return;
+    items.push({
+      materialRequestItem: item.materialRequestItem,
+      materialName: item.materialName,
+      change: 'removed',
+      changes: Object.fromEntries(ITEM_FIELDS.map(field => [field, numberChange(item[field], 0)])),
+    });
+  });
+
+  const terms = TERM_FIELDS
+    .filter(field => !sameValue(getPath(from, field), getPath(to, field)))
+    .map(field => ({ field, from: getPath(from, field) ?? null, to: getPath(to, field) ?? null }));
+
+  const totals = Object.fromEntries(TOTAL_FIELDS.map(field => [field, numberChange(getPath(from, field), getPath(to, field))]));
+  const totalDelta = totals.totalAmount.delta;
+
+  return {
+    from: from.revisionNumber,
+    to: to.revisionNumber,
+    items,
+    terms,
+    totals,
+    totalDelta,
+    hasChanges: totalDelta !== 0 || terms.length > 0 || items.some(item => item.change !== 'unchanged'),
+  };
+};
+
+module.exports = {
+  diffRevisions,
+};
@@ -0,0 +1,227 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+/**
+ * Project schedule: critical path method over the project's milestones. Dependencies are
+ * finish-to-start, durations are in calendar days and every date is counted in whole days
+ * from the project's start date. Open deliveries a milestone waits on hold back its start
+ * (or, once started, its finish) until the goods are due, or until today when they are late.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders still expected to deliver; cancelled or completed orders no longer hold anything up
+const OPEN_PURCHASE_ORDER_STATUSES = ['sent', 'acknowledged', 'in_progress', 'partially_delivered'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const durationOf = (milestone) => {
+  if (Number.isInteger(milestone.durationDays)) return milestone.durationDays;
+  if (milestone.plannedStartDate && milestone.targetDate) {
+    return Math.max(Math.round((startOfDay(milestone.targetDate) - startOfDay(milestone.plannedStartDate)) / DAY_MS), 0);
+  }
+  return 0;
+};
+
+/**
+ * Order milestones so every milestone comes after the ones it depends on.
+ * Dependencies on milestones that no longer exist are ignored.
+ * @returns {Object} { order, cycle } - cycle lists the milestones in a dependency loop, or is null
+ */
+const orderMilestones = (milestones) => {
+  const byId = new Map(milestones.map(milestone => [idOf(milestone), milestone]));
+  const remaining = new Map(milestones.map(milestone => [
+    idOf(milestone),
+    new Set((milestone.dependsOn || []).map(idOf).filter(id => byId.has(id))),
+  ]));
+  const order = [];
+
+  while (remaining.size > 0) {
+    const ready = [...remaining.keys()].filter(id => remaining.get(id).size === 0);
+    if (ready.length === 0) break;
+
+    ready.forEach(id => {
+      order.push(byId.get(id));
+      remaining.delete(id);
+    });
+    remaining.forEach(predecessors => ready.forEach(id => predecessors.delete(id)));
+  }
+
+  // What is left is a loop plus anything waiting on it; trim the latter so only the loop is reported
+  let trimmed = true;
+  while (trimmed) {
+    const needed = new Set([...remaining.values()].flatMap(predecessors => [...predecessors]));
+    const waiting = [...remaining.keys()].filter(id => !needed.has(id));
+    waiting.forEach(id => remaining.delete(id));
+    trimmed = waiting.length > 0;
+  }
+
+  return {
+    order,
+    cycle: remaining.size > 0 ? [...remaining.keys()].map(id => byId.get(id)) : null,
+  };
+};
+
+/**
+ * @returns {Array|null} names of the milestones caught in a dependency loop, or null when there is none
+ */
+const findDependencyCycle = (milestones) => {
+  const { cycle } = orderMilestones(milestones);
+  return cycle ? cycle.map(milestone => milestone.name) : null;
+};
+
+/**
+ * @param {Object} project - Project document (timeline and milestones included)
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { startDate, expectedEndDate, forecastEndDate, slipDays, criticalPath, milestones }
+ */
+const buildProjectSchedule = async (project, now = new Date()) => {
+  const origin = startOfDay(project.timeline.startDate);
+  const toDay = (date) => Math.round((startOfDay(date) - origin) / DAY_MS);
+  const toDate = (day) => new Date(origin.getTime() + day * DAY_MS);
+  const today = toDay(now);
+
+  const milestones = project.progress.milestones || [];
+  const { order, cycle } = orderMilestones(milestones);
+  if (cycle) {
+    throw new Error(`Milestone dependencies form a loop: ${cycle.map(m => m.name).join(', ')}`);
+  }
+
+  const purchaseOrders = await PurchaseOrder.find({
+    _id: { $in: milestones.flatMap(milestone => milestone.purchaseOrders || []) },
+  }).select('purchaseOrderNumber status expectedDeliveryDate');
+  const purchaseOrderById = new Map(purchaseOrders.map(purchaseOrder => [idOf(purchaseOrder), purchaseOrder]));
+
+  // Forward pass: earliest start and finish
+  const nodes = new Map();
+  order.forEach(milestone => {
+    const id = idOf(milestone);
+    const duration = durationOf(milestone);
+    const predecessors = (milestone.dependsOn || []).map(idOf).filter(dependency => nodes.has(dependency));
+    const constraints = [];
+
+    // Deliveries still outstanding; a late one is now expected no earlier than today
+    const deliveries = (milestone.purchaseOrders || [])
+      .map(purchaseOrderId => purchaseOrderById.get(idOf(purchaseOrderId)))
+      .filter(purchaseOrder => purchaseOrder && OPEN_PURCHASE_ORDER_STATUSES.includes(purchaseOrder.status))
+      .map(purchaseOrder => {
+        const overdue = toDay(purchaseOrder.expectedDeliveryDate) < today;
+        return {
+          purchaseOrder,
+          overdue,
+          day: overdue ? today : toDay(purchaseOrder.expectedDeliveryDate),
+        };
+      });
+    const deliveryDay = deliveries.reduce((latest, delivery) => Math.max(latest, delivery.day), -Infinity);
+
+    let earlyStart;
+    let earlyFinish;
+
+    if (milestone.status === 'completed' && milestone.completedDate) {
+      earlyFinish = toDay(milestone.completedDate);
+      earlyStart = milestone.actualStartDate ? toDay(milestone.actualStartDate) : earlyFinish - duration;
+    } else if (milestone.actualStartDate) {
+      earlyStart = toDay(milestone.actualStartDate);
+      // Work already under way can't finish in the past, nor before the goods it still needs arrive
+      earlyFinish = Math.max(earlyStart + duration, today, deliveryDay);
+    } else {
+      earlyStart = Math.max(
+        0,
+        today,
+        milestone.plannedStartDate ? toDay(milestone.plannedStartDate) : 0,
+        deliveryDay,
+        ...predecessors.map(dependency => nodes.get(dependency).earlyFinish)
+      );
+      earlyFinish = earlyStart + duration;
+    }
+
+    // Report the deliveries that set the date, and any that are late
+    const heldUntil = milestone.actualStartDate ? earlyFinish : earlyStart;
+    deliveries
+      .filter(delivery => milestone.status !== 'completed' && (delivery.overdue || delivery.day >= heldUntil))
+      .forEach(delivery => {
+        constraints.push({
+          type: delivery.overdue ? 'overdue_delivery' : 'delivery',
+          purchaseOrder: delivery.purchaseOrder._id,
+          purchaseOrderNumber: delivery.purchaseOrder.purchaseOrderNumber,
+          expectedDeliveryDate: delivery.purchaseOrder.expectedDeliveryDate,
+        });
+      });
+
+    nodes.set(id, {
+      milestone,
+      duration,
+      predecessors,
+      successors: [],
+      earlyStart,
+      earlyFinish,
+      constraints,
+    });
+  });
+
+  nodes.forEach((node, id) => {
+    node.predecessors.forEach(dependency => nodes.get(dependency).successors.push(id));
+  });
+
+  const finishDay = nodes.size > 0
+    ? Math.max(...[...nodes.values()].map(node => node.earlyFinish))
+    : null;
+
+  // Backward pass: latest start and finish that still meet the forecast end
+  [...order].reverse().forEach(milestone => {
+    const node = nodes.get(idOf(milestone));
+    node.lateFinish = node.successors.length > 0
+      ? Math.min(...node.successors.map(successor => nodes.get(successor).lateStart))
+      : finishDay;
+    node.lateStart = node.lateFinish - node.duration;
+  });
+
+  // Listed in the project's own milestone order
+  const scheduled = milestones.map(milestone => {
+    const node = nodes.get(idOf(milestone));
+    const completed = milestone.status === 'completed';
+    const totalFloat = completed ? null : node.lateFinish - node.earlyFinish;
+
+    return {
+      _id: milestone._id,
+      name: milestone.name,
+      phase: milestone.phase || milestone.name,
+      status: milestone.status,
+      durationDays: node.duration,
+      dependsOn: node.predecessors,
+      earlyStart: toDate(node.earlyStart),
+      earlyFinish: toDate(node.earlyFinish),
+      lateStart: toDate(node.lateStart),
+      lateFinish: toDate(node.lateFinish),
+      totalFloat,
+      critical: totalFloat !== null && totalFloat <= 0,
+      targetDate: milestone.targetDate || null,
+      slipDays: milestone.targetDate ? node.earlyFinish - toDay(milestone.targetDate) : null,
+      constraints: node.constraints,
+    };
+  });
+
+  const expectedEndDate = project.timeline.expectedEndDate || null;
+
+  return {
+    startDate: origin,
+    expectedEndDate,
+    forecastEndDate: finishDay !== null ? toDate(finishDay) : null,
+    slipDays: finishDay !== null && expectedEndDate ? finishDay - toDay(expectedEndDate) : null,
+    criticalPath: scheduled
+      .filter(milestone => milestone.critical)
+      .sort((a, b) => a.earlyStart - b.earlyStart)
+      .map(milestone => milestone._id),
+    milestones: scheduled,
+  };
+};
+
+module.exports = {
+  findDependencyCycle,
+  buildProjectSchedule,
+};
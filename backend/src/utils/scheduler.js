@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const os = require('os');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { JOB_DEFINITIONS } = require('./jobs');
+
+// Identifies this process as the lock holder
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// A crashed run releases its lock after this long
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+const TICK_MS = (parseInt(process.env.JOB_TICK_SECONDS, 10) || 60) * 1000;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Create the Job documents for every definition (existing schedules are kept)
+ */
+const ensureJobs = () =>
+  Job.bulkWrite(Object.keys(JOB_DEFINITIONS).map(name => ({
+    updateOne: {
+      filter: { name },
+      update: { $setOnInsert: { name } },
+      upsert: true,
+    },
+  })));
+
+/**
+ * Take the job's lock. Scheduled runs also require the job to be due, so
+ * several backend processes never run the same slot twice.
+ * @returns {Promise<Object|null>} Locked Job, or null when locked elsewhere / not due
+ */
+const acquireLock = (name, now, { requireDue }) => {
+  const filter = {
+    name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  };
+  if (requireDue) {
+    filter.enabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return Job.findOneAndUpdate(
+    filter,
+    { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) },
+    { new: true }
+  );
+};
+
+/**
+ * Run a job under its lock and record the run
+ * @param {String} name - Job name (key of JOB_DEFINITIONS)
+ * @param {Object} options - { trigger: 'schedule'|'manual', triggeredBy, io }
+ * @returns {Promise<Object|null>} The JobRun, or null when the job was locked or not due
+ */
+const runJob = async (name, { trigger = 'schedule', triggeredBy = null, io } = {}) => {
+  const definition = JOB_DEFINITIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const now = new Date();
+  const job = await acquireLock(name, now, { requireDue: trigger === 'schedule' });
+  if (!job) return null;
+
+  // Holding the lock means any run still marked running was abandoned
+  await JobRun.updateMany(
+    { job: name, status: 'running' },
+    { status: 'failed', error: 'Run was interrupted before it finished', finishedAt: now }
+  );
+
+  const run = await JobRun.create({ job: name, trigger, triggeredBy, startedAt: now });
+
+  try {
+    run.result = await definition.run({ now, io });
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - now;
+  await run.save();
+
+  await Job.updateOne(
+    { name, lockedBy: INSTANCE_ID },
+    {
+      lockedBy: null,
+      lockedUntil: null,
+      lastRunAt: now,
+      lastStatus: run.status,
+      nextRunAt: new Date(now.getTime() + definition.intervalMinutes * 60 * 1000),
+    }
+  );
+
+  return run;
+};
+
+/**
+ * Run every due job once
+ */
+const tick = async (io) => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const name of Object.keys(JOB_DEFINITIONS)) {
+      await runJob(name, { io });
+    }
+  } catch (error) {
+    console.error('Job scheduler tick error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start the in-process scheduler (disable with JOBS_ENABLED=false)
+ * @param {Object} io - Socket.io server used for notifications
+ */
+const startScheduler = async (io) => {
+  if (timer || process.env.JOBS_ENABLED === 'false') return;
+
+  try {
+    await ensureJobs();
+  } catch (error) {
+    console.error('Job scheduler setup error:', error);
+    return;
+  }
+
+  timer = setInterval(() => tick(io), TICK_MS);
+  timer.unref();
+  tick(io);
+
+  console.log(`⏱️  Job scheduler started (${Object.keys(JOB_DEFINITIONS).length} jobs)`);
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  ensureJobs,
+  runJob,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,145 @@
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken, hashToken } = require('./jwt');
+const { userRoom } = require('./socket');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+/**
+ * Error raised when a refresh token cannot be used
+ */
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Build the access token for a user session
+ */
+const buildAccessToken = (user, session) => generateToken({
+  userId: user._id,
+  email: user.email,
+  role: user.role,
+  sessionId: session._id,
+});
+
+/**
+ * Start a new session (one per login/device)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device info)
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+    ipAddress: req.ip,
+    expiresAt: getRefreshExpiry(),
+  });
+
+  return {
+    token: buildAccessToken(user, session),
+    refreshToken,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting an already rotated token revokes the session, since it means the token leaked;
+ * so does presenting the same token in two concurrent refreshes.
+ * @param {String} refreshToken - Refresh token issued by createSession or a previous rotation
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, refreshToken, session, user }
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash }).populate('user');
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (reused) {
+      await reused.revoke('token_reuse');
+    }
+    throw new SessionError('Invalid refresh token.');
+  }
+
+  if (!session.isActive) {
+    throw new SessionError('Session expired. Please log in again.');
+  }
+
+  const { user } = session;
+  if (!user || !user.isActive) {
+    await session.revoke('deactivated');
+    throw new SessionError('Account is deactivated. Please contact administrator.');
+  }
+
+  // The token is swapped only if it is still the current one, so of two concurrent refreshes
+  // with the same token only one succeeds
+  const nextRefreshToken = generateRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      previousTokenHash: tokenHash,
+      refreshTokenHash: hashToken(nextRefreshToken),
+      lastUsedAt: new Date(),
+      ipAddress: req.ip,
+      expiresAt: getRefreshExpiry(),
+    },
+    { new: true }
+  );
+
+  // Lost the race: the token was used twice, which is treated like any other reuse
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+    throw new SessionError('Invalid refresh token.');
+  }
+
+  return {
+    token: buildAccessToken(user, rotated),
+    refreshToken: nextRefreshToken,
+    session: rotated,
+    user,
+  };
+};
+
+/**
+ * Revoke every session of a user and drop their live sockets
+ * @param {Object} io - Socket.io server (may be undefined)
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason (see Session model)
+ * @param {String} exceptSessionId - Session to keep (e.g. the caller's current one)
+ */
+const revokeUserSessions = async (io, userId, reason, exceptSessionId = null) => {
+  const result = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+
+  // Sockets authenticate once at handshake, so they must be closed explicitly
+  if (io) {
+    if (exceptSessionId) {
+      const sockets = await io.in(userRoom(userId)).fetchSockets();
+      sockets
+        .filter(socket => String(socket.data.sessionId) !== String(exceptSessionId))
+        .forEach(socket => socket.disconnect(true));
+    } else {
+      io.in(userRoom(userId)).disconnectSockets(true);
+    }
+  }
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,197 @@
+const { verifyToken, extractTokenFromHeader } = require('./jwt');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Session = require('../models/Session');
+
+/**
+ * Room name helpers (accept raw IDs or populated documents)
+ */
+const toId = (value) => (value && value._id ? value._id : value).toString();
+const userRoom = (userId) => `user:${toId(userId)}`;
+const roleRoom = (role) => `role:${role}`;
+const projectRoom = (projectId) => `project:${toId(projectId)}`;
+
+/**
+ * Build the project query a user can see (mirrors GET /api/projects)
+ * @param {Object} user - Authenticated user
+ * @returns {Object|null} Mongo query or null when the role has no project access
+ */
+const getProjectQueryForUser = (user) => {
+  switch (user.role) {
+    case 'owner':
+      return {};
+    case 'employee':
+      return { assignedEmployees: user._id };
+    case 'vendor':
+      return { assignedVendors: user._id };
+    case 'client':
+      return { client: user._id };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check whether a user can access a single project
+ * @param {Object} user - Authenticated user
+ * @param {String} projectId - Project ID
+ * @returns {Promise<Boolean>}
+ */
+const canAccessProject = async (user, projectId) => {
+  const query = getProjectQueryForUser(user);
+  if (!query) return false;
+  const count = await Project.countDocuments({ ...query, _id: projectId });
+  return count > 0;
+};
+
+/**
+ * Join the socket to its user, role and project rooms
+ * @param {Object} socket - Socket.io socket
+ */
+const joinDefaultRooms = async (socket) => {
+  const { user } = socket.data;
+
+  socket.join(userRoom(user._id));
+  socket.join(roleRoom(user.role));
+
+  // Owners receive project events through the owner role room
+  if (user.role === 'owner') return;
+
+  const query = getProjectQueryForUser(user);
+  if (!query) return;
+
+  const projects = await Project.find(query).select('_id');
+  projects.forEach(project => socket.join(projectRoom(project._id)));
+};
+
+/**
+ * Socket.io middleware that checks the same JWT used by `authenticate`
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token =
+      socket.handshake.auth?.token ||
+      extractTokenFromHeader(socket.handshake.headers?.authorization);
+
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return next(new Error('Invalid token. User not found.'));
+    }
+
+    if (!(await Session.isSessionActive(decoded.sessionId))) {
+      return next(new Error('Session has been revoked.'));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = decoded.sessionId;
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.'));
+  }
+};
+
+/**
+ * Attach authentication and room handling to the Socket.io server
+ * @param {Object} io - Socket.io server
+ */
+const initializeSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', async (socket) => {
+    const { user } = socket.data;
+    console.log('🔌 New client connected:', socket.id, `(${user.role} ${user._id})`);
+
+    try {
+      await joinDefaultRooms(socket);
+    } catch (error) {
+      console.error('Socket room join error:', error);
+    }
+
+    // Clients call this after reconnecting or when a new project screen is opened
+    socket.on('project:join', async (projectId, ack) => {
+      try {
+        const allowed = await canAccessProject(user, projectId);
+        if (allowed) socket.join(projectRoom(projectId));
+        if (typeof ack === 'function') ack({ success: allowed });
+      } catch (error) {
+        if (typeof ack === 'function') ack({ success: false });
+      }
+    });
+
+    socket.on('project:leave', (projectId) => {
+      socket.leave(projectRoom(projectId));
+    });
+
+    socket.on('disconnect', () => {
+      console.log('🔌 Client disconnected:', socket.id);
+    });
+  });
+};
+
+/**
+ * Emit an event to one or more users
+ * @param {Object} io - Socket.io server
+ * @param {Array|String} userIds - Recipient user IDs
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitToUsers = (io, userIds, event, payload) => {
+  const ids = (Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean);
+  if (ids.length === 0) return;
+  io.to(ids.map(userRoom)).emit(event, payload);
+};
+
+/**
+ * Emit an event to every user with the given role(s)
+ * @param {Object} io - Socket.io server
+ * @param {Array|String} roles - Recipient roles
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitToRoles = (io, roles, event, payload) => {
+  const list = Array.isArray(roles) ? roles : [roles];
+  io.to(list.map(roleRoom)).emit(event, payload);
+};
+
+/**
+ * Emit an event to owners and the members of a project
+ * @param {Object} io - Socket.io server
+ * @param {String} projectId - Project ID
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Object} options - { includeVendors: whether assigned vendors receive it }
+ */
+const emitToProject = (io, projectId, event, payload, { includeVendors = true } = {}) => {
+  let target = io.to([projectRoom(projectId), roleRoom('owner')]);
+  if (!includeVendors) {
+    target = target.except(roleRoom('vendor'));
+  }
+  target.emit(event, payload);
+};
+
+/**
+ * Add a user's connected sockets to a project room (e.g. after assignment)
+ * @param {Object} io - Socket.io server
+ * @param {String} userId - User ID
+ * @param {String} projectId - Project ID
+ */
+const joinUserToProject = (io, userId, projectId) => {
+  io.in(userRoom(userId)).socketsJoin(projectRoom(projectId));
+};
+
+module.exports = {
+  userRoom,
+  roleRoom,
+  projectRoom,
+  initializeSocket,
+  emitToUsers,
+  emitToRoles,
+  emitToProject,
+  joinUserToProject,
+};
@@ -0,0 +1,82 @@
+const AuditEvent = require('../src/models/AuditEvent');
+const { diffSnapshots, recordAudit } = require('../src/utils/audit');
+
+describe('diffSnapshots', () => {
+  it('lists changed, added and removed fields by their nested path, sorted', () => {
+    const before = { title: 'Kitchen', budget: { estimated: 100, currency: 'INR' }, tags: ['a'] };
+    const after = { title: 'Kitchen', budget: { estimated: 120 }, tags: ['a', 'b'], status: 'active' };
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { path: 'budget.currency', before: 'INR', after: undefined },
+      { path: 'budget.estimated', before: 100, after: 120 },
+      { path: 'status', before: undefined, after: 'active' },
+      { path: 'tags.1', before: undefined, after: 'b' },
+    ]);
+  });
+
+  it('reports every field on create and delete', () => {
+    expect(diffSnapshots({}, { title: 'Kitchen' })).toEqual([{ path: 'title', before: undefined, after: 'Kitchen' }]);
+    expect(diffSnapshots({ title: 'Kitchen' }, {})).toEqual([{ path: 'title', before: 'Kitchen', after: undefined }]);
+  });
+
+  it('skips bookkeeping fields and the paths the model ignores', () => {
+    const before = { _id: '1', __v: 0, updatedAt: '2026-01-01', revisions: [], title: 'A' };
+    const after = { _id: '1', __v: 1, updatedAt: '2026-02-01', revisions: [{ revisionNumber: 1 }], title: 'A' };
+
+    expect(diffSnapshots(before, after, ['revisions'])).toEqual([]);
+  });
+
+  it('redacts secrets but still records that they changed', () => {
+    expect(diffSnapshots({ password: 'old-hash' }, { password: 'new-hash', refreshTokenHash: 'abc' })).toEqual([
+      { path: 'password', before: '[redacted]', after: '[redacted]' },
+      { path: 'refreshTokenHash', before: undefined, after: '[redacted]' },
+    ]);
+  });
+
+  it('treats an emptied object or list as a value of its own', () => {
+    expect(diffSnapshots({ tags: ['a'] }, { tags: [] })).toEqual([
+      { path: 'tags', before: undefined, after: [] },
+      { path: 'tags.0', before: 'a', after: undefined },
+    ]);
+  });
+});
+
+describe('recordAudit', () => {
+  const req = {
+    user: { _id: 'user-1', role: 'owner' },
+    method: 'PUT',
+    baseUrl: '/api/projects',
+    route: { path: '/:id' },
+    ip: '127.0.0.1',
+    get: () => 'jest',
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stores nothing for an update that changed no audited field', async () => {
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    await expect(recordAudit(req, { entityType: 'project', entityId: 'p1', operation: 'update', before: { title: 'A' }, after: { title: 'A' } }))
+      .resolves.toBeNull();
+    expect(AuditEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('caps the stored changes and flags the event as truncated', async () => {
+    jest.spyOn(AuditEvent, 'create').mockImplementation(async event => event);
+    const after = Object.fromEntries(Array.from({ length: 105 }, (_, index) => [`field${index}`, index]));
+
+    const event = await recordAudit(req, { entityType: 'project', entityId: 'p1', operation: 'create', before: {}, after });
+
+    expect(event.changes).toHaveLength(100);
+    expect(event.changesTruncated).toBe(true);
+    expect(event).toMatchObject({ actor: 'user-1', actorRole: 'owner', route: '/api/projects/:id', action: 'create' });
+  });
+
+  it('never fails the request when the event cannot be stored', async () => {
+    jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('write failed'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(recordAudit(req, { entityType: 'project', entityId: 'p1', operation: 'delete', before: { title: 'A' }, after: {} }))
+      .resolves.toBeNull();
+  });
+});
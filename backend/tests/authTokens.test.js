@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const AuthToken = require('../src/models/AuthToken');
+const { hashToken } = require('../src/utils/jwt');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('AuthToken.issue', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('retires unused tokens of the same purpose and stores only the hash of the new one', async () => {
+    const user = id();
+    jest.spyOn(AuthToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(AuthToken, 'create').mockResolvedValue({});
+
+    const token = await AuthToken.issue(user, 'password_reset', 60 * 60 * 1000);
+
+    expect(AuthToken.updateMany).toHaveBeenCalledWith(
+      { user, purpose: 'password_reset', usedAt: null },
+      { usedAt: expect.any(Date) }
+    );
+    const [record] = AuthToken.create.mock.calls[0];
+    expect(record).toMatchObject({ user, purpose: 'password_reset', tokenHash: hashToken(token) });
+    expect(record).not.toHaveProperty('token');
+    expect(record.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('issues a different token every time', async () => {
+    jest.spyOn(AuthToken, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(AuthToken, 'create').mockResolvedValue({});
+
+    const first = await AuthToken.issue(id(), 'email_verification', 1000);
+    const second = await AuthToken.issue(id(), 'email_verification', 1000);
+
+    expect(first).toMatch(/^[0-9a-f]{64}$/);
+    expect(second).not.toBe(first);
+  });
+});
+
+describe('AuthToken.consume', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('marks the token used only while it is unused, unexpired and for the same purpose', async () => {
+    const consumed = { _id: id() };
+    jest.spyOn(AuthToken, 'findOneAndUpdate').mockResolvedValue(consumed);
+
+    await expect(AuthToken.consume('raw-token', 'email_verification')).resolves.toBe(consumed);
+
+    const [filter, update, options] = AuthToken.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      tokenHash: hashToken('raw-token'),
+      purpose: 'email_verification',
+      usedAt: null,
+      expiresAt: { $gt: expect.any(Date) },
+    });
+    expect(update).toEqual({ usedAt: expect.any(Date) });
+    expect(options).toEqual({ new: true });
+  });
+
+  it('returns null for a token that was already used, so a reset link works once', async () => {
+    jest.spyOn(AuthToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(AuthToken.consume('raw-token', 'password_reset')).resolves.toBeNull();
+  });
+});
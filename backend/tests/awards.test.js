@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { buildAwardedPurchaseOrder } = require('../src/utils/awards');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const quotation = {
+  _id: id(),
+  vendor: id(),
+  title: 'Structure materials',
+  items: [
+    { _id: id(), materialRequestItem: id(), materialName: 'Cement', quantity: 100, unit: 'pcs', unitPrice: 6, totalPrice: 600 },
+    { _id: id(), materialRequestItem: id(), materialName: 'Steel', quantity: 10, unit: 'kg', unitPrice: 40, totalPrice: 400 },
+  ],
+  subtotal: 1000,
+  tax: { percentage: 0, amount: 50 },
+  discount: { percentage: 10, amount: 100 },
+  deliveryTerms: { deliveryTime: 7, deliveryCharges: 80 },
+  paymentTerms: { paymentMethod: 'net_30', advancePercentage: 0 },
+};
+
+const materialRequest = { _id: id(), project: id() };
+const options = { deliveryAddress: { city: 'Pune' } };
+
+describe('buildAwardedPurchaseOrder', () => {
+  it('orders only the awarded lines and prorates fixed charges to their share', () => {
+    const purchaseOrder = buildAwardedPurchaseOrder(quotation, [quotation.items[0]], materialRequest, options, id());
+
+    expect(purchaseOrder.title).toBe('PO for Structure materials (1 of 2 items)');
+    expect(purchaseOrder.items).toHaveLength(1);
+    expect(purchaseOrder.items[0].quotationItem).toEqual(quotation.items[0]._id);
+    expect(purchaseOrder.deliveryCharges).toBeCloseTo(48);
+    expect(purchaseOrder.tax.amount).toBeCloseTo(30);
+    expect(purchaseOrder.discount).toMatchObject({ percentage: 10, amount: 0 });
+  });
+
+  it('charges delivery once in total when a quotation is awarded over two rounds', () => {
+    const first = buildAwardedPurchaseOrder(quotation, [quotation.items[0]], materialRequest, options, id());
+    const awarded = { ...quotation, items: [{ ...quotation.items[0], awardStatus: 'awarded' }, quotation.items[1]] };
+    const second = buildAwardedPurchaseOrder(awarded, [quotation.items[1]], materialRequest, options, id());
+
+    expect(first.deliveryCharges + second.deliveryCharges).toBeCloseTo(80);
+    expect(first.tax.amount + second.tax.amount).toBeCloseTo(50);
+  });
+
+  it('rounds prorated charges to cents and leaves the remainder to the last round', () => {
+    const thirds = {
+      ...quotation,
+      items: [0, 1, 2].map(() => ({ _id: id(), materialRequestItem: id(), materialName: 'Tiles', quantity: 1, unit: 'pcs', unitPrice: 100, totalPrice: 100 })),
+      subtotal: 300,
+      tax: { percentage: 0, amount: 10 },
+      deliveryTerms: { deliveryTime: 7, deliveryCharges: 100 },
+    };
+
+    const amounts = [];
+    thirds.items.forEach(item => {
+      const purchaseOrder = buildAwardedPurchaseOrder(thirds, [item], materialRequest, options, id());
+      amounts.push(purchaseOrder.deliveryCharges);
+      item.awardStatus = 'awarded';
+    });
+
+    expect(amounts).toEqual([33.33, 33.34, 33.33]);
+    expect(Math.round(amounts.reduce((total, amount) => total + amount, 0) * 100)).toBe(10000);
+  });
+
+  it('keeps the full charges when every line is awarded', () => {
+    const purchaseOrder = buildAwardedPurchaseOrder(quotation, quotation.items, materialRequest, options, id());
+
+    expect(purchaseOrder.title).toBe('PO for Structure materials');
+    expect(purchaseOrder.deliveryCharges).toBe(80);
+    expect(purchaseOrder.paymentTerms.paymentMethod).toBe('net_30');
+  });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Project = require('../src/models/Project');
+const Quotation = require('../src/models/Quotation');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const MaterialRequest = require('../src/models/MaterialRequest');
+const VendorInvoice = require('../src/models/VendorInvoice');
+const { buildBudgetLedger, trySyncProjectBudget } = require('../src/utils/budget');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockFind = (model, documents) =>
+  jest.spyOn(model, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(documents) });
+
+describe('buildBudgetLedger', () => {
+  const cement = id();
+  const steel = id();
+  const orderedQuotation = id();
+  const cementOrderItem = id();
+
+  const project = {
+    _id: id(),
+    budget: {
+      currency: 'INR',
+      alertThreshold: 90,
+      lines: [
+        { category: 'cement', budgeted: 100 },
+        { category: 'steel', budgeted: 210 },
+        { category: 'labour', budgeted: 1000 },
+      ],
+      entries: [
+        { category: 'labour', amount: 300, status: 'paid' },
+        { category: 'labour', amount: 200, status: 'committed' },
+      ],
+    },
+  };
+
+  beforeEach(() => {
+    mockFind(MaterialRequest, [{
+      _id: id(),
+      materials: [
+        { _id: cement, name: 'Cement', category: 'cement' },
+        { _id: steel, name: 'Steel', category: 'steel' },
+      ],
+    }]);
+    mockFind(PurchaseOrder, [
+      {
+        quotation: orderedQuotation,
+        status: 'partially_delivered',
+        subtotal: 100,
+        totalAmount: 110,
+        items: [{ _id: cementOrderItem, materialRequestItem: cement, quantity: 10, unitPrice: 10, totalPrice: 100, deliveredQuantity: 5 }],
+      },
+      {
+        quotation: id(),
+        status: 'cancelled',
+        subtotal: 500,
+        totalAmount: 500,
+        items: [{ _id: id(), materialRequestItem: steel, quantity: 10, unitPrice: 50, totalPrice: 500, deliveredQuantity: 0 }],
+      },
+    ]);
+    mockFind(Quotation, [
+      { _id: orderedQuotation, subtotal: 100, totalAmount: 110, items: [{ materialRequestItem: cement, totalPrice: 100 }] },
+      {
+        _id: id(),
+        subtotal: 250,
+        totalAmount: 250,
+        items: [
+          { materialRequestItem: steel, totalPrice: 200, awardStatus: 'awarded' },
+          { materialRequestItem: cement, totalPrice: 50, awardStatus: 'not_selected' },
+        ],
+      },
+    ]);
+    mockFind(VendorInvoice, [
+      { subtotal: 50, totalAmount: 55, items: [{ purchaseOrderItem: cementOrderItem, quantity: 5, unitPrice: 10 }] },
+    ]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('builds committed, actual and paid amounts per category at landed value', async () => {
+    const ledger = await buildBudgetLedger(project);
+    const line = (category) => ledger.lines.find(l => l.category === category);
+
+    expect(line('cement')).toMatchObject({ committed: 110, actual: 55, paid: 55, forecast: 110, variance: -10, utilisation: 110 });
+    // Cancelled orders do not count; the approved quotation commits only its awarded line
+    expect(line('steel')).toMatchObject({ committed: 200, actual: 0, paid: 0, forecast: 200, utilisation: 95 });
+    expect(line('labour')).toMatchObject({ committed: 500, actual: 300, paid: 300, forecast: 500, utilisation: 50 });
+    expect(line('paint')).toMatchObject({ budgeted: 0, forecast: 0, utilisation: null, alertLevel: null });
+
+    expect(ledger.totals).toEqual({ budgeted: 1310, committed: 810, actual: 355, paid: 355, forecast: 810, variance: 500 });
+    expect(ledger.currency).toBe('INR');
+  });
+
+  it('flags lines over the alert threshold and over budget', async () => {
+    const ledger = await buildBudgetLedger(project);
+
+    expect(ledger.alerts.map(line => [line.category, line.alertLevel])).toEqual([
+      ['cement', 'overrun'],
+      ['steel', 'warning'],
+    ]);
+  });
+});
+
+describe('trySyncProjectBudget', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('logs a failed sync instead of failing the action that triggered it', async () => {
+    jest.spyOn(Project, 'findById').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(trySyncProjectBudget(id())).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Sync project budget error:', expect.any(Error));
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const ChangeOrder = require('../src/models/ChangeOrder');
+const Project = require('../src/models/Project');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildProject = () => ({
+  _id: id(),
+  budget: {
+    estimated: 1000,
+    lines: [
+      { category: 'tiles', budgeted: 600 },
+      { category: 'labour', budgeted: 400 },
+    ],
+  },
+  timeline: { startDate: new Date('2026-01-01'), expectedEndDate: new Date('2026-06-01') },
+  changeOrders: { approvedCount: 0, costImpact: 0, scheduleImpactDays: 0 },
+  save: jest.fn().mockResolvedValue(),
+});
+
+const buildChangeOrder = () => new ChangeOrder({
+  project: id(),
+  client: id(),
+  title: 'Upgrade bathroom tiles',
+  description: 'Italian marble instead of ceramic',
+  costImpact: 250,
+  scheduleImpactDays: 5,
+  budgetCategory: 'tiles',
+  status: 'pending_approval',
+});
+
+describe('ChangeOrder#projectUpdate', () => {
+  it('applies the change as one pipeline on the stored values', () => {
+    const [lineStage, totalsStage] = buildChangeOrder().projectUpdate();
+
+    expect(lineStage.$set['budget.lines'].$cond[1].$concatArrays).toHaveLength(2);
+    expect(totalsStage.$set['budget.estimated'].$cond[1]).toEqual({ $sum: '$budget.lines.budgeted' });
+    expect(totalsStage.$set['timeline.expectedEndDate'].$cond[1])
+      .toEqual({ $add: ['$timeline.expectedEndDate', 5 * DAY_MS] });
+    expect(totalsStage.$set['changeOrders.approvedCount'])
+      .toEqual({ $add: [{ $ifNull: ['$changeOrders.approvedCount', 0] }, 1] });
+    expect(totalsStage.$set['changeOrders.costImpact'])
+      .toEqual({ $add: [{ $ifNull: ['$changeOrders.costImpact', 0] }, 250] });
+  });
+});
+
+describe('ChangeOrder#approve', () => {
+  const client = id();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims the pending order, applies it in one update and records the impact on the stored project', async () => {
+    const project = buildProject();
+    const changeOrder = buildChangeOrder();
+    const updated = { _id: project._id };
+    jest.spyOn(ChangeOrder, 'findOneAndUpdate').mockResolvedValue(changeOrder);
+    jest.spyOn(ChangeOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    // Another order was approved meanwhile: the stored estimate and tiles line are higher than the copy we hold
+    const stored = buildProject();
+    stored.budget = { estimated: 1100, lines: [{ category: 'tiles', budgeted: 700 }, { category: 'labour', budgeted: 400 }] };
+    jest.spyOn(Project, 'findOneAndUpdate').mockResolvedValue(stored);
+    jest.spyOn(Project, 'findById').mockResolvedValue(updated);
+
+    await expect(changeOrder.approve(project, client, 'Go ahead')).resolves.toBe(updated);
+
+    expect(ChangeOrder.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: changeOrder._id, status: { $in: ['pending_approval'] } },
+      expect.objectContaining({ status: 'approved' }),
+      { new: true }
+    );
+    expect(Project.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: project._id },
+      expect.any(Array),
+      { new: false }
+    );
+    expect(project.save).not.toHaveBeenCalled();
+    expect(changeOrder.status).toBe('approved');
+    expect(changeOrder.applied).toMatchObject({ previousEstimated: 1100, newEstimated: 1350 });
+    expect(changeOrder.applied.newEndDate).toEqual(new Date(new Date('2026-06-01').getTime() + 5 * DAY_MS));
+    expect(ChangeOrder.updateOne).toHaveBeenCalledWith({ _id: changeOrder._id }, { applied: changeOrder.applied });
+    expect(changeOrder.decision.comments).toBe('Go ahead');
+  });
+
+  it('leaves the project alone when another request decided the order first', async () => {
+    const project = buildProject();
+    const changeOrder = buildChangeOrder();
+    jest.spyOn(ChangeOrder, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Project, 'findOneAndUpdate');
+
+    await expect(changeOrder.approve(project, client)).resolves.toBeNull();
+
+    expect(Project.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(changeOrder.status).toBe('pending_approval');
+  });
+
+  it('hands the order back for approval when the project cannot be updated', async () => {
+    const project = buildProject();
+    const changeOrder = buildChangeOrder();
+    jest.spyOn(ChangeOrder, 'findOneAndUpdate').mockResolvedValue(changeOrder);
+    jest.spyOn(ChangeOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Project, 'findOneAndUpdate').mockRejectedValue(new Error('write conflict'));
+
+    await expect(changeOrder.approve(project, client)).rejects.toThrow('write conflict');
+
+    expect(ChangeOrder.updateOne).toHaveBeenCalledWith(
+      { _id: changeOrder._id, status: 'approved' },
+      { status: 'pending_approval', $unset: { decision: 1 } }
+    );
+  });
+});
+
+describe('ChangeOrder#decline and #withdraw', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only moves orders that are still open', async () => {
+    const changeOrder = buildChangeOrder();
+    jest.spyOn(ChangeOrder, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(changeOrder.decline(id(), 'Too expensive')).resolves.toBeNull();
+    await expect(changeOrder.withdraw()).resolves.toBeNull();
+    expect(ChangeOrder.findOneAndUpdate.mock.calls[1][0].status).toEqual({ $in: ['draft', 'pending_approval'] });
+    expect(changeOrder.status).toBe('pending_approval');
+  });
+});
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Counter = require('../src/models/Counter');
+const ClientInvoice = require('../src/models/ClientInvoice');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildInvoice = (overrides = {}) => new ClientInvoice({
+  invoiceNumber: 'INV-2026-00001',
+  project: id(),
+  client: id(),
+  title: 'Design phase',
+  items: [{ description: 'Concept design', quantity: 1, unitPrice: 10.99 }],
+  tax: { percentage: 18 },
+  dueDate: new Date('2026-11-30'),
+  status: 'issued',
+  createdBy: id(),
+  ...overrides,
+});
+
+describe('ClientInvoice#calculateTotals', () => {
+  it('rounds tax and the total to cents so the balance can be settled exactly', () => {
+    const invoice = buildInvoice();
+
+    invoice.calculateTotals();
+
+    expect(invoice.tax.amount).toBe(1.98);
+    expect(invoice.totalAmount).toBe(12.97);
+    expect(invoice.balanceDue).toBe(12.97);
+  });
+
+  it('leaves nothing due once the rounded total is paid', () => {
+    const invoice = buildInvoice();
+    invoice.payments.push({ amount: 12.97, method: 'upi', receiptNumber: 'RCT-2026-00001', recordedBy: id() });
+
+    invoice.calculateTotals();
+
+    expect(invoice.amountPaid).toBe(12.97);
+    expect(invoice.balanceDue).toBe(0);
+  });
+
+  it('rounds fixed tax and discount amounts too', () => {
+    const invoice = buildInvoice({ tax: { amount: 1.005 }, discount: { amount: 0.333 } });
+
+    invoice.calculateTotals();
+
+    expect(invoice.discount.amount).toBe(0.33);
+    expect(invoice.totalAmount).toBe(Math.round((10.99 + invoice.tax.amount - 0.33) * 100) / 100);
+  });
+});
+
+describe('ClientInvoice#recordPayment', () => {
+  const recorder = id();
+
+  beforeEach(() => {
+    jest.spyOn(Counter, 'next').mockResolvedValue(7);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('applies the payment only while the balance due covers it', async () => {
+    const invoice = buildInvoice();
+    invoice.calculateTotals();
+    const updated = { _id: invoice._id };
+    jest.spyOn(ClientInvoice, 'findOneAndUpdate').mockResolvedValue(updated);
+
+    await expect(invoice.recordPayment({ amount: 12.97, method: 'upi', paidAt: new Date('2026-11-10') }, recorder))
+      .resolves.toBe(updated);
+
+    const [filter, pipeline] = ClientInvoice.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: invoice._id,
+      status: { $in: ['issued', 'partially_paid'] },
+      balanceDue: { $gte: 12.97 },
+    });
+    const [payment] = pipeline[0].$set.payments.$concatArrays[1];
+    expect(payment.$literal).toMatchObject({ amount: 12.97, receiptNumber: 'RCT-2026-00007', recordedBy: recorder });
+  });
+
+  it('returns null when a concurrent payment already took the balance', async () => {
+    const invoice = buildInvoice();
+    invoice.calculateTotals();
+    jest.spyOn(ClientInvoice, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(invoice.recordPayment({ amount: 10, method: 'cash' }, recorder)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const File = require('../src/models/File');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const ClientInvoice = require('../src/models/ClientInvoice');
+const Project = require('../src/models/Project');
+const Quotation = require('../src/models/Quotation');
+const MaterialRequest = require('../src/models/MaterialRequest');
+const {
+  canAccessFile,
+  canLinkUpload,
+  getGeneratedFile,
+  getSignedFileUrl,
+  verifyFileSignature,
+  parseFileUrl,
+} = require('../src/utils/files');
+
+const id = () => new mongoose.Types.ObjectId();
+const request = (userId, permissions = []) => ({ user: { _id: userId }, permissions });
+
+const mockLinkedDocument = (model, document) =>
+  jest.spyOn(model, 'findById').mockReturnValue({
+    select: () => ({ populate: jest.fn().mockResolvedValue(document) }),
+  });
+
+describe('canAccessFile', () => {
+  const uploader = id();
+  const client = id();
+  const employee = id();
+  const projectVendor = id();
+  const quotationVendor = id();
+  const project = { client, assignedEmployees: [employee], assignedVendors: [projectVendor] };
+
+  beforeEach(() => {
+    jest.spyOn(Project, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(project) });
+    jest.spyOn(Quotation, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ vendor: quotationVendor, materialRequest: id() }) });
+    jest.spyOn(MaterialRequest, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue({ project }) });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lets the uploader and holders of file.viewAll read any file', async () => {
+    const file = { uploadedBy: uploader, project: id() };
+
+    await expect(canAccessFile(request(uploader), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(id(), ['file.viewAll']), file)).resolves.toBe(true);
+    expect(Project.findById).not.toHaveBeenCalled();
+  });
+
+  it('shows profile photos to everyone', async () => {
+    await expect(canAccessFile(request(id()), { uploadedBy: uploader, tags: ['profile-photo'] })).resolves.toBe(true);
+  });
+
+  it('shows project files to project members, assigned vendors included', async () => {
+    const file = { uploadedBy: uploader, project: id() };
+
+    await expect(canAccessFile(request(client), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(projectVendor), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(id(), ['project.viewAll']), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(id()), file)).resolves.toBe(false);
+  });
+
+  it('shows quotation files to the quotation vendor and the buying team, not other vendors', async () => {
+    const file = { uploadedBy: uploader, quotation: id() };
+
+    await expect(canAccessFile(request(quotationVendor), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(employee), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(projectVendor), file)).resolves.toBe(false);
+  });
+
+  it('refuses files without any link to the user', async () => {
+    await expect(canAccessFile(request(id()), { uploadedBy: uploader, tags: [] })).resolves.toBe(false);
+  });
+});
+
+describe('signed file URLs', () => {
+  const req = { protocol: 'https', get: () => 'api.example.com' };
+
+  beforeAll(() => {
+    process.env.FILE_URL_SECRET = 'file-url-secret';
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const signedParams = () => {
+    const { url, expiresAt } = getSignedFileUrl(req, 'images', 'photo 1.jpg');
+    const { searchParams, pathname } = new URL(url);
+    return { pathname, expiresAt, expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+  };
+
+  it('signs a download URL that verifies for the same file until it expires', () => {
+    const { pathname, expiresAt, expires, signature } = signedParams();
+
+    expect(pathname).toBe('/api/files/signed/images/photo%201.jpg');
+    expect(expiresAt.getTime()).toBe(Number(expires) * 1000);
+    expect(verifyFileSignature('images', 'photo 1.jpg', expires, signature)).toBe(true);
+  });
+
+  it('rejects a signature used for another file or with a changed expiry', () => {
+    const { expires, signature } = signedParams();
+
+    expect(verifyFileSignature('images', 'photo 2.jpg', expires, signature)).toBe(false);
+    expect(verifyFileSignature('documents', 'photo 1.jpg', expires, signature)).toBe(false);
+    expect(verifyFileSignature('images', 'photo 1.jpg', String(Number(expires) + 60), signature)).toBe(false);
+    expect(verifyFileSignature('images', 'photo 1.jpg', expires, 'abc')).toBe(false);
+    expect(verifyFileSignature('images', 'photo 1.jpg', expires, undefined)).toBe(false);
+  });
+
+  it('rejects an expired link', () => {
+    const { expires, signature } = signedParams();
+    jest.spyOn(Date, 'now').mockReturnValue((Number(expires) + 1) * 1000);
+
+    expect(verifyFileSignature('images', 'photo 1.jpg', expires, signature)).toBe(false);
+  });
+
+  it('parses stored file URLs and ignores external ones', () => {
+    expect(parseFileUrl('https://api.example.com/api/files/images/photo%201.jpg?x=1'))
+      .toEqual({ category: 'images', filename: 'photo 1.jpg' });
+    expect(parseFileUrl('/uploads/documents/plan.pdf')).toEqual({ category: 'documents', filename: 'plan.pdf' });
+    expect(parseFileUrl('/api/files/secrets/plan.pdf')).toBeNull();
+    expect(parseFileUrl('https://cdn.example.com/photo.jpg')).toBeNull();
+  });
+});
+
+describe('generated PDF access', () => {
+  const owner = id();
+  const vendor = id();
+  const client = id();
+  const employee = id();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('limits a purchase order PDF to its vendor and project staff', async () => {
+    const file = { uploadedBy: owner, purchaseOrder: id(), tags: ['purchase-order-pdf'] };
+    mockLinkedDocument(PurchaseOrder, { vendor, status: 'sent', project: { assignedEmployees: [employee] } });
+
+    await expect(canAccessFile(request(vendor), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(employee, ['purchaseOrder.view']), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(id(), ['purchaseOrder.view']), file)).resolves.toBe(false);
+    await expect(canAccessFile(request(client, ['purchaseOrder.view']), file)).resolves.toBe(false);
+  });
+
+  it('shows a client invoice PDF to its client only once the invoice is issued', async () => {
+    const file = { uploadedBy: owner, clientInvoice: id(), tags: ['client-invoice-pdf'] };
+    const invoice = { client, status: 'draft', project: { assignedEmployees: [employee] } };
+    mockLinkedDocument(ClientInvoice, invoice);
+
+    await expect(canAccessFile(request(client, ['clientInvoice.view']), file)).resolves.toBe(false);
+    invoice.status = 'issued';
+    await expect(canAccessFile(request(client, ['clientInvoice.view']), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(vendor, ['clientInvoice.view']), file)).resolves.toBe(false);
+  });
+});
+
+describe('canLinkUpload', () => {
+  const client = id();
+  const vendor = id();
+  const project = { client, assignedEmployees: [], assignedVendors: [] };
+
+  beforeEach(() => {
+    jest.spyOn(Project, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(project) });
+    jest.spyOn(Quotation, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ vendor, materialRequest: id() }) });
+    jest.spyOn(MaterialRequest, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue({ project }) });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lets project members attach uploads to their project only', async () => {
+    await expect(canLinkUpload(request(client), { project: id() })).resolves.toBe(true);
+    await expect(canLinkUpload(request(id()), { project: id() })).resolves.toBe(false);
+    await expect(canLinkUpload(request(id(), ['project.viewAll']), { project: id() })).resolves.toBe(true);
+  });
+
+  it('lets the quotation vendor and the buying team attach uploads to a quotation', async () => {
+    await expect(canLinkUpload(request(vendor), { quotation: id() })).resolves.toBe(true);
+    await expect(canLinkUpload(request(client), { quotation: id() })).resolves.toBe(true);
+    await expect(canLinkUpload(request(id()), { quotation: id() })).resolves.toBe(false);
+  });
+
+  it('requires the uploader to be party to every linked document', async () => {
+    await expect(canLinkUpload(request(vendor), { project: id(), quotation: id() })).resolves.toBe(false);
+    await expect(canLinkUpload(request(id()), {})).resolves.toBe(true);
+  });
+});
+
+describe('getGeneratedFile', () => {
+  const uploader = id();
+  const options = { category: 'purchase-orders', filename: 'PO-2026-00001.pdf', purchaseOrder: id(), tags: ['purchase-order-pdf'] };
+
+  beforeEach(() => {
+    jest.spyOn(fs.promises, 'mkdir').mockResolvedValue();
+    jest.spyOn(fs.promises, 'writeFile').mockResolvedValue();
+    jest.spyOn(fs.promises, 'readFile').mockResolvedValue(Buffer.from('stored'));
+    jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('returns the stored copy when the document has not changed since', async () => {
+    const existing = { updatedAt: new Date('2026-03-02') };
+    jest.spyOn(File, 'findByLocation').mockResolvedValue(existing);
+    const render = jest.fn();
+
+    const result = await getGeneratedFile(request(id()), render, { ...options, sourceUpdatedAt: new Date('2026-03-01') });
+
+    expect(render).not.toHaveBeenCalled();
+    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    expect(result).toEqual({ file: existing, buffer: Buffer.from('stored') });
+  });
+
+  it('re-renders a changed document, keeping the uploader and dropping an old project link', async () => {
+    const existing = new File({
+      filename: options.filename,
+      originalName: options.filename,
+      category: options.category,
+      mimeType: 'application/pdf',
+      size: 3,
+      path: '/uploads/purchase-orders/PO-2026-00001.pdf',
+      uploadedBy: uploader,
+      project: id(),
+    });
+    existing.updatedAt = new Date('2026-03-01');
+    jest.spyOn(File, 'findByLocation').mockResolvedValue(existing);
+    jest.spyOn(existing, 'save').mockImplementation(async function() { return this; });
+
+    const { file, buffer } = await getGeneratedFile(request(id()), async () => Buffer.from('new pdf'), {
+      ...options,
+      sourceUpdatedAt: new Date('2026-03-05'),
+    });
+
+    expect(buffer.toString()).toBe('new pdf');
+    expect(fs.promises.writeFile).toHaveBeenCalled();
+    expect(file.uploadedBy).toEqual(uploader);
+    expect(file.size).toBe(7);
+    expect(file.project).toBeUndefined();
+    expect(file.purchaseOrder).toEqual(options.purchaseOrder);
+  });
+});
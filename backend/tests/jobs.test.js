@@ -0,0 +1,144 @@
+jest.mock('../src/utils/notifications', () => ({
+  notifyUsers: jest.fn().mockResolvedValue([]),
+  notifyRole: jest.fn().mockResolvedValue([]),
+}));
+
+const mongoose = require('mongoose');
+const Quotation = require('../src/models/Quotation');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const ServiceRequest = require('../src/models/ServiceRequest');
+const Project = require('../src/models/Project');
+const { notifyUsers, notifyRole } = require('../src/utils/notifications');
+const { JOB_DEFINITIONS } = require('../src/utils/jobs');
+
+const quotation = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  vendor: new mongoose.Types.ObjectId(),
+  quotationNumber: 'QT-2026-00001',
+  title: 'Cement',
+  validUntil: new Date('2026-01-01'),
+  materialRequest: { project: new mongoose.Types.ObjectId() },
+  ...overrides,
+});
+
+describe('expire-quotations job', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notifyUsers.mockClear();
+  });
+
+  it('only notifies vendors of quotations it actually expired', async () => {
+    const stillOpen = quotation();
+    const approvedMeanwhile = quotation({ quotationNumber: 'QT-2026-00002' });
+
+    jest.spyOn(Quotation, 'find').mockReturnValue({
+      populate: jest.fn().mockResolvedValue([stillOpen, approvedMeanwhile]),
+    });
+    jest.spyOn(Quotation, 'updateOne').mockImplementation(async (filter) => ({
+      modifiedCount: filter._id === stillOpen._id ? 1 : 0,
+    }));
+
+    const result = await JOB_DEFINITIONS['expire-quotations'].run({ now: new Date('2026-02-01') });
+
+    expect(result).toEqual({ expired: 1 });
+    expect(Quotation.updateOne).toHaveBeenCalledWith(
+      { _id: approvedMeanwhile._id, status: { $in: ['draft', 'submitted', 'under_review'] } },
+      { status: 'expired' }
+    );
+    expect(notifyUsers).toHaveBeenCalledTimes(1);
+    expect(notifyUsers.mock.calls[0][1]).toEqual([stillOpen.vendor]);
+    expect(notifyUsers.mock.calls[0][2].entityId).toBe(stillOpen._id);
+  });
+});
+
+describe('overdue jobs', () => {
+  const now = new Date('2026-02-01');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notifyUsers.mockClear();
+  });
+
+  it('only announces purchase orders it actually flagged', async () => {
+    const late = { _id: new mongoose.Types.ObjectId(), purchaseOrderNumber: 'PO-2026-00001', expectedDeliveryDate: new Date('2026-01-20') };
+    const deliveredMeanwhile = { _id: new mongoose.Types.ObjectId(), purchaseOrderNumber: 'PO-2026-00002', expectedDeliveryDate: new Date('2026-01-25') };
+
+    jest.spyOn(PurchaseOrder, 'find').mockResolvedValue([late, deliveredMeanwhile]);
+    jest.spyOn(PurchaseOrder, 'updateOne').mockImplementation(async (filter) => ({
+      modifiedCount: filter._id === late._id ? 1 : 0,
+    }));
+    jest.spyOn(PurchaseOrder, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await JOB_DEFINITIONS['overdue-purchase-orders'].run({ now });
+
+    expect(result).toEqual({ flagged: 1, cleared: 0 });
+    expect(PurchaseOrder.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: deliveredMeanwhile._id, overdueSince: null, expectedDeliveryDate: { $lt: now } }),
+      { overdueSince: now }
+    );
+    expect(notifyUsers).toHaveBeenCalledTimes(1);
+    expect(notifyUsers.mock.calls[0][2].entityId).toBe(late._id);
+  });
+
+  it('only announces service requests it actually flagged', async () => {
+    const late = { _id: new mongoose.Types.ObjectId(), title: 'Leaking tap', timeline: { expectedDelivery: new Date('2026-01-20') } };
+    const closedMeanwhile = { _id: new mongoose.Types.ObjectId(), title: 'Door fix', timeline: { expectedDelivery: new Date('2026-01-25') } };
+
+    jest.spyOn(ServiceRequest, 'find').mockResolvedValue([late, closedMeanwhile]);
+    jest.spyOn(ServiceRequest, 'updateOne').mockImplementation(async (filter) => ({
+      modifiedCount: filter._id === late._id ? 1 : 0,
+    }));
+    jest.spyOn(ServiceRequest, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await JOB_DEFINITIONS['overdue-service-requests'].run({ now });
+
+    expect(result).toEqual({ flagged: 1, cleared: 0 });
+    expect(ServiceRequest.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: closedMeanwhile._id, status: { $nin: ['completed', 'cancelled'] } }),
+      { overdueSince: now }
+    );
+    expect(notifyUsers).toHaveBeenCalledTimes(1);
+    expect(notifyUsers.mock.calls[0][2].entityId).toBe(late._id);
+  });
+});
+
+describe('delayed-milestones job', () => {
+  const now = new Date('2026-02-01');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notifyRole.mockClear();
+  });
+
+  it('only announces milestones it actually marked as delayed', async () => {
+    const late = { _id: new mongoose.Types.ObjectId(), name: 'Tiling', targetDate: new Date('2026-01-20'), status: 'in-progress' };
+    const completedMeanwhile = { _id: new mongoose.Types.ObjectId(), name: 'Plumbing', targetDate: new Date('2026-01-25'), status: 'pending' };
+    const villa = { _id: new mongoose.Types.ObjectId(), title: 'Villa', assignedEmployees: [], progress: { milestones: [late, completedMeanwhile] } };
+    const loft = {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Loft',
+      assignedEmployees: [],
+      progress: { milestones: [{ ...completedMeanwhile, _id: new mongoose.Types.ObjectId() }] },
+    };
+
+    jest.spyOn(Project, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([villa, loft]) });
+    jest.spyOn(Project, 'updateOne').mockImplementation(async (filter) => ({
+      modifiedCount: filter['progress.milestones'].$elemMatch._id === late._id ? 1 : 0,
+    }));
+
+    const result = await JOB_DEFINITIONS['delayed-milestones'].run({ now });
+
+    expect(result).toEqual({ projects: 1, milestones: 1 });
+    expect(Project.updateOne).toHaveBeenCalledWith(
+      {
+        _id: villa._id,
+        'progress.milestones': {
+          $elemMatch: { _id: completedMeanwhile._id, targetDate: { $lt: now }, status: { $in: ['pending', 'in-progress'] } },
+        },
+      },
+      { $set: { 'progress.milestones.$.status': 'delayed' } }
+    );
+    expect(notifyRole).toHaveBeenCalledTimes(1);
+    expect(notifyRole.mock.calls[0][2]).toMatchObject({ entityId: villa._id, message: 'Villa: Tiling passed the target date' });
+  });
+});
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const MaterialRequest = require('../src/models/MaterialRequest');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('MaterialRequest.claimMaterials', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims each material only while no other purchase order holds it', async () => {
+    const requestId = id();
+    const purchaseOrderId = id();
+    const materialIds = [id(), id()];
+    jest.spyOn(MaterialRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(MaterialRequest.claimMaterials(requestId, purchaseOrderId, materialIds)).resolves.toBe(true);
+
+    expect(MaterialRequest.updateOne).toHaveBeenCalledTimes(2);
+    expect(MaterialRequest.updateOne).toHaveBeenCalledWith(
+      { _id: requestId, materials: { $elemMatch: { _id: materialIds[0], purchaseOrder: null } } },
+      { $set: { 'materials.$.purchaseOrder': purchaseOrderId } }
+    );
+  });
+
+  it('releases the claims already made when a concurrent award holds a material', async () => {
+    const requestId = id();
+    const purchaseOrderId = id();
+    const materialIds = [id(), id()];
+    jest.spyOn(MaterialRequest, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValueOnce({ modifiedCount: 1 });
+
+    await expect(MaterialRequest.claimMaterials(requestId, purchaseOrderId, materialIds)).resolves.toBe(false);
+
+    expect(MaterialRequest.updateOne).toHaveBeenLastCalledWith(
+      { _id: requestId },
+      { $set: { 'materials.$[material].purchaseOrder': null } },
+      { arrayFilters: [{ 'material.purchaseOrder': purchaseOrderId, 'material._id': { $in: [materialIds[0]] } }] }
+    );
+  });
+});
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Counter = require('../src/models/Counter');
+const Quotation = require('../src/models/Quotation');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const ClientInvoice = require('../src/models/ClientInvoice');
+const VendorInvoice = require('../src/models/VendorInvoice');
+const MaterialRequest = require('../src/models/MaterialRequest');
+const ServiceRequest = require('../src/models/ServiceRequest');
+const {
+  getCounterYear,
+  formatNumber,
+  parseNumber,
+  nextNumber,
+  numberingPlugin,
+} = require('../src/utils/numbering');
+const migrateDocumentNumbers = require('../src/scripts/migrateDocumentNumbers');
+
+// In-memory stand-in for the counters collection
+const mockCounters = () => {
+  const counters = {};
+  jest.spyOn(Counter, 'next').mockImplementation(async (series, year) => {
+    const key = `${series}:${year}`;
+    counters[key] = (counters[key] || 0) + 1;
+    return counters[key];
+  });
+  jest.spyOn(Counter, 'ensureAtLeast').mockImplementation(async (series, year, seq) => {
+    const key = `${series}:${year}`;
+    counters[key] = Math.max(counters[key] || 0, seq);
+  });
+  return counters;
+};
+
+describe('numbering', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.NUMBER_FORMAT_PURCHASE_ORDER;
+  });
+
+  it('formats and parses the default yearly formats', () => {
+    const date = new Date('2026-04-10');
+
+    expect(formatNumber('quotation', 42, date)).toBe('QUO-2026-00042');
+    expect(parseNumber('quotation', 'QUO-2026-00042')).toEqual({ year: 2026, seq: 42 });
+    expect(parseNumber('quotation', 'QUO-1712345678901')).toBeNull();
+    expect(getCounterYear('quotation', date)).toBe(2026);
+  });
+
+  it('follows a format override from the environment', () => {
+    process.env.NUMBER_FORMAT_PURCHASE_ORDER = 'PO/{YY}/{SEQ:4}';
+
+    expect(formatNumber('purchaseOrder', 7, new Date('2026-01-02'))).toBe('PO/26/0007');
+    expect(parseNumber('purchaseOrder', 'PO/26/0007')).toEqual({ year: 2026, seq: 7 });
+    expect(parseNumber('purchaseOrder', 'PO-2026-00007')).toBeNull();
+  });
+
+  it('keeps a single sequence when the format has no year', async () => {
+    process.env.NUMBER_FORMAT_PURCHASE_ORDER = 'PO-{SEQ}';
+    const counters = mockCounters();
+
+    await expect(nextNumber('purchaseOrder', new Date('2025-12-31'))).resolves.toBe('PO-1');
+    await expect(nextNumber('purchaseOrder', new Date('2026-01-01'))).resolves.toBe('PO-2');
+    expect(counters).toEqual({ 'purchaseOrder:0': 2 });
+  });
+
+  it('rejects an unknown series', () => {
+    expect(() => formatNumber('deliveryNote', 1)).toThrow('Unknown numbering series: deliveryNote');
+  });
+
+  it('numbers a document on validation unless it already has a number', async () => {
+    mockCounters();
+    const schema = new mongoose.Schema({ number: { type: String, required: true } });
+    schema.plugin(numberingPlugin, { field: 'number', series: 'changeOrder' });
+    const Numbered = mongoose.model('NumberedDocument', schema);
+
+    const fresh = new Numbered();
+    const kept = new Numbered({ number: 'CO-2020-00099' });
+    await fresh.validate();
+    await kept.validate();
+
+    expect(fresh.number).toMatch(new RegExp(`^CO-${new Date().getFullYear()}-00001$`));
+    expect(kept.number).toBe('CO-2020-00099');
+  });
+});
+
+describe('migrateDocumentNumbers', () => {
+  const quotations = [
+    { _id: new mongoose.Types.ObjectId(), quotationNumber: 'QUO-2025-00007', createdAt: new Date('2025-02-01') },
+    { _id: new mongoose.Types.ObjectId(), quotationNumber: 'QUO-1717171717171', createdAt: new Date('2025-06-01') },
+    { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2026-01-15') },
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(mongoose, 'connect').mockResolvedValue();
+    jest.spyOn(mongoose.connection, 'close').mockResolvedValue();
+    jest.spyOn(Counter, 'syncIndexes').mockResolvedValue();
+
+    [Quotation, PurchaseOrder, ClientInvoice, VendorInvoice, MaterialRequest, ServiceRequest].forEach(model => {
+      const documents = model === Quotation ? quotations : [];
+      jest.spyOn(model, 'createIndexes').mockResolvedValue();
+      jest.spyOn(model, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ lean: jest.fn().mockResolvedValue(documents) }) }),
+      });
+    });
+    jest.spyOn(Quotation.collection, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps current numbers and renumbers legacy ones after them, per creation year', async () => {
+    const counters = mockCounters();
+
+    await migrateDocumentNumbers();
+
+    expect(Counter.ensureAtLeast).toHaveBeenCalledWith('quotation', 2025, 7);
+    expect(Quotation.collection.updateOne).toHaveBeenCalledTimes(2);
+    expect(Quotation.collection.updateOne).toHaveBeenCalledWith(
+      { _id: quotations[1]._id },
+      { $set: { quotationNumber: 'QUO-2025-00008' } }
+    );
+    expect(Quotation.collection.updateOne).toHaveBeenCalledWith(
+      { _id: quotations[2]._id },
+      { $set: { quotationNumber: 'QUO-2026-00001' } }
+    );
+    expect(counters).toEqual({ 'quotation:2025': 8, 'quotation:2026': 1 });
+  });
+});
@@ -0,0 +1,114 @@
+const Role = require('../src/models/Role');
+const {
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  getUserPermissions,
+  clearPermissionCache,
+  findUnknownPermissions,
+} = require('../src/utils/permissions');
+
+// Role.findOne is awaited directly by ensureSystemRoles and chained with select() by loadRole
+const mockQuery = (document) => ({
+  select: jest.fn().mockResolvedValue(document),
+  then: (resolve, reject) => Promise.resolve(document).then(resolve, reject),
+});
+
+const mockRoles = (roles) =>
+  jest.spyOn(Role, 'findOne').mockImplementation(({ name }) => {
+    if (roles[name]) return mockQuery({ syncedPermissions: ALL_PERMISSIONS, ...roles[name] });
+    // Built-in roles are already stored and synced with the catalogue
+    if (DEFAULT_ROLE_PERMISSIONS[name]) {
+      return mockQuery({ name, baseRole: name, permissions: DEFAULT_ROLE_PERMISSIONS[name], syncedPermissions: ALL_PERMISSIONS });
+    }
+    return mockQuery(null);
+  });
+
+describe('getUserPermissions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearPermissionCache();
+  });
+
+  it('gives owners the whole catalogue without loading a role', async () => {
+    mockRoles({});
+
+    await expect(getUserPermissions({ role: 'owner', accessRole: 'site_lead' })).resolves.toBe(ALL_PERMISSIONS);
+    expect(Role.findOne).not.toHaveBeenCalled();
+  });
+
+  it('resolves the built-in role and drops permissions no longer in the catalogue', async () => {
+    mockRoles({ vendor: { baseRole: 'vendor', permissions: ['quotation.create', 'quotation.retired'] } });
+
+    await expect(getUserPermissions({ role: 'vendor' })).resolves.toEqual(['quotation.create']);
+  });
+
+  it('uses a custom access role only when it is based on the user role', async () => {
+    mockRoles({
+      site_lead: { baseRole: 'employee', permissions: ['project.view', 'purchaseOrder.amend'] },
+      employee: { baseRole: 'employee', permissions: ['project.view'] },
+    });
+
+    await expect(getUserPermissions({ role: 'employee', accessRole: 'site_lead' }))
+      .resolves.toEqual(['project.view', 'purchaseOrder.amend']);
+    await expect(getUserPermissions({ role: 'vendor', accessRole: 'site_lead' }))
+      .resolves.toEqual(DEFAULT_ROLE_PERMISSIONS.vendor);
+  });
+
+  it('grants nothing for a missing role or user', async () => {
+    mockRoles({});
+
+    await expect(getUserPermissions({ role: 'contractor' })).resolves.toEqual([]);
+    await expect(getUserPermissions(null)).resolves.toEqual([]);
+  });
+
+  it('caches resolved roles until the cache is cleared', async () => {
+    mockRoles({ client: { baseRole: 'client', permissions: ['project.view'] } });
+
+    await getUserPermissions({ role: 'client' });
+    const lookups = Role.findOne.mock.calls.filter(([query]) => query.name === 'client').length;
+    await getUserPermissions({ role: 'client' });
+    expect(Role.findOne.mock.calls.filter(([query]) => query.name === 'client')).toHaveLength(lookups);
+
+    clearPermissionCache();
+    await getUserPermissions({ role: 'client' });
+    expect(Role.findOne.mock.calls.filter(([query]) => query.name === 'client')).toHaveLength(lookups + 1);
+  });
+});
+
+describe('ensureSystemRoles', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('offers new catalogue defaults once and never re-adds permissions an owner removed', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const IsolatedRole = require('../src/models/Role');
+      const { ensureSystemRoles, ALL_PERMISSIONS: catalogue, DEFAULT_ROLE_PERMISSIONS: defaults } = require('../src/utils/permissions');
+
+      // The employee role was stored before purchaseOrder.recordDelivery existed, and the owner removed file.upload
+      const employee = {
+        permissions: defaults.employee.filter(permission => !['purchaseOrder.recordDelivery', 'file.upload'].includes(permission)),
+        syncedPermissions: catalogue.filter(permission => permission !== 'purchaseOrder.recordDelivery'),
+        save: jest.fn().mockResolvedValue(),
+      };
+      jest.spyOn(IsolatedRole, 'create').mockResolvedValue({});
+      jest.spyOn(IsolatedRole, 'findOne').mockImplementation(({ name }) => {
+        if (name === 'employee') return Promise.resolve(employee);
+        return Promise.resolve({ permissions: defaults[name], syncedPermissions: catalogue, save: jest.fn() });
+      });
+
+      await ensureSystemRoles();
+
+      expect(employee.save).toHaveBeenCalledTimes(1);
+      expect(employee.permissions).toContain('purchaseOrder.recordDelivery');
+      expect(employee.permissions).not.toContain('file.upload');
+      expect(employee.syncedPermissions).toBe(catalogue);
+      expect(IsolatedRole.create).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('findUnknownPermissions', () => {
+  it('lists entries that are not in the catalogue', () => {
+    expect(findUnknownPermissions(['project.view', 'project.teleport'])).toEqual(['project.teleport']);
+    expect(findUnknownPermissions()).toEqual([]);
+  });
+});
@@ -0,0 +1,75 @@
+const Project = require('../src/models/Project');
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1) + n * 24 * 60 * 60 * 1000);
+
+const buildProject = (milestones) => new Project({ title: 'Villa', progress: { milestones } });
+
+describe('Project#getMilestoneProgress', () => {
+  it('weights each completed milestone by its share of the total weight', () => {
+    const project = buildProject([
+      { name: 'Foundation', status: 'completed', weight: 3 },
+      { name: 'Frame', status: 'in-progress', weight: 1 },
+      { name: 'Finish', status: 'pending', weight: 4 },
+    ]);
+
+    expect(project.getMilestoneProgress()).toBe(38);
+  });
+
+  it('counts milestones without an explicit weight as 1', () => {
+    const project = buildProject([{ name: 'Foundation', status: 'completed' }, { name: 'Frame', status: 'pending' }]);
+
+    expect(project.getMilestoneProgress()).toBe(50);
+  });
+
+  it('splits evenly when every weight is 0', () => {
+    const project = buildProject([
+      { name: 'Foundation', status: 'completed', weight: 0 },
+      { name: 'Frame', status: 'pending', weight: 0 },
+      { name: 'Finish', status: 'pending', weight: 0 },
+    ]);
+
+    expect(project.getMilestoneProgress()).toBe(33);
+  });
+
+  it('returns null without milestones so the manual percentage is kept', () => {
+    expect(buildProject([]).getMilestoneProgress()).toBeNull();
+  });
+});
+
+describe('Project#getPhases', () => {
+  const project = buildProject([
+    { name: 'Excavation', phase: 'Groundwork', status: 'completed', weight: 1, plannedStartDate: day(0), targetDate: day(5), completedDate: day(6) },
+    { name: 'Wiring', phase: 'Services', status: 'pending', weight: 1, plannedStartDate: day(20), targetDate: day(25) },
+    { name: 'Footings', phase: 'Groundwork', status: 'completed', weight: 3, plannedStartDate: day(4), targetDate: day(12), completedDate: day(11) },
+    { name: 'Plumbing', phase: 'Services', status: 'delayed', weight: 1, plannedStartDate: day(15), targetDate: day(18) },
+    { name: 'Handover', status: 'pending', weight: 1 },
+    { name: 'Framing', phase: 'Structure', status: 'completed', weight: 2 },
+    { name: 'Roofing', phase: 'Structure', status: 'pending', weight: 2, actualStartDate: day(30) },
+  ]);
+
+  it('groups milestones by phase in the order phases first appear, using the name when there is no phase', () => {
+    expect(project.getPhases().map(phase => [phase.name, phase.milestones.length])).toEqual([
+      ['Groundwork', 2],
+      ['Services', 2],
+      ['Handover', 1],
+      ['Structure', 2],
+    ]);
+  });
+
+  it('derives each phase status from its milestones', () => {
+    expect(project.getPhases().map(phase => phase.status)).toEqual(['completed', 'delayed', 'pending', 'in-progress']);
+  });
+
+  it('weights phase progress and spans the phase dates', () => {
+    const [groundwork, services, , structure] = project.getPhases();
+
+    expect(groundwork).toMatchObject({
+      percentage: 100,
+      plannedStartDate: day(0),
+      targetDate: day(12),
+      completedDate: day(11),
+    });
+    expect(services).toMatchObject({ percentage: 0, plannedStartDate: day(15), targetDate: day(25), completedDate: null });
+    expect(structure).toMatchObject({ percentage: 50, actualStartDate: day(30), plannedStartDate: null });
+  });
+});
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { captureProjectStructure, buildProjectFields } = require('../src/utils/projectTemplates');
+
+const id = () => new mongoose.Types.ObjectId();
+const day = (n) => new Date(Date.UTC(2026, 0, 1) + n * 24 * 60 * 60 * 1000);
+
+describe('captureProjectStructure', () => {
+  const designId = id();
+  const buildId = id();
+  const employee = id();
+
+  const project = {
+    timeline: { startDate: day(0) },
+    progress: {
+      milestones: [
+        // Already done: dates come from when it actually ran
+        { _id: designId, name: 'Design', phase: 'Design', weight: 2, dependsOn: [], actualStartDate: day(3), completedDate: day(10) },
+        { _id: buildId, name: 'Build', weight: 1, dependsOn: [designId], plannedStartDate: day(10), targetDate: day(40), durationDays: 25 },
+        { _id: id(), name: 'Handover', weight: 1, dependsOn: [buildId] },
+      ],
+    },
+    assignedEmployees: [employee],
+    assignedVendors: [],
+    budget: {
+      currency: 'USD',
+      alertThreshold: 80,
+      lines: [
+        { _id: id(), category: 'labor', budgeted: 12000, spent: 4000, notes: 'Crew' },
+        { _id: id(), category: 'materials', budgeted: 8000, spent: 0 },
+      ],
+    },
+  };
+
+  const materialRequests = [{
+    title: 'Tiles',
+    priority: 'high',
+    requiredBy: day(14),
+    status: 'approved',
+    materials: [{
+      name: 'Floor tile',
+      quantity: 40,
+      unit: 'sqm',
+      category: 'flooring',
+      specifications: { toObject: () => ({ brand: 'Acme' }) },
+      estimatedCost: 25,
+      priority: 'high',
+      requiredBy: day(14),
+    }],
+  }];
+
+  const structure = captureProjectStructure(project, materialRequests);
+
+  it('stores milestone dates as offsets and durations, keeping ids and dependencies', () => {
+    expect(structure.milestones).toEqual([
+      expect.objectContaining({ _id: designId, name: 'Design', phase: 'Design', weight: 2, startOffsetDays: 3, durationDays: 7, dependsOn: [] }),
+      // An explicit duration wins over the gap between the planned dates
+      expect.objectContaining({ _id: buildId, startOffsetDays: 10, durationDays: 25, dependsOn: [designId] }),
+      expect.objectContaining({ name: 'Handover', startOffsetDays: undefined, durationDays: undefined, dependsOn: [buildId] }),
+    ]);
+  });
+
+  it('keeps the team, dropping roles with nobody in them', () => {
+    expect(structure.teamRoles).toEqual([
+      { title: 'Project team', baseRole: 'employee', members: [employee] },
+    ]);
+  });
+
+  it('copies budget lines without what was spent', () => {
+    expect(structure.budget).toEqual({
+      currency: 'USD',
+      alertThreshold: 80,
+      lines: [
+        { category: 'labor', budgeted: 12000, notes: 'Crew' },
+        { category: 'materials', budgeted: 8000, notes: undefined },
+      ],
+    });
+  });
+
+  it('stores material requests with the day they are needed as an offset', () => {
+    expect(structure.materialRequests).toEqual([{
+      title: 'Tiles',
+      description: undefined,
+      priority: 'high',
+      requiredOffsetDays: 14,
+      materials: [{
+        name: 'Floor tile',
+        description: undefined,
+        quantity: 40,
+        unit: 'sqm',
+        category: 'flooring',
+        specifications: { brand: 'Acme' },
+        estimatedCost: 25,
+        priority: 'high',
+      }],
+    }]);
+  });
+});
+
+describe('buildProjectFields', () => {
+  const designId = id();
+  const buildId = id();
+
+  const structure = {
+    milestones: [
+      { _id: designId, name: 'Design', weight: 2, startOffsetDays: 0, durationDays: 7, dependsOn: [] },
+      { _id: buildId, name: 'Build', weight: 1, startOffsetDays: 7, durationDays: 30, dependsOn: [designId] },
+      { _id: id(), name: 'Snagging', weight: 1, dependsOn: [buildId, id()] },
+    ],
+    budget: {
+      currency: 'EUR',
+      alertThreshold: 90,
+      lines: [
+        { category: 'labor', budgeted: 15000 },
+        { category: 'materials', budgeted: 5000, notes: 'Tiles' },
+      ],
+    },
+  };
+
+  const fields = buildProjectFields(structure, day(100));
+  const [design, build, snagging] = fields.milestones;
+
+  it('gives milestones fresh ids and points dependencies at them', () => {
+    expect(design._id).not.toEqual(designId);
+    expect(build._id).not.toEqual(buildId);
+    expect(build.dependsOn).toEqual([design._id]);
+    // Dependencies on milestones outside the structure are dropped
+    expect(snagging.dependsOn).toEqual([build._id]);
+  });
+
+  it('plans milestones from the start date and leaves them pending', () => {
+    expect(design).toMatchObject({ plannedStartDate: day(100), targetDate: day(107), durationDays: 7, status: 'pending' });
+    expect(build).toMatchObject({ plannedStartDate: day(107), targetDate: day(137), status: 'pending' });
+    expect(snagging.plannedStartDate).toBeUndefined();
+    expect(snagging.targetDate).toBeUndefined();
+  });
+
+  it('estimates the budget as the sum of its lines', () => {
+    expect(fields.budget).toEqual({
+      currency: 'EUR',
+      alertThreshold: 90,
+      lines: [
+        { category: 'labor', budgeted: 15000, notes: undefined },
+        { category: 'materials', budgeted: 5000, notes: 'Tiles' },
+      ],
+      estimated: 20000,
+    });
+    expect(buildProjectFields({ ...structure, budget: { currency: 'EUR', lines: [] } }, day(0)).budget)
+      .not.toHaveProperty('estimated');
+  });
+
+  it('expects the project to end with the last planned milestone', () => {
+    expect(fields.expectedEndDate).toEqual(day(137));
+    expect(buildProjectFields({ ...structure, milestones: [structure.milestones[2]] }, day(0)).expectedEndDate).toBeNull();
+  });
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Counter = require('../src/models/Counter');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildPurchaseOrder = () => new PurchaseOrder({
+  items: [
+    { quotationItem: id(), materialName: 'Cement', quantity: 10, unit: 'pcs', unitPrice: 10, totalPrice: 100 },
+    { quotationItem: id(), materialName: 'Steel', quantity: 10, unit: 'kg', unitPrice: 20, totalPrice: 200 },
+  ],
+  subtotal: 300,
+  tax: { percentage: 10, amount: 30 },
+  discount: { percentage: 0, amount: 30 },
+  deliveryCharges: 50,
+  totalAmount: 350,
+  status: 'acknowledged',
+});
+
+describe('PurchaseOrder#recordDelivery', () => {
+  const receiver = id();
+
+  beforeEach(() => {
+    jest.spyOn(Counter, 'next').mockResolvedValue(1);
+    jest.spyOn(PurchaseOrder.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts only accepted quantities and opens a return for rejected ones', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    const [cement, steel] = purchaseOrder.items;
+
+    await purchaseOrder.recordDelivery({
+      deliveryDate: new Date('2026-05-01'),
+      items: [
+        { itemId: cement._id, deliveredQuantity: 10, rejectedQuantity: 2, rejectionReason: 'damaged' },
+        { itemId: steel._id, deliveredQuantity: 10 },
+      ],
+    }, receiver);
+
+    const [receipt] = purchaseOrder.deliveries;
+    expect(receipt.receiptNumber).toBe('GRN-2026-00001');
+    expect(receipt.items[0].acceptedQuantity).toBe(8);
+    expect(cement.deliveredQuantity).toBe(8);
+    expect(cement.rejectedQuantity).toBe(2);
+    expect(cement.deliveryStatus).toBe('partial');
+    expect(steel.deliveryStatus).toBe('delivered');
+    expect(purchaseOrder.status).toBe('partially_delivered');
+
+    expect(purchaseOrder.returnRequests).toHaveLength(1);
+    expect(purchaseOrder.returnRequests[0]).toMatchObject({ type: 'replacement', status: 'pending' });
+    expect(purchaseOrder.returnRequests[0].items[0]).toMatchObject({ materialName: 'Cement', quantity: 2, reason: 'damaged' });
+  });
+
+  it('resolves an acknowledged replacement and completes the order once the goods arrive', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    const [cement, steel] = purchaseOrder.items;
+
+    await purchaseOrder.recordDelivery({
+      deliveryDate: new Date('2026-05-01'),
+      items: [
+        { itemId: cement._id, deliveredQuantity: 10, rejectedQuantity: 2 },
+        { itemId: steel._id, deliveredQuantity: 10 },
+      ],
+    }, receiver);
+    purchaseOrder.returnRequests[0].status = 'acknowledged';
+
+    const replacementDate = new Date('2026-05-08');
+    await purchaseOrder.recordDelivery({
+      deliveryDate: replacementDate,
+      items: [{ itemId: cement._id, deliveredQuantity: 2 }],
+    }, receiver);
+
+    expect(cement.deliveredQuantity).toBe(10);
+    expect(cement.deliveryStatus).toBe('delivered');
+    expect(purchaseOrder.returnRequests[0].status).toBe('resolved');
+    expect(purchaseOrder.status).toBe('completed');
+    expect(purchaseOrder.actualDeliveryDate).toEqual(replacementDate);
+  });
+  it('settles the expected quantity of goods returned without replacement', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    const [cement, steel] = purchaseOrder.items;
+    const deliveryDate = new Date('2026-05-01');
+
+    await purchaseOrder.recordDelivery({
+      deliveryDate,
+      returnType: 'return',
+      items: [
+        { itemId: cement._id, deliveredQuantity: 10, rejectedQuantity: 2, rejectionReason: 'cracked' },
+        { itemId: steel._id, deliveredQuantity: 10 },
+      ],
+    }, receiver);
+
+    expect(cement.deliveredQuantity).toBe(8);
+    expect(cement.cancelledQuantity).toBe(2);
+    expect(cement.outstandingQuantity()).toBe(0);
+    expect(cement.deliveryStatus).toBe('delivered');
+    expect(purchaseOrder.returnRequests[0].type).toBe('return');
+    expect(purchaseOrder.status).toBe('completed');
+    expect(purchaseOrder.actualDeliveryDate).toEqual(deliveryDate);
+  });
+
+  it('keeps replaced goods outstanding', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    const [cement] = purchaseOrder.items;
+
+    await purchaseOrder.recordDelivery({
+      deliveryDate: new Date('2026-05-01'),
+      items: [{ itemId: cement._id, deliveredQuantity: 6, rejectedQuantity: 1 }],
+    }, receiver);
+
+    expect(cement.cancelledQuantity).toBe(0);
+    expect(cement.outstandingQuantity()).toBe(5);
+  });
+});
+
+describe('PurchaseOrder#close', () => {
+  const closer = id();
+
+  beforeEach(() => {
+    jest.spyOn(PurchaseOrder.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('short-closes a part-delivered order and releases the outstanding commitment', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    const [cement, steel] = purchaseOrder.items;
+    const deliveryDate = new Date('2026-05-01');
+    cement.deliveredQuantity = 4;
+    cement.deliveryStatus = 'partial';
+    purchaseOrder.deliveries.push({ deliveryDate, receivedBy: closer, items: [{ itemId: cement._id, deliveredQuantity: 4 }] });
+
+    await purchaseOrder.close('short_closed', 'Vendor out of stock', closer);
+
+    expect(cement).toMatchObject({ cancelledQuantity: 6, deliveryStatus: 'cancelled' });
+    expect(steel).toMatchObject({ cancelledQuantity: 10, deliveryStatus: 'cancelled' });
+    // 40 received: 10% tax 4, fixed discount 30 shrinks to 4, delivery still charged
+    expect(purchaseOrder.discount.amount).toBeCloseTo(4);
+    expect(purchaseOrder.deliveryCharges).toBe(50);
+    expect(purchaseOrder.status).toBe('completed');
+    expect(purchaseOrder.actualDeliveryDate).toEqual(deliveryDate);
+    expect(purchaseOrder.closure).toMatchObject({ type: 'short_closed', reason: 'Vendor out of stock', closedBy: closer });
+    expect(purchaseOrder.closure.releasedAmount).toBeCloseTo(350 - 90);
+  });
+
+  it('cancels an order with nothing received and releases its whole total', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+
+    await purchaseOrder.close('cancelled', 'No longer needed', closer);
+
+    expect(purchaseOrder.status).toBe('cancelled');
+    expect(purchaseOrder.deliveryCharges).toBe(0);
+    expect(purchaseOrder.discount.amount).toBe(0);
+    expect(purchaseOrder.closure.releasedAmount).toBeCloseTo(350);
+  });
+
+  it('releases nothing for lines already delivered in full', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    const [cement] = purchaseOrder.items;
+    cement.deliveredQuantity = 10;
+    cement.deliveryStatus = 'delivered';
+    purchaseOrder.deliveries.push({ deliveryDate: new Date('2026-05-01'), receivedBy: closer, items: [{ itemId: cement._id, deliveredQuantity: 10 }] });
+
+    await purchaseOrder.close('short_closed', 'Steel dropped', closer);
+
+    // Cement stays: 100 + 10% tax 10 - discount 10 + delivery 50
+    expect(cement.cancelledQuantity).toBe(0);
+    expect(purchaseOrder.closure.releasedAmount).toBeCloseTo(350 - 150);
+  });
+});
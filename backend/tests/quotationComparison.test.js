@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { buildComparisonMatrix } = require('../src/utils/quotationComparison');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const cement = { _id: id(), name: 'Cement', category: 'cement', quantity: 100, unit: 'pcs' };
+const steel = { _id: id(), name: 'Steel', category: 'steel', quantity: 10, unit: 'kg' };
+const materialRequest = { materials: [cement, steel] };
+
+const line = (material, unitPrice, fields = {}) => ({
+  _id: id(),
+  materialRequestItem: material._id,
+  unitPrice,
+  quantity: material.quantity,
+  totalPrice: unitPrice * material.quantity,
+  ...fields,
+});
+
+const quotation = (items, fields = {}) => {
+  const subtotal = items.reduce((total, item) => total + item.totalPrice, 0);
+  return {
+    _id: id(),
+    vendor: { _id: id(), firstName: 'Asha', lastName: 'Rao' },
+    status: 'submitted',
+    items,
+    subtotal,
+    tax: { percentage: 0, amount: 0 },
+    discount: { amount: 0 },
+    deliveryTerms: { deliveryTime: 7, deliveryCharges: 0 },
+    paymentTerms: { paymentMethod: 'net_30' },
+    ...fields,
+  };
+};
+
+describe('buildComparisonMatrix', () => {
+  it('marks the lowest unit price per line, including ties', () => {
+    const first = quotation([line(cement, 6), line(steel, 40)]);
+    const second = quotation([line(cement, 5), line(steel, 40)]);
+
+    const { materials } = buildComparisonMatrix(materialRequest, [first, second]);
+
+    expect(materials[0].lowestUnitPrice).toBe(5);
+    expect(materials[0].offers.map(cell => cell.isLowestPrice)).toEqual([false, true]);
+    expect(materials[1].offers.map(cell => cell.isLowestPrice)).toEqual([true, true]);
+  });
+
+  it('leaves an empty cell where a vendor did not quote the line', () => {
+    const partial = quotation([line(cement, 4)]);
+
+    const { materials, offers } = buildComparisonMatrix(materialRequest, [partial]);
+
+    expect(materials[1].offers).toEqual([null]);
+    expect(materials[1].lowestUnitPrice).toBeNull();
+    expect(offers[0]).toMatchObject({ quotedLines: 1, isComplete: false });
+  });
+
+  it('picks the cheapest landed total as the best offer, counting tax, discount and delivery', () => {
+    const cheapLines = quotation([line(cement, 5), line(steel, 40)], {
+      deliveryTerms: { deliveryTime: 7, deliveryCharges: 300 },
+    });
+    const cheapLanded = quotation([line(cement, 6), line(steel, 40)], {
+      discount: { amount: 50 },
+      tax: { percentage: 0, amount: 20 },
+    });
+
+    const { offers, bestOffer } = buildComparisonMatrix(materialRequest, [cheapLines, cheapLanded]);
+
+    expect(offers.map(offer => offer.landedTotal)).toEqual([1200, 970]);
+    expect(bestOffer).toEqual(cheapLanded._id);
+    expect(offers.map(offer => offer.isBestOffer)).toEqual([false, true]);
+    expect(offers.map(offer => offer.isLowestLandedTotal)).toEqual([false, true]);
+  });
+
+  it('only lets the offers covering the most lines win, so leaving lines out is not cheaper', () => {
+    const complete = quotation([line(cement, 6), line(steel, 40)]);
+    const cementOnly = quotation([line(cement, 5)]);
+
+    const { offers, bestOffer } = buildComparisonMatrix(materialRequest, [complete, cementOnly]);
+
+    expect(offers[1].isLowestLandedTotal).toBe(true);
+    expect(bestOffer).toEqual(complete._id);
+  });
+
+  it('breaks a landed-total tie on the faster delivery', () => {
+    const slow = quotation([line(cement, 6), line(steel, 40)], { deliveryTerms: { deliveryTime: 14, deliveryCharges: 0 } });
+    const fast = quotation([line(cement, 6), line(steel, 40)], { deliveryTerms: { deliveryTime: 3, deliveryCharges: 0 } });
+
+    expect(buildComparisonMatrix(materialRequest, [slow, fast]).bestOffer).toEqual(fast._id);
+  });
+
+  it('leaves out quotations that are no longer live offers', () => {
+    const rejected = quotation([line(cement, 1), line(steel, 1)], { status: 'rejected' });
+
+    const { offers, bestOffer } = buildComparisonMatrix(materialRequest, [rejected]);
+
+    expect(offers).toEqual([]);
+    expect(bestOffer).toBeNull();
+  });
+});
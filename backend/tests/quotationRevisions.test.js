@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { diffRevisions } = require('../src/utils/quotationRevisions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const cement = id();
+const steel = id();
+const sand = id();
+
+const revision = (revisionNumber, items, fields = {}) => {
+  const subtotal = items.reduce((total, item) => total + item.totalPrice, 0);
+  return {
+    revisionNumber,
+    items,
+    subtotal,
+    tax: { percentage: 0, amount: 0 },
+    discount: { percentage: 0, amount: 0 },
+    totalAmount: subtotal,
+    deliveryTerms: { deliveryTime: 7, deliveryLocation: 'Site', deliveryCharges: 0 },
+    paymentTerms: { paymentMethod: 'net_30', advancePercentage: 0, creditDays: 30 },
+    validUntil: new Date('2026-12-31'),
+    ...fields,
+  };
+};
+
+const line = (materialRequestItem, materialName, quantity, unitPrice, unit = 'pcs') => ({
+  materialRequestItem,
+  materialName,
+  quantity,
+  unit,
+  unitPrice,
+  totalPrice: quantity * unitPrice,
+});
+
+describe('diffRevisions', () => {
+  const from = revision(1, [line(cement, 'Cement', 100, 6), line(steel, 'Steel', 10, 40)]);
+  const to = revision(2, [line(cement, 'Cement', 100, 5), line(sand, 'Sand', 20, 2)]);
+
+  it('reports changed, added and removed lines with their number changes', () => {
+    const { items } = diffRevisions(from, to);
+
+    expect(items).toEqual([
+      {
+        materialRequestItem: cement,
+        materialName: 'Cement',
+        change: 'changed',
+        changes: {
+          unitPrice: { from: 6, to: 5, delta: -1 },
+          totalPrice: { from: 600, to: 500, delta: -100 },
+        },
+      },
+      expect.objectContaining({
+        materialRequestItem: sand,
+        change: 'added',
+        changes: {
+          quantity: { from: 0, to: 20, delta: 20 },
+          unitPrice: { from: 0, to: 2, delta: 2 },
+          totalPrice: { from: 0, to: 40, delta: 40 },
+        },
+      }),
+      expect.objectContaining({
+        materialRequestItem: steel,
+        change: 'removed',
+        changes: {
+          quantity: { from: 10, to: 0, delta: -10 },
+          unitPrice: { from: 40, to: 0, delta: -40 },
+          totalPrice: { from: 400, to: 0, delta: -400 },
+        },
+      }),
+    ]);
+  });
+
+  it('reports the change in each total and the overall totalDelta', () => {
+    const result = diffRevisions(from, to);
+
+    expect(result).toMatchObject({ from: 1, to: 2, totalDelta: -460, hasChanges: true });
+    expect(result.totals.subtotal).toEqual({ from: 1000, to: 540, delta: -460 });
+  });
+
+  it('reports changed terms and compares dates by time', () => {
+    const later = revision(2, from.items, {
+      deliveryTerms: { ...from.deliveryTerms, deliveryTime: 3 },
+      validUntil: new Date('2026-12-31T00:00:00.000Z').toISOString(),
+    });
+
+    const { terms, totalDelta, items } = diffRevisions(from, later);
+
+    expect(terms).toEqual([{ field: 'deliveryTerms.deliveryTime', from: 7, to: 3 }]);
+    expect(totalDelta).toBe(0);
+    expect(items.map(item => item.change)).toEqual(['unchanged', 'unchanged']);
+  });
+
+  it('notices a unit change on an otherwise identical line', () => {
+    const relabelled = revision(2, [line(cement, 'Cement', 100, 6, 'kg'), from.items[1]]);
+
+    const [cementLine] = diffRevisions(from, relabelled).items;
+
+    expect(cementLine.change).toBe('changed');
+    expect(cementLine.changes).toEqual({ unit: { from: 'pcs', to: 'kg' } });
+  });
+
+  it('matches lines without a material request item by name', () => {
+    const a = revision(1, [line(undefined, 'Labour', 1, 500)]);
+    const b = revision(2, [line(undefined, 'Labour', 1, 450)]);
+
+    expect(diffRevisions(a, b).items.map(item => item.change)).toEqual(['changed']);
+  });
+
+  it('has no changes for an identical revision', () => {
+    expect(diffRevisions(from, { ...from, revisionNumber: 2 }).hasChanges).toBe(false);
+  });
+});
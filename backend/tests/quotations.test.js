@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Quotation = require('../src/models/Quotation');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildQuotation = () => new Quotation({
+  materialRequest: id(),
+  vendor: id(),
+  title: 'Structure materials',
+  items: [{ materialRequestItem: id(), materialName: 'Cement', quantity: 100, unit: 'pcs', unitPrice: 6, totalPrice: 600 }],
+  validUntil: new Date('2026-12-31'),
+  deliveryTerms: { deliveryTime: 7, deliveryLocation: 'Site' },
+  paymentTerms: { paymentMethod: 'net_30' },
+  status: 'under_review',
+});
+
+describe('Quotation counter-offers', () => {
+  it('supersedes a pending offer when the vendor revises the quotation', () => {
+    const quotation = buildQuotation();
+    const vendor = quotation.vendor;
+    quotation.counterOffers.push(
+      { proposedBy: id(), party: 'buyer', items: [{ quotationItem: quotation.items[0]._id, unitPrice: 5 }], status: 'pending' },
+      { proposedBy: vendor, party: 'vendor', deliveryTime: 5, status: 'rejected' }
+    );
+
+    const superseded = quotation.supersedeCounterOffers(vendor, 'The vendor revised the quotation');
+
+    expect(superseded).toHaveLength(1);
+    expect(quotation.counterOffers.map(offer => offer.status)).toEqual(['superseded', 'rejected']);
+    expect(quotation.counterOffers[0].respondedBy).toEqual(vendor);
+  });
+
+  it('refuses to accept an offer for lines the quotation no longer has', () => {
+    const quotation = buildQuotation();
+    quotation.counterOffers.push({ proposedBy: id(), party: 'buyer', items: [{ quotationItem: id(), unitPrice: 5 }] });
+    const offer = quotation.counterOffers[0];
+    const save = jest.spyOn(quotation, 'save').mockResolvedValue(quotation);
+
+    expect(quotation.missingOfferLines(offer)).toHaveLength(1);
+    expect(() => quotation.acceptCounterOffer(offer, quotation.vendor)).toThrow('no longer on the quotation');
+    expect(offer.status).toBe('pending');
+    expect(quotation.revisions).toHaveLength(0);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('applies the proposed prices when every line is still there', async () => {
+    const quotation = buildQuotation();
+    quotation.counterOffers.push({ proposedBy: id(), party: 'buyer', items: [{ quotationItem: quotation.items[0]._id, unitPrice: 5 }] });
+    const offer = quotation.counterOffers[0];
+    jest.spyOn(quotation, 'save').mockResolvedValue(quotation);
+
+    await quotation.acceptCounterOffer(offer, quotation.vendor);
+
+    expect(quotation.items[0].unitPrice).toBe(5);
+    expect(offer.status).toBe('accepted');
+  });
+});
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const { findDependencyCycle, buildProjectSchedule } = require('../src/utils/schedule');
+
+const id = () => new mongoose.Types.ObjectId();
+const day = (n) => new Date(Date.UTC(2026, 0, 1) + n * 24 * 60 * 60 * 1000);
+
+const milestone = (name, fields = {}) => ({
+  _id: id(),
+  name,
+  status: 'pending',
+  dependsOn: [],
+  purchaseOrders: [],
+  ...fields,
+});
+
+const purchaseOrder = (status, deliveryDay) => ({
+  _id: id(),
+  purchaseOrderNumber: `PO-2026-${String(deliveryDay).padStart(5, '0')}`,
+  status,
+  expectedDeliveryDate: day(deliveryDay),
+});
+
+describe('buildProjectSchedule', () => {
+  const lateOrder = purchaseOrder('acknowledged', 3);
+  const dueOrder = purchaseOrder('sent', 20);
+  const cancelledOrder = purchaseOrder('cancelled', 40);
+  const wiringOrder = purchaseOrder('sent', 15);
+
+  const design = milestone('Design', { status: 'completed', durationDays: 5, actualStartDate: day(0), completedDate: day(5) });
+  const procure = milestone('Procure', { durationDays: 4, dependsOn: [design._id] });
+  const build = milestone('Build', {
+    durationDays: 10,
+    dependsOn: [procure._id],
+    purchaseOrders: [lateOrder._id, dueOrder._id],
+    targetDate: day(27),
+  });
+  const paint = milestone('Paint', { durationDays: 3, dependsOn: [design._id], purchaseOrders: [cancelledOrder._id] });
+  const wiring = milestone('Wiring', { status: 'in-progress', durationDays: 2, actualStartDate: day(8), purchaseOrders: [wiringOrder._id] });
+
+  const project = {
+    timeline: { startDate: day(0), expectedEndDate: day(25) },
+    progress: { milestones: [design, procure, build, paint, wiring] },
+  };
+
+  let schedule;
+  const entry = (m) => schedule.milestones.find(s => s._id === m._id);
+
+  beforeAll(async () => {
+    jest.spyOn(PurchaseOrder, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([lateOrder, dueOrder, cancelledOrder, wiringOrder]),
+    });
+    schedule = await buildProjectSchedule(project, day(10));
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  it('runs the forward pass from today, dependencies and open deliveries', () => {
+    expect(entry(design)).toMatchObject({ earlyStart: day(0), earlyFinish: day(5), totalFloat: null, critical: false });
+    expect(entry(procure)).toMatchObject({ earlyStart: day(10), earlyFinish: day(14) });
+    // The order due on day 20 holds Build back beyond Procure's finish
+    expect(entry(build)).toMatchObject({ earlyStart: day(20), earlyFinish: day(30), slipDays: 3 });
+    // A cancelled order no longer holds anything up
+    expect(entry(paint)).toMatchObject({ earlyStart: day(10), earlyFinish: day(13), constraints: [] });
+    // Started work finishes no earlier than the goods it still needs
+    expect(entry(wiring)).toMatchObject({ earlyStart: day(8), earlyFinish: day(15) });
+  });
+
+  it('reports the deliveries holding a milestone, flagging late ones', () => {
+    expect(entry(build).constraints).toEqual([
+      expect.objectContaining({ type: 'overdue_delivery', purchaseOrder: lateOrder._id }),
+      expect.objectContaining({ type: 'delivery', purchaseOrder: dueOrder._id }),
+    ]);
+  });
+
+  it('runs the backward pass and finds the float and critical path', () => {
+    expect(entry(procure)).toMatchObject({ lateStart: day(16), lateFinish: day(20), totalFloat: 6, critical: false });
+    expect(entry(build)).toMatchObject({ lateStart: day(20), lateFinish: day(30), totalFloat: 0, critical: true });
+    expect(entry(paint)).toMatchObject({ lateFinish: day(30), totalFloat: 17 });
+    expect(entry(wiring).totalFloat).toBe(15);
+    expect(entry(design).lateFinish).toEqual(day(16));
+
+    expect(schedule.criticalPath).toEqual([build._id]);
+    expect(schedule.forecastEndDate).toEqual(day(30));
+    expect(schedule.slipDays).toBe(5);
+  });
+
+  it('counts an overdue delivery as arriving today', async () => {
+    const waiting = milestone('Fit-out', { durationDays: 2, purchaseOrders: [lateOrder._id] });
+    const result = await buildProjectSchedule({
+      timeline: { startDate: day(0) },
+      progress: { milestones: [waiting] },
+    }, day(12));
+
+    expect(result.milestones[0]).toMatchObject({ earlyStart: day(12), earlyFinish: day(14) });
+    expect(result.slipDays).toBeNull();
+  });
+});
+
+describe('dependency loops', () => {
+  it('names only the milestones in the loop, not the ones waiting on it', () => {
+    const a = milestone('A');
+    const b = milestone('B', { dependsOn: [a._id] });
+    const after = milestone('After', { dependsOn: [b._id] });
+    a.dependsOn = [b._id];
+
+    expect(findDependencyCycle([a, b, after])).toEqual(['A', 'B']);
+    expect(findDependencyCycle([milestone('Alone')])).toBeNull();
+  });
+
+  it('refuses to schedule milestones that form a loop', async () => {
+    const a = milestone('A');
+    const b = milestone('B', { dependsOn: [a._id] });
+    a.dependsOn = [b._id];
+
+    await expect(buildProjectSchedule({
+      timeline: { startDate: day(0) },
+      progress: { milestones: [a, b] },
+    }, day(1))).rejects.toThrow('Milestone dependencies form a loop: A, B');
+  });
+});
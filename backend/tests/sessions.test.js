@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Session = require('../src/models/Session');
+const { rotateSession, SessionError } = require('../src/utils/sessions');
+const { hashToken } = require('../src/utils/jwt');
+
+// The session as findOne(...).populate('user') returns it
+const buildSession = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: { _id: new mongoose.Types.ObjectId(), email: 'client@example.com', role: 'client', isActive: true },
+  refreshTokenHash: hashToken('current-token'),
+  isActive: true,
+});
+
+describe('rotateSession', () => {
+  const req = { ip: '127.0.0.1' };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('swaps the refresh token only while it is still the current one', async () => {
+    const session = buildSession();
+    jest.spyOn(Session, 'findOne').mockReturnValue({ populate: jest.fn().mockResolvedValue(session) });
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ _id: session._id, ...update }));
+
+    const result = await rotateSession('current-token', req);
+
+    expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: session._id, refreshTokenHash: hashToken('current-token'), revokedAt: null },
+      expect.objectContaining({ previousTokenHash: hashToken('current-token') }),
+      { new: true }
+    );
+    expect(result.session.refreshTokenHash).toBe(hashToken(result.refreshToken));
+    expect(result.token).toEqual(expect.any(String));
+  });
+
+  it('revokes the session when a concurrent refresh rotated the token first', async () => {
+    const session = buildSession();
+    jest.spyOn(Session, 'findOne').mockReturnValue({ populate: jest.fn().mockResolvedValue(session) });
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(rotateSession('current-token', req)).rejects.toThrow(SessionError);
+
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: session._id, revokedAt: null },
+      expect.objectContaining({ revokedReason: 'token_reuse' })
+    );
+  });
+});
@@ -0,0 +1,89 @@
+const { validationResult } = require('express-validator');
+const {
+  validatePurchaseOrderAmendment,
+  validateChangeOrderUpdate,
+  validateClientInvoiceUpdate,
+  validateClientInvoiceCancellation,
+} = require('../src/middleware/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Run a validator chain against a request body and return the error messages
+const validate = async (validators, body) => {
+  const req = { body };
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req).array().map(error => error.msg);
+};
+
+describe('validatePurchaseOrderAmendment', () => {
+  it('rejects an expected delivery date in the past', async () => {
+    const errors = await validate(validatePurchaseOrderAmendment, {
+      reason: 'Site not ready',
+      expectedDeliveryDate: new Date(Date.now() - DAY_MS).toISOString(),
+    });
+
+    expect(errors).toEqual(['Expected delivery date must be in the future']);
+  });
+
+  it('accepts a future expected delivery date', async () => {
+    const errors = await validate(validatePurchaseOrderAmendment, {
+      reason: 'Site not ready',
+      expectedDeliveryDate: new Date(Date.now() + DAY_MS).toISOString(),
+    });
+
+    expect(errors).toEqual([]);
+  });
+});
+
+describe('validateChangeOrderUpdate', () => {
+  it('accepts a partial update', async () => {
+    await expect(validate(validateChangeOrderUpdate, { costImpact: -150 })).resolves.toEqual([]);
+  });
+
+  it('rejects invalid values for the fields that are sent', async () => {
+    const errors = await validate(validateChangeOrderUpdate, {
+      title: '',
+      scheduleImpactDays: 2.5,
+      budgetCategory: 'marble',
+    });
+
+    expect(errors).toEqual([
+      'Change order title must be between 1 and 100 characters',
+      'Schedule impact must be a whole number of days',
+      'Invalid budget category',
+    ]);
+  });
+});
+
+describe('validateClientInvoiceUpdate', () => {
+  it('accepts a partial update', async () => {
+    await expect(validate(validateClientInvoiceUpdate, { title: 'Final stage' })).resolves.toEqual([]);
+  });
+
+  it('rejects bad items, tax and due date', async () => {
+    const errors = await validate(validateClientInvoiceUpdate, {
+      items: [{ description: 'Tiling', quantity: 0, unitPrice: -5 }],
+      tax: { percentage: 150 },
+      dueDate: 'next week',
+    });
+
+    expect(errors).toEqual([
+      'Due date must be a valid date',
+      'Item quantity must be greater than 0',
+      'Item unit price cannot be negative',
+      'Tax percentage must be between 0 and 100',
+    ]);
+  });
+});
+
+describe('validateClientInvoiceCancellation', () => {
+  it('rejects a reason that is not text or too long', async () => {
+    await expect(validate(validateClientInvoiceCancellation, { reason: { $gt: '' } }))
+      .resolves.toEqual(['Cancellation reason must be text']);
+    await expect(validate(validateClientInvoiceCancellation, { reason: 'x'.repeat(301) }))
+      .resolves.toEqual(['Cancellation reason cannot exceed 300 characters']);
+    await expect(validate(validateClientInvoiceCancellation, {})).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const VendorInvoice = require('../src/models/VendorInvoice');
+const { canAccessFile } = require('../src/utils/files');
+
+const buildPurchaseOrder = () => new PurchaseOrder({
+  items: [
+    { materialName: 'Cement', quantity: 100, unit: 'pcs', unitPrice: 10, totalPrice: 1000, deliveredQuantity: 60 },
+    { materialName: 'Steel', quantity: 20, unit: 'kg', unitPrice: 50, totalPrice: 1000, deliveredQuantity: 20 },
+  ],
+  tax: { percentage: 18 },
+});
+
+const buildInvoice = (purchaseOrder, items, tax = 18) => new VendorInvoice({
+  purchaseOrder: purchaseOrder._id,
+  items: items.map(([index, quantity, unitPrice]) => ({
+    purchaseOrderItem: purchaseOrder.items[index]._id,
+    materialName: purchaseOrder.items[index].materialName,
+    quantity,
+    unitPrice,
+  })),
+  tax: { percentage: tax },
+});
+
+describe('VendorInvoice#runThreeWayMatch', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('matches lines within the ordered and received quantities at the PO price', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    jest.spyOn(VendorInvoice, 'getInvoicedQuantities').mockResolvedValue({});
+
+    const invoice = await buildInvoice(purchaseOrder, [[0, 60, 10.005], [1, 20, 50]]).runThreeWayMatch(purchaseOrder);
+
+    expect(invoice.matchStatus).toBe('matched');
+    expect(invoice.matchIssues).toEqual([]);
+    expect(invoice.items[0].match.status).toBe('matched');
+    expect(invoice.items[0].match.receivedQuantity).toBe(60);
+  });
+
+  it('counts quantities billed by other invoices against the received quantity', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    jest.spyOn(VendorInvoice, 'getInvoicedQuantities').mockResolvedValue({
+      [purchaseOrder.items[0]._id.toString()]: 50,
+    });
+
+    const invoice = await buildInvoice(purchaseOrder, [[0, 20, 10]]).runThreeWayMatch(purchaseOrder);
+
+    expect(invoice.matchStatus).toBe('mismatch');
+    expect(invoice.items[0].match.previouslyInvoiced).toBe(50);
+    expect(invoice.items[0].match.issues).toEqual(['Invoiced quantity (70) exceeds received quantity (60)']);
+  });
+
+  it('flags over-ordered quantities, price and tax differences, and lines not on the PO', async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    jest.spyOn(VendorInvoice, 'getInvoicedQuantities').mockResolvedValue({});
+
+    const invoice = buildInvoice(purchaseOrder, [[1, 25, 55]], 12);
+    invoice.items.push({ purchaseOrderItem: new mongoose.Types.ObjectId(), materialName: 'Paint', quantity: 1, unitPrice: 5 });
+    await invoice.runThreeWayMatch(purchaseOrder);
+
+    expect(invoice.items[0].match.issues).toEqual([
+      'Invoiced quantity (25) exceeds ordered quantity (20)',
+      'Invoiced quantity (25) exceeds received quantity (20)',
+      'Unit price (55) differs from purchase order price (50)',
+    ]);
+    expect(invoice.items[1].match.status).toBe('mismatch');
+    expect(invoice.matchIssues).toEqual([
+      'Tax rate (12%) differs from purchase order (18%)',
+      'Steel: Invoiced quantity (25) exceeds ordered quantity (20)',
+      'Steel: Invoiced quantity (25) exceeds received quantity (20)',
+      'Steel: Unit price (55) differs from purchase order price (50)',
+      'Paint: Item is not on the purchase order',
+    ]);
+  });
+});
+
+describe('vendor invoice document access', () => {
+  const vendor = new mongoose.Types.ObjectId();
+  const employee = new mongoose.Types.ObjectId();
+  const file = { uploadedBy: vendor, vendorInvoice: new mongoose.Types.ObjectId(), tags: ['vendor-invoice'] };
+
+  const request = (userId, permissions) => ({ user: { _id: userId }, permissions });
+
+  beforeEach(() => {
+    jest.spyOn(VendorInvoice, 'findById').mockReturnValue({
+      select: () => ({
+        populate: jest.fn().mockResolvedValue({ vendor, project: { assignedEmployees: [employee] } }),
+      }),
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lets the vendor and project staff open the document', async () => {
+    await expect(canAccessFile(request(vendor, []), file)).resolves.toBe(true);
+    await expect(canAccessFile(request(employee, ['vendorInvoice.view']), file)).resolves.toBe(true);
+  });
+
+  it('keeps other vendors and the client out', async () => {
+    await expect(canAccessFile(request(new mongoose.Types.ObjectId(), ['file.view']), file)).resolves.toBe(false);
+    await expect(canAccessFile(request(employee, ['file.view']), file)).resolves.toBe(false);
+  });
+});
@@ -5,17 +5,20 @@ import 'react-native-gesture-handler';
 
 // Import providers and navigation
 import { AuthProvider } from './src/context/AuthContext';
+import { NotificationProvider } from './src/context/NotificationContext';
 import AppNavigator from './src/navigation/AppNavigator';
 import WebStyleInjector from './src/components/WebStyleInjector.js';
 
 export default function App() {
   return (
     <AuthProvider>
-      <View style={styles.container}>
-        <WebStyleInjector />
-        <StatusBar style="auto" />
-        <AppNavigator />
-      </View>
+      <NotificationProvider>
+        <View style={styles.container}>
+          <WebStyleInjector />
+          <StatusBar style="auto" />
+          <AppNavigator />
+        </View>
+      </NotificationProvider>
     </AuthProvider>
   );
 }
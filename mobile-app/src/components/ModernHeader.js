@@ -162,12 +162,14 @@ export const ProjectsHeader = ({ onAddPress, onSearchPress }) => (
         <Text style={[styles.modernButtonText, { color: '#ffffff' }]}>Search</Text>
       </TouchableOpacity>
 
-      <TouchableOpacity style={styles.modernAddButton} onPress={onAddPress}>
-        <View style={styles.buttonIconContainer}>
-          <Text style={[styles.modernButtonIcon, { color: theme.colors.primary.main }]}>➕</Text>
-        </View>
-        <Text style={[styles.modernButtonText, { color: theme.colors.primary.main }]}>New Project</Text>
-      </TouchableOpacity>
+      {onAddPress && (
+        <TouchableOpacity style={styles.modernAddButton} onPress={onAddPress}>
+          <View style={styles.buttonIconContainer}>
+            <Text style={[styles.modernButtonIcon, { color: theme.colors.primary.main }]}>➕</Text>
+          </View>
+          <Text style={[styles.modernButtonText, { color: theme.colors.primary.main }]}>New Project</Text>
+        </TouchableOpacity>
+      )}
     </View>
   </ModernHeader>
 );
@@ -186,9 +188,11 @@ export const MaterialsHeader = ({ onAddPress, pendingCount }) => (
         <Text style={styles.statLabel}>Pending Requests</Text>
       </View>
       
-      <TouchableOpacity style={styles.primaryButton} onPress={onAddPress}>
-        <Text style={styles.primaryButtonText}>New Request</Text>
-      </TouchableOpacity>
+      {onAddPress && (
+        <TouchableOpacity style={styles.primaryButton} onPress={onAddPress}>
+          <Text style={styles.primaryButtonText}>New Request</Text>
+        </TouchableOpacity>
+      )}
     </View>
   </ModernHeader>
 );
@@ -0,0 +1,54 @@
+import React from 'react';
+import { TouchableOpacity, View, Text, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useNotifications } from '../context/NotificationContext';
+import theme from '../styles/theme';
+
+const NotificationBell = ({
+  onPress,
+  color = theme.colors.text.primary,
+  size = 24,
+  style,
+}) => {
+  const { unreadCount } = useNotifications();
+
+  return (
+    <TouchableOpacity style={[styles.button, style]} onPress={onPress}>
+      <Feather name="bell" size={size} color={color} />
+      {unreadCount > 0 && (
+        <View style={styles.badge}>
+          <Text style={styles.badgeText}>
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  button: {
+    padding: 6,
+  },
+  badge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    backgroundColor: theme.colors.error[500],
+    borderRadius: 9,
+    minWidth: 18,
+    height: 18,
+    paddingHorizontal: 4,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#ffffff',
+  },
+  badgeText: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+});
+
+export default NotificationBell;
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { Image, ImageBackground, View } from 'react-native';
+import { isProtectedFileUrl, resolveFileUrl } from '../utils/signedUrls';
+
+/**
+ * Image that loads uploaded files through short-lived signed URLs.
+ * Accepts the stored file URL as `uri`; external URLs are used as-is.
+ * Renders `fallbackUri` (or an empty placeholder) while signing or when access is denied.
+ * When given children it renders as an ImageBackground.
+ */
+const SecureImage = ({ uri, fallbackUri, style, onError, children, ...props }) => {
+  const [resolvedUri, setResolvedUri] = useState(
+    uri && !isProtectedFileUrl(uri) ? uri : null
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!uri || !isProtectedFileUrl(uri)) {
+      setResolvedUri(uri || null);
+      return undefined;
+    }
+
+    setResolvedUri(null);
+    resolveFileUrl(uri).then((signedUri) => {
+      if (!cancelled) setResolvedUri(signedUri);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uri]);
+
+  const source = resolvedUri || fallbackUri;
+
+  if (!source) {
+    return <View style={style}>{children}</View>;
+  }
+
+  if (children) {
+    return (
+      <ImageBackground
+        {...props}
+        source={{ uri: source }}
+        style={style}
+        onError={onError}
+      >
+        {children}
+      </ImageBackground>
+    );
+  }
+
+  return (
+    <Image
+      {...props}
+      source={{ uri: source }}
+      style={style}
+      onError={onError}
+    />
+  );
+};
+
+export default SecureImage;
@@ -1,11 +1,14 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authAPI } from '../utils/api';
+import { authAPI, setAuthFailureHandler } from '../utils/api';
+import { connectSocket, disconnectSocket } from '../utils/socket';
+import { clearSignedUrlCache } from '../utils/signedUrls';
 
 // Initial state
 const initialState = {
   user: null,
   token: null,
+  permissions: [],
   isLoading: true,
   isAuthenticated: false,
   error: null,
@@ -19,6 +22,7 @@ const AUTH_ACTIONS = {
   SET_ERROR: 'SET_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
   UPDATE_USER: 'UPDATE_USER',
+  SET_PERMISSIONS: 'SET_PERMISSIONS',
 };
 
 // Reducer
@@ -37,6 +41,7 @@ const authReducer = (state, action) => {
         ...state,
         user: action.payload.user,
         token: action.payload.token,
+        permissions: action.payload.permissions || [],
         isAuthenticated: true,
         isLoading: false,
         error: null,
@@ -65,6 +70,11 @@ const authReducer = (state, action) => {
         ...state,
         user: { ...state.user, ...action.payload },
       };
+    case AUTH_ACTIONS.SET_PERMISSIONS:
+      return {
+        ...state,
+        permissions: action.payload,
+      };
     default:
       return state;
   }
@@ -76,7 +86,9 @@ const AuthContext = createContext();
 // Storage keys
 const STORAGE_KEYS = {
   TOKEN: '@houseway_token',
+  REFRESH_TOKEN: '@houseway_refresh_token',
   USER: '@houseway_user',
+  PERMISSIONS: '@houseway_permissions',
 };
 
 // Provider component
@@ -88,20 +100,61 @@ export const AuthProvider = ({ children }) => {
     loadStoredAuth();
   }, []);
 
+  // The API layer reports sessions that could not be refreshed (revoked, expired or deactivated)
+  useEffect(() => {
+    setAuthFailureHandler(() => {
+      clearStoredAuth().finally(() => dispatch({ type: AUTH_ACTIONS.LOGOUT }));
+    });
+    return () => setAuthFailureHandler(null);
+  }, []);
+
+  // Real-time channel follows the auth state (socket handshake uses the stored token)
+  useEffect(() => {
+    if (state.isAuthenticated) {
+      connectSocket();
+    } else {
+      disconnectSocket();
+      clearSignedUrlCache();
+    }
+  }, [state.isAuthenticated]);
+
+  // Role permissions can be edited by owners at any time, so re-read them once signed in
+  useEffect(() => {
+    if (state.isAuthenticated) {
+      refreshPermissions();
+    }
+  }, [state.isAuthenticated]);
+
+  const clearStoredAuth = () => Promise.all([
+    AsyncStorage.removeItem(STORAGE_KEYS.TOKEN),
+    AsyncStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN),
+    AsyncStorage.removeItem(STORAGE_KEYS.USER),
+    AsyncStorage.removeItem(STORAGE_KEYS.PERMISSIONS),
+  ]);
+
+  const storeSession = ({ user, token, refreshToken, permissions = [] }) => Promise.all([
+    AsyncStorage.setItem(STORAGE_KEYS.TOKEN, token),
+    AsyncStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken),
+    AsyncStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(user)),
+    AsyncStorage.setItem(STORAGE_KEYS.PERMISSIONS, JSON.stringify(permissions)),
+  ]);
+
   const loadStoredAuth = async () => {
     try {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
       
-      const [storedToken, storedUser] = await Promise.all([
+      const [storedToken, storedUser, storedPermissions] = await Promise.all([
         AsyncStorage.getItem(STORAGE_KEYS.TOKEN),
         AsyncStorage.getItem(STORAGE_KEYS.USER),
+        AsyncStorage.getItem(STORAGE_KEYS.PERMISSIONS),
       ]);
 
       if (storedToken && storedUser) {
         const user = JSON.parse(storedUser);
+        const permissions = storedPermissions ? JSON.parse(storedPermissions) : [];
         dispatch({
           type: AUTH_ACTIONS.LOGIN_SUCCESS,
-          payload: { user, token: storedToken },
+          payload: { user, token: storedToken, permissions },
         });
       } else {
         dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
@@ -120,17 +173,14 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.login(email, password);
       
       if (response.success) {
-        const { user, token } = response.data;
+        const { user, token, refreshToken, permissions } = response.data;
         
         // Store in AsyncStorage
-        await Promise.all([
-          AsyncStorage.setItem(STORAGE_KEYS.TOKEN, token),
-          AsyncStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(user)),
-        ]);
+        await storeSession({ user, token, refreshToken, permissions });
 
         dispatch({
           type: AUTH_ACTIONS.LOGIN_SUCCESS,
-          payload: { user, token },
+          payload: { user, token, permissions },
         });
 
         return { success: true };
@@ -159,17 +209,14 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.register(userData);
       
       if (response.success) {
-        const { user, token } = response.data;
+        const { user, token, refreshToken, permissions } = response.data;
         
         // Store in AsyncStorage
-        await Promise.all([
-          AsyncStorage.setItem(STORAGE_KEYS.TOKEN, token),
-          AsyncStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(user)),
-        ]);
+        await storeSession({ user, token, refreshToken, permissions });
 
         dispatch({
           type: AUTH_ACTIONS.LOGIN_SUCCESS,
-          payload: { user, token },
+          payload: { user, token, permissions },
         });
 
         return { success: true };
@@ -193,12 +240,16 @@ export const AuthProvider = ({ children }) => {
   const logout = async () => {
     try {
       console.log('[AuthContext] Starting logout process...');
+
+      // Revoke the session on the server; local logout proceeds even if this fails
+      try {
+        await authAPI.logout();
+      } catch (error) {
+        console.warn('[AuthContext] Server logout failed:', error?.message || error);
+      }
       
       // Clear AsyncStorage
-      await Promise.all([
-        AsyncStorage.removeItem(STORAGE_KEYS.TOKEN),
-        AsyncStorage.removeItem(STORAGE_KEYS.USER),
-      ]);
+      await clearStoredAuth();
       
       console.log('[AuthContext] AsyncStorage cleared');
 
@@ -213,6 +264,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const logoutAllDevices = async () => {
+    try {
+      const response = await authAPI.logoutAll();
+      if (!response.success) {
+        return { success: false, message: response.message };
+      }
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to sign out of all devices' };
+    }
+
+    // This device's session was revoked too
+    await clearStoredAuth().catch(() => {});
+    dispatch({ type: AUTH_ACTIONS.LOGOUT });
+    return { success: true };
+  };
+
   const updateUser = async (userData) => {
     try {
       const response = await authAPI.updateProfile(userData);
@@ -238,6 +305,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const refreshPermissions = async () => {
+    try {
+      const response = await authAPI.getProfile();
+      if (response.success) {
+        const permissions = response.data.permissions || [];
+        await AsyncStorage.setItem(STORAGE_KEYS.PERMISSIONS, JSON.stringify(permissions));
+        dispatch({ type: AUTH_ACTIONS.SET_PERMISSIONS, payload: permissions });
+      }
+    } catch (error) {
+      console.warn('[AuthContext] Failed to refresh permissions:', error?.message || error);
+    }
+  };
+
+  // Permission checks only hide UI; the API enforces the same permissions
+  const hasPermission = (...required) =>
+    required.every(permission => state.permissions.includes(permission));
+
   const clearError = () => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
   };
@@ -246,6 +330,7 @@ export const AuthProvider = ({ children }) => {
     // State
     user: state.user,
     token: state.token,
+    permissions: state.permissions,
     isLoading: state.isLoading,
     isAuthenticated: state.isAuthenticated,
     error: state.error,
@@ -254,7 +339,10 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutAllDevices,
     updateUser,
+    refreshPermissions,
+    hasPermission,
     clearError,
   };
 
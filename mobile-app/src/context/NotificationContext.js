@@ -0,0 +1,73 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { notificationsAPI } from '../utils/api';
+import socket from '../utils/socket';
+
+const NotificationContext = createContext();
+
+// Notification provider component (must be rendered inside AuthProvider)
+export const NotificationProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getUnreadCount();
+      if (response.success) {
+        setUnreadCount(response.data.unreadCount);
+      }
+    } catch (error) {
+      console.error('[Notifications] Failed to load unread count:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUnreadCount(0);
+      return undefined;
+    }
+
+    refreshUnreadCount();
+
+    // The server pushes 'notification' events to this user's room only
+    const handleNotification = (data) => {
+      if (data.operation === 'created') {
+        setUnreadCount((count) => count + 1);
+      } else if (typeof data.unreadCount === 'number') {
+        setUnreadCount(data.unreadCount);
+      }
+    };
+
+    socket.on('notification', handleNotification);
+    // Events may have been missed while disconnected
+    socket.on('connect', refreshUnreadCount);
+
+    return () => {
+      socket.off('notification', handleNotification);
+      socket.off('connect', refreshUnreadCount);
+    };
+  }, [isAuthenticated, refreshUnreadCount]);
+
+  const value = {
+    unreadCount,
+    setUnreadCount,
+    refreshUnreadCount,
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+// Hook to use notification context
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
+
+export default NotificationContext;
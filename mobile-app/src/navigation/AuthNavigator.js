@@ -4,6 +4,9 @@ import { createStackNavigator } from '@react-navigation/stack';
 // Import auth screens
 import LoginScreen from '../screens/auth/LoginScreen';
 import RegisterScreen from '../screens/auth/RegisterScreen';
+import ForgotPasswordScreen from '../screens/auth/ForgotPasswordScreen';
+import ResetPasswordScreen from '../screens/auth/ResetPasswordScreen';
+import VerifyEmailScreen from '../screens/auth/VerifyEmailScreen';
 import GuestScreen from '../screens/guest/GuestScreen';
 
 const Stack = createStackNavigator();
@@ -40,6 +43,21 @@ const AuthNavigator = () => {
         component={RegisterScreen} 
         options={{ title: 'Register' }} 
       />
+      <Stack.Screen 
+        name="ForgotPassword" 
+        component={ForgotPasswordScreen} 
+        options={{ title: 'Forgot Password' }} 
+      />
+      <Stack.Screen 
+        name="ResetPassword" 
+        component={ResetPasswordScreen} 
+        options={{ title: 'Reset Password' }} 
+      />
+      <Stack.Screen 
+        name="VerifyEmail" 
+        component={VerifyEmailScreen} 
+        options={{ title: 'Verify Email' }} 
+      />
     </Stack.Navigator>
   );
 };
@@ -8,6 +8,7 @@ import { getFocusedRouteNameFromRoute } from '@react-navigation/native';
 import ClientDashboardScreen from '../screens/client/ClientDashboardScreen';
 import ProjectsScreen from '../screens/client/projects/ProjectsScreen';
 import ProfileScreen from '../screens/profile/ProfileScreen';
+import NotificationsScreen from '../screens/notifications/NotificationsScreen';
 
 // Import Project footer tabs (nested navigator)
 import ProjectFooterTabs from '../screens/client/projects/ProjectDetailsFooter';
@@ -19,6 +20,7 @@ const Stack = createStackNavigator();
 const DashboardStack = () => (
   <Stack.Navigator screenOptions={{ headerShown: false }}>
     <Stack.Screen name="ClientDashboard" component={ClientDashboardScreen} />
+    <Stack.Screen name="Notifications" component={NotificationsScreen} />
   </Stack.Navigator>
 );
 
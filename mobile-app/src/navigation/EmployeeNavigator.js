@@ -0,0 +1,19 @@
+import React from 'react';
+import { createStackNavigator } from '@react-navigation/stack';
+
+// Employee Screens
+import EmployeeDashboardScreen from '../screens/employee/EmployeeDashboardScreen';
+import NotificationsScreen from '../screens/notifications/NotificationsScreen';
+import ProfileScreen from '../screens/profile/ProfileScreen';
+
+const Stack = createStackNavigator();
+
+const EmployeeNavigator = () => (
+  <Stack.Navigator screenOptions={{ headerShown: false }}>
+    <Stack.Screen name="EmployeeDashboard" component={EmployeeDashboardScreen} />
+    <Stack.Screen name="Notifications" component={NotificationsScreen} />
+    <Stack.Screen name="Profile" component={ProfileScreen} />
+  </Stack.Navigator>
+);
+
+export default EmployeeNavigator;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { createStackNavigator } from '@react-navigation/stack';
+
+// Owner Screens
+import OwnerDashboardScreen from '../screens/owner/OwnerDashboardScreen';
+import NotificationsScreen from '../screens/notifications/NotificationsScreen';
+import ProfileScreen from '../screens/profile/ProfileScreen';
+import EntityHistoryScreen from '../screens/owner/EntityHistoryScreen';
+import QuotationComparisonScreen from '../screens/owner/QuotationComparisonScreen';
+import ProjectScheduleScreen from '../screens/owner/ProjectScheduleScreen';
+import NegotiationChatScreen from '../screens/vendor/screens/NegotiationChat';
+
+const Stack = createStackNavigator();
+
+const OwnerNavigator = () => (
+  <Stack.Navigator screenOptions={{ headerShown: false }}>
+    <Stack.Screen name="OwnerDashboard" component={OwnerDashboardScreen} />
+    <Stack.Screen name="Notifications" component={NotificationsScreen} />
+    <Stack.Screen name="Profile" component={ProfileScreen} />
+    <Stack.Screen name="EntityHistory" component={EntityHistoryScreen} />
+    <Stack.Screen name="AuditLog" component={EntityHistoryScreen} />
+    <Stack.Screen name="QuotationComparison" component={QuotationComparisonScreen} />
+    <Stack.Screen name="ProjectSchedule" component={ProjectScheduleScreen} />
+    <Stack.Screen name="NegotiationChat" component={NegotiationChatScreen} />
+  </Stack.Navigator>
+);
+
+export default OwnerNavigator;
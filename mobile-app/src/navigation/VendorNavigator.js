@@ -10,7 +10,7 @@ import MaterialRequestsScreen from '../screens/vendor/screens/MaterialRequests';
 import QuotationManagementScreen from '../screens/vendor/screens/QuotationManagement';
 import PaymentsInvoicesScreen from '../screens/vendor/screens/PaymentsInvoices';
 import MediaGalleryScreen from '../screens/vendor/screens/MediaGallery';
-import NotificationsScreen from '../screens/vendor/screens/NotificationScreen';
+import NotificationsScreen from '../screens/notifications/NotificationsScreen';
 import VendorProfileScreen from '../screens/vendor/screens/VendorProfile';
 import WorkUpdatesScreen from '../screens/vendor/screens/WorkUpdates';
 import NegotiationChatScreen from '../screens/vendor/screens/NegotiationChat';
@@ -101,6 +101,15 @@ const LoginScreen = ({ navigation }) => {
               </View>
             )}
 
+            {/* Forgot Password Link */}
+            <TouchableOpacity
+              style={styles.forgotPasswordContainer}
+              onPress={() => navigation.navigate('ForgotPassword')}
+              disabled={isLoading}
+            >
+              <Text style={styles.forgotPasswordLink}>Forgot password?</Text>
+            </TouchableOpacity>
+
             {/* Login Button */}
             <TouchableOpacity
               style={{...styles.loginButton, ...(isLoading && styles.disabledButton)}}
@@ -124,6 +133,15 @@ const LoginScreen = ({ navigation }) => {
                 <Text style={styles.registerLink}>Register here</Text>
               </TouchableOpacity>
             </View>
+
+            {/* Email Verification Link */}
+            <TouchableOpacity
+              style={styles.verifyEmailContainer}
+              onPress={() => navigation.navigate('VerifyEmail')}
+              disabled={isLoading}
+            >
+              <Text style={styles.verifyEmailLink}>Have an email verification code?</Text>
+            </TouchableOpacity>
           </View>
 
           {/* Demo Credentials */}
@@ -216,6 +234,24 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  forgotPasswordContainer: {
+    alignSelf: 'flex-end',
+    marginBottom: 20,
+  },
+  forgotPasswordLink: {
+    fontSize: 14,
+    color: theme.colors.primary[500],
+    fontWeight: '500',
+  },
+  verifyEmailContainer: {
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  verifyEmailLink: {
+    fontSize: 14,
+    color: theme.colors.text.secondary,
+    textDecorationLine: 'underline',
+  },
   registerContainer: {
     flexDirection: 'row',
     justifyContent: 'center',
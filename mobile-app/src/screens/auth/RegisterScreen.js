@@ -77,7 +77,7 @@ const RegisterScreen = ({ navigation }) => {
       if (result.success) {
         Alert.alert(
           'Success', 
-          'Account created successfully!',
+          'Account created successfully! We sent a verification link to your email address.',
           [{ text: 'OK' }]
         );
       } else {
@@ -4,7 +4,6 @@ import {
   Text,
   StyleSheet,
   Dimensions,
-  ImageBackground,
   Image,
   ActivityIndicator,
   TouchableOpacity 
@@ -19,6 +18,8 @@ import Animated, {
 import { useNavigation } from "@react-navigation/native";
 import { projectsAPI, dashboardAPI } from '../../utils/api';
 import { useAuth } from '../../context/AuthContext';
+import NotificationBell from "../../components/NotificationBell";
+import SecureImage from "../../components/SecureImage";
 
 const { width, height } = Dimensions.get("window");
 
@@ -107,6 +108,11 @@ export default function ClientDashboardScreen() {
   return (
     <GestureHandlerRootView style={[styles.container, { backgroundColor: selectedColor}]}>
       <Text style={styles.header}>Moodboard Wall</Text>
+      <NotificationBell
+        color="#342F2A"
+        style={styles.notificationButton}
+        onPress={() => navigation.navigate("Notifications")}
+      />
 
       {/* Recent Activities Section */}
       <View style={[styles.activitiesSection, { top: 60, right: 20 }]}>
@@ -259,8 +265,9 @@ function DraggableTile({ project, dropZone, i }) {
           animatedStyle,
         ]}
       >
-        <ImageBackground
-          source={{ uri: project.images?.[0]?.url || project.thumbnail || "https://picsum.photos/200" }}
+        <SecureImage
+          uri={project.images?.[0]?.url || project.thumbnail}
+          fallbackUri="https://picsum.photos/200"
           style={styles.tileImage}
           imageStyle={{ borderRadius: 8 }}
         >
@@ -273,7 +280,7 @@ function DraggableTile({ project, dropZone, i }) {
               {project.status} • {project.budget ? `$${project.budget.toLocaleString()}` : 'Budget N/A'}
             </Text>
           </View>
-        </ImageBackground>
+        </SecureImage>
       </Animated.View>
     </GestureDetector>
   );
@@ -293,6 +300,11 @@ const styles = StyleSheet.create({
     fontFamily: "serif",
     color: "#342F2A",
   },
+  notificationButton: {
+    position: "absolute",
+    top: 18,
+    right: 20,
+  },
   dropZone: {
     position: "absolute",
     top: height * 0.35,
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation, useRoute } from "@react-navigation/native";
+import { changeOrdersAPI } from "../../../utils/api";
+
+const STATUS_LABELS = {
+  pending_approval: "Awaiting you",
+  approved: "Approved",
+  declined: "Declined",
+  withdrawn: "Withdrawn",
+};
+
+const STATUS_COLORS = {
+  pending_approval: "#BFA46F",
+  approved: "#2E7D32",
+  declined: "#C62828",
+  withdrawn: "#999",
+};
+
+const formatAmount = (amount, currency = "USD") =>
+  `${currency === "USD" ? "$" : `${currency} `}${(amount || 0).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatSigned = (amount, currency) =>
+  `${amount < 0 ? "-" : "+"}${formatAmount(Math.abs(amount), currency)}`;
+
+const formatDays = (days) => `${days < 0 ? "" : "+"}${days || 0} days`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : "—");
+
+const ChangeOrdersScreen = () => {
+  const route = useRoute();
+  const navigation = useNavigation();
+  const { projectId } = route.params || {};
+
+  const [changeOrders, setChangeOrders] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [decidingId, setDecidingId] = useState(null);
+
+  useEffect(() => {
+    if (projectId) {
+      loadChangeOrders();
+    } else {
+      setIsLoading(false);
+      Alert.alert('Error', 'No project selected');
+    }
+  }, [projectId]);
+
+  const loadChangeOrders = async () => {
+    try {
+      setIsLoading(true);
+
+      const response = await changeOrdersAPI.getByProject(projectId);
+      if (response.success) {
+        setChangeOrders(response.data.changeOrders || []);
+        setSummary(response.data.summary);
+      }
+    } catch (error) {
+      console.error('Error loading change orders:', error);
+      Alert.alert('Error', 'Failed to load change orders');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const decide = async (changeOrder, approve) => {
+    try {
+      setDecidingId(changeOrder._id);
+      const response = approve
+        ? await changeOrdersAPI.approve(changeOrder._id)
+        : await changeOrdersAPI.decline(changeOrder._id);
+      if (response.success) {
+        Alert.alert('Done', response.message);
+        loadChangeOrders();
+      }
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.message || 'Unable to record your decision');
+    } finally {
+      setDecidingId(null);
+    }
+  };
+
+  const confirmDecision = (changeOrder, approve) => {
+    Alert.alert(
+      approve ? 'Approve change order' : 'Decline change order',
+      approve
+        ? `Approving ${changeOrder.changeOrderNumber} changes the project budget by ${formatSigned(changeOrder.costImpact, changeOrder.currency)} and the completion date by ${formatDays(changeOrder.scheduleImpactDays)}.`
+        : `Decline ${changeOrder.changeOrderNumber}? The project stays as it is.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: approve ? 'Approve' : 'Decline', onPress: () => decide(changeOrder, approve) },
+      ]
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centerContent]}>
+        <ActivityIndicator size="large" color="#1A3A5A" />
+        <Text style={styles.loadingText}>Loading change orders...</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const currency = summary?.currency || "USD";
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerBtn}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#1A3A5A" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Change Orders</Text>
+        <View style={{ width: 24 }} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {/* Approved Changes */}
+        <View style={styles.section}>
+          <View style={styles.card}>
+            <Text style={styles.textSecondary}>Approved changes</Text>
+            <Text style={styles.totalText}>{formatSigned(summary?.approvedCostImpact || 0, currency)}</Text>
+            <Text style={styles.textSecondary}>
+              {summary?.approvedCount || 0} change order(s) · {formatDays(summary?.approvedScheduleImpactDays)}
+            </Text>
+            <View style={styles.divider} />
+            <View style={styles.row}>
+              <Text style={styles.textSecondary}>Current budget</Text>
+              <Text style={styles.textPrimary}>{formatAmount(summary?.currentEstimated, currency)}</Text>
+            </View>
+            <View style={styles.row}>
+              <Text style={styles.textSecondary}>Expected completion</Text>
+              <Text style={styles.textPrimary}>{formatDate(summary?.currentExpectedEndDate)}</Text>
+            </View>
+          </View>
+        </View>
+
+        {/* Change Orders */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Requests</Text>
+          {changeOrders.length === 0 ? (
+            <View style={styles.card}>
+              <Text style={styles.emptyText}>No change orders for this project</Text>
+            </View>
+          ) : (
+            <View style={{ gap: 12 }}>
+              {changeOrders.map((item) => (
+                <View key={item._id} style={styles.card}>
+                  <View style={styles.row}>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.textPrimary}>{item.title}</Text>
+                      <Text style={styles.textSecondary}>#{item.changeOrderNumber}</Text>
+                    </View>
+                    <View style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[item.status] || "#1A3A5A" }]}>
+                      <Text style={styles.btnText}>{STATUS_LABELS[item.status] || item.status}</Text>
+                    </View>
+                  </View>
+                  <Text style={styles.description}>{item.description}</Text>
+                  <View style={styles.row}>
+                    <Text style={styles.textSecondary}>Cost</Text>
+                    <Text style={styles.textPrimary}>{formatSigned(item.costImpact, item.currency)}</Text>
+                  </View>
+                  <View style={styles.row}>
+                    <Text style={styles.textSecondary}>Schedule</Text>
+                    <Text style={styles.textPrimary}>{formatDays(item.scheduleImpactDays)}</Text>
+                  </View>
+                  {item.documents?.length > 0 && (
+                    <Text style={styles.textSecondary}>
+                      {item.documents.length} supporting document(s)
+                    </Text>
+                  )}
+                  {!!item.decision?.decidedAt && (
+                    <Text style={styles.textSecondary}>
+                      Decided {formatDate(item.decision.decidedAt)}{item.decision.comments ? ` · ${item.decision.comments}` : ""}
+                    </Text>
+                  )}
+                  {item.status === "pending_approval" && (
+                    <View style={styles.actions}>
+                      <TouchableOpacity
+                        style={[styles.actionBtn, styles.declineBtn]}
+                        disabled={decidingId === item._id}
+                        onPress={() => confirmDecision(item, false)}
+                      >
+                        <Text style={styles.declineText}>Decline</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={styles.actionBtn}
+                        disabled={decidingId === item._id}
+                        onPress={() => confirmDecision(item, true)}
+                      >
+                        {decidingId === item._id ? (
+                          <ActivityIndicator size="small" color="#F5F5DC" />
+                        ) : (
+                          <Text style={styles.btnText}>Approve</Text>
+                        )}
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+export default ChangeOrdersScreen;
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F5F5DC" },
+  scrollContent: { paddingHorizontal: 16, paddingBottom: 40 },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: "#F5F5DC",
+  },
+  headerBtn: { padding: 8, borderRadius: 999, backgroundColor: "#E0DACE" },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: "#1A3A5A",
+    flex: 1,
+    textAlign: "center",
+  },
+  section: { marginVertical: 12 },
+  sectionTitle: { fontSize: 18, fontWeight: "600", marginBottom: 8, color: "#1A3A5A" },
+  card: {
+    backgroundColor: "white",
+    borderRadius: 24,
+    padding: 16,
+    gap: 4,
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowOffset: { width: 0, height: 2 },
+    shadowRadius: 6,
+  },
+  row: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginVertical: 2,
+    gap: 12,
+  },
+  totalText: { fontSize: 28, fontWeight: "bold", color: "#1A3A5A", marginTop: 4 },
+  divider: { height: 1, backgroundColor: "#E0DACE", marginVertical: 8 },
+  description: { fontSize: 14, color: "#1A3A5A", marginVertical: 6 },
+  statusBadge: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 999,
+    marginLeft: 8,
+  },
+  actions: { flexDirection: "row", justifyContent: "flex-end", gap: 10, marginTop: 10 },
+  actionBtn: {
+    backgroundColor: "#1A3A5A",
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 999,
+    alignItems: "center",
+  },
+  declineBtn: { backgroundColor: "#E0DACE" },
+  declineText: { color: "#1A3A5A", fontWeight: "600" },
+  textPrimary: { fontSize: 16, fontWeight: "bold", color: "#1A3A5A" },
+  textSecondary: { fontSize: 14, color: "#5C6B7A" },
+  btnText: { color: "white", fontWeight: "600" },
+  centerContent: { justifyContent: "center", alignItems: "center" },
+  loadingText: { marginTop: 16, fontSize: 16, color: "#1A3A5A" },
+  emptyText: { fontSize: 14, color: "#999", textAlign: "center", paddingVertical: 8 },
+});
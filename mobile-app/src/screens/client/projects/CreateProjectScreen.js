@@ -13,12 +13,14 @@ import {
 } from 'react-native';
 // Using a custom picker solution for better cross-platform compatibility
 import { useAuth } from '../../../context/AuthContext';
-import { projectsAPI, usersAPI } from '../../../utils/api';
+import { projectsAPI, projectTemplatesAPI, usersAPI } from '../../../utils/api';
 
 const CreateProjectScreen = ({ navigation }) => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [isLoading, setIsLoading] = useState(false);
   const [clients, setClients] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -55,6 +57,12 @@ const CreateProjectScreen = ({ navigation }) => {
     loadClients();
   }, []);
 
+  useEffect(() => {
+    if (hasPermission('projectTemplate.view')) {
+      loadTemplates();
+    }
+  }, [formData.projectType, formData.designStyle]);
+
   const loadClients = async () => {
     try {
       const response = await usersAPI.getUsers({ role: 'client', limit: 100 });
@@ -66,6 +74,25 @@ const CreateProjectScreen = ({ navigation }) => {
     }
   };
 
+  const loadTemplates = async () => {
+    try {
+      const response = await projectTemplatesAPI.getTemplates({
+        projectType: formData.projectType,
+        designStyle: formData.designStyle,
+      });
+      if (response.success) {
+        const matching = response.data.templates || [];
+        setTemplates(matching);
+        // Drop a chosen template that no longer matches the type and style
+        setTemplateId(current => (matching.some(template => template._id === current) ? current : ''));
+      }
+    } catch (error) {
+      console.error('Error loading project templates:', error);
+    }
+  };
+
+  const selectedTemplate = templates.find(template => template._id === templateId);
+
   const handleInputChange = (field, value, nested = null) => {
     if (nested) {
       setFormData(prev => ({
@@ -96,7 +123,8 @@ const CreateProjectScreen = ({ navigation }) => {
       Alert.alert('Validation Error', 'Please select a client');
       return false;
     }
-    if (!formData.budget.estimated || isNaN(formData.budget.estimated)) {
+    // A template brings its own budget lines
+    if (!templateId && (!formData.budget.estimated || isNaN(formData.budget.estimated))) {
       Alert.alert('Validation Error', 'Please enter a valid budget amount');
       return false;
     }
@@ -106,6 +134,11 @@ const CreateProjectScreen = ({ navigation }) => {
   const handleSubmit = async () => {
     if (!validateForm()) return;
 
+    if (templateId) {
+      createFromTemplate();
+      return;
+    }
+
     try {
       setIsLoading(true);
 
@@ -162,6 +195,50 @@ const CreateProjectScreen = ({ navigation }) => {
     }
   };
 
+  const createFromTemplate = async () => {
+    try {
+      setIsLoading(true);
+
+      const response = await projectsAPI.createFromTemplate(templateId, {
+        title: formData.title,
+        description: formData.description,
+        clientId: formData.client,
+        designStyle: formData.designStyle,
+        timeline: {
+          startDate: formData.timeline.startDate ? new Date(formData.timeline.startDate) : new Date(),
+          ...(formData.timeline.expectedEndDate && { expectedEndDate: new Date(formData.timeline.expectedEndDate) }),
+        },
+        location: formData.location,
+        specifications: {
+          ...formData.specifications,
+          area: formData.specifications.area ? parseInt(formData.specifications.area) : 0,
+          floors: formData.specifications.floors ? parseInt(formData.specifications.floors) : 1,
+          bedrooms: formData.specifications.bedrooms ? parseInt(formData.specifications.bedrooms) : 0,
+          bathrooms: formData.specifications.bathrooms ? parseInt(formData.specifications.bathrooms) : 0,
+          parking: formData.specifications.parking ? parseInt(formData.specifications.parking) : 0,
+        },
+      });
+
+      if (response.success) {
+        const drafts = response.data.materialRequests?.length || 0;
+        Alert.alert(
+          'Success',
+          drafts > 0
+            ? `Project created with ${drafts} draft material request(s) to review and submit.`
+            : 'Project created successfully!',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else {
+        Alert.alert('Error', response.message || 'Failed to create project');
+      }
+    } catch (error) {
+      console.error('Error creating project from template:', error);
+      Alert.alert('Error', error.response?.data?.message || 'Failed to create project');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const FormSection = ({ title, children }) => (
     <View style={styles.section}>
       <Text style={styles.sectionTitle}>{title}</Text>
@@ -294,6 +371,28 @@ const CreateProjectScreen = ({ navigation }) => {
             ]}
           />
 
+          {templates.length > 0 && (
+            <PickerField
+              label="Template"
+              selectedValue={templateId}
+              onValueChange={setTemplateId}
+              items={[
+                { label: 'Start from scratch', value: '' },
+                ...templates.map(template => ({
+                  label: `${template.name} (${template.milestones.length} milestones)`,
+                  value: template._id,
+                })),
+              ]}
+            />
+          )}
+
+          {!!selectedTemplate && (
+            <Text style={styles.templateHint}>
+              Milestones, budget lines, the default team and {selectedTemplate.materialRequests.length} draft
+              material request(s) come from this template.
+            </Text>
+          )}
+
           <PickerField
             label="Priority"
             selectedValue={formData.priority}
@@ -320,13 +419,15 @@ const CreateProjectScreen = ({ navigation }) => {
         </FormSection>
 
         <FormSection title="Budget & Timeline">
-          <InputField
-            label="Estimated Budget *"
-            value={formData.budget.estimated}
-            onChangeText={(value) => handleInputChange('estimated', value, 'budget')}
-            placeholder="Enter budget amount"
-            keyboardType="numeric"
-          />
+          {!templateId && (
+            <InputField
+              label="Estimated Budget *"
+              value={formData.budget.estimated}
+              onChangeText={(value) => handleInputChange('estimated', value, 'budget')}
+              placeholder="Enter budget amount"
+              keyboardType="numeric"
+            />
+          )}
 
           <InputField
             label="Start Date"
@@ -487,6 +588,11 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 8,
   },
+  templateHint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
   input: {
     borderWidth: 1,
     borderColor: '#ddd',
@@ -7,7 +7,6 @@ import {
   ScrollView,
   StyleSheet,
   TouchableOpacity,
-  Image,
   Modal,
   FlatList,
   Dimensions,
@@ -18,6 +17,8 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 import { useRoute } from "@react-navigation/native";
 import { projectsAPI } from "../../../utils/api";
+import { resolveFileUrl } from "../../../utils/signedUrls";
+import SecureImage from "../../../components/SecureImage";
 
 export default function MediaScreen() {
   const route = useRoute();
@@ -67,9 +68,9 @@ export default function MediaScreen() {
             title: image.name || 'Project Image',
             subtitle: image.type || 'Image',
             date: image.uploadedAt ? new Date(image.uploadedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
-            image: image.url ? `http://192.168.1.5:5000${image.url}` : null,
-            thumbnail: image.url ? `http://192.168.1.5:5000${image.url}` : null,
-            fileUrl: image.url ? `http://192.168.1.5:5000${image.url}` : null,
+            image: image.url || null,
+            thumbnail: image.url || null,
+            fileUrl: image.url || null,
             uploadedBy: image.uploadedBy,
             uploadedAt: image.uploadedAt,
           }));
@@ -86,7 +87,7 @@ export default function MediaScreen() {
             date: doc.uploadedAt ? new Date(doc.uploadedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A',
             image: null,
             thumbnail: null,
-            fileUrl: doc.url ? `http://192.168.1.5:5000${doc.url}` : null,
+            fileUrl: doc.url || null,
             uploadedBy: doc.uploadedBy,
             uploadedAt: doc.uploadedAt,
           }));
@@ -115,6 +116,16 @@ export default function MediaScreen() {
     }
   };
 
+  // Documents open in the system viewer, which cannot send our auth header
+  const openDocument = async (item) => {
+    const url = await resolveFileUrl(item.fileUrl);
+    if (!url) {
+      Alert.alert('Error', 'This document is not available');
+      return;
+    }
+    Linking.openURL(url);
+  };
+
   // Auto-scroll highlights
   useEffect(() => {
     const interval = setInterval(() => {
@@ -176,8 +187,8 @@ export default function MediaScreen() {
                 setGalleryVisible(true);
               }}
             >
-              <Image 
-                source={{ uri: item.image }} 
+              <SecureImage 
+                uri={item.image} 
                 style={styles.highlightImage} 
                 onError={(error) => {
                   console.log('Highlight image load error for:', item.image, error);
@@ -235,7 +246,7 @@ export default function MediaScreen() {
               style={styles.gridItem}
               onPress={() => {
                 if (item.type === "document") {
-                  Linking.openURL(item.fileUrl);
+                  openDocument(item);
                 } else {
                   setSelectedMedia(item);
                   setGalleryVisible(true);
@@ -251,8 +262,8 @@ export default function MediaScreen() {
                       <Text style={styles.fallbackText}>{item.title}</Text>
                     </View>
                   ) : (
-                    <Image 
-                      source={{ uri: item.image }} 
+                    <SecureImage 
+                      uri={item.image} 
                       style={styles.gridImage} 
                       onError={(error) => {
                         console.log('Image load error for:', item.image, error);
@@ -271,8 +282,8 @@ export default function MediaScreen() {
               )}
               {item.type === "video" && (
                 <View style={styles.videoItem}>
-                  <Image 
-                    source={{ uri: item.thumbnail }} 
+                  <SecureImage 
+                    uri={item.thumbnail} 
                     style={styles.gridImage} 
                     onError={(error) => {
                       console.log('Thumbnail load error for:', item.thumbnail, error);
@@ -309,8 +320,8 @@ export default function MediaScreen() {
           {selectedMedia && (
             <View style={styles.modalContent}>
               {selectedMedia.type === "photo" && (
-                <Image
-                  source={{ uri: selectedMedia.image }}
+                <SecureImage
+                  uri={selectedMedia.image}
                   style={styles.modalImage}
                 />
               )}
@@ -2,7 +2,6 @@ import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
-  FlatList,
   TouchableOpacity,
   StyleSheet,
   SafeAreaView,
@@ -11,22 +10,52 @@ import {
   ActivityIndicator,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
-import * as FileSystem from "expo-file-system";
 import { useNavigation, useRoute } from "@react-navigation/native";
-import { purchaseOrdersAPI, filesAPI, projectsAPI } from "../../../utils/api";
+import { clientInvoicesAPI } from "../../../utils/api";
+import { downloadDocument, shareDocument } from "../../../utils/documents";
 
+const STATUS_LABELS = {
+  issued: "Unpaid",
+  partially_paid: "Partially paid",
+  paid: "Paid",
+  cancelled: "Cancelled",
+};
+
+const STATUS_COLORS = {
+  issued: "#1A3A5A",
+  partially_paid: "#BFA46F",
+  paid: "#2E7D32",
+  cancelled: "#999",
+};
+
+const METHOD_LABELS = {
+  cash: "Cash",
+  check: "Check",
+  bank_transfer: "Bank transfer",
+  credit_card: "Credit card",
+  upi: "UPI",
+  other: "Other",
+};
 
+const formatAmount = (amount, currency = "USD") =>
+  `${currency === "USD" ? "$" : `${currency} `}${(amount || 0).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : "—");
 
 const PaymentPage = () => {
   const route = useRoute();
   const navigation = useNavigation();
   const { projectId } = route.params || {};
-  
-  const [payments, setPayments] = useState({ schedule: [], invoices: [] });
+
+  const [invoices, setInvoices] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [summary, setSummary] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [project, setProject] = useState(null);
 
-  // Fetch project payment data
+  // Fetch project invoices and payment history
   useEffect(() => {
     if (projectId) {
       loadProjectPayments();
@@ -39,96 +68,41 @@ const PaymentPage = () => {
   const loadProjectPayments = async () => {
     try {
       setIsLoading(true);
-      
-      // Fetch project data and purchase orders
-      const [projectResponse, poResponse] = await Promise.all([
-        projectsAPI.getProjectById(projectId),
-        purchaseOrdersAPI.getByProject(projectId),
-      ]);
-
-      let schedule = [];
-      let invoices = [];
-
-      // Process project data
-      if (projectResponse.success && projectResponse.data.project) {
-        setProject(projectResponse.data.project);
-        
-        // Create payment schedule from budget if available
-        const projectData = projectResponse.data.project;
-        if (projectData.budget?.estimated) {
-          const totalBudget = projectData.budget.estimated;
-          const actualSpent = projectData.budget?.actual || 0;
-          const remaining = totalBudget - actualSpent;
-          
-          schedule = [
-            { id: '1', type: 'Paid', amount: actualSpent },
-            { id: '2', type: 'Remaining', amount: remaining > 0 ? remaining : 0 },
-            { id: '3', type: 'Total Budget', amount: totalBudget },
-          ];
-        }
-        
-        // Extract invoice documents from project if available
-        if (projectData.documents && projectData.documents.length > 0) {
-          invoices = projectData.documents
-            .filter(doc => doc.type === 'invoice')
-            .map((doc, index) => ({
-              id: doc._id || `invoice-${index}`,
-              project: projectData.title || 'Current Project',
-              invoiceNo: doc.name || `Invoice-${index + 1}`,
-              status: null,
-              fileUrl: doc.url || '',
-              uploadedAt: doc.uploadedAt,
-            }));
-        }
-      }
 
-      // Process purchase orders for payment terms
-      if (poResponse.success && poResponse.data.purchaseOrders?.length > 0) {
-        poResponse.data.purchaseOrders.forEach(po => {
-          if (po.paymentTerms?.advanceAmount) {
-            schedule.push({
-              id: `po-advance-${po._id}`,
-              type: `Advance - PO#${po.orderNumber || 'N/A'}`,
-              amount: po.paymentTerms.advanceAmount,
-            });
-          }
-          if (po.paymentTerms?.balanceAmount) {
-            schedule.push({
-              id: `po-balance-${po._id}`,
-              type: `Balance - PO#${po.orderNumber || 'N/A'}`,
-              amount: po.paymentTerms.balanceAmount,
-            });
-          }
-        });
+      const response = await clientInvoicesAPI.getByProject(projectId);
+      if (response.success) {
+        setInvoices(response.data.invoices || []);
+        setPayments(response.data.payments || []);
+        setSummary(response.data.summary);
       }
-
-      setPayments({ schedule, invoices });
     } catch (error) {
       console.error('Error loading project payments:', error);
       Alert.alert('Error', 'Failed to load payment information');
-      setPayments({ schedule: [], invoices: [] });
     } finally {
       setIsLoading(false);
     }
   };
 
-  // Handle download functionality
-  const handleInvoiceAction = async (invoice) => {
+  const showReceipt = async (payment) => {
     try {
-      const downloadResumable = FileSystem.createDownloadResumable(
-        invoice.fileUrl,
-        FileSystem.documentDirectory + `Invoice_${invoice.invoiceNo}.pdf`
-      );
-
-      const { uri } = await downloadResumable.downloadAsync();
+      const response = await clientInvoicesAPI.getReceipt(payment.invoice._id, payment._id);
+      if (!response.success) return;
 
-      Alert.alert("Download Complete", `Saved to: ${uri}`);
-      const updatedInvoices = payments.invoices.map((inv) =>
-        inv.id === invoice.id ? { ...inv, status: "downloaded" } : inv
+      const { receipt } = response.data;
+      Alert.alert(
+        `Receipt ${receipt.receiptNumber}`,
+        [
+          `Invoice: ${receipt.invoiceNumber} (${receipt.invoiceTitle})`,
+          `Amount: ${formatAmount(receipt.amount, receipt.currency)}`,
+          `Method: ${METHOD_LABELS[receipt.method] || receipt.method}`,
+          receipt.reference ? `Reference: ${receipt.reference}` : null,
+          `Paid on: ${formatDate(receipt.paidAt)}`,
+          `Paid to date: ${formatAmount(receipt.paidToDate, receipt.currency)}`,
+          `Balance after payment: ${formatAmount(receipt.balanceAfter, receipt.currency)}`,
+        ].filter(Boolean).join("\n")
       );
-      setPayments({ ...payments, invoices: updatedInvoices });
     } catch (error) {
-      Alert.alert("Download Failed", "Unable to download invoice.");
+      Alert.alert("Error", "Unable to load the receipt.");
       console.error(error);
     }
   };
@@ -142,6 +116,11 @@ const PaymentPage = () => {
     );
   }
 
+  const currency = summary?.currency || "USD";
+  const schedule = invoices.filter(
+    (invoice) => invoice.balanceDue > 0 && ["issued", "partially_paid"].includes(invoice.status)
+  );
+
   return (
     <SafeAreaView style={styles.container}>
       {/* Header */}
@@ -157,79 +136,126 @@ const PaymentPage = () => {
       </View>
 
       <ScrollView contentContainerStyle={styles.scrollContent}>
+        {/* Balance Summary */}
+        <View style={styles.section}>
+          <View style={styles.card}>
+            <Text style={styles.textSecondary}>Outstanding balance</Text>
+            <Text style={styles.balanceText}>{formatAmount(summary?.outstanding, currency)}</Text>
+            {summary?.overdue > 0 && (
+              <Text style={styles.overdueText}>
+                {formatAmount(summary.overdue, currency)} overdue
+              </Text>
+            )}
+            <View style={styles.divider} />
+            <View style={styles.scheduleRow}>
+              <Text style={styles.textSecondary}>Total invoiced</Text>
+              <Text style={styles.textPrimary}>{formatAmount(summary?.totalInvoiced, currency)}</Text>
+            </View>
+            <View style={styles.scheduleRow}>
+              <Text style={styles.textSecondary}>Total paid</Text>
+              <Text style={styles.textPrimary}>{formatAmount(summary?.totalPaid, currency)}</Text>
+            </View>
+          </View>
+        </View>
+
         {/* Payment Schedule */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Payment Schedule</Text>
-          {payments.schedule.length === 0 ? (
-            <View style={styles.card}>
-              <Text style={styles.emptyText}>No payment schedule available</Text>
-            </View>
-          ) : (
-            <View style={styles.card}>
-              {payments.schedule.map((item, index) => (
-                <View key={item.id}>
+          <View style={styles.card}>
+            {schedule.length === 0 ? (
+              <Text style={styles.emptyText}>Nothing due right now</Text>
+            ) : (
+              schedule.map((invoice, index) => (
+                <View key={invoice._id}>
                   <View style={styles.scheduleRow}>
-                    <Text style={styles.textSecondary}>{item.type}</Text>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.textPrimary}>{invoice.title}</Text>
+                      <Text style={[styles.textSecondary, invoice.isOverdue && styles.overdueText]}>
+                        Due {formatDate(invoice.dueDate)}{invoice.isOverdue ? " · Overdue" : ""}
+                      </Text>
+                    </View>
                     <Text style={styles.textPrimary}>
-                      ${item.amount.toLocaleString()}
+                      {formatAmount(invoice.balanceDue, invoice.currency)}
                     </Text>
                   </View>
-                  {index !== payments.schedule.length - 1 && <View style={styles.divider} />}
+                  {index !== schedule.length - 1 && <View style={styles.divider} />}
                 </View>
-              ))}
-            </View>
-          )}
+              ))
+            )}
+          </View>
         </View>
 
         {/* Invoices */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Invoices</Text>
-          {payments.invoices.length === 0 ? (
+          {invoices.length === 0 ? (
             <View style={styles.card}>
               <Text style={styles.emptyText}>No invoices available</Text>
             </View>
           ) : (
-            <FlatList
-              data={payments.invoices}
-              keyExtractor={(item) => item.id}
-              contentContainerStyle={{ gap: 12 }}
-              scrollEnabled={false}
-              renderItem={({ item }) => (
-              <View style={styles.invoiceCard}>
-                <View style={styles.invoiceLeft}>
-                  <View style={styles.invoiceIcon}>
-                    <Ionicons name="document-text-outline" size={24} color="#1A3A5A" />
+            <View style={{ gap: 12 }}>
+              {invoices.map((item) => (
+                <View key={item._id} style={styles.invoiceCard}>
+                  <View style={styles.invoiceLeft}>
+                    <View style={styles.invoiceIcon}>
+                      <Ionicons name="document-text-outline" size={24} color="#1A3A5A" />
+                    </View>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.textPrimary}>{item.title}</Text>
+                      <Text style={styles.textSecondary}>Invoice #{item.invoiceNumber}</Text>
+                      <Text style={styles.textSecondary}>
+                        {formatAmount(item.amountPaid, item.currency)} of {formatAmount(item.totalAmount, item.currency)} paid
+                      </Text>
+                    </View>
                   </View>
-                  <View>
-                    <Text style={styles.textPrimary}>{item.project}</Text>
-                    <Text style={styles.textSecondary}>Invoice #{item.invoiceNo}</Text>
+                  <View style={styles.invoiceRight}>
+                    <View style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[item.status] || "#1A3A5A" }]}>
+                      <Text style={styles.btnText}>{STATUS_LABELS[item.status] || item.status}</Text>
+                    </View>
+                    <View style={styles.documentActions}>
+                      <TouchableOpacity onPress={() => downloadDocument(() => clientInvoicesAPI.getPdf(item._id))}>
+                        <Ionicons name="download-outline" size={22} color="#1A3A5A" />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        onPress={() => shareDocument(() => clientInvoicesAPI.getPdf(item._id), `Invoice ${item.invoiceNumber}`)}
+                      >
+                        <Ionicons name="share-social-outline" size={22} color="#1A3A5A" />
+                      </TouchableOpacity>
+                    </View>
                   </View>
                 </View>
-                <TouchableOpacity
-                  style={[
-                    styles.downloadBtn,
-                    item.status === "downloaded" && { backgroundColor: "#BFA46F" },
-                  ]}
-                  onPress={() => handleInvoiceAction(item)}
-                >
-                  <Ionicons
-                    name={
-                      item.status === "downloaded"
-                        ? "checkmark-circle"
-                        : "cloud-download-outline"
-                    }
-                    size={20}
-                    color="white"
-                  />
-                  <Text style={[styles.btnText, { marginLeft: 6 }]}>
-                    {item.status === "downloaded" ? "Downloaded" : "Download"}
-                  </Text>
-                </TouchableOpacity>
-              </View>
-              )}
-            />
+              ))}
+            </View>
           )}
         </View>
+
+        {/* Payment History */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Payment History</Text>
+          <View style={styles.card}>
+            {payments.length === 0 ? (
+              <Text style={styles.emptyText}>No payments recorded yet</Text>
+            ) : (
+              payments.map((payment, index) => (
+                <View key={payment._id}>
+                  <TouchableOpacity style={styles.scheduleRow} onPress={() => showReceipt(payment)}>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.textPrimary}>{formatAmount(payment.amount, currency)}</Text>
+                      <Text style={styles.textSecondary}>
+                        {formatDate(payment.paidAt)} · {METHOD_LABELS[payment.method] || payment.method}
+                      </Text>
+                      <Text style={styles.textSecondary}>
+                        Invoice #{payment.invoice.invoiceNumber} · Receipt {payment.receiptNumber}
+                      </Text>
+                    </View>
+                    <Ionicons name="receipt-outline" size={20} color="#1A3A5A" />
+                  </TouchableOpacity>
+                  {index !== payments.length - 1 && <View style={styles.divider} />}
+                </View>
+              ))
+            )}
+          </View>
+        </View>
       </ScrollView>
 
       {/* Secure Payment Footer */}
@@ -272,7 +298,15 @@ const styles = StyleSheet.create({
     shadowOffset: { width: 0, height: 2 },
     shadowRadius: 6,
   },
-  scheduleRow: { flexDirection: "row", justifyContent: "space-between", marginVertical: 4 },
+  scheduleRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginVertical: 4,
+    gap: 12,
+  },
+  balanceText: { fontSize: 28, fontWeight: "bold", color: "#1A3A5A", marginTop: 4 },
+  overdueText: { color: "#C62828" },
   divider: { height: 1, backgroundColor: "#E0DACE", marginVertical: 8 },
   invoiceCard: {
     flexDirection: "row",
@@ -286,7 +320,7 @@ const styles = StyleSheet.create({
     shadowOffset: { width: 0, height: 2 },
     shadowRadius: 6,
   },
-  invoiceLeft: { flexDirection: "row", alignItems: "center", gap: 12 },
+  invoiceLeft: { flexDirection: "row", alignItems: "center", gap: 12, flex: 1 },
   invoiceIcon: {
     backgroundColor: "#E0DACE",
     borderRadius: 999,
@@ -294,13 +328,13 @@ const styles = StyleSheet.create({
     justifyContent: "center",
     alignItems: "center",
   },
-  downloadBtn: {
-    flexDirection: "row",
-    backgroundColor: "#1A3A5A",
-    paddingVertical: 8,
+  invoiceRight: { alignItems: "flex-end", gap: 10 },
+  documentActions: { flexDirection: "row", gap: 14 },
+  statusBadge: {
+    paddingVertical: 6,
     paddingHorizontal: 12,
     borderRadius: 999,
-    alignItems: "center",
+    marginLeft: 8,
   },
   textPrimary: { fontSize: 16, fontWeight: "bold", color: "#1A3A5A" },
   textSecondary: { fontSize: 14, color: "#5C6B7A" },
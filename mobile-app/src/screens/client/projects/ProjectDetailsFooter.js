@@ -4,6 +4,7 @@ import { TouchableOpacity } from 'react-native';
 import { useRoute } from '@react-navigation/native';
 import MediaScreen from './MediaScreen';
 import PaymentsScreen from './PaymentsScreen';
+import ChangeOrdersScreen from './ChangeOrdersScreen';
 import CatalogScreen from './CatalogScreen';
 import InspirationScreen from './InspirationScreen';
 import { View, Text } from 'react-native';
@@ -67,6 +68,14 @@ export default function ProjectFooterTabs() {
           tabBarIcon: ({ color, size }) => <Ionicons name="card-outline" size={size} color={color} />
         }}
       />
+      <Tab.Screen 
+        name="Changes" 
+        component={ChangeOrdersScreen} 
+        initialParams={{ projectId }}
+        options={{
+          tabBarIcon: ({ color, size }) => <Ionicons name="git-pull-request-outline" size={size} color={color} />
+        }}
+      />
       <Tab.Screen 
         name="Catalog" 
         component={CatalogScreen} 
@@ -19,7 +19,8 @@ import SearchAndFilter, { QuickFilters } from '../../../components/SearchAndFilt
 import theme from '../../../styles/theme';
 
 const ProjectsScreen = ({ navigation }) => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const canCreateProject = hasPermission('project.create');
   const [projects, setProjects] = useState([]);
   const [filteredProjects, setFilteredProjects] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -214,7 +215,7 @@ const ProjectsScreen = ({ navigation }) => {
     <View style={styles.container}>
       {/* Modern Header */}
       <ProjectsHeader
-        onAddPress={() => navigation.navigate('CreateProject')}
+        onAddPress={canCreateProject ? () => navigation.navigate('CreateProject') : null}
         onSearchPress={() => {/* Handle search */}}
       />
 
@@ -250,7 +251,7 @@ const ProjectsScreen = ({ navigation }) => {
               <Text style={styles.emptyDescription}>
                 {searchQuery ? 'Try adjusting your search criteria' : 'Create your first project to get started'}
               </Text>
-              {(user.role === 'owner' || user.role === 'employee') && (
+              {canCreateProject && (
                 <TouchableOpacity
                   style={styles.emptyButton}
                   onPress={() => navigation.navigate('CreateProject')}
@@ -51,60 +51,46 @@ const preloadImages = async () => {
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get("window");
 
-// Default timeline stages
-const defaultTimelineStages = [
-  {
-    id: 0,
-    name: "Consultation",
-    description: "Initial client meeting and requirements gathering",
-    duration: "Floor 0",
-    color: "#FF6B6B",
-    darkColor: "#E74C3C",
-    icon: "chatbubbles-outline",
-    status: "completed"
-  },
-  {
-    id: 1,
-    name: "Moodboards", 
-    description: "Design concepts and visual direction",
-    duration: "Floor 1",
-    color: "#4ECDC4",
-    darkColor: "#16A085",
-    icon: "color-palette-outline", 
-    status: "completed"
-  },
-  {
-    id: 2,
-    name: "Procurement",
-    description: "Sourcing materials and resources", 
-    duration: "Floor 2",
-    color: "#45B7D1",
-    darkColor: "#2980B9",
-    icon: "basket-outline",
-    status: "in-progress"
-  },
-  {
-    id: 3,
-    name: "Execution",
-    description: "Implementation and construction phase",
-    duration: "Floor 3",
-    color: "#96CEB4",
-    darkColor: "#27AE60",
-    icon: "construct-outline",
-    status: "pending"
-  },
-  {
-    id: 4,
-    name: "Handover",
-    description: "Project completion and delivery",
-    duration: "Floor 4",
-    color: "#FFEAA7",
-    darkColor: "#F39C12",
-    icon: "checkmark-circle-outline",
-    status: "pending"
-  }
+// Floor colours and icons, repeated when a project has more phases than styles
+const STAGE_STYLES = [
+  { color: "#FF6B6B", darkColor: "#E74C3C", icon: "chatbubbles-outline" },
+  { color: "#4ECDC4", darkColor: "#16A085", icon: "color-palette-outline" },
+  { color: "#45B7D1", darkColor: "#2980B9", icon: "basket-outline" },
+  { color: "#96CEB4", darkColor: "#27AE60", icon: "construct-outline" },
+  { color: "#FFEAA7", darkColor: "#F39C12", icon: "checkmark-circle-outline" },
 ];
 
+const formatShortDate = (date) =>
+  date ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : null;
+
+// Turn a backend phase into a building floor
+const toStage = (phase, index) => {
+  const due = phase.status === 'completed'
+    ? formatShortDate(phase.completedDate) && `Completed ${formatShortDate(phase.completedDate)}`
+    : formatShortDate(phase.targetDate) && `Due ${formatShortDate(phase.targetDate)}`;
+  const milestoneNames = phase.milestones.length > 1
+    ? phase.milestones.map(milestone => milestone.name).join(', ')
+    : phase.milestones[0]?.description;
+
+  return {
+    ...STAGE_STYLES[index % STAGE_STYLES.length],
+    id: index,
+    name: phase.name,
+    description: [milestoneNames, due].filter(Boolean).join(' · '),
+    duration: `Floor ${index}`,
+    // The building shows delayed phases as still in progress
+    status: phase.status === 'delayed' ? 'in-progress' : phase.status,
+    isDelayed: phase.status === 'delayed',
+    percentage: phase.percentage || 0,
+  };
+};
+
+// The elevator stops at the first phase that is not finished yet
+const getCurrentStageIndex = (stages) => {
+  const index = stages.findIndex(stage => stage.status !== 'completed');
+  return index === -1 ? Math.max(stages.length - 1, 0) : index;
+};
+
 export default function DynamicElevatorTimeline() {
   const route = useRoute();
   const navigation = useNavigation();
@@ -114,7 +100,7 @@ export default function DynamicElevatorTimeline() {
   const [project, setProject] = useState(null);
   const [timelineData, setTimelineData] = useState({
     projectName: "Loading...",
-    stages: defaultTimelineStages
+    stages: []
   });
   const [isLoading, setIsLoading] = useState(true);
   const [imagesLoaded, setImagesLoaded] = useState(false);
@@ -127,9 +113,14 @@ export default function DynamicElevatorTimeline() {
   const [visitCount, setVisitCount] = useState(0);
   
   const elevatorY = useRef(new Animated.Value(0)).current;
-  const floorScaleAnimations = useRef(
-    defaultTimelineStages.map(() => new Animated.Value(1))
-  ).current;
+  // One scale animation per floor, created as phases appear
+  const floorScaleAnimations = useRef([]).current;
+  const getFloorScale = (floorNumber) => {
+    if (!floorScaleAnimations[floorNumber]) {
+      floorScaleAnimations[floorNumber] = new Animated.Value(1);
+    }
+    return floorScaleAnimations[floorNumber];
+  };
 
   // Dynamic building dimensions
   const BASE_HEIGHT = 150;
@@ -222,14 +213,10 @@ export default function DynamicElevatorTimeline() {
 
     console.log('[Timeline] Starting animation sequence');
     
-    // Determine target floor based on progress
-    const currentProgress = project?.progress?.percentage || 0;
-    const targetFloor = Math.min(
-      Math.floor(currentProgress / 20),
-      timelineData.stages.length - 1
-    );
+    // Determine target floor from the first unfinished phase
+    const targetFloor = getCurrentStageIndex(timelineData.stages);
     
-    console.log('[Timeline] Progress:', currentProgress, '% - Target floor:', targetFloor);
+    console.log('[Timeline] Target floor:', targetFloor);
     console.log('[Timeline] Previous floor:', previousFloor, '- Will animate to:', targetFloor);
     
     // Reset animation trigger
@@ -292,35 +279,20 @@ export default function DynamicElevatorTimeline() {
   const loadProjectTimeline = async () => {
     try {
       setIsLoading(true);
-      const response = await projectsAPI.getProjectById(projectId);
+      const [response, milestonesResponse] = await Promise.all([
+        projectsAPI.getProjectById(projectId),
+        projectsAPI.getMilestones(projectId),
+      ]);
       
       if (response.success && response.data.project) {
         const projectData = response.data.project;
+        const phases = milestonesResponse.success ? milestonesResponse.data.phases : [];
         setProject(projectData);
 
-        // Map project progress to timeline stages
-        const stages = defaultTimelineStages.map((stage, index) => {
-          let status = 'pending';
-          const currentProgress = projectData?.progress?.percentage || 0;
-          
-          if (index < Math.floor(currentProgress / 20)) {
-            status = 'completed';
-          } else if (index === Math.floor(currentProgress / 20)) {
-            status = 'in-progress';
-          }
-
-          return {
-            ...stage,
-            id: index, // Ensure ID matches index
-            duration: `Floor ${index}`, // Update floor numbering
-            status,
-            description: projectData?.timeline?.milestones?.[index]?.description || stage.description,
-          };
-        });
-
+        // One floor per project phase
         setTimelineData({
           projectName: projectData?.title || "Project Timeline",
-          stages
+          stages: phases.map(toStage)
         });
       }
     } catch (error) {
@@ -433,7 +405,7 @@ export default function DynamicElevatorTimeline() {
             styles.floorContainer, 
             { 
               top: currentY,
-              transform: [{ scale: floorScaleAnimations[floorNumber] }],
+              transform: [{ scale: getFloorScale(floorNumber) }],
             }
           ]}
         >
@@ -567,6 +539,15 @@ export default function DynamicElevatorTimeline() {
     );
   }
 
+  if (timelineData.stages.length === 0) {
+    return (
+      <View style={styles.errorContainer}>
+        <Ionicons name="git-branch-outline" size={64} color="#7F8C8D" />
+        <Text style={styles.emptyText}>No phases have been planned for this project yet</Text>
+      </View>
+    );
+  }
+
   return (
     <View style={styles.container}>
       <StatusBar barStyle="dark-content" backgroundColor="#F5F5F0" />
@@ -646,7 +627,8 @@ export default function DynamicElevatorTimeline() {
                 </Text>
                 <Text style={styles.stageStatus}>
                   {timelineData.stages[currentFloor]?.status === 'completed' ? '✓ Completed' :
-                   timelineData.stages[currentFloor]?.status === 'in-progress' ? '⏱ In Progress' :
+                   timelineData.stages[currentFloor]?.isDelayed ? '⚠ Delayed' :
+                   timelineData.stages[currentFloor]?.status === 'in-progress' ? `⏱ ${timelineData.stages[currentFloor].percentage}% done` :
                    '⏳ Pending'}
                 </Text>
               </View>
@@ -703,6 +685,12 @@ const styles = StyleSheet.create({
     backgroundColor: '#F5F5F0',
     padding: 40,
   },
+  emptyText: {
+    fontSize: 16,
+    color: '#7F8C8D',
+    marginTop: 16,
+    textAlign: 'center',
+  },
   errorText: {
     fontSize: 20,
     color: '#E74C3C',
@@ -13,12 +13,14 @@ import { Feather } from '@expo/vector-icons';
 import ModernHeader from '../../components/ModernHeader';
 import ModernBottomNav, { EmployeeTabs } from '../../components/ModernBottomNav';
 import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
 import { projectsAPI, materialRequestsAPI, dashboardAPI } from '../../utils/api';
 import theme from '../../styles/theme';
 import { socket } from '../../utils/socket';
 
 const EmployeeDashboardScreen = ({ navigation }) => {
   const { user, logout } = useAuth();
+  const { unreadCount } = useNotifications();
   const [dashboardData, setDashboardData] = useState({
     assignedProjects: [],
     materialRequests: [],
@@ -236,7 +238,8 @@ const EmployeeDashboardScreen = ({ navigation }) => {
         title="Employee Dashboard"
         user={user}
         onProfilePress={handleLogout}
-        notificationCount={0} // TODO: wire up real notifications
+        onNotificationPress={() => navigation.navigate('Notifications')}
+        notificationCount={unreadCount}
       />
       <ScrollView
         style={styles.container}
@@ -0,0 +1,304 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import theme from '../../styles/theme';
+import { notificationsAPI } from '../../utils/api';
+import { useNotifications } from '../../context/NotificationContext';
+import socket from '../../utils/socket';
+
+const PAGE_SIZE = 20;
+
+const TYPE_ICONS = {
+  quotation_approved: 'check-circle',
+  quotation_rejected: 'x-circle',
+  material_request_assigned: 'package',
+  material_request_accepted: 'user-check',
+  purchase_order_sent: 'file-text',
+  purchase_order_acknowledged: 'thumbs-up',
+  purchase_order_amended: 'edit',
+  purchase_order_cancelled: 'x-octagon',
+  purchase_order_closed: 'archive',
+  purchase_order_delivery: 'truck',
+  purchase_order_return_requested: 'corner-up-left',
+  purchase_order_return_acknowledged: 'check',
+  work_status_updated: 'activity',
+  quotation_expiring: 'clock',
+  quotation_expired: 'slash',
+  purchase_order_delivery_due: 'calendar',
+  purchase_order_overdue: 'alert-triangle',
+  payment_due: 'dollar-sign',
+  service_request_overdue: 'alert-circle',
+  milestone_delayed: 'flag',
+  invoice_issued: 'file-plus',
+  payment_received: 'credit-card',
+  vendor_invoice_submitted: 'file-text',
+  vendor_invoice_approved: 'check-square',
+  vendor_invoice_disputed: 'alert-octagon',
+  vendor_invoice_paid: 'dollar-sign',
+  counter_offer_received: 'repeat',
+  counter_offer_answered: 'message-square',
+  budget_alert: 'trending-up',
+  change_order_submitted: 'git-pull-request',
+  change_order_approved: 'thumbs-up',
+  change_order_declined: 'thumbs-down',
+  general: 'bell',
+};
+
+const getTimeAgo = (dateString) => {
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffInMinutes = Math.floor((now - date) / (1000 * 60));
+
+  if (diffInMinutes < 1) return 'Just now';
+  if (diffInMinutes < 60) return diffInMinutes + ' mins ago';
+  if (diffInMinutes < 1440) return Math.floor(diffInMinutes / 60) + ' hrs ago';
+  return Math.floor(diffInMinutes / 1440) + ' days ago';
+};
+
+export default function NotificationsScreen({ navigation }) {
+  const { unreadCount, setUnreadCount } = useNotifications();
+  const [notifications, setNotifications] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const load = useCallback(async (pageToLoad = 1) => {
+    try {
+      const res = await notificationsAPI.getNotifications({ page: pageToLoad, limit: PAGE_SIZE });
+      if (res.success) {
+        const { notifications: items, pagination } = res.data;
+        setNotifications(prev => (pageToLoad === 1 ? items : [...prev, ...items]));
+        setPage(pageToLoad);
+        setHasMore(pagination.current < pagination.pages);
+        setUnreadCount(res.data.unreadCount);
+      }
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+      Alert.alert('Error', 'Failed to load notifications');
+    }
+  }, [setUnreadCount]);
+
+  useEffect(() => {
+    load(1).finally(() => setLoading(false));
+  }, [load]);
+
+  // Keep the list in sync with notifications created or read elsewhere
+  useEffect(() => {
+    const handleNotification = (data) => {
+      if (data.operation === 'created') {
+        setNotifications(prev => [data.notification, ...prev]);
+      } else if (data.operation === 'read') {
+        setNotifications(prev => prev.map(n => (
+          n._id === data.notificationId ? { ...n, isRead: true } : n
+        )));
+      } else if (data.operation === 'allRead') {
+        setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+      }
+    };
+
+    socket.on('notification', handleNotification);
+    return () => socket.off('notification', handleNotification);
+  }, []);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await load(1);
+    setRefreshing(false);
+  };
+
+  const onEndReached = async () => {
+    if (!hasMore || loadingMore || loading) return;
+    setLoadingMore(true);
+    await load(page + 1);
+    setLoadingMore(false);
+  };
+
+  const handleMarkRead = async (notification) => {
+    if (notification.isRead) return;
+    try {
+      const res = await notificationsAPI.markAsRead(notification._id);
+      if (res.success) {
+        setNotifications(prev => prev.map(n => (
+          n._id === notification._id ? { ...n, isRead: true } : n
+        )));
+        setUnreadCount(res.data.unreadCount);
+      }
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const res = await notificationsAPI.markAllAsRead();
+      if (res.success) {
+        setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+        setUnreadCount(0);
+      }
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      Alert.alert('Error', 'Failed to mark notifications as read');
+    }
+  };
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.card, !item.isRead && styles.unreadCard]}
+      onPress={() => handleMarkRead(item)}
+      activeOpacity={0.8}
+    >
+      <View style={styles.iconContainer}>
+        <Feather
+          name={TYPE_ICONS[item.type] || 'bell'}
+          size={20}
+          color={theme.colors.primary[500]}
+        />
+      </View>
+      <View style={styles.cardBody}>
+        <Text style={[styles.title, !item.isRead && styles.unreadTitle]}>{item.title}</Text>
+        {!!item.message && <Text style={styles.message}>{item.message}</Text>}
+        <Text style={styles.time}>{getTimeAgo(item.createdAt)}</Text>
+      </View>
+      {!item.isRead && <View style={styles.unreadDot} />}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Feather name="arrow-left" size={24} color={theme.colors.text.primary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Notifications</Text>
+        <TouchableOpacity onPress={handleMarkAllRead} disabled={unreadCount === 0}>
+          <Text style={[styles.markAll, unreadCount === 0 && styles.markAllDisabled]}>
+            Mark all as read
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={theme.colors.primary[500]} />
+        </View>
+      ) : (
+        <FlatList
+          data={notifications}
+          keyExtractor={item => item._id}
+          renderItem={renderItem}
+          contentContainerStyle={styles.list}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          onEndReached={onEndReached}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <ActivityIndicator color={theme.colors.primary[500]} /> : null}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No notifications yet</Text>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+  },
+  header: {
+    paddingTop: 18,
+    paddingHorizontal: 18,
+    paddingBottom: 12,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background.secondary,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border.light,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: theme.colors.text.primary,
+  },
+  markAll: {
+    color: theme.colors.primary[500],
+    fontWeight: '600',
+  },
+  markAllDisabled: {
+    color: theme.colors.text.muted,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 18,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    padding: 16,
+    marginBottom: 12,
+  },
+  unreadCard: {
+    borderColor: theme.colors.primary[500],
+  },
+  iconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: theme.colors.background.secondary,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  cardBody: {
+    flex: 1,
+  },
+  title: {
+    fontWeight: '500',
+    color: theme.colors.text.primary,
+  },
+  unreadTitle: {
+    fontWeight: '700',
+  },
+  message: {
+    color: theme.colors.text.secondary,
+    marginTop: 4,
+  },
+  time: {
+    color: theme.colors.text.muted,
+    marginTop: 8,
+    fontSize: 12,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: theme.colors.primary[500],
+    marginLeft: 8,
+    marginTop: 6,
+  },
+  emptyText: {
+    color: theme.colors.text.muted,
+    textAlign: 'center',
+    marginTop: 20,
+  },
+});
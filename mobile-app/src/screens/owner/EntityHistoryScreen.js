@@ -0,0 +1,369 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  ScrollView,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import theme from '../../styles/theme';
+import { auditAPI } from '../../utils/api';
+
+const PAGE_SIZE = 30;
+
+const ENTITY_FILTERS = [
+  { value: null, label: 'All' },
+  { value: 'project', label: 'Projects' },
+  { value: 'materialRequest', label: 'Requests' },
+  { value: 'quotation', label: 'Quotations' },
+  { value: 'purchaseOrder', label: 'Orders' },
+  { value: 'user', label: 'Users' },
+];
+
+const OPERATION_ICONS = {
+  create: 'plus-circle',
+  update: 'edit-2',
+  delete: 'trash-2',
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatAction = (action) => action.replace(/[-_]/g, ' ');
+
+/**
+ * Change history for one entity (route params: entityType, entityId, title),
+ * or the whole audit log with an entity-type filter when opened without params.
+ */
+export default function EntityHistoryScreen({ navigation, route }) {
+  const { entityType, entityId, title } = route.params || {};
+  const isEntityView = !!(entityType && entityId);
+
+  const [events, setEvents] = useState([]);
+  const [typeFilter, setTypeFilter] = useState(null);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [expanded, setExpanded] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const load = useCallback(async (pageToLoad = 1) => {
+    try {
+      if (isEntityView) {
+        const res = await auditAPI.getEntityHistory(entityType, entityId);
+        if (res.success) {
+          setEvents(res.data.events);
+          setHasMore(false);
+        }
+        return;
+      }
+
+      const params = { page: pageToLoad, limit: PAGE_SIZE };
+      if (typeFilter) params.entityType = typeFilter;
+
+      const res = await auditAPI.getEvents(params);
+      if (res.success) {
+        const { events: items, pagination } = res.data;
+        setEvents(prev => (pageToLoad === 1 ? items : [...prev, ...items]));
+        setPage(pageToLoad);
+        setHasMore(pagination.current < pagination.pages);
+      }
+    } catch (error) {
+      console.error('Error loading audit history:', error);
+      Alert.alert('Error', error.message || 'Failed to load history');
+    }
+  }, [isEntityView, entityType, entityId, typeFilter]);
+
+  useEffect(() => {
+    setLoading(true);
+    load(1).finally(() => setLoading(false));
+  }, [load]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await load(1);
+    setRefreshing(false);
+  };
+
+  const onEndReached = async () => {
+    if (!hasMore || loadingMore || loading) return;
+    setLoadingMore(true);
+    await load(page + 1);
+    setLoadingMore(false);
+  };
+
+  const toggleExpanded = (id) => {
+    setExpanded(prev => ({ ...prev, [id]: !prev[id] }));
+  };
+
+  const renderChange = (change) => (
+    <View key={change.path} style={styles.changeRow}>
+      <Text style={styles.changePath}>{change.path}</Text>
+      <Text style={styles.changeValues} numberOfLines={3}>
+        <Text style={styles.beforeValue}>{formatValue(change.before)}</Text>
+        {'  →  '}
+        <Text style={styles.afterValue}>{formatValue(change.after)}</Text>
+      </Text>
+    </View>
+  );
+
+  const renderItem = ({ item }) => {
+    const actorName = item.actor
+      ? `${item.actor.firstName} ${item.actor.lastName}`
+      : 'System';
+    const isExpanded = !!expanded[item._id];
+
+    return (
+      <TouchableOpacity
+        style={styles.card}
+        onPress={() => toggleExpanded(item._id)}
+        activeOpacity={0.8}
+      >
+        <View style={styles.cardHeader}>
+          <View style={styles.iconContainer}>
+            <Feather
+              name={OPERATION_ICONS[item.operation] || 'activity'}
+              size={18}
+              color={theme.colors.primary[500]}
+            />
+          </View>
+          <View style={styles.cardBody}>
+            <Text style={styles.title}>
+              {actorName}
+              <Text style={styles.action}> · {formatAction(item.action)}</Text>
+            </Text>
+            {!isEntityView && (
+              <Text style={styles.entity}>{item.entityType} {item.entityId}</Text>
+            )}
+            <Text style={styles.time}>
+              {new Date(item.createdAt).toLocaleString()}
+              {item.ip ? ` · ${item.ip}` : ''}
+            </Text>
+          </View>
+          <Text style={styles.changeCount}>
+            {item.changes.length}{item.changesTruncated ? '+' : ''} change{item.changes.length === 1 ? '' : 's'}
+          </Text>
+        </View>
+
+        {isExpanded && (
+          <View style={styles.changes}>
+            {item.changes.length > 0
+              ? item.changes.map(renderChange)
+              : <Text style={styles.changeValues}>No field changes recorded</Text>}
+            {!!item.requestId && (
+              <Text style={styles.requestId}>Request {item.requestId}</Text>
+            )}
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Feather name="arrow-left" size={24} color={theme.colors.text.primary} />
+        </TouchableOpacity>
+        <View style={styles.headerText}>
+          <Text style={styles.headerTitle} numberOfLines={1}>
+            {isEntityView ? 'History' : 'Audit Log'}
+          </Text>
+          {isEntityView && !!title && (
+            <Text style={styles.headerSubtitle} numberOfLines={1}>{title}</Text>
+          )}
+        </View>
+      </View>
+
+      {!isEntityView && (
+        <View>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filters}>
+            {ENTITY_FILTERS.map(filter => (
+              <TouchableOpacity
+                key={filter.label}
+                style={[styles.filterChip, typeFilter === filter.value && styles.filterChipActive]}
+                onPress={() => setTypeFilter(filter.value)}
+              >
+                <Text style={[styles.filterText, typeFilter === filter.value && styles.filterTextActive]}>
+                  {filter.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      )}
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={theme.colors.primary[500]} />
+        </View>
+      ) : (
+        <FlatList
+          data={events}
+          keyExtractor={item => item._id}
+          renderItem={renderItem}
+          contentContainerStyle={styles.list}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          onEndReached={onEndReached}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <ActivityIndicator color={theme.colors.primary[500]} /> : null}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No recorded changes yet</Text>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+  },
+  header: {
+    paddingTop: 18,
+    paddingHorizontal: 18,
+    paddingBottom: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background.secondary,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border.light,
+  },
+  headerText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: theme.colors.text.primary,
+  },
+  headerSubtitle: {
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  filters: {
+    paddingHorizontal: 18,
+    paddingVertical: 12,
+  },
+  filterChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    marginRight: 8,
+  },
+  filterChipActive: {
+    backgroundColor: theme.colors.primary[500],
+    borderColor: theme.colors.primary[500],
+  },
+  filterText: {
+    color: theme.colors.text.secondary,
+    fontWeight: '500',
+  },
+  filterTextActive: {
+    color: '#ffffff',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 18,
+  },
+  card: {
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    padding: 16,
+    marginBottom: 12,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  iconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: theme.colors.background.secondary,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  cardBody: {
+    flex: 1,
+  },
+  title: {
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  action: {
+    fontWeight: '400',
+    color: theme.colors.text.secondary,
+  },
+  entity: {
+    color: theme.colors.text.secondary,
+    fontSize: 12,
+    marginTop: 4,
+  },
+  time: {
+    color: theme.colors.text.muted,
+    marginTop: 6,
+    fontSize: 12,
+  },
+  changeCount: {
+    color: theme.colors.text.muted,
+    fontSize: 12,
+    marginLeft: 8,
+  },
+  changes: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.border.light,
+  },
+  changeRow: {
+    marginBottom: 8,
+  },
+  changePath: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  changeValues: {
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  beforeValue: {
+    color: theme.colors.error[500],
+  },
+  afterValue: {
+    color: theme.colors.success[500],
+  },
+  requestId: {
+    fontSize: 11,
+    color: theme.colors.text.muted,
+    marginTop: 4,
+  },
+  emptyText: {
+    color: theme.colors.text.muted,
+    textAlign: 'center',
+    marginTop: 20,
+  },
+});
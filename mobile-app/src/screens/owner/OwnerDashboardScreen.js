@@ -9,19 +9,24 @@ import {
   Alert,
   Platform,
   StatusBar,
+  Dimensions,
 } from 'react-native';
+import { BarChart, PieChart } from 'react-native-chart-kit';
 import { Feather } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
+import NotificationBell from '../../components/NotificationBell';
 import { projectsAPI, usersAPI, materialRequestsAPI, quotationsAPI, dashboardAPI } from '../../utils/api';
 
 const OwnerDashboardScreen = ({ navigation }) => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const [dashboardData, setDashboardData] = useState({
     projects: { total: 0, active: 0, completed: 0 },
     users: { total: 0, employees: 0, vendors: 0, clients: 0 },
     materialRequests: { total: 0, pending: 0, approved: 0 },
     quotations: { total: 0, pending: 0, approved: 0 },
     recentActivities: [],
+    financialSummary: null,
+    projectsOverview: null,
   });
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -35,12 +40,14 @@ const OwnerDashboardScreen = ({ navigation }) => {
       setIsLoading(true);
       
       // Load dashboard statistics and recent activities
-      const [projectsRes, usersRes, materialRequestsRes, quotationsRes, activitiesRes] = await Promise.allSettled([
+      const [projectsRes, usersRes, materialRequestsRes, quotationsRes, activitiesRes, financialRes, overviewRes] = await Promise.allSettled([
         projectsAPI.getProjects({ limit: 100 }),
         usersAPI.getUsers({ limit: 100 }),
         materialRequestsAPI.getMaterialRequests({ limit: 100 }),
         quotationsAPI.getQuotations({ limit: 100 }),
         dashboardAPI.getRecentActivity(5), // Get last 5 activities
+        dashboardAPI.getFinancialSummary(),
+        dashboardAPI.getProjectsOverview(),
       ]);
 
       // Process projects data
@@ -104,6 +111,21 @@ const OwnerDashboardScreen = ({ navigation }) => {
         }));
       }
 
+      // Process financial summary and projects overview (chart data)
+      if (financialRes.status === 'fulfilled' && financialRes.value.success) {
+        setDashboardData(prev => ({
+          ...prev,
+          financialSummary: financialRes.value.data,
+        }));
+      }
+
+      if (overviewRes.status === 'fulfilled' && overviewRes.value.success) {
+        setDashboardData(prev => ({
+          ...prev,
+          projectsOverview: overviewRes.value.data,
+        }));
+      }
+
     } catch (error) {
       console.error('Error loading dashboard data:', error);
       Alert.alert('Error', 'Failed to load dashboard data');
@@ -158,6 +180,169 @@ const OwnerDashboardScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
 
+  const formatAmount = (amount) => `$${Math.round(amount || 0).toLocaleString()}`;
+
+  const chartWidth = Dimensions.get('window').width - 40;
+
+  const chartConfig = {
+    backgroundColor: '#ffffff',
+    backgroundGradientFrom: '#ffffff',
+    backgroundGradientTo: '#ffffff',
+    decimalPlaces: 0,
+    color: (opacity = 1) => `rgba(30, 58, 138, ${opacity})`,
+    labelColor: (opacity = 1) => `rgba(100, 116, 139, ${opacity})`,
+    barPercentage: 0.6,
+    propsForBackgroundLines: {
+      strokeWidth: 0,
+    },
+  };
+
+  const STATUS_COLORS = {
+    planning: '#2196F3',
+    'in-progress': '#4CAF50',
+    'on-hold': '#FF9800',
+    completed: '#9C27B0',
+    cancelled: '#9E9E9E',
+  };
+
+  const ChartPlaceholder = () => (
+    <View style={styles.webChartPlaceholder}>
+      <Text style={styles.activityText}>Chart view available on mobile app</Text>
+    </View>
+  );
+
+  const renderFinancialCharts = () => {
+    const { financialSummary, projectsOverview } = dashboardData;
+    if (!financialSummary || !projectsOverview) return null;
+
+    const { totals, projects } = financialSummary;
+    const budgetedProjects = projects.filter(p => p.estimatedBudget > 0).slice(0, 5);
+
+    const statusData = Object.entries(projectsOverview.byStatus)
+      .filter(([, count]) => count > 0)
+      .map(([status, count]) => ({
+        name: status,
+        count,
+        color: STATUS_COLORS[status] || '#607D8B',
+        legendFontColor: '#666',
+        legendFontSize: 12,
+      }));
+
+    return (
+      <>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Finances</Text>
+          <View style={styles.statsGrid}>
+            <StatCard
+              title="Committed Spend"
+              value={formatAmount(totals.committedSpend)}
+              subtitle={`${formatAmount(totals.approvedQuotationValue)} awaiting PO`}
+              color="#1e3a8a"
+            />
+            <StatCard
+              title="Delivered Value"
+              value={formatAmount(totals.deliveredValue)}
+              subtitle={`of ${formatAmount(totals.purchaseOrderValue)} ordered`}
+              color="#4CAF50"
+            />
+            <StatCard
+              title="Outstanding"
+              value={formatAmount(totals.outstandingAdvance + totals.outstandingBalance)}
+              subtitle={`${formatAmount(totals.outstandingAdvance)} advance`}
+              color="#FF9800"
+            />
+            <StatCard
+              title="Budget Used"
+              value={formatAmount(totals.actualSpend)}
+              subtitle={`of ${formatAmount(totals.estimatedBudget)} estimated`}
+              color={totals.budgetVariance < 0 ? '#F44336' : '#2196F3'}
+            />
+          </View>
+
+          <View style={styles.chartCard}>
+            <Text style={styles.chartTitle}>Spend Overview</Text>
+            {Platform.OS !== 'web' ? (
+              <BarChart
+                data={{
+                  labels: ['Committed', 'Delivered', 'Advance', 'Balance'],
+                  datasets: [{
+                    data: [
+                      totals.committedSpend,
+                      totals.deliveredValue,
+                      totals.outstandingAdvance,
+                      totals.outstandingBalance,
+                    ],
+                  }],
+                }}
+                width={chartWidth - 30}
+                height={200}
+                yAxisLabel="$"
+                chartConfig={chartConfig}
+                fromZero
+                showValuesOnTopOfBars
+                withInnerLines={false}
+              />
+            ) : (
+              <ChartPlaceholder />
+            )}
+          </View>
+
+          {budgetedProjects.length > 0 && (
+            <View style={styles.chartCard}>
+              <Text style={styles.chartTitle}>Budget Used per Project (%)</Text>
+              {Platform.OS !== 'web' ? (
+                <BarChart
+                  data={{
+                    labels: budgetedProjects.map(p => (p.title.length > 8 ? `${p.title.slice(0, 7)}…` : p.title)),
+                    datasets: [{
+                      data: budgetedProjects.map(p => Math.round((p.actualSpend / p.estimatedBudget) * 100)),
+                    }],
+                  }}
+                  width={chartWidth - 30}
+                  height={200}
+                  yAxisSuffix="%"
+                  chartConfig={chartConfig}
+                  fromZero
+                  withInnerLines={false}
+                />
+              ) : (
+                <ChartPlaceholder />
+              )}
+            </View>
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Projects</Text>
+          <View style={styles.chartCard}>
+            <Text style={styles.chartTitle}>By Status</Text>
+            {statusData.length === 0 ? (
+              <Text style={styles.activityText}>No projects yet.</Text>
+            ) : Platform.OS !== 'web' ? (
+              <PieChart
+                data={statusData}
+                width={chartWidth - 30}
+                height={180}
+                accessor="count"
+                backgroundColor="transparent"
+                paddingLeft="10"
+                chartConfig={chartConfig}
+              />
+            ) : (
+              <ChartPlaceholder />
+            )}
+            <View style={styles.overdueRow}>
+              <Feather name="alert-triangle" size={16} color={projectsOverview.overdue.overdue > 0 ? '#F44336' : '#999'} />
+              <Text style={styles.overdueText}>
+                {projectsOverview.overdue.overdue} overdue · {projectsOverview.overdue.onTrack} on track
+              </Text>
+            </View>
+          </View>
+        </View>
+      </>
+    );
+  };
+
   const ActivityItem = ({ activity }) => {
     const getActivityIcon = (type) => {
       switch (type) {
@@ -168,8 +353,19 @@ const OwnerDashboardScreen = ({ navigation }) => {
       }
     };
 
+    // Tapping an activity opens the entity's change history
+    const canViewHistory = hasPermission('audit.view') && activity.entityId;
+
     return (
-      <View style={styles.activityItem}>
+      <TouchableOpacity
+        style={styles.activityItem}
+        disabled={!canViewHistory}
+        onPress={() => navigation.navigate('EntityHistory', {
+          entityType: activity.type,
+          entityId: activity.entityId,
+          title: activity.title,
+        })}
+      >
         <View style={styles.activityIconContainer}>
           <Feather name={getActivityIcon(activity.type)} size={20} color="#666" />
         </View>
@@ -177,7 +373,8 @@ const OwnerDashboardScreen = ({ navigation }) => {
           <Text style={styles.activityTitle} numberOfLines={1}>{activity.message || activity.title}</Text>
           <Text style={styles.activityTime}>{activity.time}</Text>
         </View>
-      </View>
+        {canViewHistory && <Feather name="chevron-right" size={18} color="#999" />}
+      </TouchableOpacity>
     );
   };
 
@@ -191,9 +388,16 @@ const OwnerDashboardScreen = ({ navigation }) => {
             <Text style={styles.userName}>{user?.firstName} {user?.lastName}</Text>
             <Text style={styles.roleText}>Owner Dashboard</Text>
           </View>
-          <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
-            <Text style={styles.logoutText}>Logout</Text>
-          </TouchableOpacity>
+          <View style={styles.headerActions}>
+            <NotificationBell
+              color="#ffffff"
+              style={styles.notificationButton}
+              onPress={() => navigation.navigate('Notifications')}
+            />
+            <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
+              <Text style={styles.logoutText}>Logout</Text>
+            </TouchableOpacity>
+          </View>
         </View>
       </View>
 
@@ -237,47 +441,77 @@ const OwnerDashboardScreen = ({ navigation }) => {
             value={dashboardData.quotations.total}
             subtitle={`${dashboardData.quotations.pending} pending review`}
             color="#9C27B0"
-            onPress={() => navigation.navigate('Quotations')}
+            onPress={() => navigation.navigate('QuotationComparison')}
           />
         </View>
       </View>
 
+      {renderFinancialCharts()}
+
       {/* Quick Actions */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Quick Actions</Text>
         
         <View style={styles.actionsGrid}>
-          <TouchableOpacity 
-            style={styles.actionCard}
-            onPress={() => navigation.navigate('Projects', { screen: 'CreateProject' })}
-          >
-            <Text style={styles.actionIcon}>➕</Text>
-            <Text style={styles.actionTitle}>New Project</Text>
-          </TouchableOpacity>
+          {hasPermission('project.create') && (
+            <TouchableOpacity 
+              style={styles.actionCard}
+              onPress={() => navigation.navigate('Projects', { screen: 'CreateProject' })}
+            >
+              <Text style={styles.actionIcon}>➕</Text>
+              <Text style={styles.actionTitle}>New Project</Text>
+            </TouchableOpacity>
+          )}
           
-          <TouchableOpacity 
-            style={styles.actionCard}
-            onPress={() => navigation.navigate('Users')}
-          >
-            <Text style={styles.actionIcon}>👥</Text>
-            <Text style={styles.actionTitle}>Manage Users</Text>
-          </TouchableOpacity>
+          {hasPermission('user.manage') && (
+            <TouchableOpacity 
+              style={styles.actionCard}
+              onPress={() => navigation.navigate('Users')}
+            >
+              <Text style={styles.actionIcon}>👥</Text>
+              <Text style={styles.actionTitle}>Manage Users</Text>
+            </TouchableOpacity>
+          )}
           
-          <TouchableOpacity 
-            style={styles.actionCard}
-            onPress={() => navigation.navigate('Materials')}
-          >
-            <Text style={styles.actionIcon}>📋</Text>
-            <Text style={styles.actionTitle}>Review Requests</Text>
-          </TouchableOpacity>
+          {hasPermission('materialRequest.approve') && (
+            <TouchableOpacity 
+              style={styles.actionCard}
+              onPress={() => navigation.navigate('Materials')}
+            >
+              <Text style={styles.actionIcon}>📋</Text>
+              <Text style={styles.actionTitle}>Review Requests</Text>
+            </TouchableOpacity>
+          )}
           
-          <TouchableOpacity 
-            style={styles.actionCard}
-            onPress={() => navigation.navigate('Quotations')}
-          >
-            <Text style={styles.actionIcon}>📄</Text>
-            <Text style={styles.actionTitle}>Review Quotations</Text>
-          </TouchableOpacity>
+          {hasPermission('quotation.approve') && (
+            <TouchableOpacity 
+              style={styles.actionCard}
+              onPress={() => navigation.navigate('QuotationComparison')}
+            >
+              <Text style={styles.actionIcon}>📄</Text>
+              <Text style={styles.actionTitle}>Compare Quotations</Text>
+            </TouchableOpacity>
+          )}
+
+          {hasPermission('project.view') && (
+            <TouchableOpacity 
+              style={styles.actionCard}
+              onPress={() => navigation.navigate('ProjectSchedule')}
+            >
+              <Text style={styles.actionIcon}>📅</Text>
+              <Text style={styles.actionTitle}>Project Schedules</Text>
+            </TouchableOpacity>
+          )}
+
+          {hasPermission('audit.view') && (
+            <TouchableOpacity 
+              style={styles.actionCard}
+              onPress={() => navigation.navigate('AuditLog')}
+            >
+              <Text style={styles.actionIcon}>🕘</Text>
+              <Text style={styles.actionTitle}>Audit Log</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
 
@@ -339,6 +573,13 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.7)',
     fontWeight: '500',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  notificationButton: {
+    marginRight: 12,
+  },
   logoutButton: {
     backgroundColor: 'rgba(255, 255, 255, 0.2)',
     paddingHorizontal: 15,
@@ -464,6 +705,38 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#999',
   },
+  chartCard: {
+    backgroundColor: '#fff',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  chartTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 10,
+  },
+  webChartPlaceholder: {
+    height: 120,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  overdueRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  overdueText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 6,
+  },
 
 });
 
@@ -0,0 +1,419 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  ScrollView,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import theme from '../../styles/theme';
+import { projectsAPI } from '../../utils/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LABEL_WIDTH = 130;
+const DAY_WIDTH = 14;
+const ROW_HEIGHT = 44;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—');
+
+const formatSlip = (days) => {
+  if (days === null || days === undefined) return 'No target';
+  if (days === 0) return 'On target';
+  return days > 0 ? `${days}d late` : `${-days}d early`;
+};
+
+const dayOffset = (date, start) => Math.round((new Date(date) - new Date(start)) / DAY_MS);
+
+const barColor = (milestone) => {
+  if (milestone.status === 'completed') return theme.colors.success[500];
+  if (milestone.critical) return theme.colors.error[500];
+  return theme.colors.primary[500];
+};
+
+/**
+ * Gantt view of a project's critical path schedule (route params: projectId, title).
+ * Opened without params it lists the projects to pick from.
+ */
+export default function ProjectScheduleScreen({ navigation, route }) {
+  const { projectId, title } = route.params || {};
+
+  const [projects, setProjects] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      if (projectId) {
+        const res = await projectsAPI.getSchedule(projectId);
+        if (res.success) setSchedule(res.data.schedule);
+        return;
+      }
+
+      const res = await projectsAPI.getProjects({ limit: 50 });
+      if (res.success) setProjects(res.data.projects || []);
+    } catch (error) {
+      console.error('Error loading project schedule:', error);
+      Alert.alert('Error', error.message || 'Failed to load schedule');
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    setLoading(true);
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await load();
+    setRefreshing(false);
+  };
+
+  const renderHeader = (heading, subtitle) => (
+    <View style={styles.header}>
+      <TouchableOpacity onPress={() => navigation.goBack()}>
+        <Feather name="arrow-left" size={24} color={theme.colors.text.primary} />
+      </TouchableOpacity>
+      <View style={styles.headerText}>
+        <Text style={styles.headerTitle} numberOfLines={1}>{heading}</Text>
+        {!!subtitle && <Text style={styles.headerSubtitle} numberOfLines={1}>{subtitle}</Text>}
+      </View>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        {renderHeader('Schedule', title)}
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={theme.colors.primary[500]} />
+        </View>
+      </View>
+    );
+  }
+
+  if (!projectId) {
+    return (
+      <View style={styles.container}>
+        {renderHeader('Schedule', 'Choose a project')}
+        <FlatList
+          data={projects}
+          keyExtractor={item => item._id}
+          contentContainerStyle={styles.list}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          renderItem={({ item }) => (
+            <TouchableOpacity
+              style={styles.card}
+              onPress={() => navigation.push('ProjectSchedule', { projectId: item._id, title: item.title })}
+            >
+              <Text style={styles.cardTitle}>{item.title}</Text>
+              <Text style={styles.muted}>
+                {item.status} · due {formatDate(item.timeline?.expectedEndDate)}
+              </Text>
+            </TouchableOpacity>
+          )}
+          ListEmptyComponent={<Text style={styles.emptyText}>No projects</Text>}
+        />
+      </View>
+    );
+  }
+
+  const milestones = schedule?.milestones || [];
+  const start = schedule?.startDate;
+  const end = [schedule?.forecastEndDate, schedule?.expectedEndDate]
+    .filter(Boolean)
+    .reduce((latest, date) => Math.max(latest, dayOffset(date, start)), 0);
+  const chartWidth = (end + 2) * DAY_WIDTH;
+  const todayOffset = start ? dayOffset(new Date(), start) : null;
+  const weeks = Array.from({ length: Math.ceil((end + 2) / 7) }, (_, index) => index * 7);
+  const delays = milestones.filter(milestone => milestone.constraints.length > 0);
+
+  return (
+    <View style={styles.container}>
+      {renderHeader('Schedule', title)}
+      <ScrollView
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+        contentContainerStyle={styles.list}
+      >
+        {/* Forecast */}
+        <View style={styles.card}>
+          <View style={styles.summaryRow}>
+            <Text style={styles.small}>Expected end</Text>
+            <Text style={styles.cardTitle}>{formatDate(schedule?.expectedEndDate)}</Text>
+          </View>
+          <View style={styles.summaryRow}>
+            <Text style={styles.small}>Forecast end</Text>
+            <Text
+              style={[
+                styles.cardTitle,
+                schedule?.slipDays > 0 && { color: theme.colors.text.error },
+              ]}
+            >
+              {formatDate(schedule?.forecastEndDate)} ({formatSlip(schedule?.slipDays)})
+            </Text>
+          </View>
+          <View style={styles.summaryRow}>
+            <Text style={styles.small}>Critical milestones</Text>
+            <Text style={styles.cardTitle}>{schedule?.criticalPath?.length || 0}</Text>
+          </View>
+        </View>
+
+        {milestones.length === 0 ? (
+          <Text style={styles.emptyText}>No milestones planned for this project yet</Text>
+        ) : (
+          <View style={[styles.card, styles.chartCard]}>
+            <View style={styles.chart}>
+              {/* Milestone names */}
+              <View style={{ width: LABEL_WIDTH }}>
+                <View style={styles.scaleRow} />
+                {milestones.map(milestone => (
+                  <View key={milestone._id} style={styles.labelCell}>
+                    <Text style={styles.label} numberOfLines={1}>{milestone.name}</Text>
+                    <Text style={styles.muted} numberOfLines={1}>
+                      {milestone.totalFloat === null ? 'Done' : `${milestone.totalFloat}d float`}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+
+              <ScrollView horizontal showsHorizontalScrollIndicator>
+                <View style={{ width: chartWidth }}>
+                  {/* Week scale */}
+                  <View style={styles.scaleRow}>
+                    {weeks.map(offset => (
+                      <Text key={offset} style={[styles.scaleText, { left: offset * DAY_WIDTH }]}>
+                        {formatDate(new Date(new Date(start).getTime() + offset * DAY_MS))}
+                      </Text>
+                    ))}
+                  </View>
+
+                  {milestones.map(milestone => {
+                    const left = dayOffset(milestone.earlyStart, start) * DAY_WIDTH;
+                    const width = Math.max(milestone.durationDays, 1) * DAY_WIDTH;
+                    const floatWidth = (milestone.totalFloat || 0) * DAY_WIDTH;
+
+                    return (
+                      <View key={milestone._id} style={styles.barRow}>
+                        {floatWidth > 0 && (
+                          <View style={[styles.floatBar, { left: left + width, width: floatWidth }]} />
+                        )}
+                        <View style={[styles.bar, { left, width, backgroundColor: barColor(milestone) }]} />
+                        {!!milestone.targetDate && (
+                          <View
+                            style={[
+                              styles.targetMarker,
+                              { left: (dayOffset(milestone.targetDate, start) + 1) * DAY_WIDTH },
+                            ]}
+                          />
+                        )}
+                      </View>
+                    );
+                  })}
+
+                  {todayOffset !== null && todayOffset >= 0 && todayOffset <= end + 1 && (
+                    <View style={[styles.todayLine, { left: todayOffset * DAY_WIDTH }]} />
+                  )}
+                </View>
+              </ScrollView>
+            </View>
+
+            {/* Legend */}
+            <View style={styles.legend}>
+              {[
+                ['Critical', theme.colors.error[500]],
+                ['Has float', theme.colors.primary[500]],
+                ['Done', theme.colors.success[500]],
+              ].map(([label, color]) => (
+                <View key={label} style={styles.legendItem}>
+                  <View style={[styles.legendSwatch, { backgroundColor: color }]} />
+                  <Text style={styles.small}>{label}</Text>
+                </View>
+              ))}
+            </View>
+          </View>
+        )}
+
+        {/* What is holding milestones back */}
+        {delays.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Waiting on deliveries</Text>
+            {delays.map(milestone => milestone.constraints.map(constraint => (
+              <View key={`${milestone._id}-${constraint.purchaseOrder}`} style={styles.delayRow}>
+                <Feather
+                  name={constraint.type === 'overdue_delivery' ? 'alert-triangle' : 'truck'}
+                  size={16}
+                  color={constraint.type === 'overdue_delivery' ? theme.colors.text.error : theme.colors.text.secondary}
+                />
+                <Text style={[styles.small, styles.delayText]}>
+                  {milestone.name}: {constraint.purchaseOrderNumber}{' '}
+                  {constraint.type === 'overdue_delivery' ? 'was due' : 'due'} {formatDate(constraint.expectedDeliveryDate)}
+                  {milestone.slipDays > 0 ? ` · ${formatSlip(milestone.slipDays)}` : ''}
+                </Text>
+              </View>
+            )))}
+          </View>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+  },
+  header: {
+    paddingTop: 18,
+    paddingHorizontal: 18,
+    paddingBottom: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background.secondary,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border.light,
+  },
+  headerText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: theme.colors.text.primary,
+  },
+  headerSubtitle: {
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 18,
+  },
+  card: {
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    padding: 16,
+    marginBottom: 12,
+  },
+  chartCard: {
+    paddingHorizontal: 0,
+  },
+  cardTitle: {
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  muted: {
+    color: theme.colors.text.muted,
+    fontSize: 12,
+    marginTop: 2,
+  },
+  small: {
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  chart: {
+    flexDirection: 'row',
+  },
+  scaleRow: {
+    height: 24,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border.medium,
+  },
+  scaleText: {
+    position: 'absolute',
+    top: 4,
+    fontSize: 10,
+    color: theme.colors.text.muted,
+  },
+  labelCell: {
+    height: ROW_HEIGHT,
+    justifyContent: 'center',
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border.light,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  barRow: {
+    height: ROW_HEIGHT,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border.light,
+  },
+  bar: {
+    position: 'absolute',
+    top: 12,
+    height: 18,
+    borderRadius: theme.borderRadius.sm,
+  },
+  floatBar: {
+    position: 'absolute',
+    top: 19,
+    height: 4,
+    backgroundColor: theme.colors.border.dark,
+  },
+  targetMarker: {
+    position: 'absolute',
+    top: 8,
+    width: 2,
+    height: 26,
+    backgroundColor: theme.colors.text.warning,
+  },
+  todayLine: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 1,
+    backgroundColor: theme.colors.text.brand,
+  },
+  legend: {
+    flexDirection: 'row',
+    paddingHorizontal: 12,
+    paddingTop: 12,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 2,
+    marginRight: 6,
+  },
+  delayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  delayText: {
+    marginLeft: 8,
+    flex: 1,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: theme.colors.text.muted,
+    marginTop: 24,
+  },
+});
@@ -0,0 +1,556 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  ScrollView,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import theme from '../../styles/theme';
+import { useAuth } from '../../context/AuthContext';
+import { materialRequestsAPI, quotationsAPI } from '../../utils/api';
+
+const LABEL_WIDTH = 130;
+const COLUMN_WIDTH = 150;
+
+const PAYMENT_LABELS = {
+  cash: 'Cash',
+  check: 'Check',
+  bank_transfer: 'Bank transfer',
+  credit_card: 'Credit card',
+  net_30: 'Net 30',
+  net_60: 'Net 60',
+  advance: 'Advance',
+};
+
+const formatAmount = (amount) =>
+  `$${(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatPaymentTerms = ({ paymentMethod, advancePercentage, creditDays }) => {
+  const parts = [PAYMENT_LABELS[paymentMethod] || paymentMethod];
+  if (advancePercentage > 0) parts.push(`${advancePercentage}% advance`);
+  if (creditDays > 0) parts.push(`${creditDays}d credit`);
+  return parts.join(' · ');
+};
+
+/**
+ * Bid comparison for a material request (route params: materialRequestId, title).
+ * Opened without params it lists the approved material requests to pick from.
+ */
+export default function QuotationComparisonScreen({ navigation, route }) {
+  const { materialRequestId, title } = route.params || {};
+  const { hasPermission } = useAuth();
+
+  const [requests, setRequests] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [approvingId, setApprovingId] = useState(null);
+  // Split award selection: materialRequestItem -> quotation id
+  const [selection, setSelection] = useState({});
+  const [awarding, setAwarding] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      if (materialRequestId) {
+        const res = await quotationsAPI.getComparison(materialRequestId);
+        if (res.success) {
+          setComparison(res.data);
+          setSelection({});
+        }
+        return;
+      }
+
+      const res = await materialRequestsAPI.getMaterialRequests({ status: 'approved', limit: 50 });
+      if (res.success) setRequests(res.data.materialRequests || []);
+    } catch (error) {
+      console.error('Error loading quotation comparison:', error);
+      Alert.alert('Error', error.message || 'Failed to load quotations');
+    }
+  }, [materialRequestId]);
+
+  useEffect(() => {
+    setLoading(true);
+    load().finally(() => setLoading(false));
+  }, [load]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await load();
+    setRefreshing(false);
+  };
+
+  const approve = (offer) => {
+    Alert.alert(
+      'Approve quotation',
+      `Approve ${offer.vendor.name || 'this vendor'}'s quotation for ${formatAmount(offer.landedTotal)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Approve',
+          onPress: async () => {
+            try {
+              setApprovingId(offer.quotation._id);
+              await quotationsAPI.approveQuotation(offer.quotation._id, 'Approved from bid comparison');
+              await load();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to approve quotation');
+            } finally {
+              setApprovingId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const toggleSelection = (material, cell) => {
+    setSelection(current => {
+      const next = { ...current };
+      if (next[material.materialRequestItem] === cell.quotationId) {
+        delete next[material.materialRequestItem];
+      } else {
+        next[material.materialRequestItem] = cell.quotationId;
+      }
+      return next;
+    });
+  };
+
+  const awardSelected = () => {
+    const awards = Object.entries(selection).map(([materialRequestItem, quotationId]) => ({
+      materialRequestItem,
+      quotationId,
+    }));
+    const vendorCount = new Set(awards.map(award => award.quotationId)).size;
+
+    Alert.alert(
+      'Award selected lines',
+      `Award ${awards.length} material(s) to ${vendorCount} vendor(s)? One purchase order is created per vendor, delivered to the project site.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Award',
+          onPress: async () => {
+            try {
+              setAwarding(true);
+              const res = await materialRequestsAPI.award(materialRequestId, {
+                awards,
+                comments: 'Awarded from bid comparison',
+              });
+              Alert.alert('Awarded', res.message || 'Purchase orders created');
+              await load();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to award lines');
+            } finally {
+              setAwarding(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderHeader = (heading, subtitle) => (
+    <View style={styles.header}>
+      <TouchableOpacity onPress={() => navigation.goBack()}>
+        <Feather name="arrow-left" size={24} color={theme.colors.text.primary} />
+      </TouchableOpacity>
+      <View style={styles.headerText}>
+        <Text style={styles.headerTitle} numberOfLines={1}>{heading}</Text>
+        {!!subtitle && <Text style={styles.headerSubtitle} numberOfLines={1}>{subtitle}</Text>}
+      </View>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        {renderHeader('Compare Quotations', title)}
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={theme.colors.primary[500]} />
+        </View>
+      </View>
+    );
+  }
+
+  if (!materialRequestId) {
+    return (
+      <View style={styles.container}>
+        {renderHeader('Compare Quotations', 'Choose a material request')}
+        <FlatList
+          data={requests}
+          keyExtractor={item => item._id}
+          contentContainerStyle={styles.list}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          renderItem={({ item }) => (
+            <TouchableOpacity
+              style={styles.card}
+              onPress={() => navigation.push('QuotationComparison', { materialRequestId: item._id, title: item.title })}
+            >
+              <Text style={styles.cardTitle}>{item.title}</Text>
+              <Text style={styles.muted}>
+                {item.project?.title || 'Project'} · {item.materials?.length || 0} materials
+              </Text>
+            </TouchableOpacity>
+          )}
+          ListEmptyComponent={<Text style={styles.emptyText}>No approved material requests</Text>}
+        />
+      </View>
+    );
+  }
+
+  const offers = comparison?.offers || [];
+  const canApprove = hasPermission('quotation.approve');
+  const hasApproved = offers.some(offer => offer.quotation.status === 'approved');
+  const canAward = hasPermission('quotation.approve') && hasPermission('purchaseOrder.create');
+  const selectedCount = Object.keys(selection).length;
+
+  const summaryRow = (label, render, highlight) => (
+    <View style={styles.row}>
+      <Text style={[styles.labelCell, styles.summaryLabel]}>{label}</Text>
+      {offers.map(offer => (
+        <View
+          key={offer.quotation._id}
+          style={[styles.cell, highlight && highlight(offer) && styles.highlightCell]}
+        >
+          {render(offer)}
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {renderHeader('Compare Quotations', comparison?.materialRequest?.title || title)}
+
+      {offers.length === 0 ? (
+        <Text style={styles.emptyText}>No submitted quotations to compare yet</Text>
+      ) : (
+        <ScrollView
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+          contentContainerStyle={styles.list}
+        >
+          <ScrollView horizontal showsHorizontalScrollIndicator>
+            <View>
+              {/* Vendor columns */}
+              <View style={[styles.row, styles.headerRow]}>
+                <Text style={styles.labelCell}>Material</Text>
+                {offers.map(offer => (
+                  <View key={offer.quotation._id} style={styles.cell}>
+                    <Text style={styles.vendorName} numberOfLines={2}>{offer.vendor.name || 'Vendor'}</Text>
+                    <Text style={styles.muted}>{offer.quotation.quotationNumber}</Text>
+                    {offer.isBestOffer && (
+                      <View style={styles.bestBadge}>
+                        <Feather name="award" size={12} color="#ffffff" />
+                        <Text style={styles.bestBadgeText}>Best offer</Text>
+                      </View>
+                    )}
+                    {!offer.isComplete && (
+                      <Text style={styles.warning}>
+                        Quoted {offer.quotedLines}/{comparison.materials.length} lines
+                      </Text>
+                    )}
+                  </View>
+                ))}
+              </View>
+
+              {/* One row per requested material */}
+              {comparison.materials.map(material => (
+                <View key={material.materialRequestItem} style={styles.row}>
+                  <View style={styles.labelCell}>
+                    <Text style={styles.cardTitle}>{material.name}</Text>
+                    <Text style={styles.muted}>{material.quantity} {material.unit}</Text>
+                  </View>
+                  {material.offers.map((cell, index) => (
+                    <TouchableOpacity
+                      key={offers[index].quotation._id}
+                      style={[
+                        styles.cell,
+                        cell?.isLowestPrice && styles.highlightCell,
+                        cell?.awardStatus === 'not_selected' && styles.notSelectedCell,
+                        cell && selection[material.materialRequestItem] === cell.quotationId && styles.selectedCell,
+                      ]}
+                      onPress={() => toggleSelection(material, cell)}
+                      disabled={!canAward || !cell || material.isAwarded}
+                    >
+                      {cell ? (
+                        <>
+                          {cell.awardStatus === 'awarded' && (
+                            <Text style={styles.approved}>Awarded</Text>
+                          )}
+                          <Text style={[styles.price, cell.isLowestPrice && styles.lowest]}>
+                            {formatAmount(cell.unitPrice)} / unit
+                          </Text>
+                          <Text style={styles.muted}>{formatAmount(cell.lineTotal)}</Text>
+                          <Text style={styles.muted}>
+                            {cell.deliveryDays != null ? `${cell.deliveryDays} days` : '—'}
+                            {' · '}
+                            <Text style={cell.inStock ? styles.inStock : styles.outOfStock}>
+                              {cell.inStock ? 'In stock' : 'Out of stock'}
+                            </Text>
+                          </Text>
+                        </>
+                      ) : (
+                        <Text style={styles.muted}>Not quoted</Text>
+                      )}
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              ))}
+
+              {summaryRow('Subtotal', offer => <Text>{formatAmount(offer.subtotal)}</Text>)}
+              {summaryRow('Discount', offer => <Text>-{formatAmount(offer.discount)}</Text>)}
+              {summaryRow('Tax', offer => <Text>{formatAmount(offer.tax)} ({offer.taxPercentage}%)</Text>)}
+              {summaryRow('Delivery', offer => <Text>{formatAmount(offer.deliveryCharges)}</Text>)}
+              {summaryRow(
+                'Landed total',
+                offer => (
+                  <Text style={[styles.price, offer.isLowestLandedTotal && styles.lowest]}>
+                    {formatAmount(offer.landedTotal)}
+                  </Text>
+                ),
+                offer => offer.isLowestLandedTotal
+              )}
+              {summaryRow('Delivery time', offer => (
+                <Text>{offer.deliveryDays != null ? `${offer.deliveryDays} days` : '—'}</Text>
+              ))}
+              {summaryRow('Payment terms', offer => (
+                <Text style={styles.small}>{formatPaymentTerms(offer.paymentTerms)}</Text>
+              ))}
+
+              {hasPermission('quotation.negotiate') && summaryRow('', offer => (
+                ['submitted', 'under_review'].includes(offer.quotation.status) && (
+                  <TouchableOpacity
+                    style={styles.negotiateButton}
+                    onPress={() => navigation.navigate('NegotiationChat', { quotationId: offer.quotation._id })}
+                  >
+                    <Feather name="message-circle" size={14} color={theme.colors.primary[500]} />
+                    <Text style={styles.negotiateText}>Negotiate</Text>
+                  </TouchableOpacity>
+                )
+              ))}
+
+              {canApprove && summaryRow('', offer => (
+                offer.quotation.status === 'approved' ? (
+                  <Text style={styles.approved}>Approved</Text>
+                ) : (
+                  <TouchableOpacity
+                    style={[styles.approveButton, hasApproved && styles.approveButtonMuted]}
+                    onPress={() => approve(offer)}
+                    disabled={!!approvingId}
+                  >
+                    {approvingId === offer.quotation._id ? (
+                      <ActivityIndicator color="#ffffff" />
+                    ) : (
+                      <Text style={styles.approveText}>Approve</Text>
+                    )}
+                  </TouchableOpacity>
+                )
+              ))}
+            </View>
+          </ScrollView>
+
+          {canAward && (
+            <View style={styles.awardBar}>
+              <Text style={styles.small}>
+                {selectedCount > 0
+                  ? `${selectedCount} material(s) selected`
+                  : 'Tap a vendor\'s price to award that material to them'}
+              </Text>
+              <TouchableOpacity
+                style={[styles.approveButton, styles.awardButton, selectedCount === 0 && styles.approveButtonMuted]}
+                onPress={awardSelected}
+                disabled={selectedCount === 0 || awarding}
+              >
+                {awarding ? (
+                  <ActivityIndicator color="#ffffff" />
+                ) : (
+                  <Text style={styles.approveText}>Award selected</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.primary,
+  },
+  header: {
+    paddingTop: 18,
+    paddingHorizontal: 18,
+    paddingBottom: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background.secondary,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border.light,
+  },
+  headerText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: theme.colors.text.primary,
+  },
+  headerSubtitle: {
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 18,
+  },
+  card: {
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.border.light,
+    padding: 16,
+    marginBottom: 12,
+  },
+  cardTitle: {
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  muted: {
+    color: theme.colors.text.muted,
+    fontSize: 12,
+    marginTop: 2,
+  },
+  small: {
+    fontSize: 12,
+    color: theme.colors.text.secondary,
+  },
+  row: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border.light,
+    backgroundColor: theme.colors.background.card,
+  },
+  headerRow: {
+    backgroundColor: theme.colors.background.secondary,
+  },
+  labelCell: {
+    width: LABEL_WIDTH,
+    padding: 10,
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  summaryLabel: {
+    color: theme.colors.text.secondary,
+  },
+  cell: {
+    width: COLUMN_WIDTH,
+    padding: 10,
+    borderLeftWidth: 1,
+    borderLeftColor: theme.colors.border.light,
+  },
+  highlightCell: {
+    backgroundColor: theme.colors.success[50],
+  },
+  selectedCell: {
+    borderWidth: 2,
+    borderColor: theme.colors.primary[500],
+  },
+  notSelectedCell: {
+    opacity: 0.5,
+  },
+  vendorName: {
+    fontWeight: '700',
+    color: theme.colors.text.primary,
+  },
+  price: {
+    fontWeight: '600',
+    color: theme.colors.text.primary,
+  },
+  lowest: {
+    color: theme.colors.success[700],
+  },
+  inStock: {
+    color: theme.colors.success[600],
+  },
+  outOfStock: {
+    color: theme.colors.error[500],
+  },
+  warning: {
+    color: theme.colors.warning[500],
+    fontSize: 12,
+    marginTop: 4,
+  },
+  bestBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: theme.colors.success[600],
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginTop: 6,
+  },
+  bestBadgeText: {
+    color: '#ffffff',
+    fontSize: 11,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  approveButton: {
+    backgroundColor: theme.colors.primary[500],
+    borderRadius: theme.borderRadius.md,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  approveButtonMuted: {
+    opacity: 0.6,
+  },
+  awardBar: {
+    marginTop: 16,
+  },
+  awardButton: {
+    marginTop: 8,
+    paddingVertical: 12,
+  },
+  negotiateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: theme.colors.primary[500],
+    borderRadius: theme.borderRadius.md,
+    paddingVertical: 6,
+  },
+  negotiateText: {
+    color: theme.colors.primary[500],
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  approveText: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+  approved: {
+    color: theme.colors.success[700],
+    fontWeight: '600',
+  },
+  emptyText: {
+    color: theme.colors.text.muted,
+    textAlign: 'center',
+    marginTop: 20,
+  },
+});
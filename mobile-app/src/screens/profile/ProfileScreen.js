@@ -11,13 +11,13 @@ import {
   StatusBar,
   Platform,
   RefreshControl,
-  Image,
   ActionSheet,
 } from 'react-native';
 import { useAuth } from '../../context/AuthContext';
 import { authAPI, serviceRequestsAPI } from '../../utils/api';
 import theme from '../../styles/theme';
 import { StandardCard } from '../../components/StandardCard';
+import SecureImage from '../../components/SecureImage';
 // import PermissionsStatus from '../../components/PermissionsStatus';
 import { launchImageLibrary, launchCamera, MediaType } from 'react-native-image-picker';
 // import * as ImagePicker from 'expo-image-picker';
@@ -30,7 +30,7 @@ import { launchImageLibrary, launchCamera, MediaType } from 'react-native-image-
 // } from '../../utils/permissions';
 
 const ProfileScreen = ({ navigation }) => {
-  const { user, updateUser, logout } = useAuth();
+  const { user, updateUser, logout, logoutAllDevices, hasPermission } = useAuth();
   const [isLoading, setIsLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
@@ -89,10 +89,10 @@ const ProfileScreen = ({ navigation }) => {
           text: '🖼️ Choose from Gallery',
           onPress: () => handleImageSelection('gallery')
         },
-        {
+        ...(hasPermission('serviceRequest.create') ? [{
           text: '👨‍💼 Request Professional Photo',
           onPress: () => handleProfessionalPhotoRequest()
-        },
+        }] : []),
         ...(profileImage ? [{
           text: '🗑️ Remove Photo',
           onPress: () => handleRemoveImage(),
@@ -410,6 +410,58 @@ const ProfileScreen = ({ navigation }) => {
     }
   };
 
+  const handleLogoutAllDevices = () => {
+    const message = 'This signs you out on every device, including this one.';
+    if (Platform.OS === 'web') {
+      if (window.confirm(message)) {
+        performLogoutAllDevices();
+      }
+    } else {
+      Alert.alert(
+        'Sign Out All Devices',
+        message,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Sign Out',
+            style: 'destructive',
+            onPress: performLogoutAllDevices
+          },
+        ]
+      );
+    }
+  };
+
+  const performLogoutAllDevices = async () => {
+    const result = await logoutAllDevices();
+    if (!result.success) {
+      if (Platform.OS === 'web') {
+        alert(result.message || 'Failed to sign out of all devices.');
+      } else {
+        Alert.alert('Error', result.message || 'Failed to sign out of all devices.');
+      }
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await authAPI.resendVerification();
+      const message = response.message || 'Verification email sent. Please check your inbox.';
+      if (Platform.OS === 'web') {
+        alert(message);
+      } else {
+        Alert.alert('Verify Email', message);
+      }
+    } catch (error) {
+      const message = error.message || 'Failed to send verification email.';
+      if (Platform.OS === 'web') {
+        alert(message);
+      } else {
+        Alert.alert('Error', message);
+      }
+    }
+  };
+
   const onRefresh = async () => {
     setRefreshing(true);
     // Refresh user data if needed
@@ -479,8 +531,8 @@ const ProfileScreen = ({ navigation }) => {
               >
                 <View style={styles.avatar}>
                   {profileImage ? (
-                    <Image
-                      source={{ uri: profileImage }}
+                    <SecureImage
+                      uri={profileImage}
                       style={styles.avatarImage}
                       onError={() => setProfileImage(null)}
                     />
@@ -651,6 +703,22 @@ const ProfileScreen = ({ navigation }) => {
               <Text style={styles.settingArrow}>→</Text>
             </TouchableOpacity>
 
+            {user?.isEmailVerified === false && (
+              <TouchableOpacity
+                style={styles.settingItem}
+                onPress={handleResendVerification}
+              >
+                <View style={styles.settingIcon}>
+                  <Text style={styles.settingIconText}>✉️</Text>
+                </View>
+                <View style={styles.settingContent}>
+                  <Text style={styles.settingTitle}>Verify Email</Text>
+                  <Text style={styles.settingSubtitle}>Resend the verification link to {user.email}</Text>
+                </View>
+                <Text style={styles.settingArrow}>→</Text>
+              </TouchableOpacity>
+            )}
+
             <TouchableOpacity
               style={styles.settingItem}
               onPress={() => navigation.navigate('Notifications')}
@@ -706,6 +774,20 @@ const ProfileScreen = ({ navigation }) => {
               </View>
               <Text style={[styles.settingArrow, styles.logoutText]}>→</Text>
             </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.settingItem, styles.logoutItem]}
+              onPress={handleLogoutAllDevices}
+            >
+              <View style={[styles.settingIcon, styles.logoutIcon]}>
+                <Text style={styles.settingIconText}>📱</Text>
+              </View>
+              <View style={styles.settingContent}>
+                <Text style={[styles.settingTitle, styles.logoutText]}>Sign Out All Devices</Text>
+                <Text style={styles.settingSubtitle}>End every active session on all devices</Text>
+              </View>
+              <Text style={[styles.settingArrow, styles.logoutText]}>→</Text>
+            </TouchableOpacity>
           </View>
         </StandardCard>
       </ScrollView>
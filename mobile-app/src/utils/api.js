@@ -36,11 +36,15 @@ const api = axios.create({
   // Each request will set its own Content-Type as needed
 });
 
+// Storage keys shared with AuthContext
+const TOKEN_KEY = '@houseway_token';
+const REFRESH_TOKEN_KEY = '@houseway_refresh_token';
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   async (config) => {
     try {
-      const token = await AsyncStorage.getItem('@houseway_token');
+      const token = await AsyncStorage.getItem(TOKEN_KEY);
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
         console.log('[API] Request to:', config.url, '- Token present:', !!token);
@@ -57,15 +61,72 @@ api.interceptors.request.use(
   }
 );
 
+// Called when the session cannot be refreshed (AuthContext logs the user out)
+let onAuthFailure = null;
+export const setAuthFailureHandler = (handler) => {
+  onAuthFailure = handler;
+};
+
+// Single in-flight refresh shared by every request that got a 401
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair.
+ * Uses plain axios so the call does not go through the interceptors below.
+ * @returns {Promise<String>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) {
+        throw new Error('No refresh token stored');
+      }
+
+      const response = await axios.post(
+        `${BASE_URL}/auth/refresh`,
+        { refreshToken },
+        { headers: { 'Content-Type': 'application/json' }, timeout: 10000 }
+      );
+
+      const { token, refreshToken: nextRefreshToken } = response.data.data;
+      await Promise.all([
+        AsyncStorage.setItem(TOKEN_KEY, token),
+        AsyncStorage.setItem(REFRESH_TOKEN_KEY, nextRefreshToken),
+      ]);
+      return token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Requests that must never trigger a refresh-and-retry
+const isAuthRequest = (url = '') =>
+  ['/auth/login', '/auth/refresh', '/auth/register'].some((path) => url.startsWith(path));
+
 // Response interceptor to handle common errors
 api.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid - could trigger logout here
-      console.log('Unauthorized access - token may be expired');
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Access tokens are short-lived: refresh once and replay the request
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest(originalRequest.url)) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.log('[API] Session refresh failed - logging out');
+        if (onAuthFailure) {
+          onAuthFailure();
+        }
+      }
     }
     
     // Return the error response data if available, otherwise the error
@@ -87,6 +148,24 @@ export const authAPI = {
   registerVendor: (userData) => 
     api.post('/auth/register-vendor', userData, { headers: { 'Content-Type': 'application/json' } }),
   
+  logout: () =>
+    api.post('/auth/logout'),
+
+  logoutAll: () =>
+    api.post('/auth/logout-all'),
+
+  forgotPassword: (email) =>
+    api.post('/auth/forgot-password', { email }, { headers: { 'Content-Type': 'application/json' } }),
+
+  resetPassword: (token, password) =>
+    api.post('/auth/reset-password', { token, password }, { headers: { 'Content-Type': 'application/json' } }),
+
+  verifyEmail: (token) =>
+    api.post('/auth/verify-email', { token }, { headers: { 'Content-Type': 'application/json' } }),
+
+  resendVerification: () =>
+    api.post('/auth/resend-verification'),
+
   getProfile: () => 
     api.get('/auth/profile'),
   
@@ -145,6 +224,24 @@ export const usersAPI = {
   
   getUsersByRole: (role) => 
     api.get(`/users/role/${role}`),
+  
+  setAccessRole: (id, accessRole) => 
+    api.put(`/users/${id}/access-role`, { accessRole }, { headers: { 'Content-Type': 'application/json' } }),
+};
+
+// Roles & permissions API endpoints
+export const rolesAPI = {
+  getRoles: () => 
+    api.get('/roles'),
+  
+  createRole: (roleData) => 
+    api.post('/roles', roleData, { headers: { 'Content-Type': 'application/json' } }),
+  
+  updateRole: (name, roleData) => 
+    api.put(`/roles/${name}`, roleData, { headers: { 'Content-Type': 'application/json' } }),
+  
+  deleteRole: (name) => 
+    api.delete(`/roles/${name}`),
 };
 
 // Projects API endpoints
@@ -157,6 +254,12 @@ export const projectsAPI = {
   
   createProject: (projectData) => 
     api.post('/projects', projectData, { headers: { 'Content-Type': 'application/json' } }),
+
+  createFromTemplate: (templateId, projectData) =>
+    api.post(`/projects/from-template/${templateId}`, projectData, { headers: { 'Content-Type': 'application/json' } }),
+
+  cloneProject: (id, projectData) =>
+    api.post(`/projects/${id}/clone`, projectData, { headers: { 'Content-Type': 'application/json' } }),
   
   updateProject: (id, projectData) => 
     api.put(`/projects/${id}`, projectData, { headers: { 'Content-Type': 'application/json' } }),
@@ -188,42 +291,41 @@ export const projectsAPI = {
         // This ensures proper boundary is set for multipart/form-data
       },
     }),
-};
+  
+  getBudget: (id) => 
+    api.get(`/projects/${id}/budget`),
+  
+  updateBudget: (id, budgetData) => 
+    api.put(`/projects/${id}/budget`, budgetData, { headers: { 'Content-Type': 'application/json' } }),
+  
+  addBudgetEntry: (id, entryData) => 
+    api.post(`/projects/${id}/budget/entries`, entryData, { headers: { 'Content-Type': 'application/json' } }),
+  
+  deleteBudgetEntry: (id, entryId) => 
+    api.delete(`/projects/${id}/budget/entries/${entryId}`),
+  
+  getMilestones: (id) => 
+    api.get(`/projects/${id}/milestones`),
+  
+  addMilestone: (id, milestoneData) => 
+    api.post(`/projects/${id}/milestones`, milestoneData, { headers: { 'Content-Type': 'application/json' } }),
+  
+  updateMilestone: (id, milestoneId, milestoneData) => 
+    api.put(`/projects/${id}/milestones/${milestoneId}`, milestoneData, { headers: { 'Content-Type': 'application/json' } }),
+  
+  deleteMilestone: (id, milestoneId) => 
+    api.delete(`/projects/${id}/milestones/${milestoneId}`),
+  
+  uploadMilestoneEvidence: (id, milestoneId, formData) => 
+    api.post(`/projects/${id}/milestones/${milestoneId}/evidence`, formData, {
+      headers: {
+        // Let axios set the multipart boundary
+      },
+    }),
 
-// timelineData.js
-export const timelineSteps = [
-  {
-    id: 1,
-    title: "Initial Consultation",
-    subtitle: "Completed",
-    status: "done",
-  },
-  {
-    id: 2,
-    title: "Design Development",
-    subtitle: "In Progress",
-    status: "in-progress",
-    progress: 60, // percentage
-  },
-  {
-    id: 3,
-    title: "Material Selection",
-    subtitle: "Vendor: Modern Furnishings",
-    status: "pending",
-  },
-  {
-    id: 4,
-    title: "Construction & Installation",
-    subtitle: "Vendor: Elite Builders",
-    status: "pending",
-  },
-  {
-    id: 5,
-    title: "Final Walkthrough",
-    subtitle: "Scheduled",
-    status: "pending",
-  },
-];
+  getSchedule: (id) =>
+    api.get(`/projects/${id}/schedule`),
+};
 
 // Material Requests API endpoints
 export const materialRequestsAPI = {
@@ -242,6 +344,9 @@ export const materialRequestsAPI = {
   acceptMaterialRequest: (id) => 
     api.post(`/material-requests/${id}/accept`),
   
+  submitMaterialRequest: (id, requiredBy) =>
+    api.put(`/material-requests/${id}/submit`, { requiredBy }),
+  
   approveMaterialRequest: (id, comments) => 
     api.put(`/material-requests/${id}/approve`, { comments }),
   
@@ -254,6 +359,11 @@ export const materialRequestsAPI = {
   addNote: (id, content) => 
     api.post(`/material-requests/${id}/notes`, { content }),
   
+  award: (id, awardData) => 
+    api.post(`/material-requests/${id}/award`, awardData, {
+      headers: { 'Content-Type': 'application/json' },
+    }),
+  
   getByProject: (projectId) => 
     api.get(`/material-requests/project/${projectId}`),
 };
@@ -291,6 +401,9 @@ export const quotationsAPI = {
   
   getByMaterialRequest: (materialRequestId) => 
     api.get(`/quotations/material-request/${materialRequestId}`),
+
+  getComparison: (materialRequestId) =>
+    api.get(`/quotations/material-request/${materialRequestId}/comparison`),
   
   getMyQuotations: (params = {}) => 
     api.get('/quotations/vendor/my-quotations', { params }),
@@ -303,6 +416,24 @@ export const quotationsAPI = {
   
   updateQuotation: (id, quotationData) => 
     api.put(`/quotations/${id}`, quotationData, { headers: { 'Content-Type': 'application/json' } }),
+  
+  getRevisions: (id) => 
+    api.get(`/quotations/${id}/revisions`),
+  
+  diffRevisions: (id, from, to) => 
+    api.get(`/quotations/${id}/revisions/diff`, { params: { from, to } }),
+  
+  createCounterOffer: (id, offerData) => 
+    api.post(`/quotations/${id}/counter-offers`, offerData, { headers: { 'Content-Type': 'application/json' } }),
+  
+  acceptCounterOffer: (id, offerId, note) => 
+    api.put(`/quotations/${id}/counter-offers/${offerId}/accept`, { note }, { headers: { 'Content-Type': 'application/json' } }),
+  
+  rejectCounterOffer: (id, offerId, note) => 
+    api.put(`/quotations/${id}/counter-offers/${offerId}/reject`, { note }, { headers: { 'Content-Type': 'application/json' } }),
+  
+  getPdf: (id) => 
+    api.get(`/quotations/${id}/pdf`, { params: { format: 'json' } }),
 };
 
 // Purchase Orders API endpoints
@@ -322,14 +453,160 @@ export const purchaseOrdersAPI = {
   acknowledgePurchaseOrder: (id) => 
     api.put(`/purchase-orders/${id}/acknowledge`, {}, { headers: { 'Content-Type': 'application/json' } }),
   
+  amendPurchaseOrder: (id, amendment) => 
+    api.post(`/purchase-orders/${id}/amendments`, amendment, { headers: { 'Content-Type': 'application/json' } }),
+  
+  cancelPurchaseOrder: (id, reason) => 
+    api.put(`/purchase-orders/${id}/cancel`, { reason }, { headers: { 'Content-Type': 'application/json' } }),
+  
+  shortClosePurchaseOrder: (id, reason) => 
+    api.put(`/purchase-orders/${id}/short-close`, { reason }, { headers: { 'Content-Type': 'application/json' } }),
+  
+  getRevisions: (id) => 
+    api.get(`/purchase-orders/${id}/revisions`),
+  
+  getRevision: (id, revisionNumber) => 
+    api.get(`/purchase-orders/${id}/revisions/${revisionNumber}`),
+  
   recordDelivery: (id, deliveryData) => 
     api.post(`/purchase-orders/${id}/delivery`, deliveryData, { headers: { 'Content-Type': 'application/json' } }),
   
+  acknowledgeReturn: (id, returnId, note) => 
+    api.put(`/purchase-orders/${id}/returns/${returnId}/acknowledge`, { note }, { headers: { 'Content-Type': 'application/json' } }),
+  
   getByProject: (projectId) => 
     api.get(`/purchase-orders/project/${projectId}`),
   
   getMyOrders: (params = {}) => 
     api.get('/purchase-orders/vendor/my-orders', { params }),
+  
+  getPdf: (id) => 
+    api.get(`/purchase-orders/${id}/pdf`, { params: { format: 'json' } }),
+};
+
+// Client Invoices API endpoints
+export const clientInvoicesAPI = {
+  getInvoices: (params = {}) =>
+    api.get('/client-invoices', { params }),
+
+  getInvoiceById: (id) =>
+    api.get(`/client-invoices/${id}`),
+
+  getByProject: (projectId) =>
+    api.get(`/client-invoices/project/${projectId}`),
+
+  createInvoice: (invoiceData) =>
+    api.post('/client-invoices', invoiceData, { headers: { 'Content-Type': 'application/json' } }),
+
+  updateInvoice: (id, invoiceData) =>
+    api.put(`/client-invoices/${id}`, invoiceData, { headers: { 'Content-Type': 'application/json' } }),
+
+  issueInvoice: (id) =>
+    api.put(`/client-invoices/${id}/issue`, {}, { headers: { 'Content-Type': 'application/json' } }),
+
+  cancelInvoice: (id, reason) =>
+    api.put(`/client-invoices/${id}/cancel`, { reason }, { headers: { 'Content-Type': 'application/json' } }),
+
+  recordPayment: (id, paymentData) =>
+    api.post(`/client-invoices/${id}/payments`, paymentData, { headers: { 'Content-Type': 'application/json' } }),
+
+  getReceipt: (id, paymentId) =>
+    api.get(`/client-invoices/${id}/payments/${paymentId}/receipt`),
+
+  getPdf: (id) =>
+    api.get(`/client-invoices/${id}/pdf`, { params: { format: 'json' } }),
+};
+
+// Project Templates API endpoints
+export const projectTemplatesAPI = {
+  getTemplates: (params = {}) =>
+    api.get('/project-templates', { params }),
+
+  getTemplateById: (id) =>
+    api.get(`/project-templates/${id}`),
+
+  createTemplate: (templateData) =>
+    api.post('/project-templates', templateData, { headers: { 'Content-Type': 'application/json' } }),
+
+  createFromProject: (projectId, templateData = {}) =>
+    api.post(`/project-templates/from-project/${projectId}`, templateData, { headers: { 'Content-Type': 'application/json' } }),
+
+  updateTemplate: (id, templateData) =>
+    api.put(`/project-templates/${id}`, templateData, { headers: { 'Content-Type': 'application/json' } }),
+
+  deleteTemplate: (id) =>
+    api.delete(`/project-templates/${id}`),
+};
+
+// Change Orders API endpoints
+export const changeOrdersAPI = {
+  getByProject: (projectId) =>
+    api.get(`/change-orders/project/${projectId}`),
+
+  getChangeOrderById: (id) =>
+    api.get(`/change-orders/${id}`),
+
+  createChangeOrder: (changeOrderData) =>
+    api.post('/change-orders', changeOrderData, { headers: { 'Content-Type': 'application/json' } }),
+
+  updateChangeOrder: (id, changeOrderData) =>
+    api.put(`/change-orders/${id}`, changeOrderData, { headers: { 'Content-Type': 'application/json' } }),
+
+  uploadDocuments: (id, formData) =>
+    api.post(`/change-orders/${id}/documents`, formData, {
+      headers: {
+        // Let axios set the multipart boundary
+      },
+    }),
+
+  submit: (id) =>
+    api.put(`/change-orders/${id}/submit`, {}, { headers: { 'Content-Type': 'application/json' } }),
+
+  withdraw: (id) =>
+    api.put(`/change-orders/${id}/withdraw`, {}, { headers: { 'Content-Type': 'application/json' } }),
+
+  approve: (id, comments) =>
+    api.put(`/change-orders/${id}/approve`, { comments }, { headers: { 'Content-Type': 'application/json' } }),
+
+  decline: (id, comments) =>
+    api.put(`/change-orders/${id}/decline`, { comments }, { headers: { 'Content-Type': 'application/json' } }),
+};
+
+// Vendor Invoices API endpoints
+export const vendorInvoicesAPI = {
+  getInvoices: (params = {}) =>
+    api.get('/vendor-invoices', { params }),
+
+  getInvoiceById: (id) =>
+    api.get(`/vendor-invoices/${id}`),
+
+  getAging: () =>
+    api.get('/vendor-invoices/aging'),
+
+  createInvoice: (invoiceData) =>
+    api.post('/vendor-invoices', invoiceData, { headers: { 'Content-Type': 'application/json' } }),
+
+  updateInvoice: (id, invoiceData) =>
+    api.put(`/vendor-invoices/${id}`, invoiceData, { headers: { 'Content-Type': 'application/json' } }),
+
+  uploadDocument: (id, formData) =>
+    api.post(`/vendor-invoices/${id}/document`, formData, {
+      headers: {
+        // Let axios set the multipart boundary
+      },
+    }),
+
+  submitInvoice: (id) =>
+    api.put(`/vendor-invoices/${id}/submit`, {}, { headers: { 'Content-Type': 'application/json' } }),
+
+  approveInvoice: (id, acceptMismatch = false) =>
+    api.put(`/vendor-invoices/${id}/approve`, { acceptMismatch }, { headers: { 'Content-Type': 'application/json' } }),
+
+  disputeInvoice: (id, reason) =>
+    api.put(`/vendor-invoices/${id}/dispute`, { reason }, { headers: { 'Content-Type': 'application/json' } }),
+
+  markPaid: (id, paymentData) =>
+    api.put(`/vendor-invoices/${id}/pay`, paymentData, { headers: { 'Content-Type': 'application/json' } }),
 };
 
 // Files API endpoints
@@ -362,6 +639,9 @@ export const filesAPI = {
 
   getByCategory: (category) =>
     api.get(`/files/category/${category}`),
+
+  signUrls: (urls) =>
+    api.post('/files/sign', { urls }, { headers: { 'Content-Type': 'application/json' } }),
 };
 
 // Dashboard API endpoints
@@ -406,5 +686,29 @@ export const workStatusAPI = {
     api.get(`/work-status/${id}`),
 };
 
+// Notifications API endpoints
+export const notificationsAPI = {
+  getNotifications: (params = {}) =>
+    api.get('/notifications', { params }),
+
+  getUnreadCount: () =>
+    api.get('/notifications/unread-count'),
+
+  markAsRead: (id) =>
+    api.put(`/notifications/${id}/read`),
+
+  markAllAsRead: () =>
+    api.put('/notifications/read-all'),
+};
+
+// Audit log API endpoints
+export const auditAPI = {
+  getEvents: (params = {}) =>
+    api.get('/audit', { params }),
+
+  getEntityHistory: (entityType, entityId) =>
+    api.get(`/audit/${entityType}/${entityId}`),
+};
+
 // Export the main api instance for custom requests
 export default api;
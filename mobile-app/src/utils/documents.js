@@ -0,0 +1,45 @@
+import { Alert, Linking, Share } from 'react-native';
+
+/**
+ * Generate a document PDF on the server and get a short-lived signed link to it
+ * @param {Function} getPdf - API call such as quotationsAPI.getPdf, bound to an id
+ * @returns {Promise<Object|null>} { url, file } or null when generation failed
+ */
+const fetchDocumentLink = async (getPdf) => {
+  try {
+    const response = await getPdf();
+    if (response.success && response.data?.url) {
+      return response.data;
+    }
+    Alert.alert('Error', response.message || 'Failed to generate document');
+  } catch (error) {
+    console.error('[Documents] Failed to generate PDF:', error);
+    Alert.alert('Error', error.message || 'Failed to generate document');
+  }
+  return null;
+};
+
+/**
+ * Open a generated PDF in the system viewer, from where it can be saved
+ */
+export const downloadDocument = async (getPdf) => {
+  const document = await fetchDocumentLink(getPdf);
+  if (document) {
+    await Linking.openURL(document.url);
+  }
+};
+
+/**
+ * Share a link to a generated PDF (e.g. with an accountant or supplier)
+ * The link expires with its signature.
+ */
+export const shareDocument = async (getPdf, title) => {
+  const document = await fetchDocumentLink(getPdf);
+  if (document) {
+    await Share.share({
+      title,
+      message: `${title}: ${document.url}`,
+      url: document.url,
+    });
+  }
+};
@@ -0,0 +1,89 @@
+import { filesAPI } from './api';
+
+// Refresh signed URLs this long before the server-side expiry
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Stored file URL -> { url, expiresAt }
+const cache = new Map();
+
+/**
+ * Whether a URL points at an upload that must be signed before use
+ * (stored /api/files/... URLs and legacy /uploads/... URLs; external URLs pass through)
+ */
+export const isProtectedFileUrl = (url) =>
+  typeof url === 'string' &&
+  /(\/api\/files\/|\/uploads\/)/.test(url) &&
+  !url.includes('/api/files/signed/');
+
+const getCached = (url) => {
+  const entry = cache.get(url);
+  if (entry && entry.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+    return entry;
+  }
+  return null;
+};
+
+/**
+ * Resolve stored file URLs to short-lived signed URLs usable in <Image> or Linking
+ * Unsigned URLs are batched into a single request; files the user cannot access resolve to null.
+ * @param {Array<String>} urls
+ * @returns {Promise<Object>} Map of original URL -> usable URL (or null)
+ */
+export const resolveFileUrls = async (urls) => {
+  const result = {};
+  const pending = [];
+
+  [...new Set(urls.filter(Boolean))].forEach((url) => {
+    if (!isProtectedFileUrl(url)) {
+      result[url] = url;
+      return;
+    }
+
+    const cached = getCached(url);
+    if (cached) {
+      result[url] = cached.url;
+    } else {
+      pending.push(url);
+    }
+  });
+
+  if (pending.length > 0) {
+    try {
+      const response = await filesAPI.signUrls(pending);
+      const signed = response.data?.urls || {};
+      const expiresAt = response.data?.expiresAt ? new Date(response.data.expiresAt).getTime() : 0;
+
+      pending.forEach((url) => {
+        result[url] = signed[url] || null;
+        if (signed[url]) {
+          cache.set(url, { url: signed[url], expiresAt });
+        }
+      });
+    } catch (error) {
+      console.error('[SignedUrls] Failed to sign file URLs:', error);
+      pending.forEach((url) => {
+        result[url] = null;
+      });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Resolve a single stored file URL (see resolveFileUrls)
+ * @param {String} url
+ * @returns {Promise<String|null>}
+ */
+export const resolveFileUrl = async (url) => {
+  if (!url) return null;
+  const resolved = await resolveFileUrls([url]);
+  return resolved[url];
+};
+
+/**
+ * Forget cached signatures (e.g. on logout)
+ */
+export const clearSignedUrlCache = () => {
+  cache.clear();
+};
@@ -1,11 +1,13 @@
 import { io } from 'socket.io-client';
 import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { refreshAccessToken } from './api';
 
 // Socket URL - Update this to match your backend server
 const getSocketURL = () => {
   // Use your local IP address for mobile devices to connect to your development machine
   const LOCAL_IP = '192.168.1.5';
-  
+
   if (Platform.OS === 'web') {
     return 'http://localhost:5000';
   } else {
@@ -17,12 +19,82 @@ const getSocketURL = () => {
 const SOCKET_URL = process.env.EXPO_PUBLIC_SOCKET_URL || getSocketURL();
 
 // Create socket instance
+// The server authenticates the handshake with the same JWT as the REST API,
+// so we only connect once a user is logged in (see AuthContext).
 const socket = io(SOCKET_URL, {
   transports: ['websocket'],
+  autoConnect: false,
   reconnection: true,
   reconnectionAttempts: 5,
   reconnectionDelay: 1000,
   timeout: 10000,
+  // Evaluated on every (re)connect so a refreshed token is always sent
+  auth: (cb) => {
+    AsyncStorage.getItem('@houseway_token')
+      .then((token) => cb({ token }))
+      .catch(() => cb({}));
+  },
+});
+
+// Project rooms joined explicitly by screens; re-joined after every reconnect
+const joinedProjects = new Set();
+
+socket.on('connect', () => {
+  console.log('[Socket] Connected:', socket.id);
+  joinedProjects.forEach((projectId) => socket.emit('project:join', projectId));
+});
+
+socket.on('connect_error', (error) => {
+  console.warn('[Socket] Connection error:', error.message);
+
+  // Handshakes rejected by the auth middleware are not retried automatically;
+  // refresh the short-lived access token and reconnect once
+  if (error.message === 'Token expired.') {
+    refreshAccessToken()
+      .then(() => socket.connect())
+      .catch(() => console.warn('[Socket] Could not refresh session'));
+  }
 });
 
-export default socket;
\ No newline at end of file
+/**
+ * Connect the shared socket (no-op when already connected)
+ */
+export const connectSocket = () => {
+  if (!socket.connected) {
+    socket.connect();
+  }
+};
+
+/**
+ * Disconnect the shared socket and forget joined rooms (on logout)
+ */
+export const disconnectSocket = () => {
+  joinedProjects.clear();
+  socket.disconnect();
+};
+
+/**
+ * Subscribe to a project's room; the server checks access before joining
+ * @param {String} projectId - Project ID
+ */
+export const joinProjectRoom = (projectId) => {
+  if (!projectId) return;
+  joinedProjects.add(projectId);
+  if (socket.connected) {
+    socket.emit('project:join', projectId);
+  }
+};
+
+/**
+ * Unsubscribe from a project's room
+ * @param {String} projectId - Project ID
+ */
+export const leaveProjectRoom = (projectId) => {
+  joinedProjects.delete(projectId);
+  if (socket.connected) {
+    socket.emit('project:leave', projectId);
+  }
+};
+
+export { socket };
+export default socket;